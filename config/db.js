@@ -25,7 +25,61 @@ const testConnection = () => {
   });
 };
 
-module.exports = { db, testConnection };
+// Promise wrapper around db.query for async/await callers
+const queryAsync = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+};
+
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't).
+// Resolves true when the column was added, false when it already existed.
+const addColumnIfMissing = async (table, column, definition) => {
+  const existing = await queryAsync(
+    `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (existing.length > 0) return false;
+
+  try {
+    await queryAsync(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+    return true;
+  } catch (err) {
+    // Another initializer added it first
+    if (err.code === 'ER_DUP_FIELDNAME') return false;
+    throw err;
+  }
+};
+
+// Same for indexes. `definition` is everything after the index name, e.g.
+// "(userId, createdAt)"; `kind` is '' or 'FULLTEXT' / 'UNIQUE'.
+const addIndexIfMissing = async (table, indexName, definition, kind = '') => {
+  const existing = await queryAsync(
+    `SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+     LIMIT 1`,
+    [table, indexName]
+  );
+
+  if (existing.length > 0) return false;
+
+  try {
+    await queryAsync(`CREATE ${kind} INDEX \`${indexName}\` ON \`${table}\` ${definition}`);
+    console.log(`Added index ${table}.${indexName}`);
+    return true;
+  } catch (err) {
+    if (err.code === 'ER_DUP_KEYNAME') return false;
+    throw err;
+  }
+};
+
+module.exports = { db, testConnection, queryAsync, addColumnIfMissing, addIndexIfMissing };
 
 // const mysql = require('mysql2');
 // require('dotenv').config();
@@ -0,0 +1,38 @@
+// Role → permission map used by middleware/roleMiddleware.js
+// Admin accounts can't be self-registered; promote an existing user with
+// UPDATE users SET userType = 'admin' WHERE id = ?
+const USER_ROLES = ['jobseeker', 'recruiter', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  jobseeker: [
+    'profile:manage',
+    'reviews:write'
+  ],
+  recruiter: [
+    'profile:manage',
+    'reviews:write',
+    'candidates:search',
+    'candidates:contact'
+  ],
+  admin: [
+    'profile:manage',
+    'reviews:write',
+    'reviews:moderate',
+    'candidates:search',
+    'candidates:contact',
+    'users:impersonate',
+    'audit:read',
+    'locations:manage',
+    'skills:manage'
+  ]
+};
+
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  USER_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
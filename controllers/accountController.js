@@ -0,0 +1,196 @@
+// accountController.js - password and email changes for the signed-in user
+const bcrypt = require('bcryptjs');
+const { queryAsync } = require('../config/db');
+const { revokeAllSessions } = require('../services/sessionService');
+const { revokeResetTokens } = require('../services/passwordResetService');
+const { trackAuthEvent } = require('../services/authEventService');
+const { validateNewPassword, getPasswordErrors, recordPasswordHistory } = require('../services/passwordPolicyService');
+const {
+  requestEmailChange: createEmailChangeRequest,
+  confirmEmailChange: applyEmailChange,
+  cancelEmailChange: cancelEmailChangeRequest
+} = require('../services/emailChangeService');
+const {
+  sendPasswordChangeConfirmation,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice
+} = require('../services/emailService');
+
+const validateEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const getAccountUser = async (userId) => {
+  const users = await queryAsync(
+    'SELECT id, email, firstName, lastName, userName, password FROM users WHERE id = ?',
+    [userId]
+  );
+  return users.length > 0 ? users[0] : null;
+};
+
+// PUT /api/dashboard/password - change password with the current one
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Current password and new password are required'
+      });
+    }
+
+    const user = await getAccountUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, msg: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(401).json({ success: false, msg: 'Current password is incorrect' });
+    }
+
+    // The reuse rule also covers the current password
+    const passwordCheck = await validateNewPassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        msg: getPasswordErrors(passwordCheck).join(', '),
+        passwordChecks: passwordCheck.checks
+      });
+    }
+
+    const salt = await bcrypt.genSalt(12);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    await queryAsync('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, user.id]);
+    await recordPasswordHistory(user.id, hashedPassword);
+
+    // Keep this device signed in; everything else must log in again
+    const revoked = await revokeAllSessions(user.id, req.user.sid);
+    await revokeResetTokens(user.id);
+    console.log(`✅ Password changed for user ${user.id}, revoked ${revoked} other sessions`);
+    trackAuthEvent({ userId: user.id, eventType: 'password_change', method: 'dashboard', sessionId: req.user.sid, req });
+
+    sendPasswordChangeConfirmation(user)
+      .then(result => {
+        if (!result.success) console.warn('⚠️ Failed to send password change confirmation:', result.error);
+      })
+      .catch(emailError => console.error('❌ Password change confirmation error:', emailError));
+
+    res.json({
+      success: true,
+      msg: 'Password changed successfully. You have been signed out on your other devices.'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while changing password' });
+  }
+};
+
+// POST /api/dashboard/email - request a change; nothing changes until confirmed
+const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !validateEmail(newEmail.trim())) {
+      return res.status(400).json({ success: false, msg: 'Valid new email address is required' });
+    }
+
+    if (!password) {
+      return res.status(400).json({ success: false, msg: 'Password is required to change your email' });
+    }
+
+    const user = await getAccountUser(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, msg: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ success: false, msg: 'Incorrect password' });
+    }
+
+    const request = await createEmailChangeRequest(user, newEmail);
+
+    // The old address hears about the change before it can take effect
+    const noticeResult = await sendEmailChangeNotice(user, request.newEmail, request.cancelToken);
+    if (!noticeResult.success) {
+      console.warn('⚠️ Failed to send email change notice:', noticeResult.error);
+    }
+
+    const confirmResult = await sendEmailChangeConfirmation(user, request.newEmail, request.confirmToken);
+    if (!confirmResult.success) {
+      console.error('❌ Failed to send email change confirmation:', confirmResult.error);
+      return res.status(500).json({
+        success: false,
+        msg: 'Error sending confirmation email. Please try again later.'
+      });
+    }
+
+    console.log(`📧 Email change requested for user ${user.id}`);
+    res.json({
+      success: true,
+      msg: `We sent a confirmation link to ${request.newEmail}. Your email will change once you confirm it.`,
+      pendingEmail: request.newEmail
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, msg: error.message });
+    }
+    console.error('Request email change error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while requesting email change' });
+  }
+};
+
+// POST /api/dashboard/email/confirm - token from the link sent to the new address
+const confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ success: false, msg: 'Confirmation token is required' });
+    }
+
+    const change = await applyEmailChange(token);
+
+    console.log(`✅ Email changed for user ${change.userId}`);
+    res.json({
+      success: true,
+      msg: 'Your email address has been updated',
+      email: change.newEmail
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, msg: error.message });
+    }
+    console.error('Confirm email change error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while confirming email change' });
+  }
+};
+
+// POST /api/dashboard/email/cancel - token from the notice sent to the old address
+const cancelEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ success: false, msg: 'Cancel token is required' });
+    }
+
+    if (!(await cancelEmailChangeRequest(token))) {
+      return res.status(400).json({
+        success: false,
+        msg: 'This email change has already been completed, cancelled or does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      msg: 'The email change has been cancelled. We recommend changing your password.'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while cancelling email change' });
+  }
+};
+
+module.exports = {
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange
+};
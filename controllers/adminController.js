@@ -0,0 +1,271 @@
+// adminController.js - support tooling: user impersonation, the audit trail,
+// locations and the skill taxonomy
+const {
+  startImpersonation: beginImpersonation,
+  endImpersonation: finishImpersonation,
+  listImpersonations: findImpersonations
+} = require('../services/impersonationService');
+const { getAuditLogs: findAuditLogs, recordAuditLog } = require('../services/auditLogService');
+const {
+  searchLocations,
+  getLocation,
+  createLocation: insertLocation,
+  addLocationAliases: insertLocationAliases
+} = require('../services/locationService');
+const {
+  listSkills: findSkills,
+  getSkill: findSkill,
+  createSkill: insertSkill,
+  updateSkill: editSkill,
+  addSkillAliases: insertSkillAliases,
+  setRelatedSkills: replaceRelatedSkills,
+  mergeSkills: foldSkills
+} = require('../services/skillTaxonomyService');
+
+// POST /api/admin/impersonate/:userId - body { reason, allowWrites? }
+const startImpersonation = async (req, res) => {
+  try {
+    const { reason, allowWrites } = req.body;
+    const result = await beginImpersonation(req, req.params.userId, {
+      reason,
+      allowWrites: allowWrites === true
+    });
+
+    console.log(`🕵️ Admin ${req.user.userId} started impersonating user ${result.impersonation.targetUser.id} (${result.impersonation.readOnly ? 'read-only' : 'writes enabled'})`);
+    res.status(201).json({
+      success: true,
+      msg: `Impersonating ${result.impersonation.targetUser.userName} for ${result.impersonation.expiresInMinutes} minutes`,
+      token: result.accessToken,
+      expiresIn: result.expiresIn,
+      impersonation: result.impersonation
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, msg: error.message });
+    }
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ success: false, msg: 'Error starting impersonation' });
+  }
+};
+
+// POST /api/admin/impersonations/:impersonationId/end
+const endImpersonation = async (req, res) => {
+  try {
+    if (!(await finishImpersonation(req, req.params.impersonationId))) {
+      return res.status(404).json({ success: false, msg: 'Impersonation session not found or already ended' });
+    }
+
+    console.log(`🕵️ Admin ${req.user.userId} ended impersonation ${req.params.impersonationId}`);
+    res.json({ success: true, msg: 'Impersonation ended' });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ success: false, msg: 'Error ending impersonation' });
+  }
+};
+
+// GET /api/admin/impersonations - the admin's recent sessions
+const listImpersonations = async (req, res) => {
+  try {
+    res.json({ success: true, impersonations: await findImpersonations(req.user.userId) });
+  } catch (error) {
+    console.error('List impersonations error:', error);
+    res.status(500).json({ success: false, msg: 'Error fetching impersonation sessions' });
+  }
+};
+
+// GET /api/admin/audit-logs?actorUserId=&targetUserId=&impersonationId=&page=&limit=
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actorUserId, targetUserId, impersonationId, page, limit } = req.query;
+    const result = await findAuditLogs({ actorUserId, targetUserId, impersonationId, page, limit });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ success: false, msg: 'Error fetching audit logs' });
+  }
+};
+
+// GET /api/admin/locations?q=&limit= - or /api/admin/locations/:locationId
+const listLocations = async (req, res) => {
+  try {
+    if (req.params.locationId) {
+      return res.json({ success: true, location: getLocation(req.params.locationId) });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({ success: true, locations: searchLocations(req.query.q, limit) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, msg: error.message });
+    }
+    console.error('List locations error:', error);
+    res.status(500).json({ success: false, msg: 'Error fetching locations' });
+  }
+};
+
+// POST /api/admin/locations - body { name, type, parentId?, latitude?, longitude?, aliases? }
+const createLocation = async (req, res) => {
+  try {
+    const { name, type, parentId, latitude, longitude, aliases } = req.body;
+    const result = await insertLocation({ name, type, parentId, latitude, longitude, aliases });
+
+    await recordAuditLog({
+      actorUserId: req.user.userId,
+      action: 'location.create',
+      req,
+      statusCode: 201,
+      metadata: { locationId: result.location.id, code: result.location.code }
+    });
+
+    console.log(`📍 Admin ${req.user.userId} added location ${result.location.path}`);
+    res.status(201).json({ success: true, msg: 'Location added', ...result });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, msg: error.message });
+    }
+    console.error('Create location error:', error);
+    res.status(500).json({ success: false, msg: 'Error adding location' });
+  }
+};
+
+// POST /api/admin/locations/:locationId/aliases - body { aliases: [...] }
+const addLocationAliases = async (req, res) => {
+  try {
+    const result = await insertLocationAliases(req.params.locationId, req.body.aliases);
+
+    await recordAuditLog({
+      actorUserId: req.user.userId,
+      action: 'location.aliases.add',
+      req,
+      statusCode: 200,
+      metadata: { locationId: result.location.id, aliases: req.body.aliases }
+    });
+
+    res.json({ success: true, msg: 'Aliases added', ...result });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, msg: error.message });
+    }
+    console.error('Add location aliases error:', error);
+    res.status(500).json({ success: false, msg: 'Error adding aliases' });
+  }
+};
+
+// Skill handlers share the error handling and audit logging
+const handleSkillError = (res, error, label, msg) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, msg: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, msg });
+};
+
+const auditSkillChange = (req, action, statusCode, metadata) => {
+  return recordAuditLog({ actorUserId: req.user.userId, action, req, statusCode, metadata });
+};
+
+// GET /api/admin/skills?q=&uncurated=true&limit= - with profile counts
+const listSkills = async (req, res) => {
+  try {
+    const { q, uncurated, limit } = req.query;
+    res.json({ success: true, skills: await findSkills({ q, uncurated: uncurated === 'true', limit }) });
+  } catch (error) {
+    handleSkillError(res, error, 'List skills', 'Error fetching skills');
+  }
+};
+
+// GET /api/admin/skills/:skillId
+const getSkill = async (req, res) => {
+  try {
+    res.json({ success: true, skill: findSkill(req.params.skillId) });
+  } catch (error) {
+    handleSkillError(res, error, 'Get skill', 'Error fetching skill');
+  }
+};
+
+// POST /api/admin/skills - body { name, parentId?, aliases?, relatedSkillIds? }
+const createSkill = async (req, res) => {
+  try {
+    const { name, parentId, aliases, relatedSkillIds } = req.body;
+    const skill = await insertSkill({ name, parentId, aliases, relatedSkillIds });
+
+    await auditSkillChange(req, 'skill.create', 201, { skillId: skill.id, name: skill.name });
+    res.status(201).json({ success: true, msg: 'Skill added', skill });
+  } catch (error) {
+    handleSkillError(res, error, 'Create skill', 'Error adding skill');
+  }
+};
+
+// PUT /api/admin/skills/:skillId - body { name?, parentId?, curated? }
+const updateSkill = async (req, res) => {
+  try {
+    const { name, parentId, curated } = req.body;
+    const skill = await editSkill(req.params.skillId, { name, parentId, curated });
+
+    await auditSkillChange(req, 'skill.update', 200, { skillId: skill.id, name, parentId, curated });
+    res.json({ success: true, msg: 'Skill updated', skill });
+  } catch (error) {
+    handleSkillError(res, error, 'Update skill', 'Error updating skill');
+  }
+};
+
+// POST /api/admin/skills/:skillId/aliases - body { aliases: [...] }
+const addSkillAliases = async (req, res) => {
+  try {
+    const skill = await insertSkillAliases(req.params.skillId, req.body.aliases);
+
+    await auditSkillChange(req, 'skill.aliases.add', 200, { skillId: skill.id, aliases: req.body.aliases });
+    res.json({ success: true, msg: 'Aliases added', skill });
+  } catch (error) {
+    handleSkillError(res, error, 'Add skill aliases', 'Error adding aliases');
+  }
+};
+
+// PUT /api/admin/skills/:skillId/related - body { relatedSkillIds: [...] }
+const setRelatedSkills = async (req, res) => {
+  try {
+    const skill = await replaceRelatedSkills(req.params.skillId, req.body.relatedSkillIds);
+
+    await auditSkillChange(req, 'skill.related.set', 200, { skillId: skill.id, relatedSkillIds: req.body.relatedSkillIds });
+    res.json({ success: true, msg: 'Related skills updated', skill });
+  } catch (error) {
+    handleSkillError(res, error, 'Set related skills', 'Error updating related skills');
+  }
+};
+
+// POST /api/admin/skills/:skillId/merge - body { sourceSkillIds: [...] }
+// Folds the source skills (typically uncurated spellings) into this one
+const mergeSkills = async (req, res) => {
+  try {
+    const result = await foldSkills(req.params.skillId, req.body.sourceSkillIds);
+
+    await auditSkillChange(req, 'skill.merge', 200, {
+      skillId: result.skill.id,
+      merged: result.merged,
+      profilesUpdated: result.profilesUpdated
+    });
+
+    console.log(`🧩 Admin ${req.user.userId} merged ${result.merged.map(skill => skill.name).join(', ')} into ${result.skill.name}`);
+    res.json({ success: true, msg: `Merged ${result.merged.length} skill(s) into ${result.skill.name}`, ...result });
+  } catch (error) {
+    handleSkillError(res, error, 'Merge skills', 'Error merging skills');
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  endImpersonation,
+  listImpersonations,
+  getAuditLogs,
+  listLocations,
+  createLocation,
+  addLocationAliases,
+  listSkills,
+  getSkill,
+  createSkill,
+  updateSkill,
+  addSkillAliases,
+  setRelatedSkills,
+  mergeSkills
+};
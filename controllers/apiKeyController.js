@@ -0,0 +1,64 @@
+// apiKeyController.js - recruiters manage API keys for their integrations
+const {
+  createApiKey: issueApiKey,
+  listApiKeys: findApiKeys,
+  revokeApiKey: disableApiKey,
+  API_KEY_SCOPES
+} = require('../services/apiKeyService');
+
+// GET /api/dashboard/api-keys
+const listApiKeys = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      apiKeys: await findApiKeys(req.user.userId),
+      availableScopes: API_KEY_SCOPES
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ success: false, msg: 'Error fetching API keys' });
+  }
+};
+
+// POST /api/dashboard/api-keys - body { name, scopes: [...], expiresInDays? }
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const { apiKey, key } = await issueApiKey(req.user.userId, { name, scopes, expiresInDays });
+
+    console.log(`🔑 API key ${apiKey.id} created for user ${req.user.userId}`);
+    res.status(201).json({
+      success: true,
+      msg: 'API key created. Copy it now - it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, msg: error.message });
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({ success: false, msg: 'Error creating API key' });
+  }
+};
+
+// DELETE /api/dashboard/api-keys/:keyId
+const revokeApiKey = async (req, res) => {
+  try {
+    if (!(await disableApiKey(req.user.userId, req.params.keyId))) {
+      return res.status(404).json({ success: false, msg: 'API key not found or already revoked' });
+    }
+
+    console.log(`🔑 API key ${req.params.keyId} revoked by user ${req.user.userId}`);
+    res.json({ success: true, msg: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ success: false, msg: 'Error revoking API key' });
+  }
+};
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+};
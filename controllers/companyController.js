@@ -0,0 +1,272 @@
+// companyController.js - recruiter companies, seats and invitations
+const { queryAsync } = require('../config/db');
+const {
+  createCompany: insertCompany,
+  getMembership,
+  getMembers,
+  updateCompany: saveCompany,
+  createInvitation,
+  getPendingInvitations,
+  revokeInvitation: cancelInvitation,
+  findInvitation,
+  acceptInvitation: joinCompany,
+  changeMemberRole,
+  removeMember: deleteMember,
+  INVITATION_ROLES
+} = require('../services/companyService');
+const { sendCompanyInvitationEmail } = require('../services/emailService');
+
+const validateEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const validateUrl = (url) => {
+  if (!url || url.trim() === '') return null;
+  try {
+    const urlObj = new URL(url.trim());
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:' ? url.trim() : null;
+  } catch {
+    return null;
+  }
+};
+
+const sendCompanyError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, msg: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, msg: fallbackMessage });
+};
+
+const readCompanyFields = (body) => {
+  const { name, size, industry, website, description } = body;
+
+  if (!name || name.trim().length < 2) {
+    return { error: 'Company name is required' };
+  }
+  if (website && website.trim() !== '' && !validateUrl(website)) {
+    return { error: 'Company website must be a valid http(s) URL' };
+  }
+
+  return {
+    fields: {
+      name: name.trim(),
+      size: size ? size.trim() : null,
+      industry: industry ? industry.trim() : null,
+      website: validateUrl(website),
+      description: description ? description.trim() : null
+    }
+  };
+};
+
+// GET /api/companies/mine - company, my role and members
+const getMyCompany = async (req, res) => {
+  try {
+    const company = await getMembership(req.user.userId);
+    if (!company) {
+      return res.json({ success: true, company: null, members: [] });
+    }
+
+    const { role, ...details } = company;
+    res.json({
+      success: true,
+      company: details,
+      role,
+      members: await getMembers(company.id)
+    });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error fetching company');
+  }
+};
+
+// POST /api/companies - create a company for a recruiter without one
+const createCompany = async (req, res) => {
+  try {
+    if (await getMembership(req.user.userId)) {
+      return res.status(409).json({ success: false, msg: 'You already belong to a company' });
+    }
+
+    const { fields, error } = readCompanyFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, msg: error });
+    }
+
+    const companyId = await insertCompany(fields, req.user.userId);
+    console.log(`🏢 Company ${companyId} created by user ${req.user.userId}`);
+
+    res.status(201).json({ success: true, msg: 'Company created', companyId });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error creating company');
+  }
+};
+
+// PUT /api/companies/mine - owners and admins edit company details
+const updateCompany = async (req, res) => {
+  try {
+    const { fields, error } = readCompanyFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, msg: error });
+    }
+
+    await saveCompany(req.company.id, fields);
+    res.json({ success: true, msg: 'Company updated successfully' });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error updating company');
+  }
+};
+
+// GET /api/companies/mine/invitations
+const listInvitations = async (req, res) => {
+  try {
+    res.json({ success: true, invitations: await getPendingInvitations(req.company.id) });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error fetching invitations');
+  }
+};
+
+// POST /api/companies/mine/invitations - email an invitation to a colleague
+const inviteMember = async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+
+    if (!email || !validateEmail(email.trim())) {
+      return res.status(400).json({ success: false, msg: 'Valid email address is required' });
+    }
+    if (!INVITATION_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, msg: 'Role must be admin or member' });
+    }
+    if (role === 'admin' && req.company.role !== 'owner') {
+      return res.status(403).json({ success: false, msg: 'Only the company owner can invite admins' });
+    }
+
+    const inviters = await queryAsync('SELECT firstName, lastName FROM users WHERE id = ?', [req.user.userId]);
+    const { invitation, token } = await createInvitation(req.company.id, {
+      email,
+      role,
+      invitedBy: req.user.userId
+    });
+
+    const emailResult = await sendCompanyInvitationEmail(invitation, req.company, inviters[0], token);
+    if (!emailResult.success) {
+      console.error('❌ Invitation email failed:', emailResult.error);
+      await cancelInvitation(req.company.id, invitation.id);
+      return res.status(500).json({
+        success: false,
+        msg: 'Error sending invitation email. Please try again later.'
+      });
+    }
+
+    console.log(`📨 User ${req.user.userId} invited ${invitation.email} to company ${req.company.id}`);
+    res.status(201).json({
+      success: true,
+      msg: `Invitation sent to ${invitation.email}`,
+      invitation
+    });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error sending invitation');
+  }
+};
+
+// DELETE /api/companies/mine/invitations/:invitationId
+const revokeInvitation = async (req, res) => {
+  try {
+    if (!(await cancelInvitation(req.company.id, req.params.invitationId))) {
+      return res.status(404).json({ success: false, msg: 'Invitation not found' });
+    }
+    res.json({ success: true, msg: 'Invitation revoked' });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error revoking invitation');
+  }
+};
+
+// GET /api/companies/invitations/lookup?token= - shown on the sign-up page
+const lookupInvitation = async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.query.token);
+    if (!invitation) {
+      return res.status(404).json({ success: false, msg: 'Invalid or expired invitation' });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        companyName: invitation.companyName,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error fetching invitation');
+  }
+};
+
+// POST /api/companies/invitations/accept - existing recruiter joins a company
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ success: false, msg: 'Invitation token is required' });
+    }
+
+    // From the users row: the token's email is stale after an email change
+    const users = await queryAsync('SELECT email FROM users WHERE id = ?', [req.user.userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ success: false, msg: 'User not found' });
+    }
+
+    const invitation = await joinCompany(token, { id: req.user.userId, email: users[0].email });
+
+    console.log(`✅ User ${req.user.userId} joined company ${invitation.companyId}`);
+    res.json({
+      success: true,
+      msg: `You have joined ${invitation.companyName}`,
+      companyId: invitation.companyId,
+      role: invitation.role
+    });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error accepting invitation');
+  }
+};
+
+// PATCH /api/companies/mine/members/:userId - owner changes a member's role
+const updateMemberRole = async (req, res) => {
+  try {
+    await changeMemberRole(req.company.id, req.user.userId, req.params.userId, req.body.role);
+    res.json({ success: true, msg: 'Member role updated' });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error updating member role');
+  }
+};
+
+// DELETE /api/companies/mine/members/:userId - admins may remove members only
+const removeMember = async (req, res) => {
+  try {
+    const members = await getMembers(req.company.id);
+    const target = members.find(member => member.userId === Number(req.params.userId));
+
+    if (!target || target.role === 'owner') {
+      return res.status(404).json({ success: false, msg: 'Member not found or cannot be removed' });
+    }
+    if (target.role === 'admin' && req.company.role !== 'owner') {
+      return res.status(403).json({ success: false, msg: 'Only the company owner can remove admins' });
+    }
+
+    await deleteMember(req.company.id, target.userId);
+    console.log(`User ${target.userId} removed from company ${req.company.id}`);
+    res.json({ success: true, msg: 'Member removed' });
+  } catch (error) {
+    sendCompanyError(res, error, 'Error removing member');
+  }
+};
+
+module.exports = {
+  getMyCompany,
+  createCompany,
+  updateCompany,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  lookupInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+};
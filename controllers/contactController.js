@@ -37,7 +37,7 @@ exports.sendEmailToCandidate = async (req, res) => {
         js.title
       FROM users u
       LEFT JOIN job_seekers js ON u.id = js.userId
-      WHERE u.id = ? AND u.userType = 'jobseeker'
+      WHERE u.id = ? AND u.userType = 'jobseeker' AND u.deletionScheduledFor IS NULL
     `;
 
     db.query(getCandidateQuery, [candidateId], async (err, candidates) => {
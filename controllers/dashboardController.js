@@ -1,5 +1,10 @@
-const { db } = require('../config/db');
+const { db, queryAsync } = require('../config/db');
 const { cleanupUploadedFiles } = require('../middleware/registerMiddleware');
+const { resolveSalaryInput } = require('../services/salaryService');
+const { resolveExperienceInput } = require('../services/experienceService');
+const { flattenSkills } = require('../services/keywordSearchService');
+const { resolveLocationId } = require('../services/locationService');
+const { normalizeSkills, setJobSeekerSkills } = require('../services/skillTaxonomyService');
 
 // Helper function to safely parse JSON
 const safeJsonParse = (jsonString, fallback = []) => {
@@ -66,17 +71,13 @@ const processSkills = (skills) => {
 };
 
 // Enhanced validation function for updates
-const validateRequiredFields = ({ firstName, lastName, userName, email, userType, companyName }) => {
+const validateRequiredFields = ({ firstName, lastName, userName, email }) => {
   const errors = [];
 
   if (!firstName || firstName.trim().length < 1) errors.push('First name is required');
   if (!lastName || lastName.trim().length < 1) errors.push('Last name is required');
   if (!userName || userName.trim().length < 3) errors.push('Username must be at least 3 characters');
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('Valid email is required');
-  
-  if (userType === 'recruiter' && (!companyName || companyName.trim().length < 2)) {
-    errors.push('Company name is required for recruiters');
-  }
 
   // Additional validation
   if (userName && !/^[a-zA-Z0-9_]{3,30}$/.test(userName.trim())) {
@@ -124,7 +125,7 @@ const getUserProfile = (req, res) => {
 
     const query = `
       SELECT id, userName, email, userType, firstName, lastName, 
-             phone, location, createdAt 
+             phone, location, locationId, emailVerified, deletionScheduledFor, createdAt 
       FROM users 
       WHERE id = ?
     `;
@@ -185,7 +186,18 @@ const getUserProfile = (req, res) => {
         });
 
       } else if (user.userType === 'recruiter') {
-        const profileQuery = 'SELECT * FROM recruiters WHERE userId = ?';
+        // Company fields come from the recruiter's company, keeping the
+        // response shape from before companies were introduced
+        const profileQuery = `
+          SELECT r.id, r.userId, r.position, r.createdAt, r.updatedAt,
+                 c.id AS companyId, c.name AS companyName, c.size AS companySize,
+                 c.industry, c.website AS companyWebsite, c.description AS companyDescription,
+                 m.role AS companyRole
+          FROM recruiters r
+          LEFT JOIN company_members m ON m.userId = r.userId
+          LEFT JOIN companies c ON c.id = m.companyId
+          WHERE r.userId = ?
+        `;
         
         db.query(profileQuery, [userId], (err, recruiters) => {
           if (err) {
@@ -207,6 +219,13 @@ const getUserProfile = (req, res) => {
             profile
           });
         });
+      } else if (user.userType === 'admin') {
+        // Admins have no jobseeker/recruiter profile
+        res.json({
+          success: true,
+          user,
+          profile: null
+        });
       } else {
         res.status(400).json({
           success: false,
@@ -258,24 +277,40 @@ const updateUserProfile = async (req, res) => {
       experience, 
       skills, 
       expectedSalary, 
+      salaryMin,
+      salaryMax,
+      salaryCurrency,
+      salaryPeriod,
       linkedinUrl, 
       githubUrl, 
       bio, 
       availability,
-      // Recruiter fields
-      companyName,
-      companySize,
-      industry,
-      companyWebsite,
-      companyDescription,
+      // Recruiter fields (company details are managed via /api/companies)
       position
     } = req.body;
 
+    // Email changes go through the confirmed flow at /api/dashboard/email
+    const currentUsers = await queryAsync('SELECT email FROM users WHERE id = ?', [userId]);
+    if (currentUsers.length === 0) {
+      cleanupUploadedFiles(req);
+      return res.status(404).json({ 
+        success: false, 
+        msg: 'User not found' 
+      });
+    }
+
+    const currentEmail = currentUsers[0].email;
+    if (email && email.toLowerCase().trim() !== currentEmail) {
+      cleanupUploadedFiles(req);
+      return res.status(400).json({
+        success: false,
+        msg: 'Email cannot be changed here. Use the change email option to confirm your new address.'
+      });
+    }
+
     // Enhanced validation
     const validation = validateRequiredFields({
-      firstName, lastName, userName, email, 
-      userType: 'jobseeker', // We'll get actual type from DB
-      companyName: null // Will validate later if needed
+      firstName, lastName, userName, email: currentEmail
     });
 
     if (!validation.isValid) {
@@ -286,6 +321,22 @@ const updateUserProfile = async (req, res) => {
       });
     }
 
+    // Free-text or structured salary expectation -> stored columns
+    let salary;
+    try {
+      salary = resolveSalaryInput({ expectedSalary, salaryMin, salaryMax, salaryCurrency, salaryPeriod });
+    } catch (error) {
+      cleanupUploadedFiles(req);
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        msg: error.message
+      });
+    }
+
+    // Canonical skills, resolved before the transaction (new skills are
+    // added to the taxonomy, see skillTaxonomyService)
+    const normalizedSkills = await normalizeSkills(processSkills(skills));
+
     // Start transaction for atomic operations
     await new Promise((resolve, reject) => {
       db.beginTransaction((err) => {
@@ -298,14 +349,14 @@ const updateUserProfile = async (req, res) => {
     });
 
     try {
-      // Check if username/email conflicts with other users
+      // Check if username conflicts with other users
       const conflictQuery = `
-        SELECT id, email, userName FROM users 
-        WHERE (email = ? OR userName = ?) AND id != ?
+        SELECT id, userName FROM users 
+        WHERE userName = ? AND id != ?
       `;
       
       const existingUsers = await new Promise((resolve, reject) => {
-        db.query(conflictQuery, [email.toLowerCase().trim(), userName.trim(), userId], (err, results) => {
+        db.query(conflictQuery, [userName.trim(), userId], (err, results) => {
           if (err) return reject(err);
           resolve(results);
         });
@@ -314,19 +365,17 @@ const updateUserProfile = async (req, res) => {
       if (existingUsers.length > 0) {
         await rollbackTransaction();
         cleanupUploadedFiles(req);
-        const user = existingUsers[0];
-        const conflictField = user.email === email.toLowerCase().trim() ? 'email' : 'username';
         return res.status(409).json({ 
           success: false, 
-          msg: `Another user with this ${conflictField} already exists`,
-          conflictField: conflictField
+          msg: 'Another user with this username already exists',
+          conflictField: 'username'
         });
       }
 
       // Update users table
       const updateUserQuery = `
         UPDATE users 
-        SET firstName = ?, lastName = ?, userName = ?, email = ?, phone = ?, location = ? 
+        SET firstName = ?, lastName = ?, userName = ?, phone = ?, location = ?, locationId = ? 
         WHERE id = ?
       `;
       
@@ -334,9 +383,9 @@ const updateUserProfile = async (req, res) => {
         firstName.trim(),
         lastName.trim(),
         userName.trim(),
-        email.toLowerCase().trim(),
         phone ? phone.trim() : null,
         location ? location.trim() : null,
+        resolveLocationId(location),
         userId
       ];
       
@@ -374,14 +423,11 @@ const updateUserProfile = async (req, res) => {
       // Update profile based on user type
       if (userType === 'jobseeker') {
         await updateJobSeekerProfileWithFiles(req, userId, {
-          title, experience, skills, expectedSalary, 
+          title, experience, skills: normalizedSkills, salary, 
           linkedinUrl, githubUrl, bio, availability
         });
       } else if (userType === 'recruiter') {
-        await updateRecruiterProfileWithFiles(req, userId, {
-          companyName, companySize, industry, 
-          companyWebsite, companyDescription, position
-        });
+        await updateRecruiterProfileWithFiles(req, userId, { position });
       }
 
       // Commit transaction
@@ -436,7 +482,7 @@ const updateUserProfile = async (req, res) => {
 
 // Enhanced job seeker profile update with file handling
 const updateJobSeekerProfileWithFiles = async (req, userId, profileData) => {
-  const { title, experience, skills, expectedSalary, linkedinUrl, githubUrl, bio, availability } = profileData;
+  const { title, experience, skills, salary, linkedinUrl, githubUrl, bio, availability } = profileData;
 
   // Handle file uploads
   let newCvFilePath = null;
@@ -453,8 +499,9 @@ const updateJobSeekerProfileWithFiles = async (req, userId, profileData) => {
     }
   }
 
-  // Process skills
-  const parsedSkills = processSkills(skills);
+  // Normalized by the caller to [{ id, name }]
+  const skillNames = skills.map(skill => skill.name);
+  const experienceYears = resolveExperienceInput(experience);
 
   // Validate URLs
   const validLinkedinUrl = validateUrl(linkedinUrl);
@@ -463,15 +510,22 @@ const updateJobSeekerProfileWithFiles = async (req, userId, profileData) => {
   // Build update query dynamically based on whether new files were uploaded
   let updateQuery = `
     UPDATE job_seekers 
-    SET title = ?, experience = ?, skills = ?, expectedSalary = ?, 
-        linkedinUrl = ?, githubUrl = ?, bio = ?, availability = ?
+    SET title = ?, experience = ?, experienceMinYears = ?, experienceMaxYears = ?,
+        skills = ?, skillsText = ?, expectedSalary = ?, 
+        salaryMin = ?, salaryMax = ?, salaryCurrency = ?, salaryPeriod = ?,
+        salaryMinAnnual = ?, salaryMaxAnnual = ?,
+        linkedinUrl = ?, githubUrl = ?, bio = ?, availability = ?,
+        profileUpdatedAt = NOW()
   `;
   
   let values = [
     title ? title.trim() : null, 
-    experience ? experience.trim() : null, 
-    JSON.stringify(parsedSkills), 
-    expectedSalary ? expectedSalary.trim() : null, 
+    experienceYears.experience, 
+    ...experienceYears.columns, 
+    JSON.stringify(skillNames), 
+    flattenSkills(skillNames), 
+    salary.expectedSalary, 
+    ...salary.columns, 
     validLinkedinUrl, 
     validGithubUrl, 
     bio ? bio.trim() : null, 
@@ -492,7 +546,7 @@ const updateJobSeekerProfileWithFiles = async (req, userId, profileData) => {
   updateQuery += ` WHERE userId = ?`;
   values.push(userId);
 
-  return new Promise((resolve, reject) => {
+  const result = await new Promise((resolve, reject) => {
     db.query(updateQuery, values, (err, result) => {
       if (err) {
         console.error('Job seeker profile update error:', err);
@@ -502,33 +556,23 @@ const updateJobSeekerProfileWithFiles = async (req, userId, profileData) => {
       resolve(result);
     });
   });
+
+  await setJobSeekerSkills(userId, skills);
+  return result;
 };
 
-// Enhanced recruiter profile update
+// Enhanced recruiter profile update - company details are edited by
+// company owners/admins through /api/companies/mine
 const updateRecruiterProfileWithFiles = async (req, userId, profileData) => {
-  const { companyName, companySize, industry, companyWebsite, companyDescription, position } = profileData;
-
-  // Validate required fields for recruiters
-  if (!companyName || companyName.trim().length < 2) {
-    throw new Error('Company name is required for recruiters');
-  }
-
-  // Validate company website URL
-  const validWebsite = validateUrl(companyWebsite);
+  const { position } = profileData;
 
   const updateRecruiterQuery = `
     UPDATE recruiters 
-    SET companyName = ?, companySize = ?, industry = ?, 
-        companyWebsite = ?, companyDescription = ?, position = ? 
+    SET position = ? 
     WHERE userId = ?
   `;
   
   const values = [
-    companyName.trim(),
-    companySize ? companySize.trim() : null,
-    industry ? industry.trim() : null,
-    validWebsite,
-    companyDescription ? companyDescription.trim() : null,
     position ? position.trim() : null,
     userId
   ];
@@ -546,11 +590,32 @@ const updateRecruiterProfileWithFiles = async (req, userId, profileData) => {
 };
 
 // Update job seeker profile (basic version without files)
-const updateJobSeekerProfile = (req, res, userId, profileData) => {
-  const { title, experience, skills, expectedSalary, linkedinUrl, githubUrl, bio, availability } = profileData;
+const updateJobSeekerProfile = async (req, res, userId, profileData) => {
+  const { title, experience, skills, linkedinUrl, githubUrl, bio, availability } = profileData;
 
-  // Process skills using the helper function
-  const parsedSkills = processSkills(skills);
+  let salary;
+  try {
+    salary = resolveSalaryInput(profileData);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ 
+      success: false, 
+      msg: error.message 
+    });
+  }
+
+  // Process skills using the helper function, then map them to canonical skills
+  let normalizedSkills;
+  try {
+    normalizedSkills = await normalizeSkills(processSkills(skills));
+  } catch (error) {
+    console.error('Skill normalization error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      msg: 'Server error during profile update' 
+    });
+  }
+  const skillNames = normalizedSkills.map(skill => skill.name);
+  const experienceYears = resolveExperienceInput(experience);
 
   // Validate URLs
   const validLinkedinUrl = validateUrl(linkedinUrl);
@@ -558,16 +623,23 @@ const updateJobSeekerProfile = (req, res, userId, profileData) => {
 
   const updateProfileQuery = `
     UPDATE job_seekers 
-    SET title = ?, experience = ?, skills = ?, expectedSalary = ?, 
-        linkedinUrl = ?, githubUrl = ?, bio = ?, availability = ?
+    SET title = ?, experience = ?, experienceMinYears = ?, experienceMaxYears = ?,
+        skills = ?, skillsText = ?, expectedSalary = ?, 
+        salaryMin = ?, salaryMax = ?, salaryCurrency = ?, salaryPeriod = ?,
+        salaryMinAnnual = ?, salaryMaxAnnual = ?,
+        linkedinUrl = ?, githubUrl = ?, bio = ?, availability = ?,
+        profileUpdatedAt = NOW()
     WHERE userId = ?
   `;
   
   const values = [
     title ? title.trim() : null, 
-    experience ? experience.trim() : null, 
-    JSON.stringify(parsedSkills), 
-    expectedSalary ? expectedSalary.trim() : null, 
+    experienceYears.experience, 
+    ...experienceYears.columns, 
+    JSON.stringify(skillNames), 
+    flattenSkills(skillNames), 
+    salary.expectedSalary, 
+    ...salary.columns, 
     validLinkedinUrl, 
     validGithubUrl, 
     bio ? bio.trim() : null, 
@@ -575,7 +647,7 @@ const updateJobSeekerProfile = (req, res, userId, profileData) => {
     userId
   ];
   
-  db.query(updateProfileQuery, values, (err) => {
+  db.query(updateProfileQuery, values, async (err) => {
     if (err) {
       console.error('Job seeker profile update error:', err);
       return res.status(500).json({ 
@@ -584,6 +656,16 @@ const updateJobSeekerProfile = (req, res, userId, profileData) => {
       });
     }
 
+    try {
+      await setJobSeekerSkills(userId, normalizedSkills);
+    } catch (error) {
+      console.error('Job seeker skills update error:', error);
+      return res.status(500).json({ 
+        success: false, 
+        msg: 'Server error during profile update' 
+      });
+    }
+
     res.json({ 
       success: true, 
       msg: 'Profile updated successfully' 
@@ -593,24 +675,15 @@ const updateJobSeekerProfile = (req, res, userId, profileData) => {
 
 // Update recruiter profile (basic version)
 const updateRecruiterProfile = (req, res, userId, profileData) => {
-  const { companyName, companySize, industry, companyWebsite, companyDescription, position } = profileData;
-
-  // Validate company website URL
-  const validWebsite = validateUrl(companyWebsite);
+  const { position } = profileData;
 
   const updateRecruiterQuery = `
     UPDATE recruiters 
-    SET companyName = ?, companySize = ?, industry = ?, 
-        companyWebsite = ?, companyDescription = ?, position = ? 
+    SET position = ? 
     WHERE userId = ?
   `;
   
   const values = [
-    companyName ? companyName.trim() : null,
-    companySize ? companySize.trim() : null,
-    industry ? industry.trim() : null,
-    validWebsite,
-    companyDescription ? companyDescription.trim() : null,
     position ? position.trim() : null,
     userId
   ];
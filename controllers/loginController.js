@@ -1,8 +1,36 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
-const { db } = require('../config/db');
-const { sendPasswordResetEmail, sendPasswordChangeConfirmation } = require('../services/emailService');
+const { db, queryAsync } = require('../config/db');
+const {
+    sendPasswordResetEmail,
+    sendPasswordChangeConfirmation,
+    sendAccountLockedEmail,
+    sendNewSignInAlert
+} = require('../services/emailService');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    getClientInfo,
+    createMfaPendingToken,
+    verifyMfaPendingToken
+} = require('../services/sessionService');
+const { isMfaEnabled, verifyMfaCode, getRemainingBackupCodes } = require('../services/mfaService');
+const {
+    getAccountKey,
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockAccount,
+    checkResetAllowed,
+    recordResetFailure,
+    recordResetSuccess,
+    LOCKOUT_MINUTES
+} = require('../services/loginProtectionService');
+const { issueResetToken, verifyResetToken, consumeResetToken } = require('../services/passwordResetService');
+const { trackAuthEvent, recordSignIn } = require('../services/authEventService');
+const { validateNewPassword, getPasswordErrors, recordPasswordHistory } = require('../services/passwordPolicyService');
 
 dotenv.config();
 
@@ -21,8 +49,59 @@ const validateEmail = (email) => {
     return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 };
 
-const validatePassword = (password) => {
-    return password && password.length >= 6;
+const sendLoginSuccess = (res, user, session, extra = {}) => {
+    res.json({
+        success: true,
+        msg: 'Login successful',
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        user: {
+            id: user.id,
+            userName: user.userName,
+            email: user.email,
+            userType: user.userType,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            emailVerified: !!user.emailVerified
+        },
+        ...extra
+    });
+};
+
+// Store the sign-in in the user's history and send an alert when it comes
+// from a device they haven't used before. Runs after the response is sent.
+const trackSignIn = (req, user, session, method) => {
+    recordSignIn({ userId: user.id, method, sessionId: session.sessionId, req })
+        .then(signIn => {
+            if (!signIn.newDevice) return;
+
+            console.log("🔔 Sign-in from a new device for user:", user.userName);
+            return sendNewSignInAlert(user, signIn).then(result => {
+                if (!result.success) console.warn("⚠️ Failed to send new sign-in alert:", result.error);
+            });
+        })
+        .catch(trackError => console.error("❌ Sign-in tracking error:", trackError));
+};
+
+// 423 while the account is locked, 429 while attempts are throttled
+const sendLockoutResponse = (res, lockout) => {
+    res.set('Retry-After', String(lockout.retryAfter));
+
+    if (lockout.locked) {
+        const minutes = Math.ceil(lockout.retryAfter / 60);
+        return res.status(423).json({
+            success: false,
+            msg: `Account temporarily locked after too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or use the unlock link sent to your email.`,
+            lockout
+        });
+    }
+
+    return res.status(429).json({
+        success: false,
+        msg: `Too many failed attempts. Please wait ${lockout.retryAfter} second${lockout.retryAfter === 1 ? '' : 's'} before trying again.`,
+        lockout
+    });
 };
 
 // LOGIN USER - accepts both username and email
@@ -41,7 +120,7 @@ const loginUser = async (req, res) => {
         }
 
         // Find user by username or email
-        const query = 'SELECT id, userName, email, password, userType, firstName, lastName FROM users WHERE email = ? OR userName = ?';
+        const query = 'SELECT id, userName, email, password, userType, firstName, lastName, emailVerified FROM users WHERE email = ? OR userName = ?';
         
         db.query(query, [usernameOrEmail.toLowerCase(), usernameOrEmail.toUpperCase()], async (err, users) => {
             if (err) {
@@ -52,54 +131,73 @@ const loginUser = async (req, res) => {
                 });
             }
 
-            if (users.length === 0) {
-                console.warn("⚠️ Login attempt with non-existent user:", usernameOrEmail);
-                return res.status(401).json({ 
-                    success: false, 
-                    msg: 'Invalid credentials' 
-                });
-            }
+            const user = users.length > 0 ? users[0] : null;
+            const { ipAddress } = getClientInfo(req);
+            const accountKey = getAccountKey(user, usernameOrEmail);
 
-            const user = users[0];
-            console.log("👤 Found user:", user.userName);
+            if (user) {
+                console.log("👤 Found user:", user.userName);
+            }
 
             try {
+                // Refuse while the account or IP is locked out or throttled
+                const throttle = await checkLoginAllowed({ user, accountKey, ipAddress });
+                if (!throttle.allowed) {
+                    console.warn("⚠️ Login blocked for:", usernameOrEmail, throttle.lockout.reason);
+                    trackAuthEvent({ userId: user?.id, eventType: 'login_failure', method: 'password', detail: throttle.lockout.reason, req });
+                    return sendLockoutResponse(res, throttle.lockout);
+                }
+
                 // Verify password
-                const isMatch = await bcrypt.compare(password, user.password);
+                const isMatch = user ? await bcrypt.compare(password, user.password) : false;
                 
                 if (!isMatch) {
-                    console.warn("⚠️ Invalid password attempt for user:", usernameOrEmail);
+                    console.warn(user
+                        ? "⚠️ Invalid password attempt for user:"
+                        : "⚠️ Login attempt with non-existent user:", usernameOrEmail);
+
+                    const failure = await recordLoginFailure({ user, accountKey, ipAddress });
+                    trackAuthEvent({ userId: user?.id, eventType: 'login_failure', method: 'password', detail: 'invalid_password', req });
+
+                    if (failure.unlockToken) {
+                        console.warn("🔒 Account locked after repeated failures:", user.userName);
+                        sendAccountLockedEmail(user, failure.unlockToken, LOCKOUT_MINUTES)
+                            .then(result => {
+                                if (!result.success) console.warn("⚠️ Failed to send account locked email:", result.error);
+                            })
+                            .catch(emailError => console.error("❌ Account locked email error:", emailError));
+                    }
+
+                    if (failure.lockout.locked) {
+                        return sendLockoutResponse(res, failure.lockout);
+                    }
+
                     return res.status(401).json({ 
                         success: false, 
-                        msg: 'Invalid credentials' 
+                        msg: 'Invalid credentials',
+                        lockout: failure.lockout
+                    });
+                }
+
+                // Two-factor users get a short-lived MFA token instead of a session
+                if (await isMfaEnabled(user.id)) {
+                    console.log("🔐 Password accepted, MFA required for user:", user.userName);
+                    return res.json({
+                        success: true,
+                        msg: 'Two-factor authentication code required',
+                        mfaRequired: true,
+                        mfaToken: createMfaPendingToken(user)
                     });
                 }
 
-                // Generate JWT token
-                const token = jwt.sign(
-                    { 
-                        userId: user.id, 
-                        email: user.email, 
-                        userType: user.userType 
-                    },
-                    process.env.JWT_SECRET || 'fallback_secret_key',
-                    { expiresIn: '24h' }
-                );
+                await recordLoginSuccess({ user, accountKey, ipAddress });
+
+                // Start a session and issue access + refresh tokens
+                const session = await createSession(user, req);
 
                 console.log("✅ Login successful for user:", user.userName);
-                res.json({
-                    success: true,
-                    msg: 'Login successful',
-                    token,
-                    user: {
-                        id: user.id,
-                        userName: user.userName,
-                        email: user.email,
-                        userType: user.userType,
-                        firstName: user.firstName,
-                        lastName: user.lastName
-                    }
-                });
+                sendLoginSuccess(res, user, session);
+                trackSignIn(req, user, session, 'password');
             } catch (authError) {
                 console.error("❌ Authentication error:", authError);
                 res.status(500).json({ 
@@ -117,6 +215,96 @@ const loginUser = async (req, res) => {
     }
 };
 
+// LOGIN MFA STEP - exchange the MFA token plus a TOTP or backup code for a session
+const verifyMfaLogin = async (req, res) => {
+    try {
+        const { mfaToken, code, backupCode } = cleanInput(req.body);
+
+        if (!mfaToken || (!code && !backupCode)) {
+            return res.status(400).json({
+                success: false,
+                msg: 'MFA token and an authentication or backup code are required'
+            });
+        }
+
+        let pending;
+        try {
+            pending = verifyMfaPendingToken(mfaToken);
+        } catch (tokenError) {
+            console.warn("⚠️ Invalid MFA token:", tokenError.message);
+            return res.status(401).json({
+                success: false,
+                msg: 'Your sign-in attempt has expired. Please log in again.'
+            });
+        }
+
+        const users = await queryAsync(
+            'SELECT id, userName, email, userType, firstName, lastName, emailVerified FROM users WHERE id = ?',
+            [pending.userId]
+        );
+
+        if (users.length === 0) {
+            return res.status(401).json({
+                success: false,
+                msg: 'Invalid credentials'
+            });
+        }
+
+        const user = users[0];
+        const { ipAddress } = getClientInfo(req);
+        const accountKey = getAccountKey(user);
+
+        // Wrong codes count as failed logins, so the same lockout applies
+        const throttle = await checkLoginAllowed({ user, accountKey, ipAddress });
+        if (!throttle.allowed) {
+            console.warn("⚠️ MFA step blocked for:", user.userName, throttle.lockout.reason);
+            trackAuthEvent({ userId: user.id, eventType: 'login_failure', method: 'mfa', detail: throttle.lockout.reason, req });
+            return sendLockoutResponse(res, throttle.lockout);
+        }
+
+        const method = await verifyMfaCode(user.id, { code, backupCode });
+
+        if (!method) {
+            console.warn("⚠️ Invalid MFA code for user:", user.userName);
+            const failure = await recordLoginFailure({ user, accountKey, ipAddress });
+            trackAuthEvent({ userId: user.id, eventType: 'login_failure', method: 'mfa', detail: 'invalid_mfa_code', req });
+
+            if (failure.unlockToken) {
+                sendAccountLockedEmail(user, failure.unlockToken, LOCKOUT_MINUTES)
+                    .catch(emailError => console.error("❌ Account locked email error:", emailError));
+            }
+
+            if (failure.lockout.locked) {
+                return sendLockoutResponse(res, failure.lockout);
+            }
+
+            return res.status(401).json({
+                success: false,
+                msg: 'Invalid authentication code',
+                lockout: failure.lockout
+            });
+        }
+
+        await recordLoginSuccess({ user, accountKey, ipAddress });
+        const session = await createSession(user, req);
+
+        const extra = {};
+        if (method === 'backup_code') {
+            extra.backupCodesRemaining = await getRemainingBackupCodes(user.id);
+        }
+
+        console.log(`✅ MFA login successful (${method}) for user:`, user.userName);
+        sendLoginSuccess(res, user, session, extra);
+        trackSignIn(req, user, session, method === 'backup_code' ? 'mfa_backup_code' : 'mfa');
+    } catch (error) {
+        console.error("❌ MFA login error:", error);
+        res.status(500).json({
+            success: false,
+            msg: 'Internal server error'
+        });
+    }
+};
+
 // FORGOT PASSWORD - generate and send reset token
 const forgotPassword = async (req, res) => {
     try {
@@ -158,52 +346,36 @@ const forgotPassword = async (req, res) => {
             const user = users[0];
 
             try {
-                // Generate 6-digit reset token
-                const resetToken = Math.floor(100000 + Math.random() * 900000).toString();
-                const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour from now
+                // Hashed link token + 6-digit code; any older token stops working
+                const { token, code } = await issueResetToken(user.id);
 
-                console.log('🔍 Generated reset token for user:', user.email, 'Token:', resetToken);
+                console.log('🔍 Reset token issued for user:', user.email);
 
-                // Store reset token in database
-                const updateTokenQuery = 'UPDATE users SET resetToken = ?, resetTokenExpiry = ? WHERE id = ?';
-                
-                db.query(updateTokenQuery, [resetToken, resetTokenExpiry, user.id], async (err) => {
-                    if (err) {
-                        console.error('🔍 Token storage error:', err);
-                        return res.status(500).json({
-                            success: false,
-                            msg: 'Error processing request'
+                try {
+                    // Use the dedicated email service
+                    const emailResult = await sendPasswordResetEmail(user, { token, code });
+                    
+                    if (emailResult.success) {
+                        console.log("✅ Password reset email sent successfully:", emailResult.messageId);
+                        res.status(200).json({ 
+                            success: true,
+                            msg: 'Password reset instructions have been sent to your email' 
                         });
-                    }
-
-                    console.log('🔍 Token stored successfully, attempting to send email');
-
-                    try {
-                        // Use the dedicated email service
-                        const emailResult = await sendPasswordResetEmail(user, resetToken);
-                        
-                        if (emailResult.success) {
-                            console.log("✅ Password reset email sent successfully:", emailResult.messageId);
-                            res.status(200).json({ 
-                                success: true,
-                                msg: 'Password reset instructions have been sent to your email' 
-                            });
-                        } else {
-                            console.error("❌ Email sending failed:", emailResult.error);
-                            res.status(500).json({ 
-                                success: false,
-                                msg: 'Error sending reset email. Please try again later.' 
-                            });
-                        }
-
-                    } catch (emailError) {
-                        console.error("❌ Email sending error:", emailError);
+                    } else {
+                        console.error("❌ Email sending failed:", emailResult.error);
                         res.status(500).json({ 
                             success: false,
-                            msg: 'Error sending reset email' 
+                            msg: 'Error sending reset email. Please try again later.' 
                         });
                     }
-                });
+
+                } catch (emailError) {
+                    console.error("❌ Email sending error:", emailError);
+                    res.status(500).json({ 
+                        success: false,
+                        msg: 'Error sending reset email' 
+                    });
+                }
             } catch (error) {
                 console.error('🔍 Forgot password process error:', error);
                 res.status(500).json({
@@ -226,107 +398,121 @@ const resetPassword = async (req, res) => {
     try {
         console.log('🔍 Reset password function called');
         
-        const { token, newPassword } = cleanInput(req.body);
+        const { email, token, code, newPassword } = cleanInput(req.body);
 
-        if (!token || !newPassword) {
+        if (!email || (!token && !code) || !newPassword) {
             return res.status(400).json({
                 success: false,
-                msg: 'Reset token and new password are required'
+                msg: 'Email, reset token or code, and new password are required'
             });
         }
 
-        if (token.length !== 6) {
-            console.warn("⚠️ Invalid token format:", token);
+        if (!token && !/^\d{6}$/.test(code)) {
             return res.status(400).json({
                 success: false,
-                msg: 'Invalid reset token format'
+                msg: 'Invalid reset code format'
+            });
+        }
+
+        const { ipAddress } = getClientInfo(req);
+
+        // Per-IP cap on wrong reset codes
+        const resetThrottle = await checkResetAllowed(ipAddress);
+        if (!resetThrottle.allowed) {
+            console.warn("⚠️ Reset attempts throttled for IP:", ipAddress);
+            res.set('Retry-After', String(resetThrottle.retryAfter));
+            return res.status(429).json({
+                success: false,
+                msg: 'Too many incorrect reset codes. Please try again later.',
+                retryAfter: resetThrottle.retryAfter
             });
         }
 
-        if (!validatePassword(newPassword)) {
+        const result = await verifyResetToken({ email, token, code });
+
+        if (!result.resetId) {
+            console.warn("⚠️ Invalid or expired reset token for:", email);
+            await recordResetFailure({ user: result.user, ipAddress });
+            trackAuthEvent({
+                userId: result.user?.id,
+                eventType: 'password_reset_failure',
+                method: token ? 'link' : 'code',
+                detail: result.invalidated ? 'token_invalidated' : null,
+                req
+            });
             return res.status(400).json({
                 success: false,
-                msg: 'Password must be at least 6 characters long'
+                msg: result.invalidated
+                    ? 'Too many incorrect attempts. This reset link is no longer valid, please request a new one.'
+                    : 'Invalid or expired reset token',
+                remainingAttempts: result.remainingAttempts
             });
         }
 
-        // Find user with valid reset token
-        const findUserQuery = `
-            SELECT id, email, firstName, lastName, resetTokenExpiry 
-            FROM users 
-            WHERE resetToken = ? AND resetTokenExpiry > NOW()
-        `;
-        
-        db.query(findUserQuery, [token], async (err, users) => {
-            if (err) {
-                console.error('🔍 Database error in reset password:', err);
-                return res.status(500).json({
-                    success: false,
-                    msg: 'Database error occurred'
-                });
-            }
+        const { user } = result;
 
-            console.log('🔍 Found users with valid token:', users.length);
+        // Policy is checked before the token is used up, so the user can retry
+        const passwordCheck = await validateNewPassword(newPassword, user);
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                msg: getPasswordErrors(passwordCheck).join(', '),
+                passwordChecks: passwordCheck.checks
+            });
+        }
 
-            if (users.length === 0) {
-                console.warn("⚠️ Invalid or expired reset token:", token);
-                return res.status(400).json({
-                    success: false,
-                    msg: 'Invalid or expired reset token'
-                });
-            }
+        // Claim the token before changing anything so it can only be used once
+        if (!(await consumeResetToken(result.resetId))) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Invalid or expired reset token'
+            });
+        }
 
-            const user = users[0];
+        // Hash new password
+        const salt = await bcrypt.genSalt(12);
+        const hashedPassword = await bcrypt.hash(newPassword, salt);
 
-            try {
-                // Hash new password
-                const salt = await bcrypt.genSalt(12);
-                const hashedPassword = await bcrypt.hash(newPassword, salt);
-
-                // Update password and clear reset token
-                const updatePasswordQuery = `
-                    UPDATE users 
-                    SET password = ?, resetToken = NULL, resetTokenExpiry = NULL 
-                    WHERE id = ?
-                `;
-                
-                db.query(updatePasswordQuery, [hashedPassword, user.id], async (err) => {
-                    if (err) {
-                        console.error('🔍 Password update error:', err);
-                        return res.status(500).json({
-                            success: false,
-                            msg: 'Error updating password'
-                        });
-                    }
+        // Update password and clear any lockout
+        await queryAsync(
+            'UPDATE users SET password = ?, lockedUntil = NULL, unlockToken = NULL WHERE id = ?',
+            [hashedPassword, user.id]
+        );
+        await recordPasswordHistory(user.id, hashedPassword);
 
-                    console.log('🔍 Password reset successful for user:', user.email);
-                    
-                    // Send password change confirmation email
-                    try {
-                        const confirmationResult = await sendPasswordChangeConfirmation(user);
-                        if (confirmationResult.success) {
-                            console.log("✅ Password change confirmation email sent:", confirmationResult.messageId);
-                        } else {
-                            console.warn("⚠️ Failed to send confirmation email:", confirmationResult.error);
-                        }
-                    } catch (confirmationError) {
-                        console.error("❌ Confirmation email error:", confirmationError);
-                        // Don't fail the password reset if confirmation email fails
-                    }
-                    
-                    res.json({
-                        success: true,
-                        msg: 'Password has been reset successfully. You can now login with your new password. A confirmation email has been sent.'
-                    });
-                });
+        console.log('🔍 Password reset successful for user:', user.email);
+        trackAuthEvent({ userId: user.id, eventType: 'password_reset', method: token ? 'link' : 'code', req });
 
-            } catch (hashError) {
-                console.error('🔍 Password hashing error:', hashError);
-                res.status(500).json({
-                    success: false,
-                    msg: 'Error processing new password'
-                });
+        try {
+            await recordResetSuccess({ user, ipAddress });
+        } catch (attemptError) {
+            console.error('🔍 Reset attempt tracking error:', attemptError);
+        }
+
+        // Sign out every device that used the old password
+        try {
+            const revoked = await revokeAllSessions(user.id);
+            console.log('🔍 Revoked sessions after password reset:', revoked);
+        } catch (revokeError) {
+            console.error("❌ Session revocation error:", revokeError);
+        }
+        
+        // Send password change confirmation email
+        try {
+            const confirmationResult = await sendPasswordChangeConfirmation(user);
+            if (confirmationResult.success) {
+                console.log("✅ Password change confirmation email sent:", confirmationResult.messageId);
+            } else {
+                console.warn("⚠️ Failed to send confirmation email:", confirmationResult.error);
             }
+        } catch (confirmationError) {
+            console.error("❌ Confirmation email error:", confirmationError);
+            // Don't fail the password reset if confirmation email fails
+        }
+        
+        res.json({
+            success: true,
+            msg: 'Password has been reset successfully. You can now login with your new password. A confirmation email has been sent.'
         });
     } catch (error) {
         console.error("❌ Reset password error:", error);
@@ -337,8 +523,115 @@ const resetPassword = async (req, res) => {
     }
 };
 
+// REFRESH TOKEN - rotate refresh token and issue a new access token
+const refreshSession = async (req, res) => {
+    try {
+        const { refreshToken } = cleanInput(req.body);
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Refresh token is required'
+            });
+        }
+
+        const session = await rotateRefreshToken(refreshToken, req);
+
+        console.log("✅ Session refreshed for user:", session.user.id);
+        trackAuthEvent({ userId: session.user.id, eventType: 'token_refresh', sessionId: session.sessionId, req });
+        res.json({
+            success: true,
+            msg: 'Token refreshed',
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
+        });
+    } catch (error) {
+        if (error.statusCode === 401) {
+            console.warn("⚠️ Refresh rejected:", error.message);
+            return res.status(401).json({
+                success: false,
+                msg: error.message
+            });
+        }
+
+        console.error("❌ Refresh token error:", error);
+        res.status(500).json({
+            success: false,
+            msg: 'Internal server error'
+        });
+    }
+};
+
+// LOGOUT - revoke the current session, or every session with allDevices
+const logoutUser = async (req, res) => {
+    try {
+        const { userId, sid } = req.user;
+        const { allDevices } = cleanInput(req.body || {});
+        const logoutAll = allDevices === true || allDevices === 'true';
+
+        const revoked = logoutAll
+            ? await revokeAllSessions(userId)
+            : await revokeSession(sid, userId);
+
+        console.log(`✅ Logged out user ${userId} (${logoutAll ? 'all devices' : 'current device'}), sessions revoked:`, revoked);
+        res.json({
+            success: true,
+            msg: logoutAll ? 'Logged out of all devices' : 'Logged out successfully',
+            sessionsRevoked: revoked
+        });
+    } catch (error) {
+        console.error("❌ Logout error:", error);
+        res.status(500).json({
+            success: false,
+            msg: 'Internal server error'
+        });
+    }
+};
+
+// UNLOCK ACCOUNT - with the token from the lockout email
+const unlockUserAccount = async (req, res) => {
+    try {
+        const { token } = cleanInput(req.body);
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Unlock token is required'
+            });
+        }
+
+        const user = await unlockAccount(token);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Invalid or expired unlock link'
+            });
+        }
+
+        console.log("🔓 Account unlocked:", user.email);
+        res.json({
+            success: true,
+            msg: 'Your account has been unlocked. You can now log in.'
+        });
+    } catch (error) {
+        console.error("❌ Unlock account error:", error);
+        res.status(500).json({
+            success: false,
+            msg: 'Internal server error'
+        });
+    }
+};
+
 module.exports = {
     loginUser,
+    verifyMfaLogin,
     forgotPassword,
-    resetPassword
+    resetPassword,
+    refreshSession,
+    logoutUser,
+    unlockUserAccount,
+    sendLoginSuccess,
+    trackSignIn
 };
\ No newline at end of file
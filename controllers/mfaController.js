@@ -0,0 +1,164 @@
+// mfaController.js - two-factor authentication settings for the signed-in user
+const bcrypt = require('bcryptjs');
+const { queryAsync } = require('../config/db');
+const {
+  getMfaRecord,
+  startEnrollment,
+  confirmEnrollment,
+  verifyMfaCode,
+  replaceBackupCodes,
+  getRemainingBackupCodes,
+  disableMfa
+} = require('../services/mfaService');
+const { revokeAllSessions } = require('../services/sessionService');
+
+// GET /api/dashboard/mfa - current two-factor status
+const getMfaStatus = async (req, res) => {
+  try {
+    const record = await getMfaRecord(req.user.userId);
+    const enabled = !!(record && record.enabled);
+
+    res.json({
+      success: true,
+      mfa: {
+        enabled,
+        confirmedAt: enabled ? record.confirmedAt : null,
+        backupCodesRemaining: enabled ? await getRemainingBackupCodes(req.user.userId) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while fetching two-factor status' });
+  }
+};
+
+// POST /api/dashboard/mfa/enroll - generate a secret for the authenticator app
+const enrollMfa = async (req, res) => {
+  try {
+    const record = await getMfaRecord(req.user.userId);
+    if (record && record.enabled) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // From the users row: the token's email is stale after an email change
+    const users = await queryAsync('SELECT email FROM users WHERE id = ?', [req.user.userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ success: false, msg: 'User not found' });
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment({ id: req.user.userId, email: users[0].email });
+
+    res.json({
+      success: true,
+      msg: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('MFA enroll error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while starting two-factor setup' });
+  }
+};
+
+// POST /api/dashboard/mfa/confirm - enable MFA with the first code from the app
+const confirmMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, msg: 'Authentication code is required' });
+    }
+
+    const backupCodes = await confirmEnrollment(req.user.userId, String(code).trim());
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid authentication code or no two-factor setup in progress'
+      });
+    }
+
+    // Sessions opened before MFA was on must sign in again with a code
+    const revoked = await revokeAllSessions(req.user.userId, req.user.sid);
+    console.log(`✅ Two-factor authentication enabled for user ${req.user.userId}, revoked ${revoked} other sessions`);
+    res.json({
+      success: true,
+      msg: 'Two-factor authentication enabled. You have been signed out on your other devices. Store your backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('MFA confirm error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while enabling two-factor authentication' });
+  }
+};
+
+// POST /api/dashboard/mfa/disable - requires the password and a current code
+const disableMfaForUser = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Password and an authentication or backup code are required'
+      });
+    }
+
+    const users = await queryAsync('SELECT password FROM users WHERE id = ?', [req.user.userId]);
+    if (users.length === 0 || !(await bcrypt.compare(password, users[0].password))) {
+      return res.status(401).json({ success: false, msg: 'Incorrect password' });
+    }
+
+    const method = await verifyMfaCode(req.user.userId, { code, backupCode });
+    if (!method) {
+      return res.status(401).json({ success: false, msg: 'Invalid authentication code' });
+    }
+
+    await disableMfa(req.user.userId);
+
+    // Keep this device signed in; everything else must log in again
+    const revoked = await revokeAllSessions(req.user.userId, req.user.sid);
+    console.log(`⚠️ Two-factor authentication disabled for user ${req.user.userId}, revoked ${revoked} other sessions`);
+    res.json({
+      success: true,
+      msg: 'Two-factor authentication disabled. You have been signed out on your other devices.'
+    });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while disabling two-factor authentication' });
+  }
+};
+
+// POST /api/dashboard/mfa/backup-codes - replace all backup codes
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, msg: 'Authentication code is required' });
+    }
+
+    const method = await verifyMfaCode(req.user.userId, { code: String(code).trim() });
+    if (!method) {
+      return res.status(401).json({ success: false, msg: 'Invalid authentication code' });
+    }
+
+    const backupCodes = await replaceBackupCodes(req.user.userId);
+
+    res.json({
+      success: true,
+      msg: 'New backup codes generated. Your old codes no longer work.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while generating backup codes' });
+  }
+};
+
+module.exports = {
+  getMfaStatus,
+  enrollMfa,
+  confirmMfa,
+  disableMfa: disableMfaForUser,
+  regenerateBackupCodes
+};
@@ -0,0 +1,215 @@
+// oidcController.js - sign in with an external OpenID Connect provider
+const crypto = require('crypto');
+const { queryAsync } = require('../config/db');
+const { createSession, createMfaPendingToken, createOidcSignupToken, verifyOidcSignupToken } = require('../services/sessionService');
+const { isMfaEnabled } = require('../services/mfaService');
+const {
+  getProviders,
+  createAuthorizationUrl,
+  completeAuthorization,
+  findUserByIdentity,
+  linkIdentity,
+  touchIdentity
+} = require('../services/oidcService');
+const { createOidcAccount } = require('./registerController');
+const { sendLoginSuccess, trackSignIn } = require('./loginController');
+
+const sendOidcError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, msg: error.message });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, msg: fallbackMessage });
+};
+
+// Same outcome as a password login: MFA step if enabled, otherwise a session
+const finishOidcLogin = async (req, res, user) => {
+  if (await isMfaEnabled(user.id)) {
+    return res.json({
+      success: true,
+      msg: 'Two-factor authentication code required',
+      mfaRequired: true,
+      mfaToken: createMfaPendingToken(user)
+    });
+  }
+
+  const session = await createSession(user, req);
+  console.log('✅ OIDC login successful for user:', user.userName);
+  sendLoginSuccess(res, user, session);
+  trackSignIn(req, user, session, 'oidc');
+};
+
+// Suggest a free username from the IdP profile
+const generateUserName = async (identity) => {
+  const source = identity.preferredUsername || (identity.email || '').split('@')[0] || 'user';
+  let base = source.replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 24);
+  if (base.length < 3) base = `${base}user`.slice(0, 24);
+
+  let candidate = base;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const rows = await queryAsync('SELECT id FROM users WHERE userName = ?', [candidate]);
+    if (rows.length === 0) return candidate;
+    candidate = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+  return candidate;
+};
+
+// GET /api/oidc/providers
+const listProviders = (req, res) => {
+  res.json({
+    success: true,
+    providers: getProviders().map(provider => ({
+      id: provider.id,
+      name: provider.name || provider.id
+    }))
+  });
+};
+
+// GET /api/oidc/:provider/authorize - URL to send the browser to
+const startOidcLogin = async (req, res) => {
+  try {
+    const authorizationUrl = await createAuthorizationUrl(req.params.provider);
+    res.json({ success: true, authorizationUrl });
+  } catch (error) {
+    sendOidcError(res, error, 'Could not start sign-in with this provider');
+  }
+};
+
+// POST /api/oidc/:provider/callback - body { code, state } from the redirect
+const handleOidcCallback = async (req, res) => {
+  try {
+    const { code, state, error, error_description: errorDescription } = req.body;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        msg: errorDescription || 'Sign-in was cancelled or denied by the identity provider',
+        error
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({ success: false, msg: 'Authorization code and state are required' });
+    }
+
+    const identity = await completeAuthorization(req.params.provider, { code, state });
+
+    // Returning user
+    const linkedUser = await findUserByIdentity(identity.provider, identity.subject);
+    if (linkedUser) {
+      await touchIdentity(identity);
+      return finishOidcLogin(req, res, linkedUser);
+    }
+
+    if (!identity.email) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Your identity provider did not share an email address'
+      });
+    }
+
+    // Existing password account with the same email: link it only when the
+    // provider has verified the address, otherwise anyone could claim it
+    const existing = await queryAsync(
+      'SELECT id, userName, email, userType, firstName, lastName, emailVerified FROM users WHERE email = ?',
+      [identity.email]
+    );
+
+    if (existing.length > 0) {
+      if (!identity.emailVerified) {
+        return res.status(409).json({
+          success: false,
+          msg: 'An account with this email already exists. Log in with your password instead.'
+        });
+      }
+
+      await linkIdentity(existing[0].id, identity);
+      console.log(`🔗 Linked ${identity.provider} identity to user ${existing[0].id}`);
+      return finishOidcLogin(req, res, existing[0]);
+    }
+
+    // First-time login: the client must ask which kind of account to create
+    res.json({
+      success: true,
+      msg: 'Choose an account type to finish signing up',
+      signupRequired: true,
+      signupToken: createOidcSignupToken(identity),
+      profile: {
+        email: identity.email,
+        firstName: identity.firstName,
+        lastName: identity.lastName,
+        suggestedUserName: await generateUserName(identity)
+      }
+    });
+  } catch (error) {
+    sendOidcError(res, error, 'Sign-in with identity provider failed');
+  }
+};
+
+// POST /api/oidc/complete-signup - create the account for a first-time login
+const completeOidcSignup = async (req, res) => {
+  try {
+    const { signupToken, userType, userName, firstName, lastName, companyName, position, inviteToken } = req.body;
+
+    let identity;
+    try {
+      identity = verifyOidcSignupToken(signupToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        msg: 'Your sign-up session has expired. Please sign in again.'
+      });
+    }
+
+    const errors = [];
+    const resolvedFirstName = (firstName || identity.firstName || '').trim();
+    const resolvedLastName = (lastName || identity.lastName || '').trim();
+    const resolvedUserName = (userName || await generateUserName(identity)).trim();
+
+    if (!['jobseeker', 'recruiter'].includes(userType)) errors.push('Valid user type is required');
+    if (!resolvedFirstName) errors.push('First name is required');
+    if (!resolvedLastName) errors.push('Last name is required');
+    if (!/^[a-zA-Z0-9_]{3,30}$/.test(resolvedUserName)) {
+      errors.push('Username can only contain letters, numbers, and underscores');
+    }
+    if (userType === 'recruiter' && !inviteToken && (!companyName || companyName.trim().length < 2)) {
+      errors.push('Company name is required for recruiters');
+    }
+    if (inviteToken && userType !== 'recruiter') {
+      errors.push('Company invitations are only for recruiter accounts');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, msg: errors.join(', ') });
+    }
+
+    const user = await createOidcAccount({
+      identity,
+      userType,
+      userName: resolvedUserName,
+      firstName: resolvedFirstName,
+      lastName: resolvedLastName,
+      companyName: companyName ? companyName.trim() : null,
+      position: position ? position.trim() : null,
+      inviteToken
+    }, (userId) => linkIdentity(userId, identity));
+
+    console.log(`✅ Created ${userType} account ${user.id} from ${identity.provider} sign-in`);
+
+    const session = await createSession(user, req);
+    sendLoginSuccess(res, user, session);
+    trackSignIn(req, user, session, 'oidc');
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, msg: 'This account has already been created. Please sign in again.' });
+    }
+    sendOidcError(res, error, 'Could not complete sign-up');
+  }
+};
+
+module.exports = {
+  listProviders,
+  startOidcLogin,
+  handleOidcCallback,
+  completeOidcSignup
+};
@@ -0,0 +1,177 @@
+// privacyController.js - personal data export and self-service account deletion
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { queryAsync } = require('../config/db');
+const {
+  getUserFiles,
+  scheduleDeletion,
+  cancelDeletion,
+  DELETION_GRACE_DAYS
+} = require('../services/accountDeletionService');
+const { getMembership } = require('../services/companyService');
+
+const FILE_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+const parseJsonColumn = (value, fallback = []) => {
+  if (!value) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+// Uploaded files are embedded base64-encoded so the export is a single document
+const readExportFile = (file) => {
+  const entry = {
+    type: file.type,
+    fileName: path.basename(file.path),
+    mimeType: FILE_MIME_TYPES[path.extname(file.path).toLowerCase()] || 'application/octet-stream'
+  };
+
+  try {
+    const content = fs.readFileSync(file.path);
+    return { ...entry, size: content.length, contentBase64: content.toString('base64') };
+  } catch (error) {
+    console.warn('Export: could not read file', file.path, error.message);
+    return { ...entry, missing: true };
+  }
+};
+
+// GET /api/dashboard/export - everything we hold about the signed-in user
+const exportUserData = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const users = await queryAsync(
+      `SELECT id, userName, email, userType, firstName, lastName, phone, location,
+              emailVerified, deletionRequestedAt, deletionScheduledFor, createdAt, updatedAt
+       FROM users WHERE id = ?`,
+      [userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({ success: false, msg: 'User not found' });
+    }
+
+    const user = users[0];
+    let profile = null;
+
+    if (user.userType === 'jobseeker') {
+      const rows = await queryAsync('SELECT * FROM job_seekers WHERE userId = ?', [userId]);
+      if (rows.length > 0) {
+        profile = {
+          ...rows[0],
+          skills: parseJsonColumn(rows[0].skills),
+          certificatesPath: parseJsonColumn(rows[0].certificatesPath)
+        };
+      }
+    } else if (user.userType === 'recruiter') {
+      const rows = await queryAsync('SELECT * FROM recruiters WHERE userId = ?', [userId]);
+      profile = rows.length > 0 ? { ...rows[0], company: await getMembership(userId) } : null;
+    }
+
+    const reviews = await queryAsync(
+      'SELECT id, rating, title, comment, category, isApproved, createdAt, updatedAt FROM reviews WHERE userId = ?',
+      [userId]
+    );
+
+    const contactMessages = await queryAsync(
+      'SELECT id, subject, message, sent_at, status FROM contact_logs WHERE candidate_id = ? ORDER BY sent_at DESC',
+      [userId]
+    );
+
+    const sessions = await queryAsync(
+      `SELECT id, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt, revokedAt
+       FROM user_sessions WHERE userId = ? ORDER BY createdAt DESC`,
+      [userId]
+    );
+
+    const accountActivity = await queryAsync(
+      `SELECT eventType, method, detail, ipAddress, userAgent, createdAt
+       FROM auth_events WHERE userId = ? ORDER BY createdAt DESC`,
+      [userId]
+    );
+
+    const files = (await getUserFiles(userId)).map(readExportFile);
+
+    console.log(`📦 Data export generated for user ${userId}`);
+
+    res.setHeader('Content-Disposition', `attachment; filename="talentconnect-export-${userId}.json"`);
+    res.json({
+      success: true,
+      exportedAt: new Date().toISOString(),
+      data: {
+        user,
+        profile,
+        reviews,
+        contactMessages,
+        sessions,
+        accountActivity,
+        files
+      }
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while exporting your data' });
+  }
+};
+
+// POST /api/dashboard/account/delete - schedule deletion after the grace period
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ success: false, msg: 'Password is required to delete your account' });
+    }
+
+    const users = await queryAsync('SELECT password FROM users WHERE id = ?', [req.user.userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ success: false, msg: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(password, users[0].password))) {
+      return res.status(401).json({ success: false, msg: 'Incorrect password' });
+    }
+
+    const deletionScheduledFor = await scheduleDeletion(req.user.userId);
+
+    console.log(`🗑️ Account deletion scheduled for user ${req.user.userId} at`, deletionScheduledFor);
+    res.json({
+      success: true,
+      msg: `Your account will be permanently deleted in ${DELETION_GRACE_DAYS} days. To keep it, cancel the deletion from your account settings before then; signing in alone does not cancel it.`,
+      deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Account deletion request error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while scheduling account deletion' });
+  }
+};
+
+// POST /api/dashboard/account/delete/cancel
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    if (!(await cancelDeletion(req.user.userId))) {
+      return res.status(400).json({ success: false, msg: 'No account deletion is scheduled' });
+    }
+
+    console.log(`✅ Account deletion cancelled for user ${req.user.userId}`);
+    res.json({ success: true, msg: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ success: false, msg: 'Server error while cancelling account deletion' });
+  }
+};
+
+module.exports = {
+  exportUserData,
+  requestAccountDeletion,
+  cancelAccountDeletion
+};
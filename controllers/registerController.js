@@ -1,10 +1,21 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { db } = require('../config/db');
+const crypto = require('crypto');
+const { db, queryAsync, addColumnIfMissing, addIndexIfMissing } = require('../config/db');
 const { cleanupUploadedFiles } = require('../middleware/registerMiddleware');
+const { createSession, hashToken } = require('../services/sessionService');
+const { createCompany, findInvitation, acceptInvitation, getMembership } = require('../services/companyService');
+const { checkPassword, getPasswordErrors, recordPasswordHistory, getPasswordPolicy } = require('../services/passwordPolicyService');
+const { resolveSalaryInput } = require('../services/salaryService');
+const { resolveExperienceInput } = require('../services/experienceService');
+const { flattenSkills } = require('../services/keywordSearchService');
+const { resolveLocationId } = require('../services/locationService');
+const { normalizeSkills, setJobSeekerSkills } = require('../services/skillTaxonomyService');
 
 // Import the email service (make sure this file exists or comment out if not using)
-const { sendWelcomeEmail } = require('../services/emailService');
+const { sendWelcomeEmail, sendVerificationEmail } = require('../services/emailService');
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
 
 // Create tables if they don't exist
 const createTables = () => {
@@ -16,13 +27,16 @@ const createTables = () => {
         userName VARCHAR(50) UNIQUE NOT NULL,
         email VARCHAR(100) UNIQUE NOT NULL,
         password VARCHAR(255) NOT NULL,
-        userType ENUM('jobseeker', 'recruiter') NOT NULL,
+        userType ENUM('jobseeker', 'recruiter', 'admin') NOT NULL,
         firstName VARCHAR(50) NOT NULL,
         lastName VARCHAR(50) NOT NULL,
         phone VARCHAR(20),
         location VARCHAR(100),
         resetToken VARCHAR(255),
         resetTokenExpiry DATETIME,
+        emailVerified BOOLEAN NOT NULL DEFAULT FALSE,
+        emailVerificationToken CHAR(64),
+        emailVerificationExpiry DATETIME,
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
@@ -49,12 +63,13 @@ const createTables = () => {
       )
     `;
 
-    // Recruiters table
+    // Recruiters table - company details now live in companies (see
+    // services/companyService.js); the company* columns are legacy
     const createRecruitersTable = `
       CREATE TABLE IF NOT EXISTS recruiters (
         id INT PRIMARY KEY AUTO_INCREMENT,
         userId INT NOT NULL,
-        companyName VARCHAR(100) NOT NULL,
+        companyName VARCHAR(100),
         companySize VARCHAR(50),
         industry VARCHAR(100),
         companyWebsite VARCHAR(255),
@@ -85,13 +100,58 @@ const createTables = () => {
             return reject(err);
           }
           
-          resolve();
+          migrateJobSeekersTable().then(migrateUsersTable).then(resolve).catch((migrationError) => {
+            console.error('Error migrating tables:', migrationError.message);
+            reject(migrationError);
+          });
         });
       });
     });
   });
 };
 
+// updatedAt also moves on backfills and account writes (lockouts, password
+// changes, verification), so the "recently updated" sort reads
+// profileUpdatedAt, which only profile edits touch. Runs before the users
+// migration and the backfills so the seed value predates their writes.
+const migrateJobSeekersTable = async () => {
+  const added = await addColumnIfMissing(
+    'job_seekers', 'profileUpdatedAt', 'DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP'
+  );
+  await addIndexIfMissing('job_seekers', 'idx_profile_updated', '(profileUpdatedAt)');
+
+  if (added) {
+    await queryAsync(
+      `UPDATE job_seekers js JOIN users u ON u.id = js.userId
+       SET js.profileUpdatedAt = GREATEST(u.updatedAt, js.updatedAt)`
+    );
+    console.log('Seeded job_seekers.profileUpdatedAt');
+  }
+};
+
+// Bring users tables created before email verification up to date
+const migrateUsersTable = async () => {
+  const addedVerified = await addColumnIfMissing('users', 'emailVerified', 'BOOLEAN NOT NULL DEFAULT FALSE');
+  await addColumnIfMissing('users', 'emailVerificationToken', 'CHAR(64)');
+  await addColumnIfMissing('users', 'emailVerificationExpiry', 'DATETIME');
+
+  // Accounts that existed before verification was introduced stay active
+  if (addedVerified) {
+    await queryAsync('UPDATE users SET emailVerified = TRUE');
+    console.log('Marked existing users as email-verified');
+  }
+
+  // Older tables only allow jobseeker/recruiter
+  const userTypeColumn = await queryAsync(
+    `SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'userType'`
+  );
+  if (userTypeColumn.length > 0 && !userTypeColumn[0].COLUMN_TYPE.includes("'admin'")) {
+    await queryAsync("ALTER TABLE users MODIFY userType ENUM('jobseeker', 'recruiter', 'admin') NOT NULL");
+    console.log('Added admin to users.userType');
+  }
+};
+
 // Initialize tables on first controller load
 let tablesInitialized = false;
 const initializeTables = async () => {
@@ -160,20 +220,26 @@ const processSkills = (skills) => {
 };
 
 // Enhanced validation function
-const validateRequiredFields = ({ firstName, lastName, userName, email, password, userType, companyName }) => {
+const validateRequiredFields = ({ firstName, lastName, userName, email, password, userType, companyName, inviteToken }) => {
   const errors = [];
 
   if (!firstName || firstName.trim().length < 1) errors.push('First name is required');
   if (!lastName || lastName.trim().length < 1) errors.push('Last name is required');
   if (!userName || userName.trim().length < 3) errors.push('Username must be at least 3 characters');
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('Valid email is required');
-  if (!password || password.length < 6) errors.push('Password must be at least 6 characters');
+  const passwordCheck = checkPassword(password, { userName, email, firstName, lastName });
+  if (!passwordCheck.valid) errors.push(...getPasswordErrors(passwordCheck));
   if (!userType || !['jobseeker', 'recruiter'].includes(userType)) errors.push('Valid user type is required');
   
-  if (userType === 'recruiter' && (!companyName || companyName.trim().length < 2)) {
+  // Invited recruiters join the inviting company instead of creating one
+  if (userType === 'recruiter' && !inviteToken && (!companyName || companyName.trim().length < 2)) {
     errors.push('Company name is required for recruiters');
   }
 
+  if (inviteToken && userType !== 'recruiter') {
+    errors.push('Company invitations are only for recruiter accounts');
+  }
+
   // Additional validation
   if (userName && !/^[a-zA-Z0-9_]{3,30}$/.test(userName.trim())) {
     errors.push('Username can only contain letters, numbers, and underscores');
@@ -206,8 +272,11 @@ const checkExistingUser = (email, userName) => {
 const insertUser = (userData) => {
   return new Promise((resolve, reject) => {
     const query = `
-      INSERT INTO users (userName, email, password, userType, firstName, lastName, phone, location) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO users (
+        userName, email, password, userType, firstName, lastName, phone, location, locationId,
+        emailVerificationToken, emailVerificationExpiry
+      ) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const values = [
@@ -218,7 +287,10 @@ const insertUser = (userData) => {
       userData.firstName,
       userData.lastName,
       userData.phone,
-      userData.location
+      userData.location,
+      resolveLocationId(userData.location),
+      userData.verificationTokenHash,
+      userData.verificationTokenExpiry
     ];
 
     db.query(query, values, (err, result) => {
@@ -251,7 +323,12 @@ const validateUrl = (url) => {
 // Handle job seeker profile creation
 const handleJobSeekerProfileCreation = async (req, userId, profileData) => {
   try {
-    const { title, experience, skills, expectedSalary, linkedinUrl, githubUrl, bio, availability } = profileData;
+    const { title, experience, linkedinUrl, githubUrl, bio, availability } = profileData;
+    // OIDC sign-ups create an empty profile without salary or skills input
+    const salary = profileData.salary || resolveSalaryInput({});
+    const experienceYears = resolveExperienceInput(experience);
+    // Already normalized to [{ id, name }] (see skillTaxonomyService)
+    const skills = profileData.skills || [];
 
     // Handle file uploads
     let cvFilePath = null;
@@ -266,8 +343,7 @@ const handleJobSeekerProfileCreation = async (req, userId, profileData) => {
       }
     }
 
-    // Process skills
-    const parsedSkills = processSkills(skills);
+    const skillNames = skills.map(skill => skill.name);
 
     // Validate URLs
     const validLinkedinUrl = validateUrl(linkedinUrl);
@@ -275,17 +351,21 @@ const handleJobSeekerProfileCreation = async (req, userId, profileData) => {
 
     const query = `
       INSERT INTO job_seekers (
-        userId, title, experience, skills, expectedSalary, 
+        userId, title, experience, experienceMinYears, experienceMaxYears, skills, skillsText, expectedSalary, 
+        salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryMinAnnual, salaryMaxAnnual,
         linkedinUrl, githubUrl, bio, availability, cvFilePath, certificatesPath
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const values = [
       userId,
       title ? title.trim() : null,
-      experience ? experience.trim() : null,
-      JSON.stringify(parsedSkills),
-      expectedSalary ? expectedSalary.trim() : null,
+      experienceYears.experience,
+      ...experienceYears.columns,
+      JSON.stringify(skillNames),
+      flattenSkills(skillNames),
+      salary.expectedSalary,
+      ...salary.columns,
       validLinkedinUrl,
       validGithubUrl,
       bio ? bio.trim() : null,
@@ -294,7 +374,7 @@ const handleJobSeekerProfileCreation = async (req, userId, profileData) => {
       JSON.stringify(certificatesPath)
     ];
 
-    return new Promise((resolve, reject) => {
+    const profileId = await new Promise((resolve, reject) => {
       db.query(query, values, (err, result) => {
         if (err) return reject(err);
         console.log('Job seeker profile created successfully');
@@ -302,43 +382,42 @@ const handleJobSeekerProfileCreation = async (req, userId, profileData) => {
       });
     });
 
+    await setJobSeekerSkills(userId, skills);
+    return profileId;
+
   } catch (error) {
     console.error('Job seeker profile creation error:', error);
     throw error;
   }
 };
 
-// Handle recruiter profile creation
+// Handle recruiter profile creation: the recruiter row holds personal
+// details; the company is created here or joined through an invitation
 const handleRecruiterProfileCreation = async (req, userId, profileData) => {
   try {
-    const { companyName, companySize, industry, companyWebsite, companyDescription, position } = profileData;
+    const { companyName, companySize, industry, companyWebsite, companyDescription, position, inviteToken, email } = profileData;
 
-    const validWebsite = validateUrl(companyWebsite);
+    await queryAsync(
+      'INSERT INTO recruiters (userId, position) VALUES (?, ?)',
+      [userId, position ? position.trim() : null]
+    );
 
-    const query = `
-      INSERT INTO recruiters (
-        userId, companyName, companySize, industry, 
-        companyWebsite, companyDescription, position
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
-    `;
-    
-    const values = [
-      userId,
-      companyName.trim(),
-      companySize ? companySize.trim() : null,
-      industry ? industry.trim() : null,
-      validWebsite,
-      companyDescription ? companyDescription.trim() : null,
-      position ? position.trim() : null
-    ];
+    if (inviteToken) {
+      const invitation = await acceptInvitation(inviteToken, { id: userId, email });
+      console.log(`Recruiter joined company ${invitation.companyId} by invitation`);
+      return invitation.companyName;
+    }
 
-    return new Promise((resolve, reject) => {
-      db.query(query, values, (err, result) => {
-        if (err) return reject(err);
-        console.log('Recruiter profile created successfully');
-        resolve(result.insertId);
-      });
-    });
+    await createCompany({
+      name: companyName.trim(),
+      size: companySize ? companySize.trim() : null,
+      industry: industry ? industry.trim() : null,
+      website: validateUrl(companyWebsite),
+      description: companyDescription ? companyDescription.trim() : null
+    }, userId);
+
+    console.log('Recruiter profile and company created successfully');
+    return companyName.trim();
 
   } catch (error) {
     console.error('Recruiter profile creation error:', error);
@@ -346,29 +425,27 @@ const handleRecruiterProfileCreation = async (req, userId, profileData) => {
   }
 };
 
-// Helper function to generate JWT token
-const generateJWTToken = (userId, email, userType) => {
-  try {
-    const payload = {
-      userId: userId,
-      email: email,
-      userType: userType,
-      iat: Math.floor(Date.now() / 1000)
-    };
-
-    const token = jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'your-default-secret-key-change-this',
-      { 
-        expiresIn: '24h',
-        issuer: 'talentconnect'
-      }
-    );
+// Helper function to create an email verification token (only the hash is stored)
+const generateVerificationToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+  };
+};
 
-    return token;
-  } catch (error) {
-    console.error('Token generation error:', error);
-    throw new Error('Failed to generate authentication token');
+// Helper function to send verification email asynchronously
+const sendVerificationEmailAsync = async (userData, token) => {
+  try {
+    const emailResult = await sendVerificationEmail(userData, token);
+    if (emailResult && emailResult.success) {
+      console.log('Verification email sent successfully:', userData.email);
+    } else {
+      console.warn('Failed to send verification email:', emailResult?.error || 'Unknown error');
+    }
+  } catch (emailError) {
+    console.warn('Verification email error:', emailError.message);
   }
 };
 
@@ -415,6 +492,10 @@ const registerUser = async (req, res) => {
       experience,
       skills,
       expectedSalary,
+      salaryMin,
+      salaryMax,
+      salaryCurrency,
+      salaryPeriod,
       linkedinUrl,
       githubUrl,
       bio,
@@ -425,13 +506,14 @@ const registerUser = async (req, res) => {
       industry,
       companyWebsite,
       companyDescription,
-      position
+      position,
+      inviteToken
     } = req.body;
 
     // Enhanced validation with detailed logging
     console.log('Validating required fields...');
     const validationResult = validateRequiredFields({
-      firstName, lastName, userName, email, password, userType, companyName
+      firstName, lastName, userName, email, password, userType, companyName, inviteToken
     });
 
     if (!validationResult.isValid) {
@@ -444,6 +526,42 @@ const registerUser = async (req, res) => {
       });
     }
 
+    // Free-text or structured salary expectation -> stored columns
+    let salary = null;
+    if (userType === 'jobseeker') {
+      try {
+        salary = resolveSalaryInput({ expectedSalary, salaryMin, salaryMax, salaryCurrency, salaryPeriod });
+      } catch (error) {
+        cleanupUploadedFiles(req);
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          msg: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Canonical skills; new ones are added to the taxonomy outside the
+    // registration transaction so the in-memory taxonomy never points at
+    // rolled-back rows
+    const normalizedSkills = userType === 'jobseeker' ? await normalizeSkills(processSkills(skills)) : [];
+
+    // An invitation must be live and addressed to the email being registered
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await findInvitation(inviteToken);
+      if (!invitation || invitation.email !== email.toLowerCase().trim()) {
+        cleanupUploadedFiles(req);
+        return res.status(400).json({
+          success: false,
+          msg: invitation
+            ? 'This invitation was sent to a different email address'
+            : 'Invalid or expired invitation',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
     console.log('Basic validation passed, checking database for existing users...');
 
     // Start a database transaction for atomic operations
@@ -480,6 +598,9 @@ const registerUser = async (req, res) => {
       const hashedPassword = await bcrypt.hash(password, saltRounds);
       console.log('Password hashed successfully');
 
+      // Following the emailed invitation already proves the address
+      const verification = invitation ? null : generateVerificationToken();
+
       // Insert user into users table
       const userId = await insertUser({
         userName: userName.trim(),
@@ -489,9 +610,17 @@ const registerUser = async (req, res) => {
         firstName: firstName.trim(),
         lastName: lastName.trim(),
         phone: phone ? phone.trim() : null,
-        location: location ? location.trim() : null
+        location: location ? location.trim() : null,
+        verificationTokenHash: verification ? verification.tokenHash : null,
+        verificationTokenExpiry: verification ? verification.expiresAt : null
       });
 
+      if (invitation) {
+        await queryAsync('UPDATE users SET emailVerified = TRUE WHERE id = ?', [userId]);
+      }
+
+      await recordPasswordHistory(userId, hashedPassword);
+
       console.log(`User created with ID: ${userId}`);
 
       // Prepare user data for response
@@ -505,15 +634,17 @@ const registerUser = async (req, res) => {
       };
 
       // Handle user type specific profile creation
+      let recruiterCompanyName = null;
       if (userType === 'jobseeker') {
         await handleJobSeekerProfileCreation(req, userId, {
-          title, experience, skills, expectedSalary, 
+          title, experience, skills: normalizedSkills, salary, 
           linkedinUrl, githubUrl, bio, availability
         });
       } else if (userType === 'recruiter') {
-        await handleRecruiterProfileCreation(req, userId, {
+        recruiterCompanyName = await handleRecruiterProfileCreation(req, userId, {
           companyName, companySize, industry, 
-          companyWebsite, companyDescription, position
+          companyWebsite, companyDescription, position,
+          inviteToken, email: userData.email
         });
       }
 
@@ -530,25 +661,34 @@ const registerUser = async (req, res) => {
 
       console.log(`[${startTime}] Registration completed successfully`);
 
-      // Generate JWT token
-      const token = generateJWTToken(userId, userData.email, userData.userType);
+      // Start a session (access + refresh token)
+      const session = await createSession(userData, req);
 
-      // Send welcome email (non-blocking)
-      sendWelcomeEmailAsync(userData, userType, companyName);
+      // Send verification email (non-blocking); the welcome email follows verification
+      if (verification) {
+        sendVerificationEmailAsync(userData, verification.token);
+      } else {
+        sendWelcomeEmailAsync(userData, userType, recruiterCompanyName);
+      }
 
       // Send success response
       const responseTime = Date.now() - startTime;
       res.status(201).json({
         success: true,
-        msg: 'Registration successful! Welcome to TalentConnect!',
-        token,
+        msg: verification
+          ? 'Registration successful! Please check your email to verify your address.'
+          : `Registration successful! You have joined ${recruiterCompanyName}.`,
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
         user: {
           id: userId,
           userName: userData.userName,
           email: userData.email,
           userType: userData.userType,
           firstName: userData.firstName,
-          lastName: userData.lastName
+          lastName: userData.lastName,
+          emailVerified: !verification
         },
         timestamp: new Date().toISOString(),
         processingTime: `${responseTime}ms`
@@ -574,6 +714,10 @@ const registerUser = async (req, res) => {
     } else if (error.code === 'ECONNREFUSED') {
       statusCode = 503;
       errorMessage = 'Database connection failed. Please try again later.';
+    } else if (error.statusCode) {
+      // e.g. the invitation was used or revoked while registering
+      statusCode = error.statusCode;
+      errorMessage = error.message;
     }
     
     res.status(statusCode).json({ 
@@ -585,7 +729,216 @@ const registerUser = async (req, res) => {
   }
 };
 
+// Verify email address with the token from the verification email
+const verifyEmail = async (req, res) => {
+  try {
+    const token = (req.body?.token || '').trim();
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Verification token is required'
+      });
+    }
+
+    const users = await queryAsync(
+      `SELECT id, userName, email, userType, firstName, lastName
+       FROM users
+       WHERE emailVerificationToken = ? AND emailVerificationExpiry > NOW()`,
+      [hashToken(token)]
+    );
+
+    if (users.length === 0) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid or expired verification link'
+      });
+    }
+
+    const user = users[0];
+
+    await queryAsync(
+      `UPDATE users
+       SET emailVerified = TRUE, emailVerificationToken = NULL, emailVerificationExpiry = NULL
+       WHERE id = ?`,
+      [user.id]
+    );
+
+    console.log('Email verified for user:', user.email);
+
+    // Now that the address is confirmed, send the welcome email (non-blocking)
+    let companyName = null;
+    if (user.userType === 'recruiter') {
+      const company = await getMembership(user.id);
+      companyName = company ? company.name : null;
+    }
+    sendWelcomeEmailAsync(user, user.userType, companyName);
+
+    res.json({
+      success: true,
+      msg: 'Email verified successfully! Welcome to TalentConnect!'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Server error during email verification'
+    });
+  }
+};
+
+// Resend the verification email - always responds the same way so
+// the endpoint can't be used to discover registered addresses
+const resendVerificationEmail = async (req, res) => {
+  const genericResponse = {
+    success: true,
+    msg: 'If the account exists and is not yet verified, a new verification email has been sent'
+  };
+
+  try {
+    const email = (req.body?.email || '').toLowerCase().trim();
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Valid email address is required'
+      });
+    }
+
+    const users = await queryAsync(
+      `SELECT id, userName, email, firstName, lastName, emailVerified, emailVerificationExpiry
+       FROM users WHERE email = ?`,
+      [email]
+    );
+
+    if (users.length === 0 || users[0].emailVerified) {
+      return res.json(genericResponse);
+    }
+
+    const user = users[0];
+
+    // Throttle: a token issued less than a minute ago is still fresh
+    if (user.emailVerificationExpiry) {
+      const issuedAt = new Date(user.emailVerificationExpiry).getTime() - EMAIL_VERIFICATION_TTL_MS;
+      if (Date.now() - issuedAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+        console.log('Verification resend throttled for:', email);
+        return res.json(genericResponse);
+      }
+    }
+
+    const verification = generateVerificationToken();
+
+    await queryAsync(
+      'UPDATE users SET emailVerificationToken = ?, emailVerificationExpiry = ? WHERE id = ?',
+      [verification.tokenHash, verification.expiresAt, user.id]
+    );
+
+    sendVerificationEmailAsync(user, verification.token);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Server error while resending verification email'
+    });
+  }
+};
+
+// Password requirements so the signup form can show them up front
+const getPasswordRequirements = (req, res) => {
+  res.json({ success: true, policy: getPasswordPolicy() });
+};
+
+// Create an account for a first-time OIDC sign-in. The password is random and
+// never shown; the user can set one later through forgot-password.
+// onCreated(userId) runs inside the same transaction (e.g. to link the identity).
+const createOidcAccount = async ({ identity, userType, userName, firstName, lastName, companyName, position, inviteToken }, onCreated) => {
+  const email = identity.email;
+
+  await new Promise((resolve, reject) => {
+    db.beginTransaction((err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+
+  try {
+    const existingUser = await checkExistingUser(email, userName);
+    if (existingUser) {
+      const error = new Error(`User with this ${existingUser.conflictField} already exists`);
+      error.statusCode = 409;
+      error.conflictField = existingUser.conflictField;
+      throw error;
+    }
+
+    const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+    // Addresses the provider hasn't verified go through our own check
+    const verification = identity.emailVerified ? null : generateVerificationToken();
+
+    const userId = await insertUser({
+      userName,
+      email,
+      hashedPassword,
+      userType,
+      firstName,
+      lastName,
+      phone: null,
+      location: null,
+      verificationTokenHash: verification ? verification.tokenHash : null,
+      verificationTokenExpiry: verification ? verification.expiresAt : null
+    });
+
+    // The identity provider vouches for the address when it says so
+    if (identity.emailVerified) {
+      await queryAsync('UPDATE users SET emailVerified = TRUE WHERE id = ?', [userId]);
+    }
+
+    if (userType === 'jobseeker') {
+      await handleJobSeekerProfileCreation({}, userId, {});
+    } else {
+      await handleRecruiterProfileCreation({}, userId, { companyName, position, inviteToken, email });
+    }
+
+    if (onCreated) {
+      await onCreated(userId);
+    }
+
+    await new Promise((resolve, reject) => {
+      db.commit((err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+
+    const userData = {
+      id: userId,
+      userName,
+      email,
+      userType,
+      firstName,
+      lastName,
+      emailVerified: !verification
+    };
+
+    // Send verification email (non-blocking), as registerUser does
+    if (verification) {
+      sendVerificationEmailAsync(userData, verification.token);
+    }
+
+    return userData;
+  } catch (error) {
+    await rollbackTransaction();
+    throw error;
+  }
+};
+
 module.exports = {
   registerUser,
+  verifyEmail,
+  resendVerificationEmail,
+  getPasswordRequirements,
+  createOidcAccount,
   createTables
 };
\ No newline at end of file
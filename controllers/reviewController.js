@@ -292,8 +292,9 @@ const deleteReview = async (req, res) => {
   try {
     const reviewId = parseInt(req.params.id);
     const userId = req.user.userId;
+    const isAdmin = req.user.userType === 'admin';
 
-    // Check if review exists and belongs to user
+    // Check if review exists and belongs to user (admins may delete any review)
     const checkQuery = 'SELECT id, userId FROM reviews WHERE id = ?';
     
     db.query(checkQuery, [reviewId], (err, results) => {
@@ -312,7 +313,7 @@ const deleteReview = async (req, res) => {
         });
       }
 
-      if (results[0].userId !== userId) {
+      if (results[0].userId !== userId && !isAdmin) {
         return res.status(403).json({
           success: false,
           msg: 'You can only delete your own reviews'
@@ -322,7 +323,7 @@ const deleteReview = async (req, res) => {
       // Delete the review
       const deleteQuery = 'DELETE FROM reviews WHERE id = ? AND userId = ?';
       
-      db.query(deleteQuery, [reviewId, userId], (err, result) => {
+      db.query(deleteQuery, [reviewId, results[0].userId], (err, result) => {
         if (err) {
           console.error('Delete review error:', err);
           return res.status(500).json({
@@ -445,6 +446,116 @@ const getReviewStats = async (req, res) => {
   }
 };
 
+// Get reviews for moderation (admin) - ?status=pending|approved|all
+const getReviewsForModeration = async (req, res) => {
+  try {
+    const status = req.query.status || 'all';
+    const validStatuses = ['pending', 'approved', 'all'];
+
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Status must be one of: pending, approved, all'
+      });
+    }
+
+    let query = `
+      SELECT 
+        r.id,
+        r.userId,
+        r.rating,
+        r.title,
+        r.comment,
+        r.category,
+        r.isApproved,
+        r.createdAt,
+        r.updatedAt,
+        u.firstName,
+        u.lastName,
+        u.email,
+        u.userType
+      FROM reviews r
+      JOIN users u ON r.userId = u.id
+    `;
+
+    if (status === 'pending') {
+      query += ' WHERE r.isApproved = false';
+    } else if (status === 'approved') {
+      query += ' WHERE r.isApproved = true';
+    }
+
+    query += ' ORDER BY r.createdAt DESC LIMIT 200';
+
+    db.query(query, (err, results) => {
+      if (err) {
+        console.error('Get moderation reviews error:', err);
+        return res.status(500).json({
+          success: false,
+          msg: 'Failed to fetch reviews'
+        });
+      }
+
+      res.json({
+        success: true,
+        reviews: results,
+        total: results.length
+      });
+    });
+  } catch (error) {
+    console.error('Get moderation reviews error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Server error while fetching reviews'
+    });
+  }
+};
+
+// Approve or hide a review (admin)
+const moderateReview = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const { isApproved } = req.body;
+
+    if (typeof isApproved !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        msg: 'isApproved must be true or false'
+      });
+    }
+
+    const updateQuery = 'UPDATE reviews SET isApproved = ? WHERE id = ?';
+
+    db.query(updateQuery, [isApproved, reviewId], (err, result) => {
+      if (err) {
+        console.error('Moderate review error:', err);
+        return res.status(500).json({
+          success: false,
+          msg: 'Failed to update review'
+        });
+      }
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({
+          success: false,
+          msg: 'Review not found'
+        });
+      }
+
+      console.log(`Review ${reviewId} ${isApproved ? 'approved' : 'hidden'} by admin ${req.user.userId}`);
+      res.json({
+        success: true,
+        msg: isApproved ? 'Review approved' : 'Review hidden from public listing'
+      });
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Server error while moderating review'
+    });
+  }
+};
+
 module.exports = {
   getAllReviews,
   createReview,
@@ -452,5 +563,7 @@ module.exports = {
   deleteReview,
   getUserReview,
   getReviewStats,
+  getReviewsForModeration,
+  moderateReview,
   createReviewsTable
 };
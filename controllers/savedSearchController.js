@@ -0,0 +1,132 @@
+// savedSearchController.js - recruiters save searches and get emailed about new matches
+const {
+  listSavedSearches: findSavedSearches,
+  getSavedSearch: findSavedSearch,
+  createSavedSearch: insertSavedSearch,
+  updateSavedSearch: editSavedSearch,
+  deleteSavedSearch: removeSavedSearch,
+  setAlertsPaused,
+  unsubscribeByToken
+} = require('../services/savedSearchService');
+
+const handleError = (res, error, label, msg) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      msg: error.message,
+      ...(error.position ? { position: error.position } : {})
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, msg });
+};
+
+// GET /api/saved-searches
+const listSavedSearches = async (req, res) => {
+  try {
+    res.json({ success: true, savedSearches: await findSavedSearches(req.user.userId) });
+  } catch (error) {
+    handleError(res, error, 'List saved searches', 'Error fetching saved searches');
+  }
+};
+
+// GET /api/saved-searches/:id
+const getSavedSearch = async (req, res) => {
+  try {
+    res.json({ success: true, savedSearch: await findSavedSearch(req.user.userId, req.params.id) });
+  } catch (error) {
+    handleError(res, error, 'Get saved search', 'Error fetching saved search');
+  }
+};
+
+// POST /api/saved-searches - body { name, searchType?, criteria, frequency? }
+// criteria takes the /api/search/jobseekers filters, or for searchType
+// 'match_skills' { skills } plus the /api/search/match-skills scoring
+// options and experience filters
+const createSavedSearch = async (req, res) => {
+  try {
+    const { name, searchType, criteria, frequency } = req.body;
+    const { savedSearch, currentMatches } = await insertSavedSearch(req.user.userId, { name, searchType, criteria, frequency });
+
+    console.log(`🔔 Saved search ${savedSearch.id} created by user ${req.user.userId}`);
+    res.status(201).json({
+      success: true,
+      msg: `Search saved. We'll email you ${savedSearch.frequency} when new candidates match.`,
+      savedSearch,
+      currentMatches
+    });
+  } catch (error) {
+    handleError(res, error, 'Create saved search', 'Error saving search');
+  }
+};
+
+// PUT /api/saved-searches/:id - any of { name, searchType, criteria, frequency }
+const updateSavedSearch = async (req, res) => {
+  try {
+    const { name, searchType, criteria, frequency } = req.body;
+    const savedSearch = await editSavedSearch(req.user.userId, req.params.id, { name, searchType, criteria, frequency });
+
+    res.json({ success: true, msg: 'Saved search updated', savedSearch });
+  } catch (error) {
+    handleError(res, error, 'Update saved search', 'Error updating saved search');
+  }
+};
+
+// DELETE /api/saved-searches/:id
+const deleteSavedSearch = async (req, res) => {
+  try {
+    await removeSavedSearch(req.user.userId, req.params.id);
+
+    console.log(`🔔 Saved search ${req.params.id} deleted by user ${req.user.userId}`);
+    res.json({ success: true, msg: 'Saved search deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete saved search', 'Error deleting saved search');
+  }
+};
+
+// POST /api/saved-searches/:id/pause
+const pauseSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await setAlertsPaused(req.user.userId, req.params.id, true);
+    res.json({ success: true, msg: 'Alerts paused', savedSearch });
+  } catch (error) {
+    handleError(res, error, 'Pause saved search', 'Error pausing alerts');
+  }
+};
+
+// POST /api/saved-searches/:id/resume
+const resumeSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await setAlertsPaused(req.user.userId, req.params.id, false);
+    res.json({ success: true, msg: 'Alerts resumed', savedSearch });
+  } catch (error) {
+    handleError(res, error, 'Resume saved search', 'Error resuming alerts');
+  }
+};
+
+// POST /api/saved-searches/unsubscribe - body { token } from the alert email link
+const unsubscribeSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await unsubscribeByToken(req.body.token);
+
+    console.log(`🔕 Alerts for saved search ${savedSearch.id} unsubscribed`);
+    res.json({
+      success: true,
+      msg: `You will no longer receive alerts for "${savedSearch.name}"`,
+      savedSearch
+    });
+  } catch (error) {
+    handleError(res, error, 'Unsubscribe saved search', 'Error unsubscribing');
+  }
+};
+
+module.exports = {
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  pauseSavedSearch,
+  resumeSavedSearch,
+  unsubscribeSavedSearch
+};
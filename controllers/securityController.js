@@ -0,0 +1,59 @@
+// securityController.js - account activity and signed-in devices
+const { listActiveSessions, revokeSession } = require('../services/sessionService');
+const { getAuthHistory, describeUserAgent } = require('../services/authEventService');
+
+// GET /api/dashboard/security?page=&limit= - access history and active sessions
+const getSecurityOverview = async (req, res) => {
+  try {
+    const { userId, sid } = req.user;
+    const { page, limit } = req.query;
+
+    const [history, sessions] = await Promise.all([
+      getAuthHistory(userId, { page, limit }),
+      listActiveSessions(userId)
+    ]);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        device: describeUserAgent(session.userAgent),
+        current: session.id === sid
+      })),
+      history: history.events,
+      pagination: history.pagination
+    });
+  } catch (error) {
+    console.error('Security overview error:', error);
+    res.status(500).json({ success: false, msg: 'Error fetching account activity' });
+  }
+};
+
+// DELETE /api/dashboard/security/sessions/:sessionId - sign out one device
+const revokeDeviceSession = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId, 10);
+
+    if (!sessionId) {
+      return res.status(400).json({ success: false, msg: 'Valid session ID is required' });
+    }
+
+    if (!(await revokeSession(sessionId, req.user.userId))) {
+      return res.status(404).json({ success: false, msg: 'Session not found or already signed out' });
+    }
+
+    console.log(`✅ User ${req.user.userId} signed out session ${sessionId}`);
+    res.json({
+      success: true,
+      msg: sessionId === req.user.sid ? 'Signed out of this device' : 'Device signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, msg: 'Error signing out device' });
+  }
+};
+
+module.exports = {
+  getSecurityOverview,
+  revokeDeviceSession
+};
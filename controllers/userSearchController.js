@@ -1,391 +1,166 @@
 const { db } = require('../config/db');
-
-// Helper function for hierarchical location matching
-const buildLocationQuery = (searchLocation) => {
-  if (!searchLocation || !searchLocation.trim()) {
-    return { condition: '', params: [] };
-  }
-
-  const location = searchLocation.trim().toLowerCase();
-  
-  // Define location hierarchy mapping
-  const locationHierarchy = {
-    // Countries
-    'india': ['india', 'indian'],
-    'usa': ['usa', 'united states', 'america', 'us'],
-    'canada': ['canada', 'canadian'],
-    'uk': ['uk', 'united kingdom', 'britain', 'british'],
-    'australia': ['australia', 'australian'],
-    'germany': ['germany', 'german'],
-    'singapore': ['singapore'],
-    'uae': ['uae', 'dubai', 'abu dhabi', 'united arab emirates'],
-    
-    // Indian states and major cities
-    'tamil nadu': ['tamil nadu', 'tn', 'chennai', 'coimbatore', 'madurai', 'salem', 'tirupur', 'erode', 'vellore', 'tiruchirappalli', 'trichy'],
-    'karnataka': ['karnataka', 'bangalore', 'bengaluru', 'mysore', 'mysuru', 'mangalore', 'mangaluru', 'hubli', 'belgaum', 'dharwad'],
-    'maharashtra': ['maharashtra', 'mumbai', 'pune', 'nagpur', 'nashik', 'aurangabad', 'solapur', 'thane', 'kalyan'],
-    'delhi': ['delhi', 'new delhi', 'ncr', 'gurgaon', 'gurugram', 'noida', 'faridabad', 'ghaziabad', 'greater noida'],
-    'west bengal': ['west bengal', 'kolkata', 'calcutta', 'howrah', 'durgapur', 'siliguri'],
-    'gujarat': ['gujarat', 'ahmedabad', 'surat', 'vadodara', 'baroda', 'rajkot', 'bhavnagar', 'gandhinagar'],
-    'rajasthan': ['rajasthan', 'jaipur', 'jodhpur', 'udaipur', 'kota', 'ajmer', 'bikaner'],
-    'uttar pradesh': ['uttar pradesh', 'up', 'lucknow', 'kanpur', 'agra', 'varanasi', 'meerut', 'allahabad', 'prayagraj', 'bareilly'],
-    'andhra pradesh': ['andhra pradesh', 'ap', 'vijayawada', 'visakhapatnam', 'vizag', 'guntur', 'tirupati'],
-    'telangana': ['telangana', 'hyderabad', 'warangal', 'nizamabad', 'secunderabad'],
-    'kerala': ['kerala', 'kochi', 'cochin', 'thiruvananthapuram', 'kozhikode', 'calicut', 'kottayam', 'thrissur'],
-    'punjab': ['punjab', 'chandigarh', 'ludhiana', 'amritsar', 'jalandhar', 'patiala'],
-    'haryana': ['haryana', 'gurgaon', 'gurugram', 'faridabad', 'panipat', 'ambala', 'karnal'],
-    'odisha': ['odisha', 'orissa', 'bhubaneswar', 'cuttack', 'rourkela', 'brahmapur'],
-    'jharkhand': ['jharkhand', 'ranchi', 'jamshedpur', 'dhanbad', 'bokaro'],
-    'assam': ['assam', 'guwahati', 'dibrugarh', 'silchar', 'jorhat'],
-    'madhya pradesh': ['madhya pradesh', 'mp', 'bhopal', 'indore', 'jabalpur', 'gwalior', 'ujjain'],
-    'chhattisgarh': ['chhattisgarh', 'raipur', 'bhilai', 'bilaspur'],
-    'uttarakhand': ['uttarakhand', 'dehradun', 'haridwar', 'roorkee', 'nainital'],
-    'himachal pradesh': ['himachal pradesh', 'hp', 'shimla', 'dharamshala', 'manali'],
-    'jammu and kashmir': ['jammu and kashmir', 'j&k', 'srinagar', 'jammu'],
-    'goa': ['goa', 'panaji', 'margao', 'vasco'],
-    'bihar': ['bihar', 'patna', 'gaya', 'muzaffarpur', 'bhagalpur'],
-    'tripura': ['tripura', 'agartala'],
-    'meghalaya': ['meghalaya', 'shillong'],
-    'manipur': ['manipur', 'imphal'],
-    'nagaland': ['nagaland', 'kohima'],
-    'mizoram': ['mizoram', 'aizawl'],
-    'arunachal pradesh': ['arunachal pradesh', 'itanagar'],
-    'sikkim': ['sikkim', 'gangtok'],
-    
-    // Major cities that might be searched independently
-    'bangalore': ['bangalore', 'bengaluru', 'whitefield', 'electronic city', 'koramangala', 'indiranagar'],
-    'mumbai': ['mumbai', 'bombay', 'navi mumbai', 'thane', 'kalyan', 'bandra', 'andheri'],
-    'chennai': ['chennai', 'madras', 'tambaram', 'velachery', 'omr', 'it corridor'],
-    'hyderabad': ['hyderabad', 'secunderabad', 'hitec city', 'gachibowli', 'kondapur'],
-    'pune': ['pune', 'pimpri', 'chinchwad', 'hinjewadi', 'wakad', 'baner'],
-    'kolkata': ['kolkata', 'calcutta', 'howrah', 'salt lake', 'new town'],
-    'ahmedabad': ['ahmedabad', 'gandhinagar', 'bopal', 'sg highway'],
-    'jaipur': ['jaipur', 'pink city'],
-    'surat': ['surat', 'diamond city'],
-    'lucknow': ['lucknow', 'gomti nagar'],
-    'kanpur': ['kanpur', 'kanpur nagar'],
-    'nagpur': ['nagpur'],
-    'indore': ['indore'],
-    'thane': ['thane', 'kalyan', 'dombivli'],
-    'bhopal': ['bhopal'],
-    'visakhapatnam': ['visakhapatnam', 'vizag'],
-    'vadodara': ['vadodara', 'baroda'],
-    'ghaziabad': ['ghaziabad', 'indirapuram', 'vaishali'],
-    'ludhiana': ['ludhiana'],
-    'agra': ['agra'],
-    'nashik': ['nashik'],
-    'faridabad': ['faridabad'],
-    'meerut': ['meerut'],
-    'rajkot': ['rajkot'],
-    'varanasi': ['varanasi', 'benaras', 'kashi'],
-    'srinagar': ['srinagar'],
-    'aurangabad': ['aurangabad'],
-    'dhanbad': ['dhanbad'],
-    'amritsar': ['amritsar'],
-    'allahabad': ['allahabad', 'prayagraj'],
-    'ranchi': ['ranchi'],
-    'howrah': ['howrah'],
-    'coimbatore': ['coimbatore', 'kovai'],
-    'jabalpur': ['jabalpur'],
-    'gwalior': ['gwalior'],
-    'vijayawada': ['vijayawada', 'bezawada'],
-    'jodhpur': ['jodhpur', 'blue city'],
-    'madurai': ['madurai', 'temple city'],
-    'raipur': ['raipur'],
-    'kota': ['kota'],
-    'chandigarh': ['chandigarh', 'tricity'],
-    'guwahati': ['guwahati'],
-    'solapur': ['solapur'],
-    'hubli': ['hubli', 'hubli-dharwad', 'dharwad'],
-    'tiruchirappalli': ['tiruchirappalli', 'trichy'],
-    'bareilly': ['bareilly'],
-    'mysore': ['mysore', 'mysuru'],
-    'tiruppur': ['tiruppur'],
-    'gurgaon': ['gurgaon', 'gurugram', 'cyber city', 'udyog vihar'],
-    'noida': ['noida', 'greater noida', 'noida extension'],
-    'mangalore': ['mangalore', 'mangaluru'],
-    'salem': ['salem'],
-    'erode': ['erode'],
-    'vellore': ['vellore'],
-    'guntur': ['guntur'],
-    'bhilai': ['bhilai'],
-    'warangal': ['warangal'],
-    'firozabad': ['firozabad'],
-    'kochi': ['kochi', 'cochin', 'ernakulam'],
-    'bhavnagar': ['bhavnagar'],
-    'dehradun': ['dehradun', 'doon'],
-    'durgapur': ['durgapur'],
-    'asansol': ['asansol'],
-    'nanded': ['nanded'],
-    'kolhapur': ['kolhapur'],
-    'ajmer': ['ajmer'],
-    'jamnagar': ['jamnagar'],
-    'ujjain': ['ujjain'],
-    'sangli': ['sangli'],
-    'malegaon': ['malegaon'],
-    'jalgaon': ['jalgaon'],
-    'akola': ['akola'],
-    'latur': ['latur'],
-    'dhule': ['dhule'],
-    'ahmednagar': ['ahmednagar'],
-    'ichalkaranji': ['ichalkaranji'],
-    'chandrapur': ['chandrapur'],
-    'parbhani': ['parbhani'],
-    'jalna': ['jalna'],
-    'ambattur': ['ambattur'],
-    'tirunelveli': ['tirunelveli', 'nellai'],
-    'thanjavur': ['thanjavur', 'tanjore'],
-    'tuticorin': ['tuticorin', 'thoothukudi'],
-    'avadi': ['avadi'],
-    'dindigul': ['dindigul'],
-    'karur': ['karur'],
-    'cuddalore': ['cuddalore'],
-    'kumbakonam': ['kumbakonam'],
-    'hosur': ['hosur'],
-    'rajahmundry': ['rajahmundry', 'rajamahendravaram'],
-    'kadapa': ['kadapa', 'cuddapah'],
-    'karimnagar': ['karimnagar'],
-    'ramagundam': ['ramagundam'],
-    'khammam': ['khammam'],
-    'mahbubnagar': ['mahbubnagar'],
-    'nalgonda': ['nalgonda'],
-    'adilabad': ['adilabad'],
-    'suryapet': ['suryapet'],
-    'miryalaguda': ['miryalaguda'],
-    'jagtial': ['jagtial']
-  };
-  
-  // Find all locations that should match this search
-  let matchingLocations = [];
-  
-  // First, check if the search term is a key in our hierarchy (broader location like country/state)
-  if (locationHierarchy[location]) {
-    matchingLocations = locationHierarchy[location];
-  } else {
-    // Check if the search term appears in any hierarchy values (specific city)
-    let found = false;
-    for (const [key, values] of Object.entries(locationHierarchy)) {
-      if (values.includes(location)) {
-        // For specific city searches, only return that city and its variants
-        matchingLocations = values.filter(loc => 
-          loc === location || 
-          loc.includes(location) || 
-          location.includes(loc)
-        );
-        found = true;
-        break;
-      }
-    }
-    
-    // If no hierarchy match found, fall back to original search term
-    if (!found) {
-      matchingLocations = [location];
-    }
-  }
-  
-  // Remove duplicates
-  matchingLocations = [...new Set(matchingLocations)];
-  
-  // Build the SQL condition for multiple location matches
-  const conditions = matchingLocations.map(() => 'LOWER(u.location) LIKE ?').join(' OR ');
-  const params = matchingLocations.map(loc => `%${loc}%`);
-  
-  return {
-    condition: `(${conditions})`,
-    params: params
-  };
-};
-
-// Search job seekers (for recruiters)
-const searchJobSeekers = (req, res) => {
+const {
+  resolveSort,
+  parsePagination,
+  paginateRows,
+  buildPaginationResult
+} = require('../services/searchPaginationService');
+const {
+  searchCandidates,
+  parseInputSkills,
+  matchCandidateSkills,
+  matchJobDescriptionCandidates,
+  parseJsonArray
+} = require('../services/candidateSearchService');
+const { parseJobDescription } = require('../services/jobDescriptionService');
+const {
+  prepareScoring,
+  getRecruiterWeights,
+  saveRecruiterWeights,
+  resetRecruiterWeights
+} = require('../services/candidateScoringService');
+const { searchLocations } = require('../services/locationService');
+const { searchSkills } = require('../services/skillTaxonomyService');
+
+// Drop the helper columns that only exist for ordering and cursors
+const stripSortColumns = ({
+  availabilityRank, profileUpdatedAt, hasExperience, experienceYears, hasSalary, salaryAmount,
+  ...candidate
+}) => candidate;
+
+// Search job seekers (for recruiters). jobTitle is a keyword search over
+// title, bio and skills, ranked with FULLTEXT MATCH in SQL, or a query like
+// `(react OR vue) AND typescript NOT intern location:chennai exp:3-5`
+// (see candidateSearchService). Salary is filtered with salaryMin / salaryMax
+// in salaryCurrency per salaryPeriod (or a salaryRange bucket). location
+// matches a place and everything under it, or with radiusKm every city
+// within that distance. Experience is filtered with minExperience /
+// maxExperience in years or a seniority level (junior | mid | senior | lead).
+// The response carries `facets` (availability, experience, seniority, city,
+// region, skills, hasCv, salary) counted over every match; each value can be sent
+// back under the facet's `field` (experienceBucket, seniority, locationId,
+// skillIds, hasCv, ...) to narrow the search.
+// Besides the filters the body takes sortBy (relevance | newest | updated |
+// experience | salary), sortOrder, limit, and either page or the
+// nextCursor from the previous response.
+const searchJobSeekers = async (req, res) => {
   const {
     jobTitle,
+    keywordMode,
     location,
+    radiusKm,
     experience,
+    minExperience,
+    maxExperience,
+    seniority,
     availability,
-    salaryRange
+    salaryRange,
+    salaryMin,
+    salaryMax,
+    salaryCurrency,
+    salaryPeriod,
+    experienceBucket,
+    locationId,
+    skillIds,
+    hasCv,
+    includeFacets,
+    sortBy,
+    sortOrder,
+    page,
+    limit,
+    cursor
   } = req.body;
 
-  console.log('Search request:', { jobTitle, location, experience, availability, salaryRange });
+  console.log('Search request:', { jobTitle, keywordMode, location, radiusKm, experience, minExperience, maxExperience, seniority, availability, salaryRange, salaryMin, salaryMax, salaryCurrency, salaryPeriod, experienceBucket, locationId, skillIds, hasCv, sortBy, sortOrder, page, limit });
 
-  let query = `
-    SELECT 
-      u.id,
-      u.firstName,
-      u.lastName,
-      u.email,
-      u.phone,
-      u.location,
-      u.createdAt,
-      js.title,
-      js.experience,
-      js.skills,
-      js.expectedSalary,
-      js.linkedinUrl,
-      js.githubUrl,
-      js.bio,
-      js.availability,
-      js.cvFilePath,
-      js.certificatesPath
-    FROM users u
-    INNER JOIN job_seekers js ON u.id = js.userId
-    WHERE u.userType = 'jobseeker'
-  `;
-
-  const params = [];
-
-  // Enhanced search logic with multiple field matching
-  if (jobTitle && jobTitle.trim()) {
-    query += ` AND (
-      js.title LIKE ? OR 
-      js.bio LIKE ? OR 
-      JSON_SEARCH(js.skills, 'one', ?, NULL, '$[*]') IS NOT NULL
-    )`;
-    const searchTerm = `%${jobTitle.trim()}%`;
-    params.push(searchTerm, searchTerm, `%${jobTitle.trim()}%`);
-  }
-
-  // Enhanced location search with hierarchy
-  if (location && location.trim()) {
-    const locationQuery = buildLocationQuery(location);
-    if (locationQuery.condition) {
-      query += ` AND ${locationQuery.condition}`;
-      params.push(...locationQuery.params);
-    }
-  }
-
-  if (experience && experience.trim()) {
-    query += ` AND js.experience = ?`;
-    params.push(experience.trim());
-  }
-
-  if (availability && availability.trim()) {
-    query += ` AND js.availability = ?`;
-    params.push(availability.trim());
-  }
-
-  if (salaryRange && salaryRange.trim()) {
-    // Enhanced salary filtering based on range
-    switch (salaryRange) {
-      case 'entry':
-        query += ` AND (js.expectedSalary LIKE '%20%' OR js.expectedSalary LIKE '%30%' OR js.expectedSalary LIKE '%40%')`;
-        break;
-      case 'mid':
-        query += ` AND (js.expectedSalary LIKE '%50%' OR js.expectedSalary LIKE '%60%' OR js.expectedSalary LIKE '%70%')`;
-        break;
-      case 'senior':
-        query += ` AND (js.expectedSalary LIKE '%70%' OR js.expectedSalary LIKE '%80%' OR js.expectedSalary LIKE '%90%' OR js.expectedSalary LIKE '%100%')`;
-        break;
-      case 'expert':
-        query += ` AND (js.expectedSalary LIKE '%100%' OR js.expectedSalary LIKE '%120%' OR js.expectedSalary LIKE '%150%')`;
-        break;
-    }
+  let sort;
+  let pagination;
+  try {
+    sort = resolveSort({ sortBy, sortOrder });
+    pagination = parsePagination({ page, limit, cursor }, sort);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, msg: error.message });
   }
 
-  query += ` ORDER BY 
-    CASE 
-      WHEN js.availability = 'available' THEN 0 
-      ELSE 1 
-    END,
-    u.createdAt DESC 
-    LIMIT 50`;
+  try {
+    // Facet counts come back by default; includeFacets: false skips them
+    const { rows, total, keywordMode: appliedKeywordMode, facets } = await searchCandidates({
+      jobTitle, keywordMode, location, radiusKm, experience, minExperience, maxExperience, seniority,
+      availability, salaryRange, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+      experienceBucket, locationId, skillIds, hasCv
+    }, { sort, pagination, includeFacets: includeFacets !== false });
 
-  console.log('Executing search query:', query);
-  console.log('Search params:', params);
+    const result = buildPaginationResult(rows, { total, sort, pagination });
 
-  db.query(query, params, (err, candidates) => {
-    if (err) {
-      console.error('Search error:', err);
-      return res.status(500).json({ 
-        success: false, 
-        msg: 'Error searching job seekers',
-        error: err.message 
-      });
-    }
-
-    console.log(`Found ${candidates.length} candidates`);
-
-    // Parse JSON fields and add search relevance
-    const parsedCandidates = candidates.map(candidate => {
-      let parsedSkills = [];
-      let parsedCertificates = [];
-
-      // Safely parse skills
-      try {
-        if (candidate.skills) {
-          if (typeof candidate.skills === 'string') {
-            parsedSkills = JSON.parse(candidate.skills);
-          } else if (Array.isArray(candidate.skills)) {
-            parsedSkills = candidate.skills;
-          }
-        }
-      } catch (error) {
-        console.warn('Error parsing skills for candidate', candidate.id, ':', error.message);
-        parsedSkills = [];
-      }
-
-      // Safely parse certificates
-      try {
-        if (candidate.certificatesPath) {
-          if (typeof candidate.certificatesPath === 'string') {
-            parsedCertificates = JSON.parse(candidate.certificatesPath);
-          } else if (Array.isArray(candidate.certificatesPath)) {
-            parsedCertificates = candidate.certificatesPath;
-          }
-        }
-      } catch (error) {
-        console.warn('Error parsing certificates for candidate', candidate.id, ':', error.message);
-        parsedCertificates = [];
-      }
-
-      // Ensure arrays
-      if (!Array.isArray(parsedSkills)) parsedSkills = [];
-      if (!Array.isArray(parsedCertificates)) parsedCertificates = [];
-      
-      // Calculate relevance score
-      let relevanceScore = 0;
-      if (jobTitle && jobTitle.trim()) {
-        const searchTerm = jobTitle.toLowerCase();
-        if (candidate.title && candidate.title.toLowerCase().includes(searchTerm)) relevanceScore += 3;
-        if (candidate.bio && candidate.bio.toLowerCase().includes(searchTerm)) relevanceScore += 2;
-        parsedSkills.forEach(skill => {
-          if (skill && skill.toLowerCase().includes(searchTerm)) relevanceScore += 2;
-        });
-      }
-      
-      return {
-        ...candidate,
-        skills: parsedSkills,
-        certificatesPath: parsedCertificates,
-        relevanceScore
-      };
-    });
+    console.log(`Found ${total} candidates, returning ${result.rows.length}`);
 
-    // Sort by relevance if there's a job title search, otherwise by availability and date
-    const sortedCandidates = jobTitle && jobTitle.trim() 
-      ? parsedCandidates.sort((a, b) => b.relevanceScore - a.relevanceScore)
-      : parsedCandidates;
+    const parsedCandidates = result.rows.map(candidate => ({
+      ...stripSortColumns(candidate),
+      skills: parseJsonArray(candidate.skills, 'skills', candidate.id),
+      certificatesPath: parseJsonArray(candidate.certificatesPath, 'certificates', candidate.id),
+      relevanceScore: Number(candidate.relevanceScore) || 0
+    }));
 
     res.json({
       success: true,
-      candidates: sortedCandidates,
-      total: sortedCandidates.length,
+      candidates: parsedCandidates,
+      total,
+      pagination: result.pagination,
+      sort: result.sort,
+      ...(facets ? { facets } : {}),
       searchCriteria: {
         jobTitle,
+        keywordMode: appliedKeywordMode,
         location,
+        radiusKm,
         experience,
+        minExperience,
+        maxExperience,
+        seniority,
         availability,
-        salaryRange
+        salaryRange,
+        salaryMin,
+        salaryMax,
+        salaryCurrency,
+        salaryPeriod,
+        experienceBucket,
+        locationId,
+        skillIds,
+        hasCv
       }
     });
-  });
+  } catch (err) {
+    // Invalid criteria (query syntax, salary and experience filters)
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        success: false,
+        msg: err.message,
+        ...(err.position && { position: err.position })
+      });
+    }
+
+    console.error('Search error:', err);
+    res.status(500).json({ 
+      success: false, 
+      msg: 'Error searching job seekers',
+      error: err.message 
+    });
+  }
 };
 
-// AI-powered skill matching (enhanced version)
-const matchSkills = (req, res) => {
-  const { skills } = req.body;
+// AI-powered skill matching (enhanced version). Input skills are resolved
+// in the skill taxonomy and scored in JS against candidates' canonical
+// skills, then sorted and paged with the same options as searchJobSeekers.
+// matchScore blends the skill score with experience (experienceMinYears /
+// experienceMaxYears), location (location or locationId), salary
+// (salaryBudget in budgetCurrency per budgetPeriod) and availability;
+// `weights` tunes the blend for this request (see candidateScoringService).
+// minExperience / maxExperience and seniority filter the candidates like
+// they do in searchJobSeekers.
+const matchSkills = async (req, res) => {
+  const { skills, weights, minExperience, maxExperience, seniority, sortBy, sortOrder, page, limit, cursor } = req.body;
 
-  console.log('Skill matching request:', { skills });
+  console.log('Skill matching request:', { skills, weights, minExperience, maxExperience, seniority, sortBy, sortOrder, page, limit });
 
   if (!skills || !skills.trim()) {
     return res.status(400).json({ 
@@ -394,167 +169,194 @@ const matchSkills = (req, res) => {
     });
   }
 
+  let sort;
+  let pagination;
+  try {
+    sort = resolveSort({ sortBy, sortOrder }, { relevanceColumn: 'matchScore' });
+    pagination = parsePagination({ page, limit, cursor }, sort);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, msg: error.message });
+  }
+
   // Parse input skills with better processing
-  const inputSkills = skills.toLowerCase()
-    .split(/[,;|\n]/)
-    .map(skill => skill.trim())
-    .filter(skill => skill.length > 0);
+  const inputSkills = parseInputSkills(skills);
 
   console.log('Parsed input skills for matching:', inputSkills);
 
-  const query = `
-    SELECT 
-      u.id,
-      u.firstName,
-      u.lastName,
-      u.email,
-      u.phone,
-      u.location,
-      u.createdAt,
-      js.title,
-      js.experience,
-      js.skills,
-      js.expectedSalary,
-      js.linkedinUrl,
-      js.githubUrl,
-      js.bio,
-      js.availability,
-      js.cvFilePath,
-      js.certificatesPath
-    FROM users u
-    INNER JOIN job_seekers js ON u.id = js.userId
-    WHERE u.userType = 'jobseeker' 
-      AND js.skills IS NOT NULL 
-      AND js.skills != '[]'
-      AND js.skills != 'null'
-      AND js.skills != ''
-    ORDER BY u.createdAt DESC
-  `;
+  try {
+    const scoring = await prepareScoring(req.user.userId, req.body);
+    const { candidates: matchedCandidates, processed } = await matchCandidateSkills(inputSkills, scoring, {
+      minExperience,
+      maxExperience,
+      seniority
+    });
 
-  db.query(query, [], (err, allCandidates) => {
-    if (err) {
-      console.error('Skill matching error:', err);
-      return res.status(500).json({ 
-        success: false, 
-        msg: 'Error matching skills',
-        error: err.message 
-      });
-    }
+    const result = buildPaginationResult(paginateRows(matchedCandidates, sort, pagination), {
+      total: matchedCandidates.length,
+      sort,
+      pagination
+    });
 
-    console.log(`Processing ${allCandidates.length} candidates for skill matching`);
+    console.log(`Found ${matchedCandidates.length} skill matches, returning ${result.rows.length}`);
 
-    // Enhanced skill matching algorithm
-    const matchedCandidates = allCandidates.map(candidate => {
-      let candidateSkills = [];
-      
-      // Safely parse candidate skills
-      try {
-        if (candidate.skills) {
-          if (typeof candidate.skills === 'string') {
-            candidateSkills = JSON.parse(candidate.skills);
-          } else if (Array.isArray(candidate.skills)) {
-            candidateSkills = candidate.skills;
-          }
-        }
-      } catch (error) {
-        console.warn('Invalid skills JSON for candidate:', candidate.id, error.message);
-        candidateSkills = [];
-      }
-      
-      // Ensure it's an array and filter out empty values
-      if (!Array.isArray(candidateSkills)) {
-        candidateSkills = [];
+    res.json({
+      success: true,
+      matches: result.rows.map(stripSortColumns),
+      total: matchedCandidates.length,
+      pagination: result.pagination,
+      sort: result.sort,
+      searchedSkills: inputSkills,
+      scoringWeights: scoring.weights,
+      statistics: {
+        totalCandidatesProcessed: processed,
+        candidatesWithMatches: matchedCandidates.length,
+        averageMatchScore: matchedCandidates.length > 0 
+          ? Math.round(matchedCandidates.reduce((sum, c) => sum + c.matchScore, 0) / matchedCandidates.length)
+          : 0
       }
-      candidateSkills = candidateSkills.filter(skill => skill && skill.trim().length > 0);
-      
-      const candidateSkillsLower = candidateSkills.map(skill => skill.toLowerCase().trim());
-      
-      // Calculate different types of matches
-      const exactMatches = [];
-      const partialMatches = [];
-      const relatedMatches = [];
-
-      inputSkills.forEach(inputSkill => {
-        candidateSkillsLower.forEach((candidateSkill, index) => {
-          if (candidateSkill === inputSkill) {
-            exactMatches.push(candidateSkills[index]);
-          } else if (candidateSkill.includes(inputSkill) || inputSkill.includes(candidateSkill)) {
-            partialMatches.push(candidateSkills[index]);
-          } else if (areRelatedSkills(inputSkill, candidateSkill)) {
-            relatedMatches.push(candidateSkills[index]);
-          }
-        });
-      });
+    });
+  } catch (err) {
+    // Invalid scoring input (weights, targets) or experience filters
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, msg: err.message });
+    }
 
-      // Calculate match score with weighted scoring
-      const exactScore = exactMatches.length * 3;
-      const partialScore = partialMatches.length * 2;
-      const relatedScore = relatedMatches.length * 1;
-      const totalScore = exactScore + partialScore + relatedScore;
-      
-      const maxPossibleScore = inputSkills.length * 3;
-      const matchScore = maxPossibleScore > 0 
-        ? Math.round((totalScore / maxPossibleScore) * 100)
-        : 0;
+    console.error('Skill matching error:', err);
+    res.status(500).json({ 
+      success: false, 
+      msg: 'Error matching skills',
+      error: err.message 
+    });
+  }
+};
 
-      const allMatchingSkills = [...new Set([...exactMatches, ...partialMatches, ...relatedMatches])];
+// Match candidates against a pasted job description. Body { jobDescription,
+// requiredWeight?, optionalWeight?, sortBy, sortOrder, page, limit, cursor }
+// plus the matchSkills scoring and experience filter options; experience and
+// location targets default to the ones found in the JD (no location when
+// it's remote).
+// The extracted requirements come back as `requirements`; each match lists
+// which of them the candidate meets (see matchJobDescriptionCandidates).
+const matchJobDescription = async (req, res) => {
+  const {
+    jobDescription, requiredWeight, optionalWeight, minExperience, maxExperience, seniority,
+    sortBy, sortOrder, page, limit, cursor
+  } = req.body;
 
-      // Parse certificates safely
-      let parsedCertificates = [];
-      try {
-        if (candidate.certificatesPath) {
-          if (typeof candidate.certificatesPath === 'string') {
-            parsedCertificates = JSON.parse(candidate.certificatesPath);
-          } else if (Array.isArray(candidate.certificatesPath)) {
-            parsedCertificates = candidate.certificatesPath;
-          }
-        }
-      } catch (error) {
-        console.warn('Error parsing certificates for candidate', candidate.id, ':', error.message);
-        parsedCertificates = [];
-      }
+  console.log('Job description matching request:', {
+    length: typeof jobDescription === 'string' ? jobDescription.length : 0,
+    requiredWeight, optionalWeight, minExperience, maxExperience, seniority, sortBy, sortOrder, page, limit
+  });
 
-      if (!Array.isArray(parsedCertificates)) parsedCertificates = [];
-
-      return {
-        ...candidate,
-        skills: candidateSkills,
-        certificatesPath: parsedCertificates,
-        matchScore,
-        matchingSkills: allMatchingSkills,
-        matchDetails: {
-          exact: exactMatches.length,
-          partial: partialMatches.length,
-          related: relatedMatches.length,
-          total: allMatchingSkills.length
-        }
-      };
-    }).filter(candidate => candidate.matchScore > 0)
-      .sort((a, b) => {
-        // Sort by match score first, then by availability, then by date
-        if (b.matchScore !== a.matchScore) return b.matchScore - a.matchScore;
-        if (a.availability === 'available' && b.availability !== 'available') return -1;
-        if (b.availability === 'available' && a.availability !== 'available') return 1;
-        return new Date(b.createdAt) - new Date(a.createdAt);
-      })
-      .slice(0, 25); // Limit to top 25 matches
+  let sort;
+  let pagination;
+  let requirements;
+  try {
+    sort = resolveSort({ sortBy, sortOrder }, { relevanceColumn: 'matchScore' });
+    pagination = parsePagination({ page, limit, cursor }, sort);
+    requirements = parseJobDescription(jobDescription);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, msg: error.message });
+  }
+
+  console.log('Extracted job requirements:', {
+    required: requirements.requiredSkills.map(skill => skill.name),
+    optional: requirements.optionalSkills.map(skill => skill.name),
+    seniority: requirements.seniority,
+    location: requirements.location.place ? requirements.location.place.name : requirements.location.text
+  });
 
-    console.log(`Found ${matchedCandidates.length} skill matches`);
+  try {
+    const { location } = requirements;
+    const scoring = await prepareScoring(req.user.userId, req.body, {
+      experience: requirements.seniority
+        ? { minYears: requirements.seniority.minYears, maxYears: requirements.seniority.maxYears }
+        : null,
+      location: location.remote ? null : location.place
+    });
+
+    const { candidates: matchedCandidates, processed, weights } = await matchJobDescriptionCandidates(requirements, {
+      requiredWeight,
+      optionalWeight,
+      scoring,
+      filters: { minExperience, maxExperience, seniority }
+    });
+
+    const result = buildPaginationResult(paginateRows(matchedCandidates, sort, pagination), {
+      total: matchedCandidates.length,
+      sort,
+      pagination
+    });
+
+    console.log(`Found ${matchedCandidates.length} job description matches, returning ${result.rows.length}`);
 
     res.json({
       success: true,
-      matches: matchedCandidates,
+      matches: result.rows.map(stripSortColumns),
       total: matchedCandidates.length,
-      searchedSkills: inputSkills,
+      pagination: result.pagination,
+      sort: result.sort,
+      requirements,
+      weights,
+      scoringWeights: scoring.weights,
       statistics: {
-        totalCandidatesProcessed: allCandidates.length,
+        totalCandidatesProcessed: processed,
         candidatesWithMatches: matchedCandidates.length,
-        averageMatchScore: matchedCandidates.length > 0 
+        averageMatchScore: matchedCandidates.length > 0
           ? Math.round(matchedCandidates.reduce((sum, c) => sum + c.matchScore, 0) / matchedCandidates.length)
           : 0
       }
     });
-  });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, msg: err.message });
+    }
+
+    console.error('Job description matching error:', err);
+    res.status(500).json({
+      success: false,
+      msg: 'Error matching job description',
+      error: err.message
+    });
+  }
+};
+
+// GET /api/search/scoring-weights - the recruiter's default match weights
+const getScoringWeights = async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getRecruiterWeights(req.user.userId)) });
+  } catch (err) {
+    console.error('Get scoring weights error:', err);
+    res.status(500).json({ success: false, msg: 'Error fetching scoring weights' });
+  }
+};
+
+// PUT /api/search/scoring-weights - body { weights: { skills?, experience?,
+// location?, salary?, availability? } }; unset factors keep the built-in weight
+const updateScoringWeights = async (req, res) => {
+  try {
+    const result = await saveRecruiterWeights(req.user.userId, req.body.weights);
+
+    console.log(`⚖️ Scoring weights updated by user ${req.user.userId}`);
+    res.json({ success: true, msg: 'Default scoring weights saved', ...result });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, msg: err.message });
+    }
+    console.error('Update scoring weights error:', err);
+    res.status(500).json({ success: false, msg: 'Error saving scoring weights' });
+  }
+};
+
+// DELETE /api/search/scoring-weights - back to the built-in weights
+const deleteScoringWeights = async (req, res) => {
+  try {
+    const result = await resetRecruiterWeights(req.user.userId);
+    res.json({ success: true, msg: 'Scoring weights reset to defaults', ...result });
+  } catch (err) {
+    console.error('Reset scoring weights error:', err);
+    res.status(500).json({ success: false, msg: 'Error resetting scoring weights' });
+  }
 };
 
 // Get candidate profile details
@@ -581,6 +383,10 @@ const getCandidateDetails = (req, res) => {
       js.experience,
       js.skills,
       js.expectedSalary,
+      js.salaryMin,
+      js.salaryMax,
+      js.salaryCurrency,
+      js.salaryPeriod,
       js.linkedinUrl,
       js.githubUrl,
       js.bio,
@@ -589,7 +395,7 @@ const getCandidateDetails = (req, res) => {
       js.certificatesPath
     FROM users u
     INNER JOIN job_seekers js ON u.id = js.userId
-    WHERE u.userType = 'jobseeker' AND u.id = ?
+    WHERE u.userType = 'jobseeker' AND u.id = ? AND u.emailVerified = TRUE AND u.deletionScheduledFor IS NULL
   `;
 
   db.query(query, [candidateId], (err, candidates) => {
@@ -845,19 +651,14 @@ const getSearchStats = (req, res) => {
       });
     }
 
+    // Counted by canonical skill, so "ReactJS" and "React.js" are one entry
     const topSkillsQuery = `
-      SELECT skill, COUNT(*) as count
-      FROM (
-        SELECT JSON_UNQUOTE(JSON_EXTRACT(js.skills, CONCAT('$[', numbers.n, ']'))) as skill
-        FROM job_seekers js
-        JOIN (SELECT 0 as n UNION SELECT 1 UNION SELECT 2 UNION SELECT 3 UNION SELECT 4 UNION SELECT 5 UNION SELECT 6 UNION SELECT 7 UNION SELECT 8 UNION SELECT 9) numbers
-        WHERE JSON_LENGTH(js.skills) > numbers.n
-        AND js.skills IS NOT NULL
-        AND js.skills != '[]'
-        AND js.skills != ''
-      ) as extracted_skills
-      WHERE skill IS NOT NULL AND skill != ''
-      GROUP BY skill
+      SELECT s.name as skill, COUNT(*) as count
+      FROM job_seeker_skills jss
+      INNER JOIN skills s ON s.id = jss.skillId
+      INNER JOIN users u ON u.id = jss.userId
+      WHERE u.userType = 'jobseeker'
+      GROUP BY s.id, s.name
       ORDER BY count DESC
       LIMIT 10
     `;
@@ -882,52 +683,32 @@ const getSearchStats = (req, res) => {
   });
 };
 
-// Helper function to determine if skills are related
-function areRelatedSkills(skill1, skill2) {
-  const relatedSkillsMap = {
-    'react': ['javascript', 'js', 'jsx', 'frontend', 'web development', 'next', 'nextjs'],
-    'vue': ['javascript', 'js', 'frontend', 'web development', 'nuxt'],
-    'angular': ['typescript', 'javascript', 'js', 'frontend', 'web development'],
-    'node': ['javascript', 'js', 'backend', 'server', 'express'],
-    'nodejs': ['javascript', 'js', 'backend', 'server', 'express'],
-    'python': ['django', 'flask', 'fastapi', 'backend', 'data science', 'machine learning', 'ai'],
-    'java': ['spring', 'backend', 'enterprise', 'springboot'],
-    'typescript': ['javascript', 'js', 'react', 'angular', 'node'],
-    'css': ['html', 'frontend', 'web development', 'sass', 'scss', 'tailwind'],
-    'html': ['css', 'frontend', 'web development'],
-    'sql': ['database', 'mysql', 'postgresql', 'mongodb'],
-    'aws': ['cloud', 'devops', 'infrastructure', 'ec2', 's3'],
-    'docker': ['devops', 'containerization', 'kubernetes'],
-    'git': ['version control', 'github', 'gitlab'],
-    'mongodb': ['database', 'nosql', 'mongoose'],
-    'mysql': ['database', 'sql', 'relational'],
-    'postgresql': ['database', 'sql', 'relational'],
-    'redis': ['cache', 'database', 'memory'],
-    'graphql': ['api', 'query language', 'apollo'],
-    'rest': ['api', 'web service', 'http'],
-    'sass': ['css', 'scss', 'styling'],
-    'scss': ['css', 'sass', 'styling'],
-    'tailwind': ['css', 'utility', 'styling'],
-    'bootstrap': ['css', 'framework', 'responsive']
-  };
-
-  const skill1Lower = skill1.toLowerCase();
-  const skill2Lower = skill2.toLowerCase();
-
-  if (relatedSkillsMap[skill1Lower] && relatedSkillsMap[skill1Lower].includes(skill2Lower)) {
-    return true;
-  }
-  if (relatedSkillsMap[skill2Lower] && relatedSkillsMap[skill2Lower].includes(skill1Lower)) {
-    return true;
-  }
-  
-  return false;
-}
+// Location autocomplete for the search and profile forms (public)
+// GET /api/search/locations?q=chen
+const getLocations = (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  res.json({ success: true, locations: searchLocations(req.query.q, limit) });
+};
+
+// Skill autocomplete with canonical names (public)
+// GET /api/search/skills?q=reac
+const getSkills = (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const skills = searchSkills(req.query.q, { limit, curatedOnly: true })
+    .map(({ id, name, parent }) => ({ id, name, parent }));
+  res.json({ success: true, skills });
+};
 
 module.exports = {
   searchJobSeekers,
   matchSkills,
+  matchJobDescription,
+  getScoringWeights,
+  updateScoringWeights,
+  deleteScoringWeights,
   getCandidateDetails,
   getSearchStats,
-  getProfessionalCategories
+  getProfessionalCategories,
+  getLocations,
+  getSkills
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+const authMiddleware = require('./authMiddleware');
+const { getClientInfo } = require('../services/sessionService');
+const { authenticateApiKey, recordApiKeyUsage, isApiKey } = require('../services/apiKeyService');
+
+// Accept either a user JWT or an API key carrying `scope`. Keys can be sent
+// as "X-API-Key: tc_..." or "Authorization: Bearer tc_...". JWT requests
+// are handed to authMiddleware unchanged.
+const authenticateJwtOrApiKey = (scope) => {
+  return async (req, res, next) => {
+    const bearer = req.header('Authorization')?.replace('Bearer ', '');
+    const rawKey = req.header('X-API-Key') || (isApiKey(bearer) ? bearer : null);
+
+    if (!rawKey) {
+      return authMiddleware(req, res, next);
+    }
+
+    try {
+      const apiKey = await authenticateApiKey(rawKey.trim());
+
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          msg: 'Invalid, expired or revoked API key'
+        });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          msg: `This API key does not have the ${scope} scope`
+        });
+      }
+
+      req.user = {
+        userId: apiKey.userId,
+        email: apiKey.email,
+        userType: apiKey.userType,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes
+      };
+
+      // Usage tracking must not hold up or fail the request
+      recordApiKeyUsage(apiKey.id, getClientInfo(req).ipAddress)
+        .catch(error => console.error('API key usage tracking error:', error.message));
+
+      next();
+    } catch (error) {
+      console.error('API key authentication error:', error);
+      res.status(500).json({
+        success: false,
+        msg: 'Error verifying API key'
+      });
+    }
+  };
+};
+
+module.exports = {
+  authenticateJwtOrApiKey
+};
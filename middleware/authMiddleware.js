@@ -1,6 +1,10 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken, isSessionActive } = require('../services/sessionService');
+const { isImpersonationActive } = require('../services/impersonationService');
+const { applyImpersonation } = require('./impersonationMiddleware');
+
+const authMiddleware = async (req, res, next) => {
+  let decoded;
 
-const authMiddleware = (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -11,20 +15,17 @@ const authMiddleware = (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-
+    decoded = verifyAccessToken(token);
   } catch (error) {
     console.error('Auth middleware error:', error);
-    
+
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
         msg: 'Token has expired'
       });
     }
-    
+
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
@@ -32,11 +33,49 @@ const authMiddleware = (req, res, next) => {
       });
     }
 
-    res.status(401).json({
+    return res.status(401).json({
       success: false,
       msg: 'Token verification failed'
     });
   }
+
+  // Access tokens are tied to a server-side session so they can be revoked
+  if (!decoded.sid) {
+    return res.status(401).json({
+      success: false,
+      msg: 'Session is no longer valid, please log in again'
+    });
+  }
+
+  try {
+    // Impersonation tokens carry the admin's session id, and also need
+    // their impersonation record to still be open
+    const active = decoded.imp
+      ? await isSessionActive(decoded.sid, decoded.imp.adminUserId)
+        && await isImpersonationActive(decoded.imp.id, decoded.imp.adminUserId)
+      : await isSessionActive(decoded.sid, decoded.userId);
+
+    if (!active) {
+      return res.status(401).json({
+        success: false,
+        msg: 'Session has been revoked, please log in again'
+      });
+    }
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    return res.status(500).json({
+      success: false,
+      msg: 'Error verifying session'
+    });
+  }
+
+  req.user = decoded;
+
+  if (decoded.imp) {
+    return applyImpersonation(req, res, next);
+  }
+
+  next();
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
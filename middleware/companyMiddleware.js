@@ -0,0 +1,37 @@
+const { getMembership } = require('../services/companyService');
+
+// Load the signed-in recruiter's company into req.company and require one of
+// the given company roles, e.g. requireCompanyRole('owner', 'admin').
+// With no roles any member passes. Expects authMiddleware to run first.
+const requireCompanyRole = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      const company = await getMembership(req.user.userId);
+
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          msg: 'You are not a member of a company'
+        });
+      }
+
+      if (roles.length > 0 && !roles.includes(company.role)) {
+        return res.status(403).json({
+          success: false,
+          msg: `Only company ${roles.join(' or ')}s can do this`
+        });
+      }
+
+      req.company = company;
+      next();
+    } catch (error) {
+      console.error('Company membership check error:', error);
+      res.status(500).json({
+        success: false,
+        msg: 'Error checking company membership'
+      });
+    }
+  };
+};
+
+module.exports = requireCompanyRole;
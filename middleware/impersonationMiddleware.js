@@ -0,0 +1,51 @@
+const { trackAuditLog } = require('../services/auditLogService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Called by authMiddleware for impersonation tokens: marks the response,
+// blocks writes on read-only sessions and audits every request
+const applyImpersonation = (req, res, next) => {
+  const { imp, userId } = req.user;
+  const auditEntry = {
+    actorUserId: imp.adminUserId,
+    targetUserId: userId,
+    impersonationId: imp.id,
+    req
+  };
+
+  res.set('X-Impersonated-By', String(imp.adminUserId));
+
+  if (!imp.allowWrites && !READ_METHODS.includes(req.method)) {
+    trackAuditLog({ ...auditEntry, action: 'impersonation.write_blocked', statusCode: 403 });
+    return res.status(403).json({
+      success: false,
+      msg: 'This impersonation session is read-only',
+      code: 'IMPERSONATION_READ_ONLY'
+    });
+  }
+
+  res.on('finish', () => {
+    trackAuditLog({ ...auditEntry, action: 'impersonation.request', statusCode: res.statusCode });
+  });
+
+  next();
+};
+
+// For account-security routes (password, email, MFA, API keys, deletion...)
+// that stay off-limits even when writes were enabled
+const forbidImpersonation = (req, res, next) => {
+  if (req.user?.imp) {
+    return res.status(403).json({
+      success: false,
+      msg: 'This action is not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  applyImpersonation,
+  forbidImpersonation
+};
@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { checkPassword, getPasswordErrors } = require('../services/passwordPolicyService');
 
 // Configuration
 const baseUploadDir = process.env.UPLOAD_PATH || path.join(__dirname, '..', 'uploads');
@@ -164,7 +165,7 @@ const validateRegistration = (req, res, next) => {
   console.log('Validating registration data...');
   console.log('Body keys:', Object.keys(req.body || {}));
   
-  const { userName, email, password, userType, firstName, lastName, companyName } = req.body;
+  const { userName, email, password, userType, firstName, lastName, companyName, inviteToken } = req.body;
   const errors = [];
 
   // Required field validation
@@ -180,15 +181,16 @@ const validateRegistration = (req, res, next) => {
   if (!email || !isValidEmail(email)) {
     errors.push('Valid email address is required');
   }
-  if (!password || password.length < 6) {
-    errors.push('Password must be at least 6 characters long');
+  const passwordCheck = checkPassword(password, { userName, email, firstName, lastName });
+  if (!passwordCheck.valid) {
+    errors.push(...getPasswordErrors(passwordCheck));
   }
   if (!userType || !['jobseeker', 'recruiter'].includes(userType)) {
     errors.push('Valid user type is required (jobseeker or recruiter)');
   }
 
-  // Recruiter specific validation
-  if (userType === 'recruiter' && (!companyName || companyName.trim().length < 2)) {
+  // Recruiter specific validation - invited recruiters join an existing company
+  if (userType === 'recruiter' && !inviteToken && (!companyName || companyName.trim().length < 2)) {
     errors.push('Company name is required for recruiters');
   }
 
@@ -203,7 +205,8 @@ const validateRegistration = (req, res, next) => {
     return res.status(400).json({ 
       success: false, 
       msg: 'Validation failed', 
-      errors 
+      errors,
+      passwordChecks: passwordCheck.valid ? undefined : passwordCheck.checks
     });
   }
 
@@ -0,0 +1,58 @@
+const { hasPermission } = require('../config/permissions');
+
+// Both middlewares expect authMiddleware to have populated req.user
+
+// Allow only the listed roles, e.g. requireRole('recruiter', 'admin')
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    const role = req.user?.userType;
+
+    if (!role) {
+      return res.status(401).json({
+        success: false,
+        msg: 'Authentication required'
+      });
+    }
+
+    if (!roles.includes(role)) {
+      console.warn(`Access denied for role ${role} on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        msg: 'You do not have permission to access this resource'
+      });
+    }
+
+    next();
+  };
+};
+
+// Require every listed permission, e.g. requirePermission('candidates:search')
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const role = req.user?.userType;
+
+    if (!role) {
+      return res.status(401).json({
+        success: false,
+        msg: 'Authentication required'
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(role, permission));
+
+    if (missing.length > 0) {
+      console.warn(`Missing permissions [${missing.join(', ')}] for role ${role} on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        msg: 'You do not have permission to access this resource'
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
@@ -0,0 +1,42 @@
+const { db } = require('../config/db');
+
+// Requires authMiddleware first - blocks users who haven't confirmed their email
+const requireVerifiedEmail = (req, res, next) => {
+  const userId = req.user?.userId;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      msg: 'Authentication required'
+    });
+  }
+
+  db.query('SELECT emailVerified FROM users WHERE id = ?', [userId], (err, users) => {
+    if (err) {
+      console.error('Email verification check error:', err);
+      return res.status(500).json({
+        success: false,
+        msg: 'Database error occurred'
+      });
+    }
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        msg: 'User not found'
+      });
+    }
+
+    if (!users[0].emailVerified) {
+      return res.status(403).json({
+        success: false,
+        msg: 'Please verify your email address to use this feature',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startImpersonation,
+  endImpersonation,
+  listImpersonations,
+  getAuditLogs,
+  listLocations,
+  createLocation,
+  addLocationAliases,
+  listSkills,
+  getSkill,
+  createSkill,
+  updateSkill,
+  addSkillAliases,
+  setRelatedSkills,
+  mergeSkills
+} = require('../controllers/adminController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { forbidImpersonation } = require('../middleware/impersonationMiddleware');
+
+// Every admin route needs a real admin login, never an impersonation token
+router.use(authMiddleware, forbidImpersonation);
+
+// POST /api/admin/impersonate/:userId - Short-lived token to view the app as a user
+router.post('/impersonate/:userId', requirePermission('users:impersonate'), startImpersonation);
+
+// Impersonation sessions started by the current admin
+router.get('/impersonations', requirePermission('users:impersonate'), listImpersonations);
+router.post('/impersonations/:impersonationId/end', requirePermission('users:impersonate'), endImpersonation);
+
+// GET /api/admin/audit-logs - Audit trail of privileged actions
+router.get('/audit-logs', requirePermission('audit:read'), getAuditLogs);
+
+// Locations used by search: add places and aliases without a deploy
+router.get('/locations', requirePermission('locations:manage'), listLocations);
+router.get('/locations/:locationId', requirePermission('locations:manage'), listLocations);
+router.post('/locations', requirePermission('locations:manage'), createLocation);
+router.post('/locations/:locationId/aliases', requirePermission('locations:manage'), addLocationAliases);
+
+// Skill taxonomy: curate user-added skills and merge duplicate spellings
+router.get('/skills', requirePermission('skills:manage'), listSkills);
+router.post('/skills', requirePermission('skills:manage'), createSkill);
+router.get('/skills/:skillId', requirePermission('skills:manage'), getSkill);
+router.put('/skills/:skillId', requirePermission('skills:manage'), updateSkill);
+router.post('/skills/:skillId/aliases', requirePermission('skills:manage'), addSkillAliases);
+router.put('/skills/:skillId/related', requirePermission('skills:manage'), setRelatedSkills);
+router.post('/skills/:skillId/merge', requirePermission('skills:manage'), mergeSkills);
+
+module.exports = router;
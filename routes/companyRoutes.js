@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyCompany,
+  createCompany,
+  updateCompany,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  lookupInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/companyController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+const requireCompanyRole = require('../middleware/companyMiddleware');
+
+const recruiterOnly = [authMiddleware, requireRole('recruiter')];
+
+// GET /api/companies/invitations/lookup?token= - Public, for the sign-up page
+router.get('/invitations/lookup', lookupInvitation);
+
+// POST /api/companies/invitations/accept - Join a company as an existing recruiter
+router.post('/invitations/accept', recruiterOnly, acceptInvitation);
+
+// POST /api/companies - Create a company (recruiters without one)
+router.post('/', recruiterOnly, createCompany);
+
+// GET /api/companies/mine - My company, role and members
+router.get('/mine', recruiterOnly, getMyCompany);
+
+// PUT /api/companies/mine - Edit company details (owner/admin)
+router.put('/mine', recruiterOnly, requireCompanyRole('owner', 'admin'), updateCompany);
+
+// Invitations (owner/admin)
+router.get('/mine/invitations', recruiterOnly, requireCompanyRole('owner', 'admin'), listInvitations);
+router.post('/mine/invitations', recruiterOnly, requireCompanyRole('owner', 'admin'), inviteMember);
+router.delete('/mine/invitations/:invitationId', recruiterOnly, requireCompanyRole('owner', 'admin'), revokeInvitation);
+
+// Members
+router.patch('/mine/members/:userId', recruiterOnly, requireCompanyRole('owner'), updateMemberRole);
+router.delete('/mine/members/:userId', recruiterOnly, requireCompanyRole('owner', 'admin'), removeMember);
+
+module.exports = router;
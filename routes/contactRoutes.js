@@ -1,8 +1,17 @@
 const express = require("express");
 const router = express.Router();
 const contactController = require("../controllers/contactController");
+const { authenticateJwtOrApiKey } = require("../middleware/apiKeyMiddleware");
+const requireVerifiedEmail = require("../middleware/verifiedEmailMiddleware");
+const { requirePermission } = require("../middleware/roleMiddleware");
 
-// POST /api/contact/send-email
-router.post("/send-email", contactController.sendEmailToCandidate);
+// POST /api/contact/send-email - JWT or API key with contact:send
+router.post(
+  "/send-email",
+  authenticateJwtOrApiKey("contact:send"),
+  requirePermission("candidates:contact"),
+  requireVerifiedEmail,
+  contactController.sendEmailToCandidate
+);
 
 module.exports = router;
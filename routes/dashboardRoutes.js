@@ -4,13 +4,74 @@ const {
   getUserProfile, 
   updateUserProfile 
 } = require('../controllers/dashboardController');
+const {
+  getMfaStatus,
+  enrollMfa,
+  confirmMfa,
+  disableMfa,
+  regenerateBackupCodes
+} = require('../controllers/mfaController');
+const {
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange
+} = require('../controllers/accountController');
+const {
+  exportUserData,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../controllers/privacyController');
+const {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { getSecurityOverview, revokeDeviceSession } = require('../controllers/securityController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole, requirePermission } = require('../middleware/roleMiddleware');
+const { authenticateJwtOrApiKey } = require('../middleware/apiKeyMiddleware');
+const { forbidImpersonation } = require('../middleware/impersonationMiddleware');
 const { uploadFields } = require('../middleware/registerMiddleware');
 
 //GET /api/dashboard/profile - Get user profile
-router.get('/profile', authMiddleware, getUserProfile);
+router.get('/profile', authenticateJwtOrApiKey('profile:read'), requirePermission('profile:manage'), getUserProfile);
 
 // PUT /api/dashboard/profile - Update user profile
-router.put('/profile', authMiddleware, uploadFields, updateUserProfile);
+router.put('/profile', authMiddleware, requirePermission('profile:manage'), uploadFields, updateUserProfile);
 
-module.exports = router;
\ No newline at end of file
+// Account-security routes below use forbidImpersonation: support staff
+// impersonating a user can never change how that user signs in
+
+// PUT /api/dashboard/password - Change password (requires current password)
+router.put('/password', authMiddleware, forbidImpersonation, requirePermission('profile:manage'), changePassword);
+
+// Email changes are two-step: request here, confirm from the new inbox.
+// Confirm/cancel come from email links, so the token is the credential.
+router.post('/email', authMiddleware, forbidImpersonation, requirePermission('profile:manage'), requestEmailChange);
+router.post('/email/confirm', confirmEmailChange);
+router.post('/email/cancel', cancelEmailChange);
+
+// Personal data export and account deletion
+router.get('/export', authMiddleware, forbidImpersonation, exportUserData);
+router.post('/account/delete', authMiddleware, forbidImpersonation, requestAccountDeletion);
+router.post('/account/delete/cancel', authMiddleware, forbidImpersonation, cancelAccountDeletion);
+
+// Sign-in history and active devices
+router.get('/security', authMiddleware, requirePermission('profile:manage'), getSecurityOverview);
+router.delete('/security/sessions/:sessionId', authMiddleware, forbidImpersonation, requirePermission('profile:manage'), revokeDeviceSession);
+
+// Two-factor authentication settings
+router.get('/mfa', authMiddleware, requirePermission('profile:manage'), getMfaStatus);
+router.post('/mfa/enroll', authMiddleware, forbidImpersonation, requirePermission('profile:manage'), enrollMfa);
+router.post('/mfa/confirm', authMiddleware, forbidImpersonation, requirePermission('profile:manage'), confirmMfa);
+router.post('/mfa/disable', authMiddleware, forbidImpersonation, requirePermission('profile:manage'), disableMfa);
+router.post('/mfa/backup-codes', authMiddleware, forbidImpersonation, requirePermission('profile:manage'), regenerateBackupCodes);
+
+// API keys for recruiter integrations (ATS sync etc.). Managing keys always
+// needs a real login - an API key can't mint or revoke other keys.
+router.get('/api-keys', authMiddleware, requireRole('recruiter'), listApiKeys);
+router.post('/api-keys', authMiddleware, forbidImpersonation, requireRole('recruiter'), createApiKey);
+router.delete('/api-keys/:keyId', authMiddleware, forbidImpersonation, requireRole('recruiter'), revokeApiKey);
+
+module.exports = router;
@@ -4,9 +4,15 @@ const router = express.Router();
 // Import controller functions from loginController
 const {
   loginUser,
+  verifyMfaLogin,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  refreshSession,
+  logoutUser,
+  unlockUserAccount
 } = require('../controllers/loginController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { forbidImpersonation } = require('../middleware/impersonationMiddleware');
 
 // Debug middleware for login routes
 router.use((req, res, next) => {
@@ -42,6 +48,21 @@ router.post('/login', (req, res, next) => {
   }
 });
 
+// Second login step for accounts with two-factor authentication
+router.post('/mfa', (req, res, next) => {
+  console.log('🔐 MFA route handler called');
+  try {
+    verifyMfaLogin(req, res, next);
+  } catch (error) {
+    console.error('🔐 MFA route error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'MFA route error',
+      error: error.message
+    });
+  }
+});
+
 router.post('/forgot-password', (req, res, next) => {
   console.log('🔐 FORGOT-PASSWORD route handler called');
   console.log('🔐 Request body:', req.body);
@@ -72,6 +93,49 @@ router.post('/reset-password', (req, res, next) => {
   }
 });
 
+router.post('/refresh', (req, res, next) => {
+  console.log('🔐 REFRESH route handler called');
+  try {
+    refreshSession(req, res, next);
+  } catch (error) {
+    console.error('🔐 REFRESH route error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Refresh route error',
+      error: error.message
+    });
+  }
+});
+
+// Body: { allDevices: true } to log out of every device
+router.post('/logout', authMiddleware, forbidImpersonation, (req, res, next) => {
+  console.log('🔐 LOGOUT route handler called');
+  try {
+    logoutUser(req, res, next);
+  } catch (error) {
+    console.error('🔐 LOGOUT route error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Logout route error',
+      error: error.message
+    });
+  }
+});
+
+router.post('/unlock', (req, res, next) => {
+  console.log('🔐 UNLOCK route handler called');
+  try {
+    unlockUserAccount(req, res, next);
+  } catch (error) {
+    console.error('🔐 UNLOCK route error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Unlock route error',
+      error: error.message
+    });
+  }
+});
+
 console.log('🔐 Auth routes module loaded successfully');
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  listProviders,
+  startOidcLogin,
+  handleOidcCallback,
+  completeOidcSignup
+} = require('../controllers/oidcController');
+
+// GET /api/oidc/providers - Configured identity providers
+router.get('/providers', listProviders);
+
+// POST /api/oidc/complete-signup - Pick account type after a first-time login
+router.post('/complete-signup', completeOidcSignup);
+
+// GET /api/oidc/:provider/authorize - Authorization URL (state, nonce, PKCE)
+router.get('/:provider/authorize', startOidcLogin);
+
+// POST /api/oidc/:provider/callback - Exchange the code from the redirect
+router.post('/:provider/callback', handleOidcCallback);
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser } = require('../controllers/registerController');
+const { registerUser, verifyEmail, resendVerificationEmail, getPasswordRequirements } = require('../controllers/registerController');
 const { uploadFields, validateRegistration } = require('../middleware/registerMiddleware');
 
 // POST /api/register - Register new user
 router.post('/register', uploadFields, validateRegistration, registerUser);
 
-module.exports = router;
\ No newline at end of file
+// POST /api/verify-email - Confirm email address with token
+router.post('/verify-email', verifyEmail);
+
+// POST /api/verify-email/resend - Send a new verification email
+router.post('/verify-email/resend', resendVerificationEmail);
+
+// GET /api/password-policy - Requirements for new passwords
+router.get('/password-policy', getPasswordRequirements);
+
+module.exports = router;
@@ -1,4 +1,3 @@
-
 const express = require('express');
 const router = express.Router();
 const { 
@@ -7,10 +6,13 @@ const {
   updateReview, 
   deleteReview, 
   getUserReview,
-  getReviewStats 
+  getReviewStats,
+  getReviewsForModeration,
+  moderateReview
 } = require('../controllers/reviewController');
 
 const authenticateToken = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
 
 // Public routes
 router.get('/', getAllReviews);
@@ -18,8 +20,12 @@ router.get('/stats', getReviewStats);
 
 // Protected routes
 router.get('/my-review', authenticateToken, getUserReview);
-router.post('/', authenticateToken, createReview);
-router.put('/:id', authenticateToken, updateReview);
-router.delete('/:id', authenticateToken, deleteReview);
+router.post('/', authenticateToken, requirePermission('reviews:write'), createReview);
+router.put('/:id', authenticateToken, requirePermission('reviews:write'), updateReview);
+router.delete('/:id', authenticateToken, requirePermission('reviews:write'), deleteReview);
+
+// Admin moderation routes
+router.get('/moderation', authenticateToken, requirePermission('reviews:moderate'), getReviewsForModeration);
+router.patch('/:id/moderation', authenticateToken, requirePermission('reviews:moderate'), moderateReview);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  pauseSavedSearch,
+  resumeSavedSearch,
+  unsubscribeSavedSearch
+} = require('../controllers/savedSearchController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+
+const canSearch = [authMiddleware, requirePermission('candidates:search')];
+
+// POST /api/saved-searches/unsubscribe - Public, token from the alert email
+router.post('/unsubscribe', unsubscribeSavedSearch);
+
+router.get('/', canSearch, listSavedSearches);
+router.post('/', canSearch, createSavedSearch);
+router.get('/:id', canSearch, getSavedSearch);
+router.put('/:id', canSearch, updateSavedSearch);
+router.delete('/:id', canSearch, deleteSavedSearch);
+
+// Pause / resume email alerts
+router.post('/:id/pause', canSearch, pauseSavedSearch);
+router.post('/:id/resume', canSearch, resumeSavedSearch);
+
+module.exports = router;
@@ -5,24 +5,49 @@ const router = express.Router();
 const {
   searchJobSeekers,
   matchSkills,
+  matchJobDescription,
+  getScoringWeights,
+  updateScoringWeights,
+  deleteScoringWeights,
   getCandidateDetails,
   getSearchStats,
-  getProfessionalCategories
+  getProfessionalCategories,
+  getLocations,
+  getSkills
 } = require('../controllers/userSearchController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authenticateJwtOrApiKey } = require('../middleware/apiKeyMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+
+// Search routes accept a recruiter JWT or an API key with the search:read scope
 
 // Search job seekers
-router.post('/jobseekers', searchJobSeekers);
+router.post('/jobseekers', authenticateJwtOrApiKey('search:read'), requirePermission('candidates:search'), searchJobSeekers);
 
 // AI skill matching
-router.post('/match-skills', matchSkills);
+router.post('/match-skills', authenticateJwtOrApiKey('search:read'), requirePermission('candidates:search'), matchSkills);
+
+// Match candidates against a pasted job description
+router.post('/match-job-description', authenticateJwtOrApiKey('search:read'), requirePermission('candidates:search'), matchJobDescription);
+
+// Recruiter default weights for the match score (JWT only to change them)
+router.get('/scoring-weights', authenticateJwtOrApiKey('search:read'), requirePermission('candidates:search'), getScoringWeights);
+router.put('/scoring-weights', authMiddleware, requirePermission('candidates:search'), updateScoringWeights);
+router.delete('/scoring-weights', authMiddleware, requirePermission('candidates:search'), deleteScoringWeights);
 
 // Get candidate details
-router.get('/candidate/:candidateId', getCandidateDetails);
+router.get('/candidate/:candidateId', authenticateJwtOrApiKey('search:read'), requirePermission('candidates:search'), getCandidateDetails);
 
-// Get search statistics
+// Get search statistics (aggregate only - public)
 router.get('/stats', getSearchStats);
 
-// Get professional categories
+// Get professional categories (aggregate only - public)
 router.get('/categories', getProfessionalCategories);
 
-module.exports = router;
\ No newline at end of file
+// Location autocomplete (public)
+router.get('/locations', getLocations);
+
+// Skill autocomplete (public)
+router.get('/skills', getSkills);
+
+module.exports = router;
@@ -16,6 +16,10 @@ const contactRoutes = require("./routes/contactRoutes");
 // New Routes
 const registerRoutes = require("./routes/registerRoutes");
 const dashboardRoutes = require("./routes/dashboardRoutes");
+const oidcRoutes = require("./routes/oidcRoutes");
+const companyRoutes = require("./routes/companyRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const savedSearchRoutes = require("./routes/savedSearchRoutes");
 
 //review routes
  const reviewRoutes = require('./routes/reviewRoutes');
@@ -23,10 +27,41 @@ const dashboardRoutes = require("./routes/dashboardRoutes");
 // Controllers for table creation
 const { createContactLogsTable } = require("./controllers/contactController");
 const { createTables } = require("./controllers/registerController");
+const { createSessionsTable } = require("./services/sessionService");
+const { createLoginProtectionTables } = require("./services/loginProtectionService");
+const { createMfaTables } = require("./services/mfaService");
+const { createPasswordResetTable } = require("./services/passwordResetService");
+const { createEmailChangeTable } = require("./services/emailChangeService");
+const { createAccountDeletionColumns, startAccountDeletionJob } = require("./services/accountDeletionService");
+const { createOidcTables } = require("./services/oidcService");
+const { createCompanyTables } = require("./services/companyService");
+const { createApiKeysTable } = require("./services/apiKeyService");
+const { createAuthEventsTable } = require("./services/authEventService");
+const { createPasswordHistoryTable } = require("./services/passwordPolicyService");
+const { createAuditLogsTable } = require("./services/auditLogService");
+const { createImpersonationTable } = require("./services/impersonationService");
+const { createSalaryColumns } = require("./services/salaryService");
+const { createExperienceColumns } = require("./services/experienceService");
+const { createKeywordSearchIndexes } = require("./services/keywordSearchService");
+const { createLocationTables } = require("./services/locationService");
+const { createSkillTables } = require("./services/skillTaxonomyService");
+const { createScoringTables } = require("./services/candidateScoringService");
+const { createSavedSearchTables, startSavedSearchAlertJob } = require("./services/savedSearchService");
 
 const app = express();
 const PORT = process.env.PORT || 5550;
 
+// TRUST_PROXY: unset/false when clients connect directly, a hop count ("1")
+// behind a load balancer, or addresses/subnets ("loopback", "10.0.0.0/8").
+// req.ip only honours X-Forwarded-For from trusted proxies; login and reset
+// rate limits key on it.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value.trim() === '' || value.trim() === 'false') return false;
+  if (value.trim() === 'true') return true;
+  return /^\d+$/.test(value.trim()) ? Number(value.trim()) : value.trim();
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -53,6 +88,10 @@ app.use("/api/contact", contactRoutes);
 // New routes
 app.use("/api", registerRoutes);
 app.use("/api/dashboard", dashboardRoutes);
+app.use("/api/oidc", oidcRoutes);
+app.use("/api/companies", companyRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
 
 //review routes
   app.use('/api/reviews', reviewRoutes);
@@ -84,8 +123,32 @@ const startServer = async () => {
     // Create tables
     createContactLogsTable();
     await createTables();
+    await createSalaryColumns();
+    await createExperienceColumns();
+    await createKeywordSearchIndexes();
+    await createLocationTables();
+    await createSkillTables();
+    await createScoringTables();
+    await createCompanyTables();
+    await createSessionsTable();
+    await createLoginProtectionTables();
+    await createMfaTables();
+    await createPasswordResetTable();
+    await createEmailChangeTable();
+    await createAccountDeletionColumns();
+    await createOidcTables();
+    await createApiKeysTable();
+    await createAuthEventsTable();
+    await createPasswordHistoryTable();
+    await createAuditLogsTable();
+    await createImpersonationTable();
+    await createSavedSearchTables();
     console.log("✅ Database tables initialized");
 
+    // Remove accounts whose deletion grace period has passed
+    startAccountDeletionJob();
+    startSavedSearchAlertJob();
+
     await verifyEmailConfig();
     console.log("✅ Email service initialized");
 
@@ -0,0 +1,141 @@
+// services/accountDeletionService.js
+// Self-service account deletion with a grace period, plus helpers for
+// locating a user's uploaded files (shared with the data export).
+const fs = require('fs');
+const path = require('path');
+const { queryAsync, addColumnIfMissing } = require('../config/db');
+const { releaseCompanySeat } = require('./companyService');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+const uploadDir = process.env.UPLOAD_PATH || path.join(__dirname, '..', 'uploads');
+const USER_FILE_DIRS = {
+  cv: path.resolve(uploadDir, 'cvs'),
+  certificate: path.resolve(uploadDir, 'certificates')
+};
+
+// Add deletion columns to users
+const createAccountDeletionColumns = async () => {
+  await addColumnIfMissing('users', 'deletionRequestedAt', 'DATETIME');
+  await addColumnIfMissing('users', 'deletionScheduledFor', 'DATETIME');
+  console.log('✅ Account deletion columns ready');
+};
+
+const parsePathList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// Stored upload paths for a user, limited to the CV/certificate directories
+// so a bad DB value can never point the export or purge elsewhere
+const getUserFiles = async (userId) => {
+  const rows = await queryAsync(
+    'SELECT cvFilePath, certificatesPath FROM job_seekers WHERE userId = ?',
+    [userId]
+  );
+
+  const files = [];
+  rows.forEach(row => {
+    if (row.cvFilePath) files.push({ type: 'cv', path: row.cvFilePath });
+    parsePathList(row.certificatesPath).forEach(filePath => {
+      files.push({ type: 'certificate', path: filePath });
+    });
+  });
+
+  return files
+    .map(file => ({ ...file, path: path.resolve(file.path) }))
+    .filter(file => file.path.startsWith(USER_FILE_DIRS[file.type] + path.sep));
+};
+
+const scheduleDeletion = async (userId) => {
+  await queryAsync(
+    `UPDATE users
+     SET deletionRequestedAt = NOW(), deletionScheduledFor = NOW() + INTERVAL ? DAY
+     WHERE id = ? AND deletionScheduledFor IS NULL`,
+    [DELETION_GRACE_DAYS, userId]
+  );
+
+  const rows = await queryAsync('SELECT deletionScheduledFor FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 ? rows[0].deletionScheduledFor : null;
+};
+
+const cancelDeletion = async (userId) => {
+  const result = await queryAsync(
+    `UPDATE users SET deletionRequestedAt = NULL, deletionScheduledFor = NULL
+     WHERE id = ? AND deletionScheduledFor IS NOT NULL`,
+    [userId]
+  );
+  return result.affectedRows > 0;
+};
+
+// Permanently remove one account. Dependent rows (profiles, reviews,
+// contact logs, sessions, ...) go with it through ON DELETE CASCADE.
+const deleteAccountNow = async (userId) => {
+  const files = await getUserFiles(userId);
+  await releaseCompanySeat(userId);
+
+  const result = await queryAsync('DELETE FROM users WHERE id = ?', [userId]);
+  if (result.affectedRows === 0) return false;
+
+  files.forEach(file => {
+    try {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+        console.log('Deleted file:', file.path);
+      }
+    } catch (error) {
+      console.error('Error deleting file:', file.path, error.message);
+    }
+  });
+
+  return true;
+};
+
+const purgeDueAccounts = async () => {
+  const due = await queryAsync(
+    'SELECT id FROM users WHERE deletionScheduledFor IS NOT NULL AND deletionScheduledFor <= NOW()'
+  );
+
+  let deleted = 0;
+  for (const { id } of due) {
+    try {
+      if (await deleteAccountNow(id)) deleted++;
+    } catch (error) {
+      console.error(`❌ Failed to delete account ${id}:`, error.message);
+    }
+  }
+
+  if (deleted > 0) {
+    console.log(`🗑️ Deleted ${deleted} account(s) past their deletion grace period`);
+  }
+  return deleted;
+};
+
+const startAccountDeletionJob = () => {
+  const run = () => purgeDueAccounts().catch(error => {
+    console.error('❌ Account deletion job error:', error.message);
+  });
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  createAccountDeletionColumns,
+  getUserFiles,
+  scheduleDeletion,
+  cancelDeletion,
+  deleteAccountNow,
+  purgeDueAccounts,
+  startAccountDeletionJob,
+  DELETION_GRACE_DAYS
+};
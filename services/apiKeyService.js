@@ -0,0 +1,152 @@
+// services/apiKeyService.js
+// Recruiter-managed API keys for scripts and ATS integrations. A key looks
+// like tc_<prefix>_<secret>; only its sha256 hash is stored and the full
+// value is shown once, when it is created.
+const crypto = require('crypto');
+const { queryAsync } = require('../config/db');
+const { hashToken } = require('./sessionService');
+
+const API_KEY_SCOPES = ['search:read', 'contact:send', 'profile:read'];
+const MAX_ACTIVE_KEYS = 10;
+const KEY_PATTERN = /^tc_([a-f0-9]{8})_([A-Za-z0-9_-]{43})$/;
+
+// Create API keys table
+const createApiKeysTable = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      keyPrefix CHAR(8) NOT NULL,
+      keyHash CHAR(64) NOT NULL,
+      scopes JSON NOT NULL,
+      usageCount BIGINT NOT NULL DEFAULT 0,
+      lastUsedAt DATETIME,
+      lastUsedIp VARCHAR(45),
+      expiresAt DATETIME,
+      revokedAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_api_key_hash (keyHash),
+      INDEX idx_api_keys_user (userId, revokedAt)
+    )
+  `);
+  console.log('✅ API keys table ready');
+};
+
+const apiKeyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseScopes = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith('tc_');
+
+// Returns { apiKey, key } - `key` is the only time the secret is available
+const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  if (!name || !String(name).trim()) {
+    throw apiKeyError('Key name is required');
+  }
+
+  const requested = Array.isArray(scopes) ? [...new Set(scopes)] : [];
+  if (requested.length === 0 || requested.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    throw apiKeyError(`Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  const days = expiresInDays ? parseInt(expiresInDays, 10) : null;
+  if (expiresInDays && (!days || days < 1 || days > 365)) {
+    throw apiKeyError('expiresInDays must be between 1 and 365');
+  }
+
+  const active = await queryAsync(
+    'SELECT COUNT(*) AS total FROM api_keys WHERE userId = ? AND revokedAt IS NULL',
+    [userId]
+  );
+  if (Number(active[0].total) >= MAX_ACTIVE_KEYS) {
+    throw apiKeyError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys`, 409);
+  }
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `tc_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const result = await queryAsync(
+    `INSERT INTO api_keys (userId, name, keyPrefix, keyHash, scopes, expiresAt)
+     VALUES (?, ?, ?, ?, ?, ${days ? 'NOW() + INTERVAL ? DAY' : 'NULL'})`,
+    [userId, String(name).trim().slice(0, 100), prefix, hashToken(key), JSON.stringify(requested), ...(days ? [days] : [])]
+  );
+
+  const [apiKey] = await listApiKeys(userId, result.insertId);
+  return { apiKey, key };
+};
+
+const listApiKeys = async (userId, keyId = null) => {
+  const rows = await queryAsync(
+    `SELECT id, name, keyPrefix, scopes, usageCount, lastUsedAt, lastUsedIp, expiresAt, revokedAt, createdAt
+     FROM api_keys
+     WHERE userId = ? ${keyId ? 'AND id = ?' : ''}
+     ORDER BY createdAt DESC`,
+    keyId ? [userId, keyId] : [userId]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    usageCount: Number(row.usageCount),
+    scopes: parseScopes(row.scopes),
+    displayKey: `tc_${row.keyPrefix}_…`
+  }));
+};
+
+const revokeApiKey = async (userId, keyId) => {
+  const result = await queryAsync(
+    'UPDATE api_keys SET revokedAt = NOW() WHERE id = ? AND userId = ? AND revokedAt IS NULL',
+    [keyId, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+// Resolve a presented key to its owner. Returns null for unknown, revoked
+// or expired keys.
+const authenticateApiKey = async (rawKey) => {
+  if (!KEY_PATTERN.test(rawKey)) return null;
+
+  const rows = await queryAsync(
+    `SELECT k.id, k.scopes, u.id AS userId, u.email, u.userType
+     FROM api_keys k
+     JOIN users u ON u.id = k.userId
+     WHERE k.keyHash = ? AND k.revokedAt IS NULL
+       AND (k.expiresAt IS NULL OR k.expiresAt > NOW())
+       AND u.deletionScheduledFor IS NULL`,
+    [hashToken(rawKey)]
+  );
+
+  if (rows.length === 0) return null;
+  return { ...rows[0], scopes: parseScopes(rows[0].scopes) };
+};
+
+const recordApiKeyUsage = async (keyId, ipAddress) => {
+  await queryAsync(
+    'UPDATE api_keys SET usageCount = usageCount + 1, lastUsedAt = NOW(), lastUsedIp = ? WHERE id = ?',
+    [ipAddress, keyId]
+  );
+};
+
+module.exports = {
+  createApiKeysTable,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+  recordApiKeyUsage,
+  isApiKey,
+  API_KEY_SCOPES
+};
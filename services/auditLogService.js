@@ -0,0 +1,118 @@
+// services/auditLogService.js
+// Audit trail for privileged actions (admin impersonation and anything done
+// under it). Rows are never updated or deleted by the application.
+const { queryAsync } = require('../config/db');
+const { getClientInfo } = require('./sessionService');
+
+const MAX_AUDIT_LIMIT = 200;
+
+// Create audit logs table
+const createAuditLogsTable = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      actorUserId INT,
+      targetUserId INT,
+      impersonationId INT,
+      action VARCHAR(60) NOT NULL,
+      httpMethod VARCHAR(10),
+      path VARCHAR(255),
+      statusCode SMALLINT,
+      ipAddress VARCHAR(45),
+      userAgent VARCHAR(255),
+      metadata JSON,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_actor (actorUserId, createdAt),
+      INDEX idx_target (targetUserId, createdAt),
+      INDEX idx_impersonation (impersonationId)
+    )
+  `);
+
+  console.log('✅ Audit logs table ready');
+};
+
+// No foreign keys on the user columns: the trail has to outlive deleted accounts
+const recordAuditLog = async ({
+  actorUserId,
+  targetUserId = null,
+  impersonationId = null,
+  action,
+  req = null,
+  statusCode = null,
+  metadata = null
+}) => {
+  const { ipAddress, userAgent } = getClientInfo(req);
+
+  await queryAsync(
+    `INSERT INTO audit_logs
+       (actorUserId, targetUserId, impersonationId, action, httpMethod, path, statusCode, ipAddress, userAgent, metadata)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      actorUserId,
+      targetUserId,
+      impersonationId,
+      action,
+      req ? req.method : null,
+      req ? String(req.originalUrl || '').slice(0, 255) : null,
+      statusCode,
+      ipAddress,
+      userAgent,
+      metadata ? JSON.stringify(metadata) : null
+    ]
+  );
+};
+
+// Fire-and-forget version for request hooks
+const trackAuditLog = (entry) => {
+  recordAuditLog(entry).catch(error => console.error('❌ Audit log error:', error.message));
+};
+
+// Newest first, filtered by actor, target and/or impersonation session
+const getAuditLogs = async ({ actorUserId, targetUserId, impersonationId, page = 1, limit = 50 } = {}) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_AUDIT_LIMIT);
+  const conditions = [];
+  const params = [];
+
+  if (actorUserId) {
+    conditions.push('actorUserId = ?');
+    params.push(actorUserId);
+  }
+  if (targetUserId) {
+    conditions.push('targetUserId = ?');
+    params.push(targetUserId);
+  }
+  if (impersonationId) {
+    conditions.push('impersonationId = ?');
+    params.push(impersonationId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const logs = await queryAsync(
+    `SELECT * FROM audit_logs ${where} ORDER BY createdAt DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, pageSize, (pageNumber - 1) * pageSize]
+  );
+  const countRows = await queryAsync(`SELECT COUNT(*) AS total FROM audit_logs ${where}`, params);
+  const total = Number(countRows[0].total) || 0;
+
+  return {
+    logs: logs.map(log => ({
+      ...log,
+      metadata: typeof log.metadata === 'string' ? JSON.parse(log.metadata) : log.metadata
+    })),
+    pagination: {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      totalLogs: total,
+      limit: pageSize
+    }
+  };
+};
+
+module.exports = {
+  createAuditLogsTable,
+  recordAuditLog,
+  trackAuditLog,
+  getAuditLogs
+};
@@ -0,0 +1,164 @@
+// services/authEventService.js
+// Account access history: sign-ins, failed attempts, password resets and
+// token refreshes, each with the IP address and user agent it came from.
+const { queryAsync } = require('../config/db');
+const { getClientInfo, hashToken } = require('./sessionService');
+
+const AUTH_EVENT_TYPES = [
+  'login_success',
+  'login_failure',
+  'password_reset',
+  'password_reset_failure',
+  'password_change',
+  'token_refresh'
+];
+const MAX_HISTORY_LIMIT = 100;
+
+// Create auth events table
+const createAuthEventsTable = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS auth_events (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT NOT NULL,
+      eventType VARCHAR(32) NOT NULL,
+      method VARCHAR(20),
+      detail VARCHAR(50),
+      sessionId INT,
+      ipAddress VARCHAR(45),
+      userAgent VARCHAR(255),
+      deviceHash CHAR(64),
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_user_events (userId, createdAt),
+      INDEX idx_user_device (userId, deviceHash, eventType)
+    )
+  `);
+
+  console.log('✅ Auth events table ready');
+};
+
+// A "device" is a browser/OS combination; the IP is left out because it
+// changes too often (mobile networks, VPNs) to identify a device by
+const getDeviceHash = (userAgent) => {
+  return userAgent ? hashToken(userAgent.toLowerCase()) : null;
+};
+
+// Human-readable "Chrome on Windows" label for emails and the dashboard
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/PostmanRuntime/, 'Postman'],
+    [/curl\//, 'curl']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/iPhone|iPad|iOS/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+  const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[1]} on ${system[1]}`;
+  if (browser) return browser[1];
+  if (system) return `Unknown browser on ${system[1]}`;
+  return 'Unknown device';
+};
+
+// Store one event. Only events for known accounts are kept - failed logins
+// for usernames that don't exist are tracked in auth_attempts instead.
+const recordAuthEvent = async ({ userId, eventType, method = null, detail = null, sessionId = null, req }) => {
+  if (!userId) return null;
+
+  if (!AUTH_EVENT_TYPES.includes(eventType)) {
+    throw new Error(`Unknown auth event type: ${eventType}`);
+  }
+
+  const { ipAddress, userAgent } = getClientInfo(req);
+
+  const result = await queryAsync(
+    `INSERT INTO auth_events (userId, eventType, method, detail, sessionId, ipAddress, userAgent, deviceHash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, eventType, method, detail, sessionId, ipAddress, userAgent, getDeviceHash(userAgent)]
+  );
+
+  return result.insertId;
+};
+
+// Fire-and-forget wrapper for request handlers - history tracking must
+// never fail or slow down the request it describes
+const trackAuthEvent = (event) => {
+  recordAuthEvent(event).catch(error => console.error('❌ Auth event tracking error:', error.message));
+};
+
+// Record a successful sign-in and report whether it came from a device the
+// user hasn't signed in from before. The very first sign-in of an account
+// is never treated as new, there is nothing to compare it with.
+const recordSignIn = async ({ userId, method, sessionId, req }) => {
+  const { ipAddress, userAgent } = getClientInfo(req);
+  const deviceHash = getDeviceHash(userAgent);
+
+  const rows = await queryAsync(
+    `SELECT COUNT(*) AS previousLogins, COALESCE(SUM(deviceHash <=> ?), 0) AS fromThisDevice
+     FROM auth_events
+     WHERE userId = ? AND eventType = 'login_success'`,
+    [deviceHash, userId]
+  );
+
+  await recordAuthEvent({ userId, eventType: 'login_success', method, sessionId, req });
+
+  const previousLogins = Number(rows[0].previousLogins) || 0;
+  const fromThisDevice = Number(rows[0].fromThisDevice) || 0;
+
+  return {
+    newDevice: previousLogins > 0 && fromThisDevice === 0,
+    device: describeUserAgent(userAgent),
+    ipAddress
+  };
+};
+
+// Paged history, newest first
+const getAuthHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_HISTORY_LIMIT);
+
+  const events = await queryAsync(
+    `SELECT id, eventType, method, detail, sessionId, ipAddress, userAgent, createdAt
+     FROM auth_events
+     WHERE userId = ?
+     ORDER BY createdAt DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [userId, pageSize, (pageNumber - 1) * pageSize]
+  );
+
+  const countRows = await queryAsync('SELECT COUNT(*) AS total FROM auth_events WHERE userId = ?', [userId]);
+  const total = Number(countRows[0].total) || 0;
+
+  return {
+    events: events.map(event => ({ ...event, device: describeUserAgent(event.userAgent) })),
+    pagination: {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      totalEvents: total,
+      limit: pageSize
+    }
+  };
+};
+
+module.exports = {
+  createAuthEventsTable,
+  recordAuthEvent,
+  trackAuthEvent,
+  recordSignIn,
+  getAuthHistory,
+  describeUserAgent,
+  AUTH_EVENT_TYPES
+};
@@ -0,0 +1,263 @@
+// services/candidateScoringService.js
+// Composite fit score for skill and job description matching. Skill
+// overlap is blended with experience fit, location proximity, salary fit
+// against the recruiter's budget and availability, by weights that come
+// from the request, the recruiter's saved defaults or DEFAULT_SCORING_WEIGHTS.
+//
+// A factor only counts when the search gives it a target (no budget, no
+// salary factor); the weights of the factors that count are scaled to 100%.
+// Candidates missing the data a factor needs score UNKNOWN_FACTOR_SCORE on it.
+const { queryAsync } = require('../config/db');
+const { resolveBudget } = require('./salaryService');
+const { resolveLocationId, getLocation, locationProximity } = require('./locationService');
+
+const SCORING_FACTORS = ['skills', 'experience', 'location', 'salary', 'availability'];
+const DEFAULT_SCORING_WEIGHTS = { skills: 50, experience: 15, location: 15, salary: 10, availability: 10 };
+const MAX_FACTOR_WEIGHT = 100;
+
+const UNKNOWN_FACTOR_SCORE = 0.5;
+const AVAILABILITY_SCORES = { available: 1, busy: 0.3 };
+
+const scoringError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Create recruiter default weights table
+const createScoringTables = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS recruiter_scoring_weights (
+      userId INT PRIMARY KEY,
+      weights JSON NOT NULL,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  console.log('✅ Scoring weight table ready');
+};
+
+// Partial weights ({ salary: 30 }) -> validated copy. Unknown factors and
+// values outside 0-MAX_FACTOR_WEIGHT are a 400.
+const normalizeWeights = (weights) => {
+  if (weights === undefined || weights === null) return {};
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    throw scoringError('weights must be an object');
+  }
+
+  const normalized = {};
+  Object.entries(weights).forEach(([factor, value]) => {
+    if (!SCORING_FACTORS.includes(factor)) {
+      throw scoringError(`Unknown scoring factor "${factor}". Use: ${SCORING_FACTORS.join(', ')}`);
+    }
+    const weight = Number(value);
+    if (value === null || value === '' || !Number.isFinite(weight) || weight < 0 || weight > MAX_FACTOR_WEIGHT) {
+      throw scoringError(`weights.${factor} must be a number between 0 and ${MAX_FACTOR_WEIGHT}`);
+    }
+    normalized[factor] = weight;
+  });
+  return normalized;
+};
+
+const parseStoredWeights = (value) => {
+  try {
+    return normalizeWeights(typeof value === 'string' ? JSON.parse(value) : value);
+  } catch (error) {
+    console.warn('Ignoring invalid saved scoring weights:', error.message);
+    return {};
+  }
+};
+
+// { weights, saved } - the recruiter's defaults over the built-in ones
+const getRecruiterWeights = async (userId) => {
+  const rows = await queryAsync('SELECT weights FROM recruiter_scoring_weights WHERE userId = ?', [userId]);
+  const saved = rows.length > 0 ? parseStoredWeights(rows[0].weights) : null;
+
+  return { weights: { ...DEFAULT_SCORING_WEIGHTS, ...saved }, saved: !!saved };
+};
+
+const saveRecruiterWeights = async (userId, weights) => {
+  const normalized = normalizeWeights(weights);
+  if (Object.keys(normalized).length === 0) {
+    throw scoringError('weights must set at least one factor');
+  }
+
+  await queryAsync(
+    `INSERT INTO recruiter_scoring_weights (userId, weights) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE weights = VALUES(weights)`,
+    [userId, JSON.stringify(normalized)]
+  );
+  return getRecruiterWeights(userId);
+};
+
+const resetRecruiterWeights = async (userId) => {
+  await queryAsync('DELETE FROM recruiter_scoring_weights WHERE userId = ?', [userId]);
+  return getRecruiterWeights(userId);
+};
+
+// Weights for one request: request over recruiter defaults over built-ins.
+// API key searches use the key owner's defaults.
+const resolveScoringWeights = async (userId, requestWeights) => {
+  const overrides = normalizeWeights(requestWeights);
+  const { weights } = userId ? await getRecruiterWeights(userId) : { weights: DEFAULT_SCORING_WEIGHTS };
+  return { ...weights, ...overrides };
+};
+
+const parseYears = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const years = Number(value);
+  if (!Number.isFinite(years) || years < 0 || years > 60) {
+    throw scoringError(`${label} must be a number of years between 0 and 60`);
+  }
+  return years;
+};
+
+// Request body -> targets for the optional factors; null means the factor
+// doesn't count. location takes free text or a locationId.
+const buildScoringTargets = ({
+  experienceMinYears,
+  experienceMaxYears,
+  location,
+  locationId,
+  salaryBudget,
+  budgetCurrency,
+  budgetPeriod
+} = {}) => {
+  const minYears = parseYears(experienceMinYears, 'experienceMinYears');
+  const maxYears = parseYears(experienceMaxYears, 'experienceMaxYears');
+  if (minYears !== null && maxYears !== null && minYears > maxYears) {
+    throw scoringError('experienceMinYears cannot be greater than experienceMaxYears');
+  }
+
+  let place = null;
+  if (locationId !== undefined && locationId !== null && locationId !== '') {
+    try {
+      place = getLocation(locationId);
+    } catch {
+      throw scoringError('locationId must be a known location');
+    }
+  } else if (location && String(location).trim()) {
+    const resolvedId = resolveLocationId(location);
+    if (!resolvedId) {
+      throw scoringError(`Unknown location "${location}"`);
+    }
+    place = getLocation(resolvedId);
+  }
+
+  return {
+    experience: minYears !== null || maxYears !== null ? { minYears: minYears || 0, maxYears } : null,
+    location: place,
+    salary: resolveBudget({ salaryBudget, budgetCurrency, budgetPeriod })
+  };
+};
+
+// Body fields prepareScoring reads, for callers that store them
+const SCORING_INPUT_FIELDS = [
+  'weights', 'experienceMinYears', 'experienceMaxYears', 'location', 'locationId',
+  'salaryBudget', 'budgetCurrency', 'budgetPeriod'
+];
+
+// Check scoring input without resolving the recruiter's weights; throws the
+// same 400s as prepareScoring
+const validateScoringInput = (body = {}) => {
+  normalizeWeights(body.weights);
+  buildScoringTargets(body);
+};
+
+// Request body -> { targets, weights } for scoreCandidate. Throws 400 on
+// invalid input, or when the weights leave no factor to score by.
+// `defaults` are targets taken from elsewhere (a parsed job description)
+// that the body can override.
+const prepareScoring = async (userId, body = {}, defaults = {}) => {
+  const weights = await resolveScoringWeights(userId, body.weights);
+  const targets = { ...defaults };
+  Object.entries(buildScoringTargets(body)).forEach(([factor, target]) => {
+    if (target) targets[factor] = target;
+  });
+
+  const scored = SCORING_FACTORS.filter(factor => weights[factor] > 0
+    && (factor === 'skills' || factor === 'availability' || targets[factor]));
+  if (scored.length === 0) {
+    throw scoringError('weights must leave at least one factor with a weight above 0');
+  }
+
+  return { targets, weights };
+};
+
+// Each scorer returns 0-1, or null when the candidate lacks the data
+
+const scoreExperience = (candidate, target) => {
+  if (!Number(candidate.hasExperience)) return null;
+
+  const years = Number(candidate.experienceYears) || 0;
+  if (years < target.minYears) return target.minYears > 0 ? years / target.minYears : 1;
+  // Over the top of the range costs 10% a year, down to half
+  if (target.maxYears !== null && years > target.maxYears) {
+    return Math.max(0.5, 1 - (years - target.maxYears) * 0.1);
+  }
+  return 1;
+};
+
+// Within budget is a full score; asking more loses the overshoot as a
+// share of the budget (twice the budget scores 0). Only compared in the
+// budget's currency, like the salary filter.
+const scoreSalary = (candidate, budget) => {
+  if (!Number(candidate.hasSalary) || candidate.salaryCurrency !== budget.currency) return null;
+
+  const asking = Number(candidate.salaryAmount);
+  if (asking <= budget.amount) return 1;
+  return Math.max(0, 1 - (asking - budget.amount) / budget.amount);
+};
+
+const scoreAvailability = (candidate) => {
+  const score = AVAILABILITY_SCORES[candidate.availability];
+  return score === undefined ? null : score;
+};
+
+// Candidate row (with the sort helper columns) and its 0-100 skill score
+// -> { matchScore, factors }. factors has, per factor, its 0-100 score and
+// the share of the total it was given (0 when it didn't count).
+const scoreCandidate = (candidate, skillScore, targets, weights) => {
+  const raw = {
+    skills: skillScore / 100,
+    experience: targets.experience ? scoreExperience(candidate, targets.experience) : undefined,
+    location: targets.location ? locationProximity(candidate.locationId, targets.location.id) : undefined,
+    salary: targets.salary ? scoreSalary(candidate, targets.salary) : undefined,
+    availability: scoreAvailability(candidate)
+  };
+
+  const applied = SCORING_FACTORS.filter(factor => raw[factor] !== undefined && weights[factor] > 0);
+  const totalWeight = applied.reduce((sum, factor) => sum + weights[factor], 0);
+
+  let total = 0;
+  const factors = {};
+  SCORING_FACTORS.forEach(factor => {
+    const counts = applied.includes(factor);
+    const known = raw[factor] !== undefined && raw[factor] !== null;
+    const score = known ? raw[factor] : UNKNOWN_FACTOR_SCORE;
+    const share = counts && totalWeight > 0 ? weights[factor] / totalWeight : 0;
+
+    total += score * share;
+    factors[factor] = {
+      score: raw[factor] === undefined ? null : Math.round(score * 100),
+      weight: Math.round(share * 100),
+      ...(raw[factor] === null ? { unknown: true } : {})
+    };
+  });
+
+  return { matchScore: Math.round(total * 100), factors };
+};
+
+module.exports = {
+  createScoringTables,
+  SCORING_FACTORS,
+  DEFAULT_SCORING_WEIGHTS,
+  SCORING_INPUT_FIELDS,
+  validateScoringInput,
+  getRecruiterWeights,
+  saveRecruiterWeights,
+  resetRecruiterWeights,
+  prepareScoring,
+  scoreCandidate
+};
@@ -0,0 +1,453 @@
+// services/candidateSearchService.js
+// Candidate search and skill matching, shared by the search endpoints and
+// the saved-search alert job. Criteria errors carry statusCode 400.
+const { queryAsync } = require('../config/db');
+const {
+  SORT_COLUMNS_SQL,
+  buildOrderBy,
+  buildKeysetCondition
+} = require('./searchPaginationService');
+const { buildSalaryFilter } = require('./salaryService');
+const { buildExperienceFilter, buildExperienceRangeQuery } = require('./experienceService');
+const { buildKeywordSearch, escapeLike, KEYWORD_MODES } = require('./keywordSearchService');
+const { parseSearchQuery, compileSearchQuery, isSearchQuery } = require('./searchQueryService');
+const { buildLocationQuery, buildLocationIdQuery, isWithinLocation } = require('./locationService');
+const {
+  expandSkillQuery,
+  getQuerySkillIds,
+  matchSkillRequirements,
+  scoreSkillMatch,
+  MATCH_POINTS
+} = require('./skillTaxonomyService');
+const {
+  buildExperienceBucketFilter,
+  buildHasCvFilter,
+  buildSkillIdsFilter,
+  computeSearchFacets
+} = require('./searchFacetService');
+const { scoreCandidate } = require('./candidateScoringService');
+
+// Parse a JSON array column that may arrive as a string or already parsed
+const parseJsonArray = (value, label, candidateId) => {
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn(`Error parsing ${label} for candidate`, candidateId, ':', error.message);
+    return [];
+  }
+};
+
+// jobTitle -> WHERE condition and relevance score. Text using the recruiter
+// query language (AND/OR/NOT, parentheses, field:value, see
+// searchQueryService) is compiled from that; anything else is a FULLTEXT
+// keyword search. keywordMode forces one: 'query', 'natural' or 'boolean'.
+const buildJobTitleSearch = (jobTitle, keywordMode) => {
+  if (keywordMode && ![...KEYWORD_MODES, 'query'].includes(keywordMode)) {
+    const error = new Error(`keywordMode must be one of: ${[...KEYWORD_MODES, 'query'].join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (keywordMode === 'query' || (!keywordMode && isSearchQuery(jobTitle))) {
+    const compiled = compileSearchQuery(parseSearchQuery(jobTitle), {
+      buildExperience: (min, max) => buildExperienceRangeQuery(min, max),
+      buildLocation: (value) => buildLocationQuery(value)
+    });
+    return { ...compiled, mode: 'query' };
+  }
+
+  return buildKeywordSearch(jobTitle, keywordMode);
+};
+
+// Columns every candidate listing returns
+const CANDIDATE_COLUMNS_SQL = `
+      u.id,
+      u.firstName,
+      u.lastName,
+      u.email,
+      u.phone,
+      u.location,
+      u.locationId,
+      u.createdAt,
+      js.title,
+      js.experience,
+      js.experienceMinYears,
+      js.experienceMaxYears,
+      js.skills,
+      js.expectedSalary,
+      js.salaryMin,
+      js.salaryMax,
+      js.salaryCurrency,
+      js.salaryPeriod,
+      js.linkedinUrl,
+      js.githubUrl,
+      js.bio,
+      js.availability,
+      js.cvFilePath,
+      js.certificatesPath`;
+
+// Criteria fields searchCandidates understands (also what saved searches store)
+const SEARCH_CRITERIA_FIELDS = [
+  'jobTitle', 'keywordMode', 'location', 'radiusKm', 'experience',
+  'minExperience', 'maxExperience', 'seniority', 'availability',
+  'salaryRange', 'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod',
+  'experienceBucket', 'locationId', 'skillIds', 'hasCv'
+];
+
+// Criteria -> FROM/WHERE clause and relevance expression. Throws a 400
+// error (with `position` for query syntax errors) on invalid criteria, so
+// it doubles as validation. excludeSeenBy leaves out candidates a saved
+// search has already reported.
+const buildCandidateSearch = (criteria = {}, { excludeSeenBy = null } = {}) => {
+  const {
+    jobTitle,
+    keywordMode,
+    location,
+    radiusKm,
+    experience,
+    minExperience,
+    maxExperience,
+    seniority,
+    availability,
+    salaryRange,
+    salaryMin,
+    salaryMax,
+    salaryCurrency,
+    salaryPeriod,
+    experienceBucket,
+    locationId,
+    skillIds,
+    hasCv
+  } = criteria;
+
+  const salaryFilter = buildSalaryFilter({ salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRange });
+  const experienceFilter = buildExperienceFilter({ experience, minExperience, maxExperience, seniority });
+  // Facet selections (see searchFacetService)
+  const facetFilters = [
+    buildExperienceBucketFilter(experienceBucket),
+    buildLocationIdQuery(locationId),
+    buildSkillIdsFilter(skillIds),
+    buildHasCvFilter(hasCv)
+  ];
+  const keywordSearch = jobTitle && jobTitle.trim() ? buildJobTitleSearch(jobTitle, keywordMode) : null;
+
+  let conditions = '';
+  const params = [];
+
+  // Relevance is scored in SQL so it can be ordered and paged across the
+  // whole table (see keywordSearchService for the weights)
+  let relevanceSql = '0';
+  const relevanceParams = [];
+
+  if (keywordSearch) {
+    conditions += ` AND ${keywordSearch.condition}`;
+    params.push(...keywordSearch.params);
+
+    relevanceSql = keywordSearch.scoreSql;
+    relevanceParams.push(...keywordSearch.scoreParams);
+  }
+
+  // Place and everything under it, or every city within radiusKm of it
+  // (see locationService)
+  const locationQuery = buildLocationQuery(location, { radiusKm });
+  if (locationQuery.condition) {
+    conditions += ` AND ${locationQuery.condition}`;
+    params.push(...locationQuery.params);
+  }
+
+  // Parsed years, so "3 yrs" finds "3 years" (see experienceService)
+  if (experienceFilter.condition) {
+    conditions += ` AND ${experienceFilter.condition}`;
+    params.push(...experienceFilter.params);
+  }
+
+  if (availability && availability.trim()) {
+    conditions += ` AND js.availability = ?`;
+    params.push(availability.trim());
+  }
+
+  if (salaryFilter.condition) {
+    conditions += ` AND ${salaryFilter.condition}`;
+    params.push(...salaryFilter.params);
+  }
+
+  facetFilters.forEach(filter => {
+    if (filter.condition) {
+      conditions += ` AND ${filter.condition}`;
+      params.push(...filter.params);
+    }
+  });
+
+  if (excludeSeenBy) {
+    conditions += ` AND u.id NOT IN (SELECT candidateId FROM saved_search_matches WHERE savedSearchId = ?)`;
+    params.push(excludeSeenBy);
+  }
+
+  const fromClause = `
+    FROM users u
+    INNER JOIN job_seekers js ON u.id = js.userId
+    WHERE u.userType = 'jobseeker'
+      AND u.emailVerified = TRUE
+      AND u.deletionScheduledFor IS NULL
+      ${conditions}
+  `;
+
+  return {
+    fromClause,
+    params,
+    relevanceSql,
+    relevanceParams,
+    keywordMode: keywordSearch ? keywordSearch.mode : null
+  };
+};
+
+// One page of candidates. Returns { rows, total, keywordMode } where rows
+// holds up to limit + 1 rows for buildPaginationResult, plus facet counts
+// over the whole result set when includeFacets is set.
+const searchCandidates = async (criteria, { sort, pagination, excludeSeenBy = null, includeFacets = false }) => {
+  const search = buildCandidateSearch(criteria, { excludeSeenBy });
+
+  const innerQuery = `
+    SELECT ${CANDIDATE_COLUMNS_SQL},
+      ${search.relevanceSql} AS relevanceScore,
+      ${SORT_COLUMNS_SQL}
+    ${search.fromClause}
+  `;
+
+  // Fetch one extra row to know whether there is a next page
+  const keyset = buildKeysetCondition(sort, pagination.cursorValues);
+  const pageQuery = `
+    SELECT * FROM (${innerQuery}) AS results
+    ${keyset.condition ? `WHERE ${keyset.condition}` : ''}
+    ORDER BY ${buildOrderBy(sort)}
+    LIMIT ? OFFSET ?
+  `;
+
+  const [rows, countRows, facets] = await Promise.all([
+    queryAsync(pageQuery, [...search.relevanceParams, ...search.params, ...keyset.params, pagination.limit + 1, pagination.offset]),
+    queryAsync(`SELECT COUNT(*) AS total ${search.fromClause}`, search.params),
+    includeFacets ? computeSearchFacets(search, { salaryCurrency: criteria.salaryCurrency }) : null
+  ]);
+
+  return {
+    rows,
+    total: Number(countRows[0].total) || 0,
+    keywordMode: search.keywordMode,
+    ...(facets ? { facets } : {})
+  };
+};
+
+// Ids of every candidate matching the criteria
+const findCandidateIds = async (criteria, { excludeSeenBy = null } = {}) => {
+  const search = buildCandidateSearch(criteria, { excludeSeenBy });
+  const rows = await queryAsync(`SELECT u.id ${search.fromClause}`, search.params);
+  return rows.map(row => row.id);
+};
+
+// Comma/semicolon/newline separated skills -> lower-case list
+const parseInputSkills = (skills) => {
+  return String(skills || '').toLowerCase()
+    .split(/[,;|\n]/)
+    .map(skill => skill.trim())
+    .filter(skill => skill.length > 0);
+};
+
+// Candidates with at least one skill an expanded query accepts, each with
+// `skillList` ([{ id, name }] in profile order). experienceFilter is a
+// { condition, params } from buildExperienceFilter.
+const loadSkillCandidates = async (expanded, experienceFilter = null) => {
+  const skillIds = getQuerySkillIds(expanded);
+  const unknownTerms = expanded.filter(item => !item.skillId).map(item => `%${escapeLike(item.text)}%`);
+
+  const filters = [];
+  const params = [];
+  if (skillIds.length > 0) {
+    filters.push(`u.id IN (SELECT userId FROM job_seeker_skills WHERE skillId IN (${skillIds.map(() => '?').join(', ')}))`);
+    params.push(...skillIds);
+  }
+  // Skills the taxonomy doesn't know yet match on the flattened names
+  unknownTerms.forEach(term => {
+    filters.push('js.skillsText LIKE ?');
+    params.push(term);
+  });
+
+  if (filters.length === 0) return [];
+
+  const query = `
+    SELECT ${CANDIDATE_COLUMNS_SQL},
+      ${SORT_COLUMNS_SQL}
+    FROM users u
+    INNER JOIN job_seekers js ON u.id = js.userId
+    WHERE u.userType = 'jobseeker' 
+      AND u.emailVerified = TRUE
+      AND u.deletionScheduledFor IS NULL
+      AND (${filters.join(' OR ')})
+      ${experienceFilter && experienceFilter.condition ? `AND ${experienceFilter.condition}` : ''}
+  `;
+
+  const allCandidates = await queryAsync(query, [...params, ...(experienceFilter ? experienceFilter.params : [])]);
+  if (allCandidates.length === 0) return [];
+
+  const skillRows = await queryAsync(
+    `SELECT jss.userId, s.id, s.name
+     FROM job_seeker_skills jss
+     JOIN skills s ON s.id = jss.skillId
+     WHERE jss.userId IN (${allCandidates.map(() => '?').join(', ')})
+     ORDER BY jss.userId, jss.position`,
+    allCandidates.map(candidate => candidate.id)
+  );
+
+  const skillsByUser = new Map();
+  skillRows.forEach(row => {
+    if (!skillsByUser.has(row.userId)) skillsByUser.set(row.userId, []);
+    skillsByUser.get(row.userId).push({ id: row.id, name: row.name });
+  });
+
+  return allCandidates.map(candidate => ({
+    ...candidate,
+    skillList: skillsByUser.get(candidate.id) || []
+  }));
+};
+
+// Skill score -> matchScore. With scoring ({ targets, weights } from
+// candidateScoringService.prepareScoring) it's the composite fit score and
+// matchDetails.factors has the per-factor breakdown; without, the skill score.
+const applyFitScore = (candidate, skillScore, matchDetails, scoring) => {
+  if (!scoring) {
+    return { ...candidate, matchScore: skillScore, skillScore, matchDetails };
+  }
+
+  const { matchScore, factors } = scoreCandidate(candidate, skillScore, scoring.targets, scoring.weights);
+  return { ...candidate, matchScore, skillScore, matchDetails: { ...matchDetails, factors } };
+};
+
+// Score candidates against the input skills using the skill taxonomy:
+// per input skill an exact match scores 3, a parent/child skill 2 and a
+// related skill 1, as a percentage of the best possible score. Only
+// candidates with at least one of those skills are loaded; that skill
+// score is then blended with the other factors (see applyFitScore).
+// filters takes minExperience / maxExperience / seniority.
+// Returns { candidates (skill score > 0, unsorted), processed }.
+const matchCandidateSkills = async (inputSkills, scoring = null, filters = {}) => {
+  const experienceFilter = buildExperienceFilter(filters);
+  const expanded = expandSkillQuery(inputSkills);
+  const allCandidates = await loadSkillCandidates(expanded, experienceFilter);
+
+  console.log(`Processing ${allCandidates.length} candidates for skill matching`);
+
+  const candidates = allCandidates.map(({ skillList, ...candidate }) => {
+    const { matchScore, matchingSkills, matchDetails } = scoreSkillMatch(expanded, skillList);
+
+    return applyFitScore({
+      ...candidate,
+      skills: skillList.map(skill => skill.name),
+      certificatesPath: parseJsonArray(candidate.certificatesPath, 'certificates', candidate.id),
+      matchingSkills
+    }, matchScore, matchDetails, scoring);
+  }).filter(candidate => candidate.skillScore > 0);
+
+  return { candidates, processed: allCandidates.length };
+};
+
+// Default weight of a required vs a nice-to-have skill in JD matching
+const JD_SKILL_WEIGHTS = { required: 2, optional: 1 };
+const MAX_JD_SKILL_WEIGHT = 10;
+
+const parseSkillWeight = (value, fallback, label) => {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const weight = Number(value);
+  if (!Number.isFinite(weight) || weight < 0 || weight > MAX_JD_SKILL_WEIGHT) {
+    const error = new Error(`${label} must be a number between 0 and ${MAX_JD_SKILL_WEIGHT}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return weight;
+};
+
+// Rank candidates against a parsed job description (see
+// jobDescriptionService). Each skill earns its exact/partial/related
+// points times its weight, as a percentage of the best possible score;
+// that skill score is blended with the other factors (see applyFitScore).
+// Every candidate carries `requirements`: each extracted skill with how it
+// was met (match null = missing), and whether their experience and
+// location fit. filters takes minExperience / maxExperience / seniority.
+// Returns { candidates (skill score > 0, unsorted), processed, weights }.
+const matchJobDescriptionCandidates = async (requirements, { requiredWeight, optionalWeight, scoring = null, filters = {} } = {}) => {
+  const weights = {
+    required: parseSkillWeight(requiredWeight, JD_SKILL_WEIGHTS.required, 'requiredWeight'),
+    optional: parseSkillWeight(optionalWeight, JD_SKILL_WEIGHTS.optional, 'optionalWeight')
+  };
+  if (weights.required + weights.optional === 0) {
+    const error = new Error('requiredWeight and optionalWeight cannot both be 0');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const experienceFilter = buildExperienceFilter(filters);
+  const required = expandSkillQuery(requirements.requiredSkills.map(skill => skill.name));
+  const optional = expandSkillQuery(requirements.optionalSkills.map(skill => skill.name));
+  const allCandidates = await loadSkillCandidates([...required, ...optional], experienceFilter);
+
+  console.log(`Processing ${allCandidates.length} candidates for job description matching`);
+
+  const maxPoints = MATCH_POINTS.exact * (required.length * weights.required + optional.length * weights.optional);
+  const { seniority, location } = requirements;
+  const place = location && !location.remote ? location.place : null;
+
+  const candidates = allCandidates.map(({ skillList, ...candidate }) => {
+    const toRequirement = (match) => ({ skill: match.name, match: match.kind, candidateSkill: match.matchedSkill });
+    const requiredMatches = matchSkillRequirements(required, skillList);
+    const optionalMatches = matchSkillRequirements(optional, skillList);
+
+    const points = (matches, weight) => matches.reduce((sum, match) => sum + (match.kind ? MATCH_POINTS[match.kind] * weight : 0), 0);
+    const score = points(requiredMatches, weights.required) + points(optionalMatches, weights.optional);
+
+    const candidateYears = Number(candidate.hasExperience) ? Number(candidate.experienceYears) : null;
+
+    const allMatches = [...requiredMatches, ...optionalMatches];
+    const countKind = (kind) => allMatches.filter(match => match.kind === kind).length;
+    const matchDetails = {
+      exact: countKind('exact'),
+      partial: countKind('partial'),
+      related: countKind('related'),
+      total: allMatches.filter(match => match.kind).length
+    };
+
+    return applyFitScore({
+      ...candidate,
+      skills: skillList.map(skill => skill.name),
+      certificatesPath: parseJsonArray(candidate.certificatesPath, 'certificates', candidate.id),
+      requirements: {
+        required: requiredMatches.map(toRequirement),
+        optional: optionalMatches.map(toRequirement),
+        experience: seniority ? {
+          minYears: seniority.minYears,
+          maxYears: seniority.maxYears,
+          candidateYears,
+          // Unknown when the profile states no years
+          satisfied: candidateYears === null ? null : candidateYears >= seniority.minYears
+        } : null,
+        location: place ? {
+          name: place.path,
+          satisfied: isWithinLocation(candidate.locationId, place.id)
+        } : null
+      },
+      missingRequired: requiredMatches.filter(match => !match.kind).map(match => match.name)
+    }, maxPoints > 0 ? Math.round((score / maxPoints) * 100) : 0, matchDetails, scoring);
+  }).filter(candidate => candidate.skillScore > 0);
+
+  return { candidates, processed: allCandidates.length, weights };
+};
+
+module.exports = {
+  SEARCH_CRITERIA_FIELDS,
+  buildCandidateSearch,
+  searchCandidates,
+  findCandidateIds,
+  parseInputSkills,
+  matchCandidateSkills,
+  matchJobDescriptionCandidates,
+  parseJsonArray
+};
@@ -0,0 +1,338 @@
+// services/companyService.js
+// Companies that recruiters belong to, with owner/admin/member roles and
+// emailed invitations. Company details (name, website, industry, ...) live
+// here rather than on each recruiter's row.
+const crypto = require('crypto');
+const { queryAsync } = require('../config/db');
+const { hashToken } = require('./sessionService');
+
+const COMPANY_ROLES = ['owner', 'admin', 'member'];
+const INVITATION_ROLES = ['admin', 'member'];
+const INVITATION_TTL_DAYS = 7;
+
+// Create company tables and move existing recruiters into companies
+const createCompanyTables = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS companies (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100) NOT NULL,
+      size VARCHAR(50),
+      industry VARCHAR(100),
+      website VARCHAR(255),
+      description TEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_company_name (name)
+    )
+  `);
+
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS company_members (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      companyId INT NOT NULL,
+      userId INT NOT NULL,
+      role ENUM('owner', 'admin', 'member') NOT NULL DEFAULT 'member',
+      joinedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (companyId) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_member_user (userId),
+      INDEX idx_company_members (companyId, role)
+    )
+  `);
+
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS company_invitations (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      companyId INT NOT NULL,
+      email VARCHAR(100) NOT NULL,
+      role ENUM('admin', 'member') NOT NULL DEFAULT 'member',
+      tokenHash CHAR(64) NOT NULL,
+      invitedBy INT,
+      expiresAt DATETIME NOT NULL,
+      acceptedAt DATETIME,
+      revokedAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (companyId) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (invitedBy) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE KEY uq_invitation_token (tokenHash),
+      INDEX idx_company_invitations (companyId, acceptedAt, revokedAt)
+    )
+  `);
+
+  await migrateRecruiterCompanies();
+  console.log('✅ Company tables ready');
+};
+
+// Recruiters created before companies existed each get their own company,
+// built from the fields on their recruiters row, and become its owner
+const migrateRecruiterCompanies = async () => {
+  const nullable = await queryAsync(
+    `SELECT IS_NULLABLE FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'recruiters' AND COLUMN_NAME = 'companyName'`
+  );
+  if (nullable.length > 0 && nullable[0].IS_NULLABLE === 'NO') {
+    await queryAsync('ALTER TABLE recruiters MODIFY companyName VARCHAR(100) NULL');
+  }
+
+  const orphans = await queryAsync(`
+    SELECT r.userId, r.companyName, r.companySize, r.industry, r.companyWebsite, r.companyDescription
+    FROM recruiters r
+    LEFT JOIN company_members m ON m.userId = r.userId
+    WHERE m.id IS NULL
+  `);
+
+  for (const recruiter of orphans) {
+    await createCompany({
+      name: recruiter.companyName || 'My Company',
+      size: recruiter.companySize,
+      industry: recruiter.industry,
+      website: recruiter.companyWebsite,
+      description: recruiter.companyDescription
+    }, recruiter.userId);
+  }
+
+  if (orphans.length > 0) {
+    console.log(`Moved ${orphans.length} recruiter(s) into companies`);
+  }
+};
+
+const companyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const createCompany = async ({ name, size, industry, website, description }, ownerUserId) => {
+  const result = await queryAsync(
+    'INSERT INTO companies (name, size, industry, website, description) VALUES (?, ?, ?, ?, ?)',
+    [name, size || null, industry || null, website || null, description || null]
+  );
+
+  await queryAsync(
+    "INSERT INTO company_members (companyId, userId, role) VALUES (?, ?, 'owner')",
+    [result.insertId, ownerUserId]
+  );
+
+  return result.insertId;
+};
+
+// The user's company with their role in it, or null
+const getMembership = async (userId) => {
+  const rows = await queryAsync(
+    `SELECT c.id, c.name, c.size, c.industry, c.website, c.description,
+            c.createdAt, c.updatedAt, m.role
+     FROM company_members m
+     JOIN companies c ON c.id = m.companyId
+     WHERE m.userId = ?`,
+    [userId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const getMembers = async (companyId) => {
+  return queryAsync(
+    `SELECT u.id AS userId, u.firstName, u.lastName, u.email, r.position, m.role, m.joinedAt
+     FROM company_members m
+     JOIN users u ON u.id = m.userId
+     LEFT JOIN recruiters r ON r.userId = m.userId
+     WHERE m.companyId = ?
+     ORDER BY FIELD(m.role, 'owner', 'admin', 'member'), m.joinedAt`,
+    [companyId]
+  );
+};
+
+const updateCompany = async (companyId, { name, size, industry, website, description }) => {
+  await queryAsync(
+    'UPDATE companies SET name = ?, size = ?, industry = ?, website = ?, description = ? WHERE id = ?',
+    [name, size || null, industry || null, website || null, description || null, companyId]
+  );
+};
+
+// Returns { invitation, token } - the raw token only goes into the email
+const createInvitation = async (companyId, { email, role, invitedBy }) => {
+  const normalizedEmail = email.toLowerCase().trim();
+
+  const members = await queryAsync(
+    `SELECT m.id FROM company_members m JOIN users u ON u.id = m.userId
+     WHERE m.companyId = ? AND u.email = ?`,
+    [companyId, normalizedEmail]
+  );
+  if (members.length > 0) {
+    throw companyError('This person is already a member of your company', 409);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  // Re-inviting replaces any pending invitation for the same address
+  await queryAsync(
+    `UPDATE company_invitations SET revokedAt = NOW()
+     WHERE companyId = ? AND email = ? AND acceptedAt IS NULL AND revokedAt IS NULL`,
+    [companyId, normalizedEmail]
+  );
+  const result = await queryAsync(
+    `INSERT INTO company_invitations (companyId, email, role, tokenHash, invitedBy, expiresAt)
+     VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL ? DAY)`,
+    [companyId, normalizedEmail, role, hashToken(token), invitedBy, INVITATION_TTL_DAYS]
+  );
+
+  return {
+    invitation: { id: result.insertId, companyId, email: normalizedEmail, role },
+    token
+  };
+};
+
+const getPendingInvitations = async (companyId) => {
+  return queryAsync(
+    `SELECT i.id, i.email, i.role, i.expiresAt, i.createdAt, u.firstName AS invitedByFirstName, u.lastName AS invitedByLastName
+     FROM company_invitations i
+     LEFT JOIN users u ON u.id = i.invitedBy
+     WHERE i.companyId = ? AND i.acceptedAt IS NULL AND i.revokedAt IS NULL AND i.expiresAt > NOW()
+     ORDER BY i.createdAt DESC`,
+    [companyId]
+  );
+};
+
+const revokeInvitation = async (companyId, invitationId) => {
+  const result = await queryAsync(
+    `UPDATE company_invitations SET revokedAt = NOW()
+     WHERE id = ? AND companyId = ? AND acceptedAt IS NULL AND revokedAt IS NULL`,
+    [invitationId, companyId]
+  );
+  return result.affectedRows > 0;
+};
+
+// Pending, unexpired invitation for a token, with its company name
+const findInvitation = async (token) => {
+  if (!token) return null;
+
+  const rows = await queryAsync(
+    `SELECT i.id, i.companyId, i.email, i.role, i.expiresAt, c.name AS companyName
+     FROM company_invitations i
+     JOIN companies c ON c.id = i.companyId
+     WHERE i.tokenHash = ? AND i.acceptedAt IS NULL AND i.revokedAt IS NULL AND i.expiresAt > NOW()`,
+    [hashToken(token)]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Join the invited company. A recruiter who already belongs to a company
+// moves over; a company left without members is removed, but an owner
+// must hand over ownership before leaving a company that has others.
+const acceptInvitation = async (token, user) => {
+  const invitation = await findInvitation(token);
+  if (!invitation) {
+    throw companyError('Invalid or expired invitation');
+  }
+
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw companyError('This invitation was sent to a different email address', 403);
+  }
+
+  const current = await getMembership(user.id);
+  if (current && current.id === invitation.companyId) {
+    throw companyError('You are already a member of this company', 409);
+  }
+
+  if (current) {
+    const members = await getMembers(current.id);
+    if (current.role === 'owner' && members.length > 1) {
+      throw companyError('Transfer ownership of your current company before joining another one', 409);
+    }
+
+    await queryAsync('DELETE FROM company_members WHERE userId = ?', [user.id]);
+    if (members.length === 1) {
+      await queryAsync('DELETE FROM companies WHERE id = ?', [current.id]);
+    }
+  }
+
+  const claimed = await queryAsync(
+    'UPDATE company_invitations SET acceptedAt = NOW() WHERE id = ? AND acceptedAt IS NULL AND revokedAt IS NULL',
+    [invitation.id]
+  );
+  if (claimed.affectedRows === 0) {
+    throw companyError('Invalid or expired invitation');
+  }
+
+  await queryAsync(
+    'INSERT INTO company_members (companyId, userId, role) VALUES (?, ?, ?)',
+    [invitation.companyId, user.id, invitation.role]
+  );
+
+  return invitation;
+};
+
+// Owner-only: change a member's role. Making someone else owner demotes the
+// current owner to admin, so there is always exactly one owner.
+const changeMemberRole = async (companyId, actingUserId, memberUserId, role) => {
+  if (!COMPANY_ROLES.includes(role)) {
+    throw companyError('Role must be owner, admin or member');
+  }
+  if (Number(memberUserId) === Number(actingUserId)) {
+    throw companyError('You cannot change your own role');
+  }
+
+  const result = await queryAsync(
+    'UPDATE company_members SET role = ? WHERE companyId = ? AND userId = ?',
+    [role, companyId, memberUserId]
+  );
+  if (result.affectedRows === 0) {
+    throw companyError('Member not found', 404);
+  }
+
+  if (role === 'owner') {
+    await queryAsync(
+      "UPDATE company_members SET role = 'admin' WHERE companyId = ? AND userId = ?",
+      [companyId, actingUserId]
+    );
+  }
+};
+
+const removeMember = async (companyId, memberUserId) => {
+  const result = await queryAsync(
+    "DELETE FROM company_members WHERE companyId = ? AND userId = ? AND role != 'owner'",
+    [companyId, memberUserId]
+  );
+  if (result.affectedRows === 0) {
+    throw companyError('Member not found or cannot be removed', 404);
+  }
+};
+
+// Called before a user is deleted: an owner hands the company to the
+// longest-standing admin (or member), and an empty company is removed
+const releaseCompanySeat = async (userId) => {
+  const company = await getMembership(userId);
+  if (!company) return;
+
+  const others = (await getMembers(company.id)).filter(member => member.userId !== userId);
+
+  if (others.length === 0) {
+    await queryAsync('DELETE FROM companies WHERE id = ?', [company.id]);
+    return;
+  }
+
+  if (company.role === 'owner') {
+    const successor = others.find(member => member.role === 'admin') || others[0];
+    await queryAsync(
+      "UPDATE company_members SET role = 'owner' WHERE companyId = ? AND userId = ?",
+      [company.id, successor.userId]
+    );
+  }
+};
+
+module.exports = {
+  createCompanyTables,
+  createCompany,
+  getMembership,
+  getMembers,
+  updateCompany,
+  createInvitation,
+  getPendingInvitations,
+  revokeInvitation,
+  findInvitation,
+  acceptInvitation,
+  changeMemberRole,
+  removeMember,
+  releaseCompanySeat,
+  COMPANY_ROLES,
+  INVITATION_ROLES
+};
@@ -0,0 +1,145 @@
+// services/emailChangeService.js
+// Two-step email changes: the new address confirms with a token, and the old
+// address gets a cancel token. Only hashes of both tokens are stored.
+const crypto = require('crypto');
+const { queryAsync } = require('../config/db');
+const { hashToken } = require('./sessionService');
+
+const EMAIL_CHANGE_TTL_HOURS = 24;
+
+// Create email change requests table
+const createEmailChangeTable = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS email_change_requests (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT NOT NULL,
+      oldEmail VARCHAR(100) NOT NULL,
+      newEmail VARCHAR(100) NOT NULL,
+      confirmTokenHash CHAR(64) NOT NULL,
+      cancelTokenHash CHAR(64) NOT NULL,
+      expiresAt DATETIME NOT NULL,
+      confirmedAt DATETIME,
+      cancelledAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_confirm_token (confirmTokenHash),
+      UNIQUE KEY uq_cancel_token (cancelTokenHash),
+      INDEX idx_user_pending (userId, confirmedAt, cancelledAt)
+    )
+  `);
+  console.log('✅ Email change requests table ready');
+};
+
+const changeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isEmailTaken = async (email, exceptUserId) => {
+  const rows = await queryAsync('SELECT id FROM users WHERE email = ? AND id != ?', [email, exceptUserId]);
+  return rows.length > 0;
+};
+
+// Start a change; any earlier pending request for the user is cancelled
+const requestEmailChange = async (user, newEmail) => {
+  const normalized = newEmail.toLowerCase().trim();
+
+  if (normalized === user.email.toLowerCase()) {
+    throw changeError('New email must be different from your current email');
+  }
+
+  if (await isEmailTaken(normalized, user.id)) {
+    throw changeError('Another user with this email already exists', 409);
+  }
+
+  const confirmToken = crypto.randomBytes(32).toString('base64url');
+  const cancelToken = crypto.randomBytes(32).toString('base64url');
+
+  await queryAsync(
+    `UPDATE email_change_requests SET cancelledAt = NOW()
+     WHERE userId = ? AND confirmedAt IS NULL AND cancelledAt IS NULL`,
+    [user.id]
+  );
+  await queryAsync(
+    `INSERT INTO email_change_requests
+       (userId, oldEmail, newEmail, confirmTokenHash, cancelTokenHash, expiresAt)
+     VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL ? HOUR)`,
+    [user.id, user.email, normalized, hashToken(confirmToken), hashToken(cancelToken), EMAIL_CHANGE_TTL_HOURS]
+  );
+
+  return { newEmail: normalized, confirmToken, cancelToken };
+};
+
+// Apply a pending change. Returns { userId, oldEmail, newEmail }.
+const confirmEmailChange = async (token) => {
+  const rows = await queryAsync(
+    `SELECT id, userId, oldEmail, newEmail FROM email_change_requests
+     WHERE confirmTokenHash = ? AND confirmedAt IS NULL AND cancelledAt IS NULL AND expiresAt > NOW()`,
+    [hashToken(token)]
+  );
+
+  if (rows.length === 0) {
+    throw changeError('Invalid or expired confirmation link');
+  }
+
+  const request = rows[0];
+
+  // The address may have been claimed since the request was made
+  if (await isEmailTaken(request.newEmail, request.userId)) {
+    await queryAsync('UPDATE email_change_requests SET cancelledAt = NOW() WHERE id = ?', [request.id]);
+    throw changeError('Another user with this email already exists', 409);
+  }
+
+  // The user only gets here by clicking a link sent to the new address.
+  // Users first: if this fails the link stays usable. The old-email guard
+  // makes a second click on the same link fail here.
+  let updated;
+  try {
+    updated = await queryAsync(
+      'UPDATE users SET email = ?, emailVerified = TRUE WHERE id = ? AND email = ?',
+      [request.newEmail, request.userId, request.oldEmail]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw changeError('Another user with this email already exists', 409);
+    }
+    throw error;
+  }
+  if (updated.affectedRows === 0) {
+    throw changeError('This email change is no longer valid');
+  }
+
+  await queryAsync('UPDATE email_change_requests SET confirmedAt = NOW() WHERE id = ?', [request.id]);
+
+  return { userId: request.userId, oldEmail: request.oldEmail, newEmail: request.newEmail };
+};
+
+// Cancel from the link sent to the old address
+const cancelEmailChange = async (token) => {
+  const result = await queryAsync(
+    `UPDATE email_change_requests SET cancelledAt = NOW()
+     WHERE cancelTokenHash = ? AND confirmedAt IS NULL AND cancelledAt IS NULL`,
+    [hashToken(token)]
+  );
+  return result.affectedRows > 0;
+};
+
+const getPendingEmailChange = async (userId) => {
+  const rows = await queryAsync(
+    `SELECT newEmail, expiresAt, createdAt FROM email_change_requests
+     WHERE userId = ? AND confirmedAt IS NULL AND cancelledAt IS NULL AND expiresAt > NOW()
+     ORDER BY id DESC LIMIT 1`,
+    [userId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+module.exports = {
+  createEmailChangeTable,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+  getPendingEmailChange,
+  EMAIL_CHANGE_TTL_HOURS
+};
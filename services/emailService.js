@@ -377,7 +377,9 @@ const sendWelcomeEmail = async (userData, userType, companyName = null) => {
   }
 };
 
-const sendPasswordResetEmail = async (user, resetToken) => {
+// resetToken is { token, code }: the link carries the token, the code is for
+// typing into the mobile app
+const sendPasswordResetEmail = async (user, { token, code }) => {
   const workingTransporter = getTransporter();
   
   if (!workingTransporter) {
@@ -386,7 +388,8 @@ const sendPasswordResetEmail = async (user, resetToken) => {
   }
 
   try {
-    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+    const resetParams = new URLSearchParams({ token, email: user.email });
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?${resetParams.toString()}`;
     
     const mailOptions = {
       from: {
@@ -432,11 +435,14 @@ const sendPasswordResetEmail = async (user, resetToken) => {
                 ${resetUrl}
               </p>
               
+              <p>Using the mobile app? Enter this reset code instead:</p>
+              <p style="text-align: center; font-size: 28px; letter-spacing: 6px; font-weight: bold;">${code}</p>
+              
               <div class="warning">
                 <strong>⚠️ Important Security Information:</strong>
                 <ul>
-                  <li>This link will expire in 1 hour for security</li>
-                  <li>You can only use this link once</li>
+                  <li>This link and code will expire in 1 hour for security</li>
+                  <li>You can only use them once, and requesting a new reset cancels them</li>
                   <li>If you didn't request this reset, please ignore this email</li>
                   <li>Your current password remains active until you create a new one</li>
                 </ul>
@@ -464,9 +470,11 @@ const sendPasswordResetEmail = async (user, resetToken) => {
         
         Click this link to reset your password: ${resetUrl}
         
+        Or enter this reset code in the mobile app: ${code}
+        
         IMPORTANT:
-        - This link expires in 1 hour
-        - You can only use this link once
+        - This link and code expire in 1 hour
+        - You can only use them once, and requesting a new reset cancels them
         - If you didn't request this reset, ignore this email
         
         Best regards,
@@ -484,6 +492,815 @@ const sendPasswordResetEmail = async (user, resetToken) => {
   }
 };
 
+const sendVerificationEmail = async (user, verificationToken) => {
+  const workingTransporter = getTransporter();
+  
+  if (!workingTransporter) {
+    console.log('⚠️ Email service unavailable - skipping verification email');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+    
+    const mailOptions = {
+      from: {
+        name: 'TalentConnect',
+        address: process.env.EMAIL_USER
+      },
+      to: user.email,
+      subject: 'Verify Your TalentConnect Email Address',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✉️ Confirm Your Email</h1>
+              <p>One last step to activate your account</p>
+            </div>
+            
+            <div class="content">
+              <h2>Hello ${user.firstName}!</h2>
+              
+              <p>Thanks for signing up for TalentConnect. Please confirm that <strong>${user.email}</strong> is your email address.</p>
+              
+              <div style="text-align: center;">
+                <a href="${verifyUrl}" class="button">Verify My Email</a>
+              </div>
+              
+              <p>If the button doesn't work, copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; background: #f0f0f0; padding: 10px; border-radius: 4px;">
+                ${verifyUrl}
+              </p>
+              
+              <div class="warning">
+                <strong>⚠️ Please note:</strong>
+                <ul>
+                  <li>This link will expire in 24 hours</li>
+                  <li>Until you verify, job seekers won't appear in recruiter searches and recruiters can't contact candidates</li>
+                  <li>If you didn't create this account, please ignore this email</li>
+                </ul>
+              </div>
+              
+              <p>Best regards,<br>The TalentConnect Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2024 TalentConnect. All rights reserved.</p>
+              <p>This email was sent to ${user.email}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Verify Your Email - TalentConnect
+        
+        Hello ${user.firstName},
+        
+        Please confirm that ${user.email} is your email address by opening this link:
+        ${verifyUrl}
+        
+        This link expires in 24 hours. If you didn't create this account, ignore this email.
+        
+        Best regards,
+        The TalentConnect Team
+      `
+    };
+    
+    const result = await workingTransporter.sendMail(mailOptions);
+    console.log('✅ Verification email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('❌ Failed to send verification email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+const sendAccountLockedEmail = async (user, unlockToken, lockMinutes) => {
+  const workingTransporter = getTransporter();
+  
+  if (!workingTransporter) {
+    console.log('⚠️ Email service unavailable - skipping account locked email');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unlock-account?token=${unlockToken}`;
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+    
+    const mailOptions = {
+      from: {
+        name: 'TalentConnect',
+        address: process.env.EMAIL_USER
+      },
+      to: user.email,
+      subject: 'Your TalentConnect Account Has Been Temporarily Locked',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f44336 0%, #e91e63 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #f44336; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔒 Account Temporarily Locked</h1>
+              <p>Too many failed sign-in attempts</p>
+            </div>
+            
+            <div class="content">
+              <h2>Hello ${user.firstName}!</h2>
+              
+              <p>We noticed several failed attempts to sign in to your TalentConnect account (<strong>${user.email}</strong>). To protect you, the account has been locked for ${lockMinutes} minutes.</p>
+              
+              <p>If these attempts were yours, you can unlock your account right away:</p>
+              
+              <div style="text-align: center;">
+                <a href="${unlockUrl}" class="button">Unlock My Account</a>
+              </div>
+              
+              <p>If the button doesn't work, copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; background: #f0f0f0; padding: 10px; border-radius: 4px;">
+                ${unlockUrl}
+              </p>
+              
+              <div class="warning">
+                <strong>⚠️ Didn't try to sign in?</strong>
+                <ul>
+                  <li>Someone may be trying to guess your password</li>
+                  <li>We recommend resetting your password: <a href="${resetUrl}">${resetUrl}</a></li>
+                  <li>The account unlocks automatically after ${lockMinutes} minutes</li>
+                </ul>
+              </div>
+              
+              <p>Best regards,<br>The TalentConnect Security Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2024 TalentConnect. All rights reserved.</p>
+              <p>This email was sent to ${user.email}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Account Temporarily Locked - TalentConnect
+        
+        Hello ${user.firstName},
+        
+        After several failed sign-in attempts your account (${user.email}) has been locked for ${lockMinutes} minutes.
+        
+        If these attempts were yours, unlock your account here: ${unlockUrl}
+        
+        If they weren't, we recommend resetting your password: ${resetUrl}
+        
+        Best regards,
+        The TalentConnect Security Team
+      `
+    };
+    
+    const result = await workingTransporter.sendMail(mailOptions);
+    console.log('✅ Account locked email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('❌ Failed to send account locked email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Confirmation that the account password was changed (reset or dashboard)
+const sendPasswordChangeConfirmation = async (user) => {
+  const workingTransporter = getTransporter();
+  
+  if (!workingTransporter) {
+    console.log('⚠️ Email service unavailable - skipping password change confirmation');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+    const changedAt = new Date().toUTCString();
+    
+    const mailOptions = {
+      from: {
+        name: 'TalentConnect',
+        address: process.env.EMAIL_USER
+      },
+      to: user.email,
+      subject: 'Your TalentConnect Password Was Changed',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #4caf50 0%, #2e7d32 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✅ Password Changed</h1>
+              <p>Your TalentConnect account is secured with a new password</p>
+            </div>
+            
+            <div class="content">
+              <h2>Hello ${user.firstName}!</h2>
+              
+              <p>The password for your TalentConnect account (<strong>${user.email}</strong>) was changed on ${changedAt}.</p>
+              
+              <p>For your security, you have been signed out on your other devices.</p>
+              
+              <div class="warning">
+                <strong>⚠️ Didn't change your password?</strong>
+                <ul>
+                  <li>Reset it immediately: <a href="${resetUrl}">${resetUrl}</a></li>
+                  <li>Contact our support team so we can secure your account</li>
+                </ul>
+              </div>
+              
+              <p>Best regards,<br>The TalentConnect Security Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2024 TalentConnect. All rights reserved.</p>
+              <p>This email was sent to ${user.email}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Password Changed - TalentConnect
+        
+        Hello ${user.firstName},
+        
+        The password for your TalentConnect account (${user.email}) was changed on ${changedAt}.
+        You have been signed out on your other devices.
+        
+        Didn't change your password? Reset it immediately: ${resetUrl}
+        
+        Best regards,
+        The TalentConnect Security Team
+      `
+    };
+    
+    const result = await workingTransporter.sendMail(mailOptions);
+    console.log('✅ Password change confirmation sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('❌ Failed to send password change confirmation:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Sign-in from a device the account hasn't used before
+const sendNewSignInAlert = async (user, { device, ipAddress }) => {
+  const workingTransporter = getTransporter();
+  
+  if (!workingTransporter) {
+    console.log('⚠️ Email service unavailable - skipping new sign-in alert');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const securityUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard/security`;
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+    const signedInAt = new Date().toUTCString();
+    
+    const mailOptions = {
+      from: {
+        name: 'TalentConnect',
+        address: process.env.EMAIL_USER
+      },
+      to: user.email,
+      subject: 'New Sign-in to Your TalentConnect Account',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .details { background: #ffffff; border: 1px solid #e0e0e0; padding: 15px; border-radius: 5px; margin: 15px 0; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔔 New Sign-in Detected</h1>
+              <p>Your account was accessed from a new device</p>
+            </div>
+            
+            <div class="content">
+              <h2>Hello ${user.firstName}!</h2>
+              
+              <p>Your TalentConnect account (<strong>${user.email}</strong>) was just signed in to from a device we haven't seen before.</p>
+              
+              <div class="details">
+                <p><strong>Device:</strong> ${device}</p>
+                <p><strong>IP address:</strong> ${ipAddress || 'Unknown'}</p>
+                <p><strong>Time:</strong> ${signedInAt}</p>
+              </div>
+              
+              <p>If this was you, there's nothing you need to do.</p>
+              
+              <div class="warning">
+                <strong>⚠️ Don't recognise this sign-in?</strong>
+                <ul>
+                  <li>Sign the device out from your security page</li>
+                  <li>Reset your password: <a href="${resetUrl}">${resetUrl}</a></li>
+                </ul>
+              </div>
+              
+              <div style="text-align: center;">
+                <a href="${securityUrl}" class="button">Review Account Activity</a>
+              </div>
+              
+              <p>Best regards,<br>The TalentConnect Security Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2024 TalentConnect. All rights reserved.</p>
+              <p>This email was sent to ${user.email}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        New Sign-in Detected - TalentConnect
+        
+        Hello ${user.firstName},
+        
+        Your TalentConnect account (${user.email}) was just signed in to from a new device.
+        
+        Device: ${device}
+        IP address: ${ipAddress || 'Unknown'}
+        Time: ${signedInAt}
+        
+        If this was you, there's nothing you need to do.
+        
+        Don't recognise this sign-in? Review your account activity at ${securityUrl}
+        and reset your password: ${resetUrl}
+        
+        Best regards,
+        The TalentConnect Security Team
+      `
+    };
+    
+    const result = await workingTransporter.sendMail(mailOptions);
+    console.log('✅ New sign-in alert sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('❌ Failed to send new sign-in alert:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Sent to the NEW address: the change only happens once this link is used
+const sendEmailChangeConfirmation = async (user, newEmail, confirmToken) => {
+  const workingTransporter = getTransporter();
+  
+  if (!workingTransporter) {
+    console.log('⚠️ Email service unavailable - skipping email change confirmation');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const confirmUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/confirm-email-change?token=${confirmToken}`;
+    
+    const mailOptions = {
+      from: {
+        name: 'TalentConnect',
+        address: process.env.EMAIL_USER
+      },
+      to: newEmail,
+      subject: 'Confirm Your New TalentConnect Email Address',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📧 Confirm Your New Email</h1>
+              <p>One more step to update your account</p>
+            </div>
+            
+            <div class="content">
+              <h2>Hello ${user.firstName}!</h2>
+              
+              <p>You asked to change the email address on your TalentConnect account to <strong>${newEmail}</strong>.</p>
+              
+              <p>Click the button below to confirm this address. Until you do, your account keeps using your current email.</p>
+              
+              <div style="text-align: center;">
+                <a href="${confirmUrl}" class="button">Confirm New Email</a>
+              </div>
+              
+              <p>If the button doesn't work, copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; background: #f0f0f0; padding: 10px; border-radius: 4px;">
+                ${confirmUrl}
+              </p>
+              
+              <p>This link expires in 24 hours. If you didn't request this change, you can ignore this email.</p>
+              
+              <p>Best regards,<br>The TalentConnect Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2024 TalentConnect. All rights reserved.</p>
+              <p>This email was sent to ${newEmail}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Confirm Your New Email - TalentConnect
+        
+        Hello ${user.firstName},
+        
+        You asked to change the email address on your TalentConnect account to ${newEmail}.
+        
+        Confirm this address here: ${confirmUrl}
+        
+        This link expires in 24 hours. If you didn't request this change, ignore this email.
+        
+        Best regards,
+        The TalentConnect Team
+      `
+    };
+    
+    const result = await workingTransporter.sendMail(mailOptions);
+    console.log('✅ Email change confirmation sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('❌ Failed to send email change confirmation:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Sent to the CURRENT address when a change is requested, with a cancel link
+const sendEmailChangeNotice = async (user, newEmail, cancelToken) => {
+  const workingTransporter = getTransporter();
+  
+  if (!workingTransporter) {
+    console.log('⚠️ Email service unavailable - skipping email change notice');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const cancelUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cancel-email-change?token=${cancelToken}`;
+    
+    const mailOptions = {
+      from: {
+        name: 'TalentConnect',
+        address: process.env.EMAIL_USER
+      },
+      to: user.email,
+      subject: 'Email Change Requested on Your TalentConnect Account',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f44336 0%, #e91e63 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #f44336; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📧 Email Change Requested</h1>
+              <p>Please review this change to your account</p>
+            </div>
+            
+            <div class="content">
+              <h2>Hello ${user.firstName}!</h2>
+              
+              <p>Someone signed in to your TalentConnect account asked to change its email address from <strong>${user.email}</strong> to <strong>${newEmail}</strong>.</p>
+              
+              <p>The change takes effect only after the new address is confirmed. If this was you, no action is needed.</p>
+              
+              <div class="warning">
+                <strong>⚠️ Didn't request this?</strong>
+                <ul>
+                  <li>Cancel the change right away using the button below</li>
+                  <li>Then change your password, as someone may have access to your account</li>
+                </ul>
+              </div>
+              
+              <div style="text-align: center;">
+                <a href="${cancelUrl}" class="button">Cancel Email Change</a>
+              </div>
+              
+              <p>Best regards,<br>The TalentConnect Security Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2024 TalentConnect. All rights reserved.</p>
+              <p>This email was sent to ${user.email}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Email Change Requested - TalentConnect
+        
+        Hello ${user.firstName},
+        
+        Someone signed in to your account asked to change its email address from ${user.email} to ${newEmail}.
+        The change takes effect only after the new address is confirmed.
+        
+        Didn't request this? Cancel it here: ${cancelUrl}
+        Then change your password.
+        
+        Best regards,
+        The TalentConnect Security Team
+      `
+    };
+    
+    const result = await workingTransporter.sendMail(mailOptions);
+    console.log('✅ Email change notice sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('❌ Failed to send email change notice:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Invitation for a colleague to join a company on TalentConnect
+const sendCompanyInvitationEmail = async ({ email, role }, company, inviter, inviteToken) => {
+  const workingTransporter = getTransporter();
+  
+  if (!workingTransporter) {
+    console.log('⚠️ Email service unavailable - skipping company invitation email');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/join-company?token=${inviteToken}`;
+    const inviterName = `${inviter.firstName} ${inviter.lastName}`;
+    
+    const mailOptions = {
+      from: {
+        name: 'TalentConnect',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: `${inviterName} invited you to join ${company.name} on TalentConnect`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🏢 You're Invited!</h1>
+              <p>Join ${company.name} on TalentConnect</p>
+            </div>
+            
+            <div class="content">
+              <h2>Hello!</h2>
+              
+              <p><strong>${inviterName}</strong> invited you to join <strong>${company.name}</strong> on TalentConnect as ${role === 'admin' ? 'an admin' : 'a recruiter'}.</p>
+              
+              <p>Create your recruiter account with this email address (<strong>${email}</strong>), or sign in if you already have one:</p>
+              
+              <div style="text-align: center;">
+                <a href="${inviteUrl}" class="button">Accept Invitation</a>
+              </div>
+              
+              <p>If the button doesn't work, copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; background: #f0f0f0; padding: 10px; border-radius: 4px;">
+                ${inviteUrl}
+              </p>
+              
+              <p>This invitation expires in 7 days. If you weren't expecting it, you can ignore this email.</p>
+              
+              <p>Best regards,<br>The TalentConnect Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2024 TalentConnect. All rights reserved.</p>
+              <p>This email was sent to ${email}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        You're Invited to ${company.name} - TalentConnect
+        
+        ${inviterName} invited you to join ${company.name} on TalentConnect as ${role === 'admin' ? 'an admin' : 'a recruiter'}.
+        
+        Accept the invitation here: ${inviteUrl}
+        Use this email address (${email}) to sign up or sign in.
+        
+        This invitation expires in 7 days.
+        
+        Best regards,
+        The TalentConnect Team
+      `
+    };
+    
+    const result = await workingTransporter.sendMail(mailOptions);
+    console.log('✅ Company invitation email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('❌ Failed to send company invitation email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Candidate-supplied text ends up in another user's inbox
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// New candidates for a recruiter's saved search
+const sendSavedSearchAlert = async (user, savedSearch, { candidates, totalNew, unsubscribeToken }) => {
+  const workingTransporter = getTransporter();
+  
+  if (!workingTransporter) {
+    console.log('⚠️ Email service unavailable - skipping saved search alert');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const searchUrl = `${frontendUrl}/dashboard/saved-searches/${savedSearch.id}`;
+    const unsubscribeUrl = `${frontendUrl}/saved-searches/unsubscribe?token=${unsubscribeToken}`;
+    const remaining = totalNew - candidates.length;
+    const searchName = escapeHtml(savedSearch.name);
+
+    const candidateRows = candidates.map(candidate => {
+      const details = [candidate.title, candidate.location, candidate.experience].filter(Boolean).map(escapeHtml).join(' · ');
+      const skills = (candidate.skills || []).slice(0, 6).map(escapeHtml).join(', ');
+      return `
+                <div class="candidate">
+                  <p><strong>${escapeHtml(candidate.firstName)} ${escapeHtml(candidate.lastName)}</strong></p>
+                  ${details ? `<p>${details}</p>` : ''}
+                  ${skills ? `<p class="skills">${skills}</p>` : ''}
+                </div>`;
+    }).join('');
+
+    const candidateLines = candidates.map(candidate => {
+      const details = [candidate.title, candidate.location, candidate.experience].filter(Boolean).join(', ');
+      return `- ${candidate.firstName} ${candidate.lastName}${details ? ` (${details})` : ''}`;
+    }).join('\n        ');
+    
+    const mailOptions = {
+      from: {
+        name: 'TalentConnect',
+        address: process.env.EMAIL_USER
+      },
+      to: user.email,
+      subject: `${totalNew} new candidate${totalNew === 1 ? '' : 's'} for "${savedSearch.name}"`,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`
+      },
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .candidate { background: #ffffff; border: 1px solid #e0e0e0; padding: 15px; border-radius: 5px; margin: 10px 0; }
+            .candidate p { margin: 4px 0; }
+            .skills { color: #667eea; font-size: 14px; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔎 New Candidates</h1>
+              <p>${totalNew} new match${totalNew === 1 ? '' : 'es'} for "${searchName}"</p>
+            </div>
+            
+            <div class="content">
+              <h2>Hello ${escapeHtml(user.firstName)}!</h2>
+              
+              <p>These candidates match your saved search <strong>${searchName}</strong> since we last checked:</p>
+              ${candidateRows}
+              ${remaining > 0 ? `<p>...and ${remaining} more.</p>` : ''}
+              
+              <div style="text-align: center;">
+                <a href="${searchUrl}" class="button">View All Matches</a>
+              </div>
+              
+              <p>You receive these alerts ${savedSearch.frequency === 'weekly' ? 'weekly' : 'daily'}. Pause or change them from your saved searches.</p>
+              
+              <p>Best regards,<br>The TalentConnect Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2024 TalentConnect. All rights reserved.</p>
+              <p>This email was sent to ${user.email}</p>
+              <p><a href="${unsubscribeUrl}">Unsubscribe from alerts for this search</a></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        New Candidates for "${savedSearch.name}" - TalentConnect
+        
+        Hello ${user.firstName},
+        
+        ${totalNew} new candidate${totalNew === 1 ? '' : 's'} match${totalNew === 1 ? 'es' : ''} your saved search since we last checked:
+        
+        ${candidateLines}
+        ${remaining > 0 ? `...and ${remaining} more.` : ''}
+        
+        View all matches: ${searchUrl}
+        
+        Unsubscribe from alerts for this search: ${unsubscribeUrl}
+        
+        Best regards,
+        The TalentConnect Team
+      `
+    };
+    
+    const result = await workingTransporter.sendMail(mailOptions);
+    console.log('✅ Saved search alert sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('❌ Failed to send saved search alert:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
 const sendContactEmail = async (candidate, emailData) => {
   const workingTransporter = getTransporter();
   
@@ -698,6 +1515,14 @@ module.exports = {
   verifyEmailConfig: verifyEmailConfigWithFallback,
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendPasswordChangeConfirmation,
+  sendNewSignInAlert,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendCompanyInvitationEmail,
+  sendSavedSearchAlert,
   sendContactEmail,
   transporter: getTransporter
 };
\ No newline at end of file
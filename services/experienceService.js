@@ -0,0 +1,212 @@
+// services/experienceService.js
+// Years of experience as numbers. job_seekers.experience stays the text the
+// user typed ("3 yrs", "5+", "2 years 6 months"); experienceMinYears and
+// experienceMaxYears hold the parsed range (max NULL = open ended, "5+"),
+// so search can filter by range and seniority instead of exact text.
+const { queryAsync, addColumnIfMissing, addIndexIfMissing } = require('../config/db');
+
+const MAX_EXPERIENCE_YEARS = 60;
+
+// Seniority as [min, max) years; lead has no upper bound
+const SENIORITY_LEVELS = {
+  junior: { min: 0, max: 2 },
+  mid: { min: 2, max: 5 },
+  senior: { min: 5, max: 8 },
+  lead: { min: 8, max: null }
+};
+
+// One or two digits, not part of a longer number: "2019-2023" is a span of
+// calendar years, not 19-20 years of experience
+const NUMBER = '(?<![\\d.])(\\d{1,2}(?:\\.\\d+)?)(?!\\d)';
+const MONTHS_UNIT = /^\s*(?:months?|mos?)\b/;
+const RANGE_PATTERN = new RegExp(`${NUMBER}\\s*(?:-|–|to)\\s*${NUMBER}`);
+const OPEN_PATTERN = new RegExp(`${NUMBER}\\s*(?:\\+|plus\\b)|(?:over|more than|above|at least|minimum|min\\.?)\\s*${NUMBER}`);
+const UP_TO_PATTERN = new RegExp(`(?:less than|under|below|up ?to|within|<)\\s*${NUMBER}`);
+const YEARS_PATTERN = new RegExp(`${NUMBER}\\s*(?:years?|yrs?|y)\\b`);
+const MONTHS_PATTERN = new RegExp(`${NUMBER}\\s*(?:months?|mos?|m)\\b`);
+const FRESHER_PATTERN = /\b(fresher|fresh graduate|no experience|none|entry[\s-]?level)\b/;
+
+const experienceError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const roundYears = (years) => Math.round(Math.min(years, MAX_EXPERIENCE_YEARS) * 10) / 10;
+
+// A number in months when "months" follows it, otherwise years
+const toYears = (value, unitText) => parseFloat(value) / (MONTHS_UNIT.test(unitText) ? 12 : 1);
+
+// Free text -> { min, max } in years (max null = open ended), or null when
+// there is no usable figure. Understands "3 years", "3 yrs", "3+", "3-5",
+// "2 to 4 years", "over 5 years", "less than 1 year", "2 years 6 months",
+// "18 months" and "fresher".
+const parseExperience = (text) => {
+  const value = String(text || '').toLowerCase().trim();
+  if (!value) return null;
+
+  const range = value.match(RANGE_PATTERN);
+  if (range) {
+    const unit = value.slice(range.index + range[0].length);
+    const min = toYears(range[1], unit);
+    const max = toYears(range[2], unit);
+    return max >= min ? { min: roundYears(min), max: roundYears(max) } : null;
+  }
+
+  const open = value.match(OPEN_PATTERN);
+  if (open) {
+    const unit = value.slice(open.index + open[0].length).replace(/^\s*\+/, '');
+    return { min: roundYears(toYears(open[1] || open[2], unit)), max: null };
+  }
+
+  const upTo = value.match(UP_TO_PATTERN);
+  if (upTo) {
+    return { min: 0, max: roundYears(toYears(upTo[1], value.slice(upTo.index + upTo[0].length))) };
+  }
+
+  const years = value.match(YEARS_PATTERN);
+  const months = value.match(MONTHS_PATTERN);
+  if (years || months) {
+    const total = roundYears((years ? parseFloat(years[1]) : 0) + (months ? parseFloat(months[1]) / 12 : 0));
+    return { min: total, max: total };
+  }
+
+  const number = value.match(new RegExp(`^${NUMBER}$`));
+  if (number) {
+    const total = roundYears(parseFloat(number[1]));
+    return { min: total, max: total };
+  }
+
+  return FRESHER_PATTERN.test(value) ? { min: 0, max: 0 } : null;
+};
+
+// Experience field of a profile form -> { experience, columns } where
+// columns are [experienceMinYears, experienceMaxYears]. Text that doesn't
+// parse is still saved, just without the numbers.
+const resolveExperienceInput = (experience) => {
+  const text = typeof experience === 'string' && experience.trim() ? experience.trim().slice(0, 50) : null;
+  const parsed = parseExperience(text);
+
+  return {
+    experience: text,
+    columns: parsed ? [parsed.min, parsed.max] : [null, null]
+  };
+};
+
+// Add the numeric experience columns and fill them in for existing profiles
+const createExperienceColumns = async () => {
+  await addColumnIfMissing('job_seekers', 'experienceMinYears', 'DECIMAL(4,1)');
+  await addColumnIfMissing('job_seekers', 'experienceMaxYears', 'DECIMAL(4,1)');
+
+  await addIndexIfMissing('job_seekers', 'idx_experience_years', '(experienceMinYears, experienceMaxYears)');
+
+  await backfillExperience();
+  console.log('✅ Experience columns ready');
+};
+
+// Parse free-text experience saved before the numeric columns existed.
+// Rows that can't be parsed keep their text and stay out of range filters.
+const backfillExperience = async () => {
+  const rows = await queryAsync(
+    `SELECT id, experience FROM job_seekers
+     WHERE experience IS NOT NULL AND experience != '' AND experienceMinYears IS NULL`
+  );
+
+  let parsedCount = 0;
+  for (const row of rows) {
+    const parsed = parseExperience(row.experience);
+    if (!parsed) continue;
+
+    await queryAsync(
+      'UPDATE job_seekers SET experienceMinYears = ?, experienceMaxYears = ? WHERE id = ?',
+      [parsed.min, parsed.max, row.id]
+    );
+    parsedCount++;
+  }
+
+  if (rows.length > 0) {
+    console.log(`Parsed ${parsedCount} of ${rows.length} free-text experience values`);
+  }
+};
+
+// Candidates whose experience range overlaps [min, max] (either end may be
+// null). exclusiveMax makes max itself not match, for seniority bands.
+const buildExperienceRangeQuery = (min, max, { exclusiveMax = false } = {}) => {
+  let condition = 'js.experienceMinYears IS NOT NULL';
+  const params = [];
+
+  if (min !== null && min !== undefined) {
+    condition += ' AND (js.experienceMaxYears IS NULL OR js.experienceMaxYears >= ?)';
+    params.push(min);
+  }
+  if (max !== null && max !== undefined) {
+    condition += ` AND js.experienceMinYears ${exclusiveMax ? '<' : '<='} ?`;
+    params.push(max);
+  }
+
+  return { condition: `(${condition})`, params };
+};
+
+const parseYears = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const years = Number(value);
+  if (!Number.isFinite(years) || years < 0 || years > MAX_EXPERIENCE_YEARS) {
+    throw experienceError(`${label} must be a number of years between 0 and ${MAX_EXPERIENCE_YEARS}`);
+  }
+  return years;
+};
+
+// seniority -> { min, max } years, or null when not given
+const resolveSeniority = (seniority) => {
+  if (seniority === undefined || seniority === null || String(seniority).trim() === '') return null;
+
+  const level = SENIORITY_LEVELS[String(seniority).trim().toLowerCase()];
+  if (!level) {
+    throw experienceError(`seniority must be one of: ${Object.keys(SENIORITY_LEVELS).join(', ')}`);
+  }
+  return level;
+};
+
+// Search filter from the request body: minExperience / maxExperience in
+// years, a seniority level, and the legacy experience text (parsed the same
+// way as profiles, so "3 yrs" finds "3 years"; text that doesn't parse
+// still matches exactly). Returns { condition, params }.
+const buildExperienceFilter = ({ experience, minExperience, maxExperience, seniority } = {}) => {
+  const min = parseYears(minExperience, 'minExperience');
+  const max = parseYears(maxExperience, 'maxExperience');
+  if (min !== null && max !== null && min > max) {
+    throw experienceError('minExperience cannot be greater than maxExperience');
+  }
+
+  const parts = [];
+  if (min !== null || max !== null) {
+    parts.push(buildExperienceRangeQuery(min, max));
+  }
+
+  const level = resolveSeniority(seniority);
+  if (level) {
+    parts.push(buildExperienceRangeQuery(level.min, level.max, { exclusiveMax: true }));
+  }
+
+  if (typeof experience === 'string' && experience.trim()) {
+    const parsed = parseExperience(experience);
+    parts.push(parsed
+      ? buildExperienceRangeQuery(parsed.min, parsed.max)
+      : { condition: 'js.experience = ?', params: [experience.trim()] });
+  }
+
+  return {
+    condition: parts.map(part => part.condition).join(' AND '),
+    params: parts.flatMap(part => part.params)
+  };
+};
+
+module.exports = {
+  createExperienceColumns,
+  parseExperience,
+  resolveExperienceInput,
+  resolveSeniority,
+  buildExperienceRangeQuery,
+  buildExperienceFilter,
+  SENIORITY_LEVELS
+};
@@ -0,0 +1,150 @@
+// services/impersonationService.js
+// Support staff can view the app as a given user. Sessions are short-lived,
+// read-only unless writes are requested up front, and every request made
+// under them is written to the audit trail.
+const { queryAsync } = require('../config/db');
+const { createImpersonationToken } = require('./sessionService');
+const { recordAuditLog } = require('./auditLogService');
+
+const IMPERSONATION_TTL_MINUTES = Math.min(parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 15, 60);
+
+const impersonationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Create impersonation sessions table
+const createImpersonationTable = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS impersonation_sessions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      adminUserId INT NOT NULL,
+      targetUserId INT NOT NULL,
+      reason VARCHAR(255) NOT NULL,
+      allowWrites BOOLEAN NOT NULL DEFAULT FALSE,
+      expiresAt DATETIME NOT NULL,
+      endedAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (adminUserId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (targetUserId) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_admin_sessions (adminUserId, endedAt)
+    )
+  `);
+
+  console.log('✅ Impersonation sessions table ready');
+};
+
+// Start impersonating `targetUserId` as the signed-in admin (req.user)
+const startImpersonation = async (req, targetUserId, { reason, allowWrites = false }) => {
+  const admin = req.user;
+
+  if (!reason || String(reason).trim().length < 5) {
+    throw impersonationError('A reason of at least 5 characters is required', 400);
+  }
+
+  if (Number(targetUserId) === admin.userId) {
+    throw impersonationError('You cannot impersonate yourself', 400);
+  }
+
+  const targets = await queryAsync(
+    'SELECT id, email, userType, userName, firstName, lastName FROM users WHERE id = ?',
+    [targetUserId]
+  );
+
+  if (targets.length === 0) {
+    throw impersonationError('User not found', 404);
+  }
+
+  const target = targets[0];
+
+  // Admin accounts are out of bounds - impersonating one would be an escalation path
+  if (target.userType === 'admin') {
+    throw impersonationError('Admin accounts cannot be impersonated', 403);
+  }
+
+  const result = await queryAsync(
+    `INSERT INTO impersonation_sessions (adminUserId, targetUserId, reason, allowWrites, expiresAt)
+     VALUES (?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)`,
+    [admin.userId, target.id, String(reason).trim().slice(0, 255), !!allowWrites, IMPERSONATION_TTL_MINUTES]
+  );
+  const impersonationId = result.insertId;
+
+  await recordAuditLog({
+    actorUserId: admin.userId,
+    targetUserId: target.id,
+    impersonationId,
+    action: 'impersonation.start',
+    req,
+    metadata: { reason: String(reason).trim(), allowWrites: !!allowWrites }
+  });
+
+  const token = createImpersonationToken(target, {
+    impersonationId,
+    adminUserId: admin.userId,
+    adminSessionId: admin.sid,
+    allowWrites,
+    expiresInMinutes: IMPERSONATION_TTL_MINUTES
+  });
+
+  return {
+    ...token,
+    impersonation: {
+      id: impersonationId,
+      readOnly: !allowWrites,
+      expiresInMinutes: IMPERSONATION_TTL_MINUTES,
+      targetUser: target
+    }
+  };
+};
+
+const isImpersonationActive = async (impersonationId, adminUserId) => {
+  const rows = await queryAsync(
+    `SELECT id FROM impersonation_sessions
+     WHERE id = ? AND adminUserId = ? AND endedAt IS NULL AND expiresAt > NOW()`,
+    [impersonationId, adminUserId]
+  );
+  return rows.length > 0;
+};
+
+// End a session early; only the admin who started it can end it
+const endImpersonation = async (req, impersonationId) => {
+  const result = await queryAsync(
+    `UPDATE impersonation_sessions SET endedAt = NOW()
+     WHERE id = ? AND adminUserId = ? AND endedAt IS NULL`,
+    [impersonationId, req.user.userId]
+  );
+
+  if (result.affectedRows === 0) return false;
+
+  await recordAuditLog({
+    actorUserId: req.user.userId,
+    impersonationId,
+    action: 'impersonation.end',
+    req
+  });
+  return true;
+};
+
+const listImpersonations = async (adminUserId) => {
+  return queryAsync(
+    `SELECT s.id, s.targetUserId, u.userName AS targetUserName, u.email AS targetEmail,
+            s.reason, s.allowWrites, s.createdAt, s.expiresAt, s.endedAt,
+            (s.endedAt IS NULL AND s.expiresAt > NOW()) AS active
+     FROM impersonation_sessions s
+     JOIN users u ON u.id = s.targetUserId
+     WHERE s.adminUserId = ?
+     ORDER BY s.createdAt DESC
+     LIMIT 50`,
+    [adminUserId]
+  );
+};
+
+module.exports = {
+  createImpersonationTable,
+  startImpersonation,
+  isImpersonationActive,
+  endImpersonation,
+  listImpersonations,
+  IMPERSONATION_TTL_MINUTES
+};
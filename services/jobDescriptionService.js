@@ -0,0 +1,165 @@
+// services/jobDescriptionService.js
+// Pulls structured requirements out of a pasted job description: required
+// and nice-to-have skills (from the curated skill taxonomy, see
+// skillTaxonomyService), seniority and location. Errors carry statusCode 400.
+const { findSkillsInText } = require('./skillTaxonomyService');
+const { resolveLocationId, getLocation } = require('./locationService');
+
+const MAX_JOB_DESCRIPTION_LENGTH = 20000;
+
+// Section headings. Optional is checked first so "Preferred
+// qualifications" is optional, not required.
+const OPTIONAL_HEADING = /\b(nice[\s-]to[\s-]haves?|good[\s-]to[\s-]haves?|preferred|bonus|desirable|optional|pluses|extra credit)\b/i;
+const REQUIRED_HEADING = /\b(requirements?|required|must[\s-]haves?|qualifications|what you('ll| will)? need|essential|skills|tech stack|you have)\b/i;
+
+// Wording that makes a single sentence optional inside any section
+const OPTIONAL_CUE = /\b(nice[\s-]to[\s-]have|good[\s-]to[\s-]have|preferred|bonus|is a plus|a plus|desirable|optional|familiarity with|exposure to)\b/i;
+
+// Seniority words with the years they imply when the JD doesn't say
+const SENIORITY_LEVELS = [
+  { level: 'intern', pattern: /\b(intern|internship|trainee)\b/i, minYears: 0, maxYears: 1 },
+  { level: 'lead', pattern: /\b(lead|principal|staff|architect|head of)\b/i, minYears: 8, maxYears: null },
+  { level: 'senior', pattern: /\b(senior|sr\.?)\b/i, minYears: 5, maxYears: null },
+  { level: 'junior', pattern: /\b(junior|jr\.?|entry[\s-]level|graduate|fresher)\b/i, minYears: 0, maxYears: 2 },
+  { level: 'mid', pattern: /\b(mid[\s-]?level|mid[\s-]senior|intermediate)\b/i, minYears: 2, maxYears: 5 }
+];
+
+// "3-5 years", "5+ yrs", "at least 4 years", "2 to 4 years"
+const YEARS_PATTERN = /(\d{1,2}(?:\.\d)?)\s*(\+|plus)?\s*(?:(?:-|–|to)\s*(\d{1,2}(?:\.\d)?)\s*)?(?:years?|yrs?)\b/i;
+
+const LOCATION_LINE = /^\s*(?:job\s+)?(?:location|based in|work location|office)\s*[:-]\s*(.+)$/im;
+const LOCATION_PHRASE = /\b(?:based in|located in|office in|on-?site in)\s+([^.;\n()]+)/i;
+const REMOTE_PATTERN = /\b(remote|work from home|wfh)\b/i;
+
+const jobDescriptionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// A short line that names a section, with anything after its colon
+// ("Nice to have: Docker" -> heading "Nice to have", rest "Docker")
+const splitHeading = (line) => {
+  const colon = line.indexOf(':');
+  const heading = colon === -1 ? line : line.slice(0, colon);
+  const words = heading.trim().split(/\s+/).filter(Boolean);
+
+  const looksLikeHeading = colon !== -1 || (words.length > 0 && words.length <= 5 && !/[.,;]$/.test(heading.trim()));
+  if (!looksLikeHeading || words.length === 0 || words.length > 6) return null;
+
+  return { heading: heading.trim(), rest: colon === -1 ? '' : line.slice(colon + 1) };
+};
+
+const sectionOf = (heading) => {
+  if (OPTIONAL_HEADING.test(heading)) return 'optional';
+  if (REQUIRED_HEADING.test(heading)) return 'required';
+  return 'other';
+};
+
+// Skills by section. The title and anything before the first heading count
+// as required; skills under other headings ("About us", "Responsibilities")
+// too, unless the JD has a requirements section, then they're nice to have.
+// A sentence can make itself optional ("Docker is a plus"). A skill named
+// as both is required.
+const extractSkills = (text) => {
+  const required = new Map();
+  const optional = new Map();
+  const other = new Map();
+  let section = null;
+  let hasRequiredSection = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/^[\s*•\-–·>#\d.)]+/, '').trim();
+    if (!line) return;
+
+    let content = line;
+    const split = splitHeading(line);
+    if (split) {
+      const headingSection = sectionOf(split.heading);
+      // Only a short line that names a known section, or ends in a colon,
+      // is a heading; "We use React" isn't
+      if (headingSection !== 'other' || split.rest.trim() || line.endsWith(':')) {
+        section = headingSection;
+        content = split.rest;
+        if (section === 'required') hasRequiredSection = true;
+      }
+    }
+
+    const sectionTarget = section === 'optional' ? optional : section === 'other' ? other : required;
+    // Pasted JDs often run several sentences into one line
+    content.split(/(?<=[.;!?])\s+/).forEach(sentence => {
+      const target = OPTIONAL_CUE.test(sentence) ? optional : sectionTarget;
+      findSkillsInText(sentence).forEach(skill => target.set(skill.id, skill));
+    });
+  });
+
+  other.forEach((skill, id) => (hasRequiredSection ? optional : required).set(id, skill));
+  required.forEach((skill, id) => optional.delete(id));
+  return { requiredSkills: [...required.values()], optionalSkills: [...optional.values()] };
+};
+
+// { level, minYears, maxYears } or null. Stated years win over the years a
+// level word implies; the level comes from the first seniority word.
+const extractSeniority = (text) => {
+  const years = text.match(YEARS_PATTERN);
+  const level = SENIORITY_LEVELS
+    .map(item => ({ item, index: text.search(item.pattern) }))
+    .filter(match => match.index !== -1)
+    .sort((a, b) => a.index - b.index)[0]?.item || null;
+
+  if (!years && !level) return null;
+
+  if (years) {
+    const minYears = Number(years[1]);
+    const maxYears = years[3] && !years[2] ? Number(years[3]) : null;
+    return {
+      level: level ? level.level : null,
+      minYears,
+      maxYears: maxYears !== null && maxYears >= minYears ? maxYears : null
+    };
+  }
+
+  return { level: level.level, minYears: level.minYears, maxYears: level.maxYears };
+};
+
+// { remote, text, place } - place is the resolved location (or null)
+const extractLocation = (text) => {
+  const remote = REMOTE_PATTERN.test(text);
+  const match = text.match(LOCATION_LINE) || text.match(LOCATION_PHRASE);
+  const locationText = match ? match[1].trim().slice(0, 100) : null;
+
+  const locationId = locationText ? resolveLocationId(locationText) : null;
+  return {
+    remote,
+    text: locationText,
+    place: locationId ? getLocation(locationId) : null
+  };
+};
+
+// Job description text -> { requiredSkills, optionalSkills, seniority,
+// location }. Throws 400 when it's empty, too long or names no known skill.
+const parseJobDescription = (jobDescription) => {
+  const text = typeof jobDescription === 'string' ? jobDescription.trim() : '';
+  if (!text) {
+    throw jobDescriptionError('jobDescription is required');
+  }
+  if (text.length > MAX_JOB_DESCRIPTION_LENGTH) {
+    throw jobDescriptionError(`jobDescription must be at most ${MAX_JOB_DESCRIPTION_LENGTH} characters`);
+  }
+
+  const { requiredSkills, optionalSkills } = extractSkills(text);
+  if (requiredSkills.length === 0 && optionalSkills.length === 0) {
+    throw jobDescriptionError('No known skills found in the job description. Try matchSkills with a skill list instead.');
+  }
+
+  return {
+    requiredSkills,
+    optionalSkills,
+    seniority: extractSeniority(text),
+    location: extractLocation(text)
+  };
+};
+
+module.exports = {
+  parseJobDescription
+};
@@ -0,0 +1,171 @@
+// services/keywordSearchService.js
+// FULLTEXT keyword search over job seeker title, bio and skills. Skills are
+// stored as JSON, which FULLTEXT can't index, so a flattened copy is kept
+// in job_seekers.skillsText and rewritten whenever skills are saved.
+const { queryAsync, addColumnIfMissing, addIndexIfMissing } = require('../config/db');
+
+const KEYWORD_MODES = ['natural', 'boolean'];
+
+// Per-column weights of the relevance score
+const FIELD_WEIGHTS = { title: 3, skillsText: 2, bio: 1 };
+
+// InnoDB skips words shorter than innodb_ft_min_token_size (3 by default).
+// Keywords made only of such words ("go", "ui", "c#") use LIKE instead.
+const getMinTokenSize = () => parseInt(process.env.FULLTEXT_MIN_TOKEN_SIZE, 10) || 3;
+
+const keywordError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Add the skillsText column and the FULLTEXT indexes. MATCH() needs an index
+// over exactly the columns it names, hence one per scored column plus the
+// combined one used for filtering.
+const createKeywordSearchIndexes = async () => {
+  await addColumnIfMissing('job_seekers', 'skillsText', 'TEXT');
+  await backfillSkillsText();
+
+  await addIndexIfMissing('job_seekers', 'ft_job_seekers_title', '(title)', 'FULLTEXT');
+  await addIndexIfMissing('job_seekers', 'ft_job_seekers_bio', '(bio)', 'FULLTEXT');
+  await addIndexIfMissing('job_seekers', 'ft_job_seekers_skills', '(skillsText)', 'FULLTEXT');
+  await addIndexIfMissing('job_seekers', 'ft_job_seekers_profile', '(title, bio, skillsText)', 'FULLTEXT');
+
+  console.log('✅ Keyword search indexes ready');
+};
+
+// Skills array (or its JSON) -> "React, Node.js, Machine Learning"
+const flattenSkills = (skills) => {
+  let list = skills;
+  if (typeof skills === 'string') {
+    try {
+      list = JSON.parse(skills);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(list)) return null;
+
+  const names = list
+    .map(skill => (typeof skill === 'string' ? skill : skill?.name))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim());
+
+  return names.length > 0 ? names.join(', ') : null;
+};
+
+const backfillSkillsText = async () => {
+  const rows = await queryAsync(
+    'SELECT id, skills FROM job_seekers WHERE skillsText IS NULL AND skills IS NOT NULL'
+  );
+
+  let filled = 0;
+  for (const row of rows) {
+    const skillsText = flattenSkills(row.skills);
+    if (!skillsText) continue;
+    await queryAsync('UPDATE job_seekers SET skillsText = ? WHERE id = ?', [skillsText, row.id]);
+    filled++;
+  }
+
+  if (filled > 0) {
+    console.log(`Flattened skills for ${filled} job seeker profiles`);
+  }
+};
+
+// MATCH() scores are floating point; a fixed-precision DECIMAL compares
+// exactly when it comes back in a pagination cursor
+const toScoreSql = (sql) => `CAST(${sql} AS DECIMAL(14,6))`;
+
+// Words as the FULLTEXT parser sees them ("node.js" is "node" and "js")
+const getWords = (keyword) => keyword.match(/[\p{L}\p{N}_]+/gu) || [];
+
+// Rebuild a boolean-mode query from the parts InnoDB accepts: optional
+// +, -, ~, < or > before a word or "quoted phrase", and a trailing * on
+// words. Anything else (stray operators, parentheses, unbalanced quotes)
+// is dropped so MySQL never sees a malformed query.
+const sanitizeBooleanQuery = (keyword) => {
+  const parts = [];
+  const pattern = /([+\-~<>]?)(?:"([^"]+)"|([\p{L}\p{N}_]+)(\*?))/gu;
+
+  for (const match of keyword.matchAll(pattern)) {
+    const [, operator, phrase, word, star] = match;
+    if (phrase) {
+      const phraseWords = getWords(phrase).join(' ');
+      if (phraseWords) parts.push(`${operator}"${phraseWords}"`);
+    } else {
+      parts.push(`${operator}${word}${star}`);
+    }
+  }
+
+  return parts.join(' ');
+};
+
+// Keyword -> SQL pieces for searchJobSeekers:
+//   condition/params   WHERE clause restricting to matching profiles
+//   scoreSql/scoreParams   weighted relevance (title 3, skills 2, bio 1)
+// mode 'natural' ranks with natural-language MATCH; 'boolean' accepts
+// +required -excluded "exact phrase" prefix* syntax.
+const buildKeywordSearch = (keyword, mode = 'natural') => {
+  const searchMode = mode || 'natural';
+  if (!KEYWORD_MODES.includes(searchMode)) {
+    throw keywordError(`keywordMode must be one of: ${KEYWORD_MODES.join(', ')}`);
+  }
+
+  const term = String(keyword).trim();
+  const words = getWords(term);
+  const minTokenSize = getMinTokenSize();
+
+  if (!words.some(word => word.length >= minTokenSize)) {
+    const plainTerm = searchMode === 'boolean'
+      ? term.replace(/(^|\s)[+\-~<>]+/g, '$1').replace(/["*()]/g, '').trim()
+      : term;
+    return buildLikeSearch(plainTerm);
+  }
+
+  const query = searchMode === 'boolean' ? sanitizeBooleanQuery(term) : term;
+  if (!query) {
+    throw keywordError('Keyword search has no searchable words');
+  }
+
+  const against = searchMode === 'boolean' ? 'AGAINST (? IN BOOLEAN MODE)' : 'AGAINST (? IN NATURAL LANGUAGE MODE)';
+  const scoreSql = Object.entries(FIELD_WEIGHTS)
+    .map(([column, weight]) => `MATCH(js.${column}) ${against} * ${weight}`)
+    .join('\n      + ');
+
+  return {
+    condition: `MATCH(js.title, js.bio, js.skillsText) ${against}`,
+    params: [query],
+    scoreSql: toScoreSql(scoreSql),
+    scoreParams: Object.keys(FIELD_WEIGHTS).map(() => query),
+    mode: searchMode
+  };
+};
+
+// Text as a literal LIKE pattern: %, _ and the escape character itself
+// would otherwise act as wildcards
+const escapeLike = (text) => String(text).replace(/[\\%_]/g, '\\$&');
+
+// Substring match for keywords too short for the FULLTEXT index, scored
+// with the same per-field weights
+const buildLikeSearch = (term) => {
+  const pattern = `%${escapeLike(term)}%`;
+
+  return {
+    condition: `(js.title LIKE ? OR js.bio LIKE ? OR js.skillsText LIKE ?)`,
+    params: [pattern, pattern, pattern],
+    scoreSql: toScoreSql(`(COALESCE(js.title, '') LIKE ?) * ${FIELD_WEIGHTS.title}
+      + (COALESCE(js.skillsText, '') LIKE ?) * ${FIELD_WEIGHTS.skillsText}
+      + (COALESCE(js.bio, '') LIKE ?) * ${FIELD_WEIGHTS.bio}`),
+    scoreParams: [pattern, pattern, pattern],
+    mode: 'like'
+  };
+};
+
+module.exports = {
+  createKeywordSearchIndexes,
+  flattenSkills,
+  buildKeywordSearch,
+  escapeLike,
+  KEYWORD_MODES
+};
@@ -0,0 +1,570 @@
+// services/locationService.js
+// Places (country > region > city) with aliases and coordinates, seeded
+// from data/locations.csv and extended by admins at runtime. Free-text
+// users.location is resolved to users.locationId on save, so search can
+// filter a whole region by id or every city within a radius.
+//
+// The table is small, so it is kept in memory: resolving and building
+// search filters never hit the database.
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { queryAsync, addColumnIfMissing, addIndexIfMissing } = require('../config/db');
+
+const LOCATION_SEED_FILE = path.join(__dirname, '..', 'data', 'locations.csv');
+const LOCATION_TYPES = ['country', 'region', 'city'];
+const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6371;
+
+let cache = null;
+
+const locationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Lower case, punctuation to spaces: "Bengaluru, KA" -> "bengaluru ka"
+const normalizeText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9&]+/g, ' ')
+    .trim();
+};
+
+const slugify = (text) => normalizeText(text).replace(/&/g, 'and').replace(/\s+/g, '-');
+
+// Create location tables, seed them and link existing users
+const createLocationTables = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS locations (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      code VARCHAR(64) NOT NULL UNIQUE,
+      name VARCHAR(100) NOT NULL,
+      type ENUM('country', 'region', 'city') NOT NULL,
+      parentId INT,
+      latitude DECIMAL(9,6),
+      longitude DECIMAL(9,6),
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (parentId) REFERENCES locations(id),
+      INDEX idx_parent (parentId)
+    )
+  `);
+
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS location_aliases (
+      locationId INT NOT NULL,
+      alias VARCHAR(100) NOT NULL,
+      PRIMARY KEY (locationId, alias),
+      FOREIGN KEY (locationId) REFERENCES locations(id) ON DELETE CASCADE,
+      INDEX idx_alias (alias)
+    )
+  `);
+
+  await addColumnIfMissing('users', 'locationId', 'INT NULL');
+  await addIndexIfMissing('users', 'idx_users_location', '(locationId)');
+
+  await seedLocations();
+  await loadLocationCache();
+  await resolveUnmatchedUsers();
+
+  console.log('✅ Location tables ready');
+};
+
+const readSeedFile = () => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(LOCATION_SEED_FILE)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+};
+
+// Insert seed rows whose code isn't in the table yet. Existing rows are
+// left alone so admin edits survive restarts; new aliases are added.
+const seedLocations = async () => {
+  const rows = await readSeedFile();
+  const existing = await queryAsync('SELECT id, code FROM locations');
+  const idsByCode = new Map(existing.map(row => [row.code, row.id]));
+
+  // Parents before children
+  rows.sort((a, b) => LOCATION_TYPES.indexOf(a.type) - LOCATION_TYPES.indexOf(b.type));
+
+  let inserted = 0;
+  const aliasRows = [];
+
+  for (const row of rows) {
+    const code = (row.code || '').trim();
+    if (!code || !row.name || !LOCATION_TYPES.includes(row.type)) {
+      console.warn('Skipping invalid location seed row:', row);
+      continue;
+    }
+
+    if (!idsByCode.has(code)) {
+      const parentId = row.parent ? idsByCode.get(row.parent.trim()) : null;
+      if (row.parent && !parentId) {
+        console.warn(`Skipping location ${code}: unknown parent ${row.parent}`);
+        continue;
+      }
+
+      const result = await queryAsync(
+        'INSERT INTO locations (code, name, type, parentId, latitude, longitude) VALUES (?, ?, ?, ?, ?, ?)',
+        [code, row.name.trim(), row.type, parentId, parseFloat(row.latitude) || null, parseFloat(row.longitude) || null]
+      );
+      idsByCode.set(code, result.insertId);
+      inserted++;
+    }
+
+    const locationId = idsByCode.get(code);
+    [row.name, ...(row.aliases || '').split('|')]
+      .map(normalizeText)
+      .filter(Boolean)
+      .forEach(alias => aliasRows.push([locationId, alias]));
+  }
+
+  if (aliasRows.length > 0) {
+    await queryAsync(
+      `INSERT IGNORE INTO location_aliases (locationId, alias) VALUES ${aliasRows.map(() => '(?, ?)').join(', ')}`,
+      aliasRows.flat()
+    );
+  }
+
+  if (inserted > 0) {
+    console.log(`Seeded ${inserted} locations from ${path.basename(LOCATION_SEED_FILE)}`);
+  }
+};
+
+const loadLocationCache = async () => {
+  const [locations, aliases] = await Promise.all([
+    queryAsync('SELECT id, code, name, type, parentId, latitude, longitude FROM locations'),
+    queryAsync('SELECT locationId, alias FROM location_aliases')
+  ]);
+
+  const byId = new Map();
+  const children = new Map();
+
+  locations.forEach(row => {
+    byId.set(row.id, {
+      id: row.id,
+      code: row.code,
+      name: row.name,
+      type: row.type,
+      parentId: row.parentId,
+      latitude: row.latitude === null ? null : Number(row.latitude),
+      longitude: row.longitude === null ? null : Number(row.longitude),
+      aliases: []
+    });
+    if (row.parentId) {
+      if (!children.has(row.parentId)) children.set(row.parentId, []);
+      children.get(row.parentId).push(row.id);
+    }
+  });
+
+  aliases.forEach(row => {
+    const location = byId.get(row.locationId);
+    if (location) location.aliases.push(row.alias);
+  });
+
+  cache = { byId, children };
+};
+
+const getAncestorIds = (location) => {
+  const ids = [];
+  let parentId = location.parentId;
+  while (parentId && !ids.includes(parentId)) {
+    ids.push(parentId);
+    parentId = cache.byId.get(parentId)?.parentId;
+  }
+  return ids;
+};
+
+const getDescendantIds = (locationId) => {
+  const ids = [locationId];
+  for (let i = 0; i < ids.length; i++) {
+    (cache.children.get(ids[i]) || []).forEach(childId => {
+      if (!ids.includes(childId)) ids.push(childId);
+    });
+  }
+  return ids;
+};
+
+// Free text -> best matching place or null. Every alias found as whole
+// words is a candidate ("Gurgaon, Haryana" finds a city and a region);
+// aliases inside a longer match are ignored ("New Delhi" is not "Delhi").
+// The winner is the candidate with the most of its ancestors also named,
+// then the most specific, then the earliest. A city in a different country
+// than one named in the text is discarded ("Salem, US" is not Salem, TN).
+const resolveLocation = (text) => {
+  if (!cache) return null;
+
+  const normalized = ` ${normalizeText(text)} `;
+  if (!normalized.trim()) return null;
+
+  let matches = [];
+  cache.byId.forEach(location => {
+    location.aliases.forEach(alias => {
+      const index = normalized.indexOf(` ${alias} `);
+      if (index !== -1) {
+        matches.push({ location, start: index, end: index + alias.length });
+      }
+    });
+  });
+
+  matches = matches.filter(match => !matches.some(other =>
+    other !== match && other.start <= match.start && other.end >= match.end
+      && other.end - other.start > match.end - match.start
+  ));
+  if (matches.length === 0) return null;
+
+  const matchedIds = new Set(matches.map(match => match.location.id));
+  const matchedCountries = matches.filter(match => match.location.type === 'country').map(match => match.location.id);
+
+  const scored = matches
+    .map(match => {
+      const ancestors = getAncestorIds(match.location);
+      const country = match.location.type === 'country' ? match.location.id : ancestors[ancestors.length - 1];
+      return {
+        ...match,
+        conflict: matchedCountries.length > 0 && !matchedCountries.includes(country),
+        score: ancestors.filter(id => matchedIds.has(id)).length
+      };
+    })
+    .filter(match => !match.conflict);
+
+  scored.sort((a, b) =>
+    b.score - a.score
+    || LOCATION_TYPES.indexOf(b.location.type) - LOCATION_TYPES.indexOf(a.location.type)
+    || a.start - b.start
+  );
+
+  return scored.length > 0 ? scored[0].location : null;
+};
+
+const resolveLocationId = (text) => resolveLocation(text)?.id || null;
+
+// "Chennai, Tamil Nadu, India"
+const getLocationPath = (location) => {
+  return [location.id, ...getAncestorIds(location)]
+    .map(id => cache.byId.get(id)?.name)
+    .filter(Boolean)
+    .join(', ');
+};
+
+const toPublicLocation = (location) => ({
+  id: location.id,
+  code: location.code,
+  name: location.name,
+  type: location.type,
+  parentId: location.parentId,
+  path: getLocationPath(location),
+  latitude: location.latitude,
+  longitude: location.longitude
+});
+
+// Great-circle distance in km (haversine)
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Cities within radiusKm of a place, plus the place itself
+const getIdsWithinRadius = (center, radiusKm) => {
+  const ids = [center.id];
+  cache.byId.forEach(location => {
+    if (location.id === center.id || location.type !== 'city' || location.latitude === null) return;
+    if (distanceKm(center, location) <= radiusKm) ids.push(location.id);
+  });
+  return ids;
+};
+
+const parseRadius = (radiusKm) => {
+  if (radiusKm === undefined || radiusKm === null || radiusKm === '') return null;
+
+  const radius = Number(radiusKm);
+  if (!Number.isFinite(radius) || radius < 1 || radius > MAX_RADIUS_KM) {
+    throw locationError(`radiusKm must be a number between 1 and ${MAX_RADIUS_KM}`);
+  }
+  return radius;
+};
+
+// Location search -> { condition, params } on u.locationId.
+//   no radius   the place and everything under it ("Tamil Nadu" includes
+//               Chennai); users whose text didn't resolve fall back to LIKE
+//   radiusKm    every city within that distance of the place
+// Unknown places fall back to a LIKE on the raw text (400 with a radius).
+const buildLocationQuery = (searchLocation, { radiusKm } = {}) => {
+  const radius = parseRadius(radiusKm);
+
+  if (!searchLocation || !String(searchLocation).trim()) {
+    if (radius) throw locationError('A location is required for a radius search');
+    return { condition: '', params: [] };
+  }
+
+  const term = String(searchLocation).trim().toLowerCase();
+  const place = resolveLocation(term);
+  const likeFallback = { condition: 'LOWER(u.location) LIKE ?', params: [`%${term}%`] };
+
+  if (radius) {
+    if (!place) {
+      throw locationError(`Unknown location "${searchLocation}" for a radius search`);
+    }
+    if (place.latitude === null || place.longitude === null) {
+      throw locationError(`"${place.name}" has no coordinates for a radius search`);
+    }
+    const ids = getIdsWithinRadius(place, radius);
+    return {
+      condition: `u.locationId IN (${ids.map(() => '?').join(', ')})`,
+      params: ids
+    };
+  }
+
+  if (!place) {
+    return { condition: `(${likeFallback.condition})`, params: likeFallback.params };
+  }
+
+  const ids = getDescendantIds(place.id);
+  return {
+    condition: `(u.locationId IN (${ids.map(() => '?').join(', ')}) OR (u.locationId IS NULL AND ${likeFallback.condition}))`,
+    params: [...ids, ...likeFallback.params]
+  };
+};
+
+// Location facet selection -> { condition, params }: the place and
+// everything under it, by id (no text fallback, so it agrees with the facet
+// counts from summarizeLocationCounts)
+const buildLocationIdQuery = (locationId) => {
+  if (locationId === undefined || locationId === null || locationId === '') {
+    return { condition: '', params: [] };
+  }
+
+  const location = cache?.byId.get(parseInt(locationId, 10));
+  if (!location) {
+    throw locationError('locationId must be a known location');
+  }
+
+  const ids = getDescendantIds(location.id);
+  return {
+    condition: `u.locationId IN (${ids.map(() => '?').join(', ')})`,
+    params: ids
+  };
+};
+
+// Whether locationId is placeId or somewhere under it
+const isWithinLocation = (locationId, placeId) => {
+  if (!cache || !locationId || !placeId) return false;
+  return getDescendantIds(placeId).includes(locationId);
+};
+
+// How close locationId is to a place, 0-1, or null when locationId is
+// unknown. Inside the place is 1. Around a city the score falls with
+// distance to 0 at MAX_RADIUS_KM, but never below 0.5 in the same region
+// or 0.25 in the same country.
+const locationProximity = (locationId, placeId) => {
+  const location = cache?.byId.get(locationId);
+  const place = cache?.byId.get(placeId);
+  if (!location || !place) return null;
+  if (isWithinLocation(locationId, placeId)) return 1;
+
+  const ancestorsOf = (item) => [item.id, ...getAncestorIds(item)].map(id => cache.byId.get(id)).filter(Boolean);
+  const shared = ancestorsOf(location).filter(item => ancestorsOf(place).some(other => other.id === item.id));
+
+  let score = 0;
+  if (shared.some(item => item.type === 'region')) score = 0.5;
+  else if (shared.some(item => item.type === 'country')) score = 0.25;
+
+  if (place.type === 'city' && place.latitude !== null && location.latitude !== null) {
+    score = Math.max(score, 1 - distanceKm(place, location) / MAX_RADIUS_KM);
+  }
+  return score;
+};
+
+// [{ locationId, count }] per user location -> { cities, regions }, each the
+// top `limit` places by count. A region counts everyone in it or any of its
+// cities; users without a resolved location are left out.
+const summarizeLocationCounts = (rows, limit = 10) => {
+  const cities = new Map();
+  const regions = new Map();
+
+  rows.forEach(row => {
+    const location = cache?.byId.get(row.locationId);
+    if (!location) return;
+
+    const count = Number(row.count) || 0;
+    if (location.type === 'city') {
+      cities.set(location.id, (cities.get(location.id) || 0) + count);
+    }
+    [location.id, ...getAncestorIds(location)].forEach(id => {
+      if (cache.byId.get(id)?.type === 'region') {
+        regions.set(id, (regions.get(id) || 0) + count);
+      }
+    });
+  });
+
+  const top = (counts) => [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || cache.byId.get(a[0]).name.localeCompare(cache.byId.get(b[0]).name))
+    .slice(0, limit)
+    .map(([id, count]) => {
+      const location = cache.byId.get(id);
+      return { value: id, label: location.name, path: getLocationPath(location), count };
+    });
+
+  return { cities: top(cities), regions: top(regions) };
+};
+
+// Link users whose location text hasn't been resolved yet (existing rows
+// on first start, and anyone a newly added place or alias now covers)
+const resolveUnmatchedUsers = async () => {
+  const rows = await queryAsync(
+    "SELECT id, location FROM users WHERE locationId IS NULL AND location IS NOT NULL AND location != ''"
+  );
+
+  let resolved = 0;
+  for (const row of rows) {
+    const locationId = resolveLocationId(row.location);
+    if (!locationId) continue;
+    await queryAsync('UPDATE users SET locationId = ? WHERE id = ?', [locationId, row.id]);
+    resolved++;
+  }
+
+  if (resolved > 0) {
+    console.log(`Resolved locations for ${resolved} users`);
+  }
+  return resolved;
+};
+
+// Autocomplete: places whose name or alias starts with the text
+const searchLocations = (text, limit = 10) => {
+  if (!cache) return [];
+
+  const prefix = normalizeText(text);
+  if (!prefix) return [];
+
+  return [...cache.byId.values()]
+    .filter(location => location.aliases.some(alias => alias.startsWith(prefix)))
+    .sort((a, b) =>
+      Number(!normalizeText(b.name).startsWith(prefix)) - Number(!normalizeText(a.name).startsWith(prefix))
+      || LOCATION_TYPES.indexOf(a.type) - LOCATION_TYPES.indexOf(b.type)
+      || a.name.localeCompare(b.name)
+    )
+    .slice(0, limit)
+    .map(toPublicLocation);
+};
+
+const getLocation = (locationId) => {
+  const location = cache?.byId.get(parseInt(locationId, 10));
+  if (!location) {
+    throw locationError('Location not found', 404);
+  }
+  return toPublicLocation(location);
+};
+
+const normalizeAliases = (aliases) => {
+  const list = Array.isArray(aliases) ? aliases : String(aliases || '').split(/[,|]/);
+  const normalized = [...new Set(list.map(normalizeText).filter(Boolean))];
+  if (normalized.some(alias => alias.length > 100)) {
+    throw locationError('Aliases must be at most 100 characters');
+  }
+  return normalized;
+};
+
+const parseCoordinate = (value, label, limit) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) {
+    throw locationError(`${label} must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+};
+
+// Admin: add a place. Body { name, type, parentId?, latitude?, longitude?, aliases? }
+const createLocation = async ({ name, type, parentId, latitude, longitude, aliases }) => {
+  const placeName = String(name || '').trim();
+  if (!placeName || placeName.length > 100) {
+    throw locationError('Name is required (at most 100 characters)');
+  }
+  if (!LOCATION_TYPES.includes(type)) {
+    throw locationError(`type must be one of: ${LOCATION_TYPES.join(', ')}`);
+  }
+
+  let parent = null;
+  if (type !== 'country') {
+    parent = cache.byId.get(parseInt(parentId, 10));
+    if (!parent) {
+      throw locationError('parentId must be an existing location');
+    }
+    if (LOCATION_TYPES.indexOf(parent.type) >= LOCATION_TYPES.indexOf(type)) {
+      throw locationError(`A ${type} can't be placed under a ${parent.type}`);
+    }
+  }
+
+  const lat = parseCoordinate(latitude, 'latitude', 90);
+  const lng = parseCoordinate(longitude, 'longitude', 180);
+  if ((lat === null) !== (lng === null)) {
+    throw locationError('Give both latitude and longitude, or neither');
+  }
+
+  const code = parent ? `${parent.code}-${slugify(placeName)}` : slugify(placeName);
+
+  let result;
+  try {
+    result = await queryAsync(
+      'INSERT INTO locations (code, name, type, parentId, latitude, longitude) VALUES (?, ?, ?, ?, ?, ?)',
+      [code, placeName, type, parent ? parent.id : null, lat, lng]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw locationError(`Location "${code}" already exists`, 409);
+    }
+    throw error;
+  }
+
+  return addLocationAliases(result.insertId, [placeName, ...normalizeAliases(aliases)]);
+};
+
+// Admin: add aliases to a place, then link any users they now resolve.
+// Returns { location, usersResolved }.
+const addLocationAliases = async (locationId, aliases) => {
+  const id = parseInt(locationId, 10);
+  const rows = await queryAsync('SELECT id FROM locations WHERE id = ?', [id]);
+  if (rows.length === 0) {
+    throw locationError('Location not found', 404);
+  }
+
+  const normalized = normalizeAliases(aliases);
+  if (normalized.length === 0) {
+    throw locationError('At least one alias is required');
+  }
+
+  await queryAsync(
+    `INSERT IGNORE INTO location_aliases (locationId, alias) VALUES ${normalized.map(() => '(?, ?)').join(', ')}`,
+    normalized.flatMap(alias => [id, alias])
+  );
+
+  await loadLocationCache();
+  const usersResolved = await resolveUnmatchedUsers();
+
+  return { location: { ...getLocation(id), aliases: cache.byId.get(id).aliases }, usersResolved };
+};
+
+module.exports = {
+  createLocationTables,
+  resolveLocationId,
+  buildLocationQuery,
+  buildLocationIdQuery,
+  summarizeLocationCounts,
+  isWithinLocation,
+  locationProximity,
+  searchLocations,
+  getLocation,
+  createLocation,
+  addLocationAliases,
+  MAX_RADIUS_KM
+};
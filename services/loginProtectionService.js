@@ -0,0 +1,278 @@
+// services/loginProtectionService.js
+// Failed-attempt tracking, progressive delays and temporary lockouts for
+// the login and password reset endpoints. All time arithmetic is done in
+// SQL so it is consistent with the database clock.
+const crypto = require('crypto');
+const { queryAsync, addColumnIfMissing } = require('../config/db');
+const { hashToken } = require('./sessionService');
+
+const ATTEMPT_WINDOW_MINUTES = 15;
+const DELAY_AFTER_FAILURES = 3;      // progressive delay starts after this many failures
+const MAX_DELAY_SECONDS = 60;
+const LOCKOUT_THRESHOLD = 10;        // failures per account before a lockout
+const LOCKOUT_MINUTES = 30;
+const IP_MAX_FAILURES = 50;          // failures per IP across all accounts
+const RESET_IP_MAX_FAILURES = 20;    // wrong reset codes per IP
+
+// Create attempts table and lockout columns
+const createLoginProtectionTables = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS auth_attempts (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      attemptType ENUM('login', 'reset') NOT NULL,
+      accountKey VARCHAR(120),
+      ipAddress VARCHAR(45),
+      success BOOLEAN NOT NULL DEFAULT FALSE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_account_attempts (attemptType, accountKey, createdAt),
+      INDEX idx_ip_attempts (attemptType, ipAddress, createdAt)
+    )
+  `;
+
+  await queryAsync(createTableQuery);
+  await addColumnIfMissing('users', 'lockedUntil', 'DATETIME');
+  await addColumnIfMissing('users', 'unlockToken', 'CHAR(64)');
+  console.log('✅ Login protection tables ready');
+};
+
+// Identify the account being attacked, whether or not it exists
+const getAccountKey = (user, identifier) => {
+  if (user) return `user:${user.id}`;
+  return `name:${String(identifier || '').toLowerCase().slice(0, 100)}`;
+};
+
+// Delay (seconds) required after the nth consecutive failure
+const getProgressiveDelay = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+// Failures for an account since its last successful login, within the window
+const getAccountFailures = async (accountKey) => {
+  const rows = await queryAsync(
+    `SELECT COUNT(*) AS failures,
+            TIMESTAMPDIFF(SECOND, MAX(createdAt), NOW()) AS secondsSinceLast
+     FROM auth_attempts
+     WHERE attemptType = 'login' AND accountKey = ? AND success = FALSE
+       AND createdAt > NOW() - INTERVAL ? MINUTE
+       AND createdAt > COALESCE((
+         SELECT MAX(createdAt) FROM auth_attempts
+         WHERE attemptType = 'login' AND accountKey = ? AND success = TRUE
+       ), '1970-01-01')`,
+    [accountKey, ATTEMPT_WINDOW_MINUTES, accountKey]
+  );
+
+  return {
+    failures: Number(rows[0].failures) || 0,
+    secondsSinceLast: rows[0].secondsSinceLast
+  };
+};
+
+const getIpFailures = async (attemptType, ipAddress) => {
+  if (!ipAddress) return { failures: 0, secondsUntilOldestExpires: 0 };
+
+  const rows = await queryAsync(
+    `SELECT COUNT(*) AS failures,
+            TIMESTAMPDIFF(SECOND, NOW(), MIN(createdAt) + INTERVAL ? MINUTE) AS secondsUntilOldestExpires
+     FROM auth_attempts
+     WHERE attemptType = ? AND ipAddress = ? AND success = FALSE
+       AND createdAt > NOW() - INTERVAL ? MINUTE`,
+    [ATTEMPT_WINDOW_MINUTES, attemptType, ipAddress, ATTEMPT_WINDOW_MINUTES]
+  );
+
+  return {
+    failures: Number(rows[0].failures) || 0,
+    secondsUntilOldestExpires: Math.max(Number(rows[0].secondsUntilOldestExpires) || 0, 1)
+  };
+};
+
+const getAccountLock = async (user) => {
+  if (!user) return null;
+
+  const rows = await queryAsync(
+    `SELECT lockedUntil, TIMESTAMPDIFF(SECOND, NOW(), lockedUntil) AS secondsRemaining
+     FROM users WHERE id = ? AND lockedUntil > NOW()`,
+    [user.id]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Decide whether a login attempt may proceed. Returns the lockout state
+// that is sent back to the client when it may not.
+const checkLoginAllowed = async ({ user, accountKey, ipAddress }) => {
+  const lock = await getAccountLock(user);
+  if (lock) {
+    return {
+      allowed: false,
+      lockout: {
+        locked: true,
+        reason: 'account_locked',
+        lockedUntil: lock.lockedUntil,
+        retryAfter: Math.max(Number(lock.secondsRemaining) || 0, 1)
+      }
+    };
+  }
+
+  const ipState = await getIpFailures('login', ipAddress);
+  if (ipState.failures >= IP_MAX_FAILURES) {
+    return {
+      allowed: false,
+      lockout: {
+        locked: false,
+        reason: 'too_many_attempts_from_ip',
+        retryAfter: ipState.secondsUntilOldestExpires
+      }
+    };
+  }
+
+  const accountState = await getAccountFailures(accountKey);
+
+  // Unknown accounts can't be locked in the users table; treat them the same
+  // way so lockout behaviour doesn't reveal which usernames exist
+  if (!user && accountState.failures >= LOCKOUT_THRESHOLD) {
+    const remaining = LOCKOUT_MINUTES * 60 - (Number(accountState.secondsSinceLast) || 0);
+    if (remaining > 0) {
+      return {
+        allowed: false,
+        lockout: {
+          locked: true,
+          reason: 'account_locked',
+          retryAfter: remaining
+        }
+      };
+    }
+  }
+
+  const delay = getProgressiveDelay(accountState.failures);
+  const waited = Number(accountState.secondsSinceLast) || 0;
+  if (delay > 0 && waited < delay) {
+    return {
+      allowed: false,
+      lockout: {
+        locked: false,
+        reason: 'too_many_attempts',
+        retryAfter: delay - waited
+      }
+    };
+  }
+
+  return { allowed: true };
+};
+
+// Record a failed login. Locks the account once the threshold is reached and
+// returns the unlock token so the caller can email it.
+const recordLoginFailure = async ({ user, accountKey, ipAddress }) => {
+  await queryAsync(
+    'INSERT INTO auth_attempts (attemptType, accountKey, ipAddress, success) VALUES (?, ?, ?, FALSE)',
+    ['login', accountKey, ipAddress]
+  );
+
+  const { failures } = await getAccountFailures(accountKey);
+
+  if (user && failures >= LOCKOUT_THRESHOLD) {
+    const unlockToken = crypto.randomBytes(32).toString('base64url');
+
+    await queryAsync(
+      'UPDATE users SET lockedUntil = NOW() + INTERVAL ? MINUTE, unlockToken = ? WHERE id = ?',
+      [LOCKOUT_MINUTES, hashToken(unlockToken), user.id]
+    );
+
+    const lock = await getAccountLock(user);
+    return {
+      unlockToken,
+      lockout: {
+        locked: true,
+        reason: 'account_locked',
+        lockedUntil: lock ? lock.lockedUntil : null,
+        retryAfter: LOCKOUT_MINUTES * 60
+      }
+    };
+  }
+
+  // Mirror the lockout for unknown accounts (see checkLoginAllowed)
+  if (!user && failures >= LOCKOUT_THRESHOLD) {
+    return {
+      lockout: {
+        locked: true,
+        reason: 'account_locked',
+        retryAfter: LOCKOUT_MINUTES * 60
+      }
+    };
+  }
+
+  return {
+    lockout: {
+      locked: false,
+      remainingAttempts: Math.max(LOCKOUT_THRESHOLD - failures, 0),
+      retryAfter: getProgressiveDelay(failures)
+    }
+  };
+};
+
+const recordLoginSuccess = async ({ user, accountKey, ipAddress }) => {
+  await queryAsync(
+    'INSERT INTO auth_attempts (attemptType, accountKey, ipAddress, success) VALUES (?, ?, ?, TRUE)',
+    ['login', accountKey, ipAddress]
+  );
+
+  if (user) {
+    await queryAsync('UPDATE users SET lockedUntil = NULL, unlockToken = NULL WHERE id = ?', [user.id]);
+  }
+};
+
+// Unlock an account with the token from the lockout email
+const unlockAccount = async (token) => {
+  const users = await queryAsync(
+    'SELECT id, email FROM users WHERE unlockToken = ? AND lockedUntil > NOW()',
+    [hashToken(token)]
+  );
+
+  if (users.length === 0) return null;
+
+  const user = users[0];
+  await queryAsync('UPDATE users SET lockedUntil = NULL, unlockToken = NULL WHERE id = ?', [user.id]);
+  await queryAsync(
+    "DELETE FROM auth_attempts WHERE attemptType = 'login' AND accountKey = ? AND success = FALSE",
+    [getAccountKey(user)]
+  );
+
+  return user;
+};
+
+// Password reset: per-IP cap on wrong codes
+const checkResetAllowed = async (ipAddress) => {
+  const ipState = await getIpFailures('reset', ipAddress);
+  if (ipState.failures >= RESET_IP_MAX_FAILURES) {
+    return { allowed: false, retryAfter: ipState.secondsUntilOldestExpires };
+  }
+  return { allowed: true };
+};
+
+// Per-token guess limits live in passwordResetService
+const recordResetFailure = async ({ user, ipAddress }) => {
+  await queryAsync(
+    'INSERT INTO auth_attempts (attemptType, accountKey, ipAddress, success) VALUES (?, ?, ?, FALSE)',
+    ['reset', user ? getAccountKey(user) : null, ipAddress]
+  );
+};
+
+const recordResetSuccess = async ({ user, ipAddress }) => {
+  await queryAsync(
+    'INSERT INTO auth_attempts (attemptType, accountKey, ipAddress, success) VALUES (?, ?, ?, TRUE)',
+    ['reset', getAccountKey(user), ipAddress]
+  );
+};
+
+module.exports = {
+  createLoginProtectionTables,
+  getAccountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  checkResetAllowed,
+  recordResetFailure,
+  recordResetSuccess,
+  LOCKOUT_MINUTES
+};
@@ -0,0 +1,184 @@
+// services/mfaService.js
+// Storage and verification for TOTP two-factor authentication and backup codes
+const crypto = require('crypto');
+const { queryAsync } = require('../config/db');
+const { hashToken } = require('./sessionService');
+const { generateSecret, verifyTotp, buildOtpAuthUrl } = require('./totpService');
+
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+
+// Create MFA tables
+const createMfaTables = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS user_mfa (
+      userId INT PRIMARY KEY,
+      secretEncrypted VARCHAR(255) NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      lastUsedStep BIGINT,
+      confirmedAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS mfa_backup_codes (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT NOT NULL,
+      codeHash CHAR(64) NOT NULL,
+      usedAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_user_code (userId, codeHash)
+    )
+  `);
+
+  console.log('✅ MFA tables ready');
+};
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => {
+  const keySource = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback_secret_key';
+  return crypto.createHash('sha256').update(keySource).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Backup codes look like ABCD-EFGH; case and dashes are ignored on entry
+const normalizeBackupCode = (code) => {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+};
+
+const generateBackupCode = () => {
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+};
+
+const getMfaRecord = async (userId) => {
+  const rows = await queryAsync('SELECT * FROM user_mfa WHERE userId = ?', [userId]);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const isMfaEnabled = async (userId) => {
+  const record = await getMfaRecord(userId);
+  return !!(record && record.enabled);
+};
+
+// Start (or restart) enrollment with a fresh, not yet enabled secret
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  await queryAsync(
+    `INSERT INTO user_mfa (userId, secretEncrypted, enabled) VALUES (?, ?, FALSE)
+     ON DUPLICATE KEY UPDATE secretEncrypted = VALUES(secretEncrypted), enabled = FALSE,
+       lastUsedStep = NULL, confirmedAt = NULL`,
+    [user.id, encryptSecret(secret)]
+  );
+
+  return {
+    secret,
+    otpauthUrl: buildOtpAuthUrl({ secret, accountName: user.email })
+  };
+};
+
+// Verify a TOTP code, rejecting a code from a step that was already used
+const verifyTotpForUser = async (record, code) => {
+  const matchedStep = verifyTotp(decryptSecret(record.secretEncrypted), code);
+
+  if (matchedStep === null) return false;
+  if (record.lastUsedStep !== null && matchedStep <= Number(record.lastUsedStep)) return false;
+
+  const result = await queryAsync(
+    'UPDATE user_mfa SET lastUsedStep = ? WHERE userId = ? AND (lastUsedStep IS NULL OR lastUsedStep < ?)',
+    [matchedStep, record.userId, matchedStep]
+  );
+  return result.affectedRows > 0;
+};
+
+const replaceBackupCodes = async (userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+
+  await queryAsync('DELETE FROM mfa_backup_codes WHERE userId = ?', [userId]);
+  await queryAsync(
+    'INSERT INTO mfa_backup_codes (userId, codeHash) VALUES ?',
+    [codes.map(code => [userId, hashToken(normalizeBackupCode(code))])]
+  );
+
+  return codes;
+};
+
+// Finish enrollment: the first valid code enables MFA and returns backup codes
+const confirmEnrollment = async (userId, code) => {
+  const record = await getMfaRecord(userId);
+
+  if (!record || record.enabled) return null;
+  if (!(await verifyTotpForUser(record, code))) return null;
+
+  await queryAsync('UPDATE user_mfa SET enabled = TRUE, confirmedAt = NOW() WHERE userId = ?', [userId]);
+  return replaceBackupCodes(userId);
+};
+
+const useBackupCode = async (userId, code) => {
+  const normalized = normalizeBackupCode(code);
+  if (normalized.length !== 8) return false;
+
+  const result = await queryAsync(
+    'UPDATE mfa_backup_codes SET usedAt = NOW() WHERE userId = ? AND codeHash = ? AND usedAt IS NULL',
+    [userId, hashToken(normalized)]
+  );
+  return result.affectedRows > 0;
+};
+
+// Verify a second-factor code for an MFA-enabled user: a 6-digit TOTP code
+// or an unused backup code. Returns 'totp', 'backup_code' or null.
+const verifyMfaCode = async (userId, { code, backupCode }) => {
+  const record = await getMfaRecord(userId);
+  if (!record || !record.enabled) return null;
+
+  if (code && await verifyTotpForUser(record, code)) return 'totp';
+  if (backupCode && await useBackupCode(userId, backupCode)) return 'backup_code';
+  return null;
+};
+
+const getRemainingBackupCodes = async (userId) => {
+  const rows = await queryAsync(
+    'SELECT COUNT(*) AS remaining FROM mfa_backup_codes WHERE userId = ? AND usedAt IS NULL',
+    [userId]
+  );
+  return Number(rows[0].remaining) || 0;
+};
+
+const disableMfa = async (userId) => {
+  await queryAsync('DELETE FROM mfa_backup_codes WHERE userId = ?', [userId]);
+  await queryAsync('DELETE FROM user_mfa WHERE userId = ?', [userId]);
+};
+
+module.exports = {
+  createMfaTables,
+  getMfaRecord,
+  isMfaEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifyMfaCode,
+  replaceBackupCodes,
+  getRemainingBackupCodes,
+  disableMfa
+};
@@ -0,0 +1,317 @@
+// services/oidcService.js
+// Generic OpenID Connect authorization-code flow with PKCE. Providers are
+// configured through the OIDC_PROVIDERS env var as a JSON array, e.g.
+//   [{ "id": "acme", "name": "Acme SSO", "issuer": "https://sso.acme.com",
+//      "clientId": "...", "clientSecret": "...",
+//      "redirectUri": "https://app.example.com/auth/oidc/callback" }]
+// Optional per provider: "scopes" (default "openid email profile") and
+// "tokenEndpointAuthMethod" ("client_secret_basic" | "client_secret_post").
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { queryAsync } = require('../config/db');
+const { hashToken } = require('./sessionService');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_INTERVAL_MS = 60 * 1000;
+const AUTH_REQUEST_TTL_MINUTES = 10;
+const HTTP_TIMEOUT_MS = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Create OIDC tables
+const createOidcTables = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS oidc_auth_requests (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      stateHash CHAR(64) NOT NULL,
+      providerId VARCHAR(50) NOT NULL,
+      codeVerifier VARCHAR(128) NOT NULL,
+      nonce VARCHAR(64) NOT NULL,
+      expiresAt DATETIME NOT NULL,
+      usedAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_state (stateHash)
+    )
+  `);
+
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS user_identities (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      email VARCHAR(100),
+      lastLoginAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_provider_subject (provider, subject),
+      INDEX idx_user_identities (userId)
+    )
+  `);
+
+  console.log('✅ OIDC tables ready');
+};
+
+const oidcError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const stripTrailingSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+const getProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) return [];
+
+  try {
+    const providers = JSON.parse(process.env.OIDC_PROVIDERS);
+    return Array.isArray(providers)
+      ? providers.filter(p => p && p.id && p.issuer && p.clientId && p.redirectUri)
+      : [];
+  } catch (error) {
+    console.error('❌ Invalid OIDC_PROVIDERS configuration:', error.message);
+    return [];
+  }
+};
+
+const getProvider = (providerId) => {
+  const provider = getProviders().find(p => p.id === providerId);
+  if (!provider) {
+    throw oidcError('Unknown sign-in provider', 404);
+  }
+  return provider;
+};
+
+// Fetch and cache the provider's /.well-known/openid-configuration
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) {
+    return cached.config;
+  }
+
+  const issuer = stripTrailingSlash(provider.issuer);
+  const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+
+  if (stripTrailingSlash(data.issuer) !== issuer) {
+    throw oidcError(`Discovery issuer mismatch for provider ${provider.id}`, 502);
+  }
+  if (!data.authorization_endpoint || !data.token_endpoint || !data.jwks_uri) {
+    throw oidcError(`Incomplete discovery document for provider ${provider.id}`, 502);
+  }
+
+  discoveryCache.set(provider.id, { config: data, fetchedAt: Date.now() });
+  return data;
+};
+
+// Signing keys, refetched when a token names a key we haven't seen
+const getSigningKey = async (provider, discovery, kid) => {
+  let cached = jwksCache.get(provider.id);
+
+  const findKey = (keys) => {
+    const candidates = keys.filter(key => !key.use || key.use === 'sig');
+    if (kid) return candidates.find(key => key.kid === kid);
+    return candidates.length === 1 ? candidates[0] : undefined;
+  };
+
+  let jwk = cached ? findKey(cached.keys) : undefined;
+
+  if (!jwk && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_INTERVAL_MS)) {
+    const { data } = await axios.get(discovery.jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+    cached = { keys: Array.isArray(data.keys) ? data.keys : [], fetchedAt: Date.now() };
+    jwksCache.set(provider.id, cached);
+    jwk = findKey(cached.keys);
+  }
+
+  if (!jwk) {
+    throw oidcError('ID token signing key not found', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// PKCE (RFC 7636) S256 challenge
+const createCodeChallenge = (verifier) => {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+};
+
+// Build the provider redirect and remember state, nonce and PKCE verifier
+const createAuthorizationUrl = async (providerId) => {
+  const provider = getProvider(providerId);
+  const discovery = await discover(provider);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+  await queryAsync(
+    `INSERT INTO oidc_auth_requests (stateHash, providerId, codeVerifier, nonce, expiresAt)
+     VALUES (?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)`,
+    [hashToken(state), provider.id, codeVerifier, nonce, AUTH_REQUEST_TTL_MINUTES]
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes || 'openid email profile',
+    state,
+    nonce,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  const separator = discovery.authorization_endpoint.includes('?') ? '&' : '?';
+  return `${discovery.authorization_endpoint}${separator}${params.toString()}`;
+};
+
+// Look up and burn the stored request for a state value
+const consumeAuthRequest = async (providerId, state) => {
+  const rows = await queryAsync(
+    `SELECT id, codeVerifier, nonce FROM oidc_auth_requests
+     WHERE stateHash = ? AND providerId = ? AND usedAt IS NULL AND expiresAt > NOW()`,
+    [hashToken(state), providerId]
+  );
+
+  if (rows.length === 0) {
+    throw oidcError('Invalid or expired sign-in attempt. Please start again.');
+  }
+
+  const result = await queryAsync(
+    'UPDATE oidc_auth_requests SET usedAt = NOW() WHERE id = ? AND usedAt IS NULL',
+    [rows[0].id]
+  );
+  if (result.affectedRows === 0) {
+    throw oidcError('Invalid or expired sign-in attempt. Please start again.');
+  }
+
+  return rows[0];
+};
+
+const exchangeCode = async (provider, discovery, code, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  const supported = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  const authMethod = provider.tokenEndpointAuthMethod
+    || (supported.includes('client_secret_basic') ? 'client_secret_basic' : 'client_secret_post');
+
+  if (provider.clientSecret && authMethod === 'client_secret_basic') {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', provider.clientId);
+    if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+  }
+
+  try {
+    const { data } = await axios.post(discovery.token_endpoint, body.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+    if (!data.id_token) {
+      throw oidcError('Identity provider did not return an ID token', 502);
+    }
+    return data;
+  } catch (error) {
+    if (error.statusCode) throw error;
+    console.error('❌ OIDC token exchange failed:', error.response?.data || error.message);
+    throw oidcError('Could not complete sign-in with the identity provider', 502);
+  }
+};
+
+// Validate signature (JWKS), issuer, audience, expiry and nonce
+const validateIdToken = async (provider, discovery, idToken, expectedNonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw oidcError('Invalid ID token', 401);
+  }
+
+  const key = await getSigningKey(provider, discovery, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [decoded.header.alg],
+      issuer: discovery.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    console.warn('⚠️ ID token verification failed:', error.message);
+    throw oidcError('Invalid ID token', 401);
+  }
+
+  if (!claims.sub) {
+    throw oidcError('Invalid ID token', 401);
+  }
+  if (claims.nonce !== expectedNonce) {
+    throw oidcError('ID token nonce mismatch', 401);
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw oidcError('ID token authorized party mismatch', 401);
+  }
+
+  return claims;
+};
+
+// Finish the redirect: returns the verified identity of the signed-in user
+const completeAuthorization = async (providerId, { code, state }) => {
+  const provider = getProvider(providerId);
+  const authRequest = await consumeAuthRequest(provider.id, state);
+  const discovery = await discover(provider);
+
+  const tokens = await exchangeCode(provider, discovery, code, authRequest.codeVerifier);
+  const claims = await validateIdToken(provider, discovery, tokens.id_token, authRequest.nonce);
+
+  return {
+    provider: provider.id,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || null,
+    lastName: claims.family_name || null,
+    name: claims.name || null,
+    preferredUsername: claims.preferred_username || null
+  };
+};
+
+const findUserByIdentity = async (provider, subject) => {
+  const rows = await queryAsync(
+    `SELECT u.id, u.userName, u.email, u.userType, u.firstName, u.lastName, u.emailVerified
+     FROM user_identities i
+     JOIN users u ON u.id = i.userId
+     WHERE i.provider = ? AND i.subject = ?`,
+    [provider, subject]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const linkIdentity = async (userId, identity) => {
+  await queryAsync(
+    `INSERT INTO user_identities (userId, provider, subject, email, lastLoginAt)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [userId, identity.provider, identity.subject, identity.email]
+  );
+};
+
+const touchIdentity = async (identity) => {
+  await queryAsync(
+    'UPDATE user_identities SET lastLoginAt = NOW(), email = COALESCE(?, email) WHERE provider = ? AND subject = ?',
+    [identity.email, identity.provider, identity.subject]
+  );
+};
+
+module.exports = {
+  createOidcTables,
+  getProviders,
+  createAuthorizationUrl,
+  completeAuthorization,
+  findUserByIdentity,
+  linkIdentity,
+  touchIdentity
+};
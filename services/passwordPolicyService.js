@@ -0,0 +1,218 @@
+// services/passwordPolicyService.js
+// One password policy for every place a password is set (register, reset,
+// dashboard change). Each rule is reported separately so clients can show
+// exactly what is missing.
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { queryAsync } = require('../config/db');
+
+const BCRYPT_MAX_BYTES = 72; // bcrypt ignores anything past 72 bytes
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, message: 'Password must contain a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, message: 'Password must contain an uppercase letter' },
+  number: { pattern: /[0-9]/, message: 'Password must contain a number' },
+  symbol: { pattern: /[^a-zA-Z0-9]/, message: 'Password must contain a symbol' }
+};
+const LEET_SUBSTITUTIONS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+// Policy settings, all overridable from the environment:
+// PASSWORD_MIN_LENGTH (8), PASSWORD_REQUIRED_CLASSES ("lowercase,uppercase,number"),
+// PASSWORD_HISTORY_COUNT (5, 0 disables), PASSWORD_BLOCKLIST_PATH
+const getPasswordPolicy = () => {
+  const requiredClasses = (process.env.PASSWORD_REQUIRED_CLASSES ?? 'lowercase,uppercase,number')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => CHARACTER_CLASSES[name]);
+
+  return {
+    minLength: Math.min(parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8, BCRYPT_MAX_BYTES),
+    maxBytes: BCRYPT_MAX_BYTES,
+    requiredClasses,
+    historyCount: Math.max(parseInt(process.env.PASSWORD_HISTORY_COUNT ?? '5', 10) || 0, 0),
+    blockCommonPasswords: true,
+    blockPersonalInfo: true
+  };
+};
+
+// Create password history table
+const createPasswordHistoryTable = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS password_history (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT NOT NULL,
+      passwordHash VARCHAR(255) NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_user_history (userId, id)
+    )
+  `);
+
+  console.log('✅ Password history table ready');
+};
+
+// Bundled list of common / breached passwords, loaded on first use
+let commonPasswords = null;
+
+const getCommonPasswords = () => {
+  if (commonPasswords) return commonPasswords;
+
+  const listPath = process.env.PASSWORD_BLOCKLIST_PATH
+    || path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+  try {
+    commonPasswords = new Set(
+      fs.readFileSync(listPath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+    console.log(`🔐 Loaded ${commonPasswords.size} common passwords from ${listPath}`);
+  } catch (error) {
+    console.error('❌ Could not load common password list:', error.message);
+    commonPasswords = new Set();
+  }
+
+  return commonPasswords;
+};
+
+// "P@ssw0rd2024!" is as weak as "password": check the plain, de-leeted and
+// trailing-digits-stripped forms against the list
+const unleet = (value) => value.replace(/[@4310!$57]/g, char => LEET_SUBSTITUTIONS[char]);
+
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  const lower = password.toLowerCase();
+  const stripped = lower.replace(/[^a-z]+$/, '');
+  const candidates = [lower, stripped, unleet(lower), unleet(stripped)]
+    .filter(candidate => candidate.length >= 4);
+
+  return candidates.some(candidate => list.has(candidate));
+};
+
+// Username, email local part and names (3+ characters) must not appear in the password
+const getPersonalTerms = ({ userName, email, firstName, lastName } = {}) => {
+  const emailLocal = email ? String(email).split('@')[0] : null;
+
+  return [userName, emailLocal, firstName, lastName]
+    .filter(Boolean)
+    .map(term => String(term).trim().toLowerCase())
+    .filter(term => term.length >= 3);
+};
+
+// Synchronous rules. Returns { valid, checks: [{ rule, passed, message }] }
+// with one entry per rule so the client can render a checklist.
+const checkPassword = (password, user = {}) => {
+  const policy = getPasswordPolicy();
+  const value = typeof password === 'string' ? password : '';
+  const lower = value.toLowerCase();
+  const checks = [];
+
+  checks.push({
+    rule: 'minLength',
+    passed: value.length >= policy.minLength,
+    message: `Password must be at least ${policy.minLength} characters long`
+  });
+
+  checks.push({
+    rule: 'maxLength',
+    passed: Buffer.byteLength(value, 'utf8') <= policy.maxBytes,
+    message: `Password must be at most ${policy.maxBytes} bytes long`
+  });
+
+  policy.requiredClasses.forEach(name => {
+    checks.push({
+      rule: name,
+      passed: CHARACTER_CLASSES[name].pattern.test(value),
+      message: CHARACTER_CLASSES[name].message
+    });
+  });
+
+  checks.push({
+    rule: 'notCommon',
+    passed: value.length > 0 && !isCommonPassword(value),
+    message: 'Password is too common or has appeared in a data breach'
+  });
+
+  checks.push({
+    rule: 'noPersonalInfo',
+    passed: !getPersonalTerms(user).some(term => lower.includes(term)),
+    message: 'Password must not contain your username, email or name'
+  });
+
+  return {
+    valid: checks.every(check => check.passed),
+    checks
+  };
+};
+
+// True when the password matches the current one or one of the last N
+const isReusedPassword = async (userId, password) => {
+  const { historyCount } = getPasswordPolicy();
+  if (!userId || historyCount === 0) return false;
+
+  const users = await queryAsync('SELECT password FROM users WHERE id = ?', [userId]);
+  const history = await queryAsync(
+    'SELECT passwordHash FROM password_history WHERE userId = ? ORDER BY id DESC LIMIT ?',
+    [userId, historyCount]
+  );
+
+  const hashes = [...users.map(user => user.password), ...history.map(row => row.passwordHash)];
+
+  for (const hash of new Set(hashes)) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Full check for a new password: the rules above plus, for an existing
+// account (user.id), the reuse rule. The history lookup only runs when the
+// cheap rules pass, since it costs one bcrypt compare per stored hash.
+const validateNewPassword = async (password, user = {}) => {
+  const result = checkPassword(password, user);
+  const { historyCount } = getPasswordPolicy();
+
+  if (user.id && historyCount > 0) {
+    const reused = result.valid ? await isReusedPassword(user.id, password) : false;
+    result.checks.push({
+      rule: 'notReused',
+      passed: !reused,
+      message: `Password must not match any of your last ${historyCount} passwords`
+    });
+    result.valid = result.valid && !reused;
+  }
+
+  return result;
+};
+
+// Messages of the failed rules, for the { msg } field of a response
+const getPasswordErrors = (result) => {
+  return result.checks.filter(check => !check.passed).map(check => check.message);
+};
+
+// Remember a newly set password hash and drop entries beyond the history size
+const recordPasswordHistory = async (userId, passwordHash) => {
+  const { historyCount } = getPasswordPolicy();
+
+  await queryAsync('INSERT INTO password_history (userId, passwordHash) VALUES (?, ?)', [userId, passwordHash]);
+
+  // MySQL can't LIMIT inside an IN subquery, hence the derived table
+  await queryAsync(
+    `DELETE FROM password_history
+     WHERE userId = ? AND id NOT IN (
+       SELECT id FROM (
+         SELECT id FROM password_history WHERE userId = ? ORDER BY id DESC LIMIT ?
+       ) AS recent
+     )`,
+    [userId, userId, Math.max(historyCount, 1)]
+  );
+};
+
+module.exports = {
+  createPasswordHistoryTable,
+  getPasswordPolicy,
+  checkPassword,
+  validateNewPassword,
+  getPasswordErrors,
+  recordPasswordHistory
+};
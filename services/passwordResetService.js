@@ -0,0 +1,124 @@
+// services/passwordResetService.js
+// Single-use password reset tokens. Each request issues a high-entropy link
+// token plus a 6-digit code for mobile; only their hashes are stored, and a
+// newer request or a successful reset retires the previous ones.
+const crypto = require('crypto');
+const { queryAsync } = require('../config/db');
+const { hashToken } = require('./sessionService');
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+const RESET_MAX_ATTEMPTS = 5;        // wrong guesses before a reset token is invalidated
+
+// Create reset tokens table
+const createPasswordResetTable = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT NOT NULL,
+      tokenHash CHAR(64) NOT NULL,
+      codeHash CHAR(64) NOT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      expiresAt DATETIME NOT NULL,
+      usedAt DATETIME,
+      revokedAt DATETIME,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_reset_token (tokenHash),
+      INDEX idx_user_active (userId, usedAt, revokedAt)
+    )
+  `);
+
+  // Plaintext codes from the old users.resetToken column must not stay readable
+  await queryAsync('UPDATE users SET resetToken = NULL, resetTokenExpiry = NULL WHERE resetToken IS NOT NULL');
+  console.log('✅ Password reset tokens table ready');
+};
+
+const hashesMatch = (value, expectedHash) => {
+  return crypto.timingSafeEqual(
+    Buffer.from(hashToken(value), 'hex'),
+    Buffer.from(expectedHash, 'hex')
+  );
+};
+
+// Issue a new token/code pair for a user, retiring any outstanding ones
+const issueResetToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  await queryAsync(
+    'UPDATE password_reset_tokens SET revokedAt = NOW() WHERE userId = ? AND usedAt IS NULL AND revokedAt IS NULL',
+    [userId]
+  );
+  await queryAsync(
+    `INSERT INTO password_reset_tokens (userId, tokenHash, codeHash, expiresAt)
+     VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE)`,
+    [userId, hashToken(token), hashToken(code), RESET_TOKEN_TTL_MINUTES]
+  );
+
+  return { token, code, expiresInMinutes: RESET_TOKEN_TTL_MINUTES };
+};
+
+// Check a link token or 6-digit code for the account with this email.
+// Returns { user, resetId } on a match, otherwise { user, invalidated,
+// remainingAttempts } where user is null when the email has no live token.
+const verifyResetToken = async ({ email, token, code }) => {
+  const rows = await queryAsync(
+    `SELECT u.id, u.email, u.firstName, u.lastName, u.userName,
+            r.id AS resetId, r.tokenHash, r.codeHash, r.attempts
+     FROM users u
+     JOIN password_reset_tokens r ON r.userId = u.id
+     WHERE u.email = ? AND r.usedAt IS NULL AND r.revokedAt IS NULL AND r.expiresAt > NOW()
+     ORDER BY r.createdAt DESC, r.id DESC
+     LIMIT 1`,
+    [String(email).toLowerCase()]
+  );
+
+  if (rows.length === 0) {
+    return { user: null, invalidated: false };
+  }
+
+  const { resetId, tokenHash, codeHash, attempts, ...user } = rows[0];
+  const matches = token ? hashesMatch(token, tokenHash) : hashesMatch(code, codeHash);
+
+  if (matches) {
+    return { user, resetId };
+  }
+
+  // Count the guess against this token and burn it at the cap
+  await queryAsync('UPDATE password_reset_tokens SET attempts = attempts + 1 WHERE id = ?', [resetId]);
+  const used = attempts + 1;
+
+  if (used >= RESET_MAX_ATTEMPTS) {
+    await queryAsync('UPDATE password_reset_tokens SET revokedAt = NOW() WHERE id = ?', [resetId]);
+    return { user, invalidated: true, remainingAttempts: 0 };
+  }
+
+  return { user, invalidated: false, remainingAttempts: RESET_MAX_ATTEMPTS - used };
+};
+
+// Mark a verified token as used. Returns false if another request redeemed
+// or retired it first, so a token can only ever reset the password once.
+const consumeResetToken = async (resetId) => {
+  const result = await queryAsync(
+    'UPDATE password_reset_tokens SET usedAt = NOW() WHERE id = ? AND usedAt IS NULL AND revokedAt IS NULL',
+    [resetId]
+  );
+  return result.affectedRows > 0;
+};
+
+// Retire every outstanding token, e.g. after the password changed another way
+const revokeResetTokens = async (userId) => {
+  await queryAsync(
+    'UPDATE password_reset_tokens SET revokedAt = NOW() WHERE userId = ? AND usedAt IS NULL AND revokedAt IS NULL',
+    [userId]
+  );
+};
+
+module.exports = {
+  createPasswordResetTable,
+  issueResetToken,
+  verifyResetToken,
+  consumeResetToken,
+  revokeResetTokens,
+  RESET_TOKEN_TTL_MINUTES
+};
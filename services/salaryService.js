@@ -0,0 +1,392 @@
+// services/salaryService.js
+// Structured salary expectations. job_seekers.expectedSalary keeps the text
+// the candidate typed (or one composed from the structured fields); the
+// salary* columns hold what search filters and sorts on.
+const { queryAsync, addColumnIfMissing, addIndexIfMissing } = require('../config/db');
+
+const SALARY_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'CAD', 'AUD'];
+const SALARY_PERIODS = ['annual', 'monthly', 'hourly'];
+
+// Multipliers to an annual figure (hourly assumes 40h x 52 weeks)
+const PERIOD_TO_ANNUAL = { annual: 1, monthly: 12, hourly: 2080 };
+
+// Checked in order, so "a$" wins over "$" and "rs" over nothing
+const CURRENCY_PATTERNS = [
+  ['INR', /₹|\binr\b|\brs\.?(?=\s|\d|$)|\brupees?\b/],
+  ['AUD', /\baud\b|\ba\$/],
+  ['CAD', /\bcad\b|\bc\$/],
+  ['SGD', /\bsgd\b|\bs\$/],
+  ['USD', /\busd\b|\$|\bdollars?\b/],
+  ['EUR', /\beur\b|€|\beuros?\b/],
+  ['GBP', /\bgbp\b|£|\bpounds?\b/],
+  ['AED', /\baed\b|\bdirhams?\b/]
+];
+
+const PERIOD_PATTERNS = [
+  ['hourly', /\b(per\s*|an?\s+|\/\s*)?(hour|hr|hrs|h)\b|\bhourly\b|\bph\b/],
+  ['monthly', /\b(per\s*|an?\s+|\/\s*)?(month|mon|mo|mth)\b|\bmonthly\b|\bpm\b|\bp\.m\.?/],
+  ['annual', /\b(per\s*|an?\s+|\/\s*)?(year|yr|annum)\b|\bannual(ly)?\b|\byearly\b|\bpa\b|\bp\.a\.?|\blpa\b|\bctc\b/]
+];
+
+// Number with an optional unit: 50k, 1.2m, 12 lpa, 5 lakhs, 1 cr, 40 thousand
+const AMOUNT_PATTERN = /(\d[\d,]*(?:\.\d+)?)\s*(lpa|lakhs?|lacs?|crores?|cr|thousands?|millions?|k|mn|m|l)?(?![a-z])/g;
+const UNIT_MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  thousands: 1e3,
+  m: 1e6,
+  mn: 1e6,
+  million: 1e6,
+  millions: 1e6,
+  l: 1e5,
+  lpa: 1e5,
+  lakh: 1e5,
+  lakhs: 1e5,
+  lac: 1e5,
+  lacs: 1e5,
+  cr: 1e7,
+  crore: 1e7,
+  crores: 1e7
+};
+const INDIAN_UNITS = ['l', 'lpa', 'lakh', 'lakhs', 'lac', 'lacs', 'cr', 'crore', 'crores'];
+
+// Words allowed right after a number without a unit: currencies, periods
+// and connectors. Any other word there may be a unit we don't know
+// ("40 grand"), so the text is left unparsed rather than stored wrong.
+const AMOUNT_FOLLOWERS = new Set([
+  'to', 'and', 'or', 'till', 'plus', 'a', 'an', 'p', 'pa', 'pm', 'ph', 'per', 'onwards', 'negotiable',
+  'inr', 'rs', 'rupee', 'rupees', 'usd', 'dollar', 'dollars', 'eur', 'euro', 'euros', 'gbp', 'pound', 'pounds',
+  'aed', 'dirham', 'dirhams', 'sgd', 'cad', 'aud',
+  'hour', 'hours', 'hr', 'hrs', 'h', 'hourly', 'month', 'months', 'mon', 'mo', 'mth', 'monthly',
+  'year', 'years', 'yr', 'yrs', 'annum', 'annual', 'annually', 'yearly', 'ctc'
+]);
+
+// Upper bound for any stored amount, well past any real salary
+const MAX_SALARY_AMOUNT = 1e12;
+
+// Legacy salaryRange buckets as annual ranges per currency (max null = no
+// upper bound). Only currencies listed here support salaryRange.
+const SALARY_RANGE_BUCKETS = {
+  INR: {
+    entry: { min: 0, max: 600000 },
+    mid: { min: 600000, max: 1500000 },
+    senior: { min: 1500000, max: 3000000 },
+    expert: { min: 3000000, max: null }
+  },
+  USD: {
+    entry: { min: 0, max: 50000 },
+    mid: { min: 50000, max: 70000 },
+    senior: { min: 70000, max: 100000 },
+    expert: { min: 100000, max: null }
+  }
+};
+
+const getDefaultCurrency = () => {
+  const currency = (process.env.DEFAULT_SALARY_CURRENCY || 'INR').toUpperCase();
+  return SALARY_CURRENCIES.includes(currency) ? currency : 'INR';
+};
+
+const salaryError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Add the structured salary columns and fill them in for existing profiles
+const createSalaryColumns = async () => {
+  await addColumnIfMissing('job_seekers', 'salaryMin', 'DECIMAL(14,2)');
+  await addColumnIfMissing('job_seekers', 'salaryMax', 'DECIMAL(14,2)');
+  await addColumnIfMissing('job_seekers', 'salaryCurrency', 'CHAR(3)');
+  await addColumnIfMissing('job_seekers', 'salaryPeriod', "ENUM('annual', 'monthly', 'hourly')");
+  await addColumnIfMissing('job_seekers', 'salaryMinAnnual', 'DECIMAL(14,2)');
+  await addColumnIfMissing('job_seekers', 'salaryMaxAnnual', 'DECIMAL(14,2)');
+
+  await addIndexIfMissing('job_seekers', 'idx_salary_annual', '(salaryCurrency, salaryMinAnnual, salaryMaxAnnual)');
+
+  await backfillSalaries();
+  console.log('✅ Salary columns ready');
+};
+
+// Parse free-text salaries saved before the structured columns existed.
+// Rows that can't be parsed keep their text and stay out of salary filters.
+const backfillSalaries = async () => {
+  const rows = await queryAsync(
+    `SELECT id, expectedSalary FROM job_seekers
+     WHERE expectedSalary IS NOT NULL AND expectedSalary != '' AND salaryCurrency IS NULL`
+  );
+
+  let parsedCount = 0;
+  for (const row of rows) {
+    const salary = parseSalary(row.expectedSalary);
+    if (!salary) continue;
+
+    await queryAsync(
+      `UPDATE job_seekers
+       SET salaryMin = ?, salaryMax = ?, salaryCurrency = ?, salaryPeriod = ?, salaryMinAnnual = ?, salaryMaxAnnual = ?
+       WHERE id = ?`,
+      [...toColumnValues(salary), row.id]
+    );
+    parsedCount++;
+  }
+
+  if (rows.length > 0) {
+    console.log(`Parsed ${parsedCount} of ${rows.length} free-text salaries`);
+  }
+};
+
+const toAmount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : NaN;
+};
+
+const annualise = (amount, period) => {
+  return amount === null ? null : Math.round(amount * PERIOD_TO_ANNUAL[period] * 100) / 100;
+};
+
+// Free text -> { min, max, currency, period }, or null when there is no
+// usable amount ("Negotiable", "as per company norms"). Understands ranges
+// ("50k-70k", "5 to 7 LPA"), open ends ("10 LPA+", "up to $40/hr"),
+// k/m/lakh/crore units and Indian digit grouping ("₹5,00,000").
+const parseSalary = (text, { defaultCurrency = getDefaultCurrency() } = {}) => {
+  if (text === null || text === undefined) return null;
+
+  const value = String(text).trim().toLowerCase();
+  if (!value) return null;
+
+  const amounts = [];
+  for (const match of value.matchAll(AMOUNT_PATTERN)) {
+    const number = parseFloat(match[1].replace(/,/g, ''));
+    if (!Number.isFinite(number)) continue;
+
+    const nextWord = value.slice(match.index + match[0].length).match(/^\s*([a-z]+)/);
+    if (!match[2] && nextWord && !AMOUNT_FOLLOWERS.has(nextWord[1])) return null;
+    amounts.push({ number, unit: match[2] || null });
+  }
+
+  if (amounts.length === 0) return null;
+
+  // "50-70k" / "5 - 7 lpa": a bare first number takes the unit of the second
+  const [first, second] = amounts;
+  if (second && !first.unit && second.unit) {
+    first.unit = second.unit;
+  }
+
+  const values = [first, second].filter(Boolean).map(({ number, unit }) => {
+    return number * (unit ? UNIT_MULTIPLIERS[unit] : 1);
+  });
+
+  if (values.some(amount => amount <= 0 || amount > MAX_SALARY_AMOUNT)) return null;
+
+  const currencyMatch = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(value));
+  const usesIndianUnits = amounts.some(({ unit }) => INDIAN_UNITS.includes(unit));
+  const currency = currencyMatch ? currencyMatch[0] : (usesIndianUnits ? 'INR' : defaultCurrency);
+
+  const periodMatch = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(value));
+  const period = periodMatch ? periodMatch[0] : 'annual';
+
+  let min = values[0];
+  let max = values.length > 1 ? values[1] : values[0];
+
+  if (values.length === 1) {
+    if (/\+|\b(above|over|min(imum)?|at\s+least|from|starting)\b/.test(value)) {
+      max = null;
+    } else if (/\b(up\s*to|upto|max(imum)?|below|under|less\s+than)\b/.test(value)) {
+      min = null;
+    }
+  } else if (min > max) {
+    [min, max] = [max, min];
+  }
+
+  return {
+    min: min === null ? null : toAmount(min),
+    max: max === null ? null : toAmount(max),
+    currency,
+    period
+  };
+};
+
+// Display text for a structured salary, e.g. "INR 500,000 - 700,000 per year"
+const formatSalary = ({ min, max, currency, period }) => {
+  const format = (amount) => Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  const periodLabel = { annual: 'per year', monthly: 'per month', hourly: 'per hour' }[period];
+
+  let amountText;
+  if (min !== null && max !== null && min !== max) amountText = `${format(min)} - ${format(max)}`;
+  else if (min !== null && max === null) amountText = `${format(min)}+`;
+  else if (min === null) amountText = `up to ${format(max)}`;
+  else amountText = format(min);
+
+  return `${currency} ${amountText} ${periodLabel}`;
+};
+
+// Structured salary -> values for the salary* columns, in column order
+const toColumnValues = (salary) => {
+  if (!salary) return [null, null, null, null, null, null];
+
+  return [
+    salary.min,
+    salary.max,
+    salary.currency,
+    salary.period,
+    annualise(salary.min, salary.period),
+    annualise(salary.max, salary.period)
+  ];
+};
+
+// Salary fields of a profile form. Structured fields (salaryMin, salaryMax,
+// salaryCurrency, salaryPeriod) win over the free-text expectedSalary; when
+// only they are sent, the display text is composed from them. Free text that
+// doesn't parse is still saved, just without the structured columns.
+// Returns { expectedSalary, columns } where columns follow toColumnValues.
+const resolveSalaryInput = ({ expectedSalary, salaryMin, salaryMax, salaryCurrency, salaryPeriod } = {}) => {
+  const text = typeof expectedSalary === 'string' && expectedSalary.trim()
+    ? expectedSalary.trim().slice(0, 50)
+    : null;
+
+  const hasStructured = [salaryMin, salaryMax].some(value => value !== undefined && value !== null && value !== '');
+
+  if (!hasStructured) {
+    return { expectedSalary: text, columns: toColumnValues(parseSalary(text)) };
+  }
+
+  const min = toAmount(salaryMin);
+  const max = toAmount(salaryMax);
+
+  if (Number.isNaN(min) || Number.isNaN(max)) {
+    throw salaryError('salaryMin and salaryMax must be numbers');
+  }
+  if ((min !== null && (min <= 0 || min > MAX_SALARY_AMOUNT)) || (max !== null && (max <= 0 || max > MAX_SALARY_AMOUNT))) {
+    throw salaryError('Salary amounts must be positive');
+  }
+  if (min !== null && max !== null && min > max) {
+    throw salaryError('salaryMin cannot be greater than salaryMax');
+  }
+
+  const currency = salaryCurrency ? String(salaryCurrency).trim().toUpperCase() : getDefaultCurrency();
+  if (!SALARY_CURRENCIES.includes(currency)) {
+    throw salaryError(`salaryCurrency must be one of: ${SALARY_CURRENCIES.join(', ')}`);
+  }
+
+  const period = salaryPeriod ? String(salaryPeriod).trim().toLowerCase() : 'annual';
+  if (!SALARY_PERIODS.includes(period)) {
+    throw salaryError(`salaryPeriod must be one of: ${SALARY_PERIODS.join(', ')}`);
+  }
+
+  const salary = { min, max, currency, period };
+  return {
+    expectedSalary: (text || formatSalary(salary)).slice(0, 50),
+    columns: toColumnValues(salary)
+  };
+};
+
+// Search filter from the request body: salaryMin / salaryMax in
+// salaryCurrency per salaryPeriod, or a legacy salaryRange bucket. Returns
+// { condition, params } over the annual columns; a candidate matches when
+// their expected range overlaps the requested one. Amounts are only
+// compared within one currency - there is no exchange-rate conversion.
+const buildSalaryFilter = ({ salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRange } = {}) => {
+  const currency = salaryCurrency ? String(salaryCurrency).trim().toUpperCase() : getDefaultCurrency();
+  if (!SALARY_CURRENCIES.includes(currency)) {
+    throw salaryError(`salaryCurrency must be one of: ${SALARY_CURRENCIES.join(', ')}`);
+  }
+
+  let min = toAmount(salaryMin);
+  let max = toAmount(salaryMax);
+
+  if (min === null && max === null && salaryRange && String(salaryRange).trim()) {
+    const buckets = SALARY_RANGE_BUCKETS[currency];
+    if (!buckets) {
+      throw salaryError(`salaryRange is only available for ${Object.keys(SALARY_RANGE_BUCKETS).join(', ')}; use salaryMin and salaryMax instead`);
+    }
+    const bucket = buckets[String(salaryRange).trim()];
+    if (!bucket) {
+      throw salaryError(`salaryRange must be one of: ${Object.keys(buckets).join(', ')}`);
+    }
+    min = bucket.min || null;
+    max = bucket.max;
+  } else {
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+      throw salaryError('salaryMin and salaryMax must be numbers');
+    }
+    if (min !== null && max !== null && min > max) {
+      throw salaryError('salaryMin cannot be greater than salaryMax');
+    }
+
+    const period = salaryPeriod ? String(salaryPeriod).trim().toLowerCase() : 'annual';
+    if (!SALARY_PERIODS.includes(period)) {
+      throw salaryError(`salaryPeriod must be one of: ${SALARY_PERIODS.join(', ')}`);
+    }
+    min = annualise(min, period);
+    max = annualise(max, period);
+  }
+
+  if (min === null && max === null) return { condition: '', params: [] };
+
+  let condition = 'js.salaryCurrency = ?';
+  const params = [currency];
+
+  // Open ends: no salaryMaxAnnual means "at least min", no salaryMinAnnual "up to max"
+  if (min !== null) {
+    condition += ' AND (js.salaryMaxAnnual IS NULL OR js.salaryMaxAnnual >= ?)';
+    params.push(min);
+  }
+  if (max !== null) {
+    condition += ' AND (js.salaryMinAnnual IS NULL OR js.salaryMinAnnual <= ?)';
+    params.push(max);
+  }
+
+  return { condition: `(${condition})`, params };
+};
+
+// Recruiter budget for fit scoring -> { currency, amount } as an annual
+// figure, or null when no budget was given
+const resolveBudget = ({ salaryBudget, budgetCurrency, budgetPeriod } = {}) => {
+  const amount = toAmount(salaryBudget);
+  if (amount === null) return null;
+  if (Number.isNaN(amount) || amount <= 0) {
+    throw salaryError('salaryBudget must be a positive number');
+  }
+
+  const currency = budgetCurrency ? String(budgetCurrency).trim().toUpperCase() : getDefaultCurrency();
+  if (!SALARY_CURRENCIES.includes(currency)) {
+    throw salaryError(`budgetCurrency must be one of: ${SALARY_CURRENCIES.join(', ')}`);
+  }
+
+  const period = budgetPeriod ? String(budgetPeriod).trim().toLowerCase() : 'annual';
+  if (!SALARY_PERIODS.includes(period)) {
+    throw salaryError(`budgetPeriod must be one of: ${SALARY_PERIODS.join(', ')}`);
+  }
+
+  return { currency, amount: annualise(amount, period) };
+};
+
+// salaryRange buckets for a currency with their filters, for facet counts.
+// Returns { currency, bands: [{ value, min, max, condition, params }] };
+// bands is empty for currencies without buckets.
+const buildSalaryBandFilters = (salaryCurrency) => {
+  const currency = salaryCurrency ? String(salaryCurrency).trim().toUpperCase() : getDefaultCurrency();
+  const buckets = SALARY_RANGE_BUCKETS[currency] || {};
+
+  return {
+    currency,
+    bands: Object.entries(buckets).map(([value, bucket]) => ({
+      value,
+      min: bucket.min,
+      max: bucket.max,
+      ...buildSalaryFilter({ salaryRange: value, salaryCurrency: currency })
+    }))
+  };
+};
+
+module.exports = {
+  createSalaryColumns,
+  parseSalary,
+  formatSalary,
+  resolveSalaryInput,
+  buildSalaryFilter,
+  buildSalaryBandFilters,
+  resolveBudget,
+  SALARY_CURRENCIES,
+  SALARY_PERIODS
+};
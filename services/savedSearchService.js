@@ -0,0 +1,430 @@
+// services/savedSearchService.js
+// Saved candidate searches with daily/weekly email alerts. Every candidate a
+// search has matched is remembered in saved_search_matches, so an alert
+// only ever lists candidates that are new since the previous run.
+const crypto = require('crypto');
+const { queryAsync } = require('../config/db');
+const { resolveSort, parsePagination } = require('./searchPaginationService');
+const {
+  SEARCH_CRITERIA_FIELDS,
+  buildCandidateSearch,
+  searchCandidates,
+  findCandidateIds,
+  parseInputSkills,
+  matchCandidateSkills,
+  parseJsonArray
+} = require('./candidateSearchService');
+const { SCORING_INPUT_FIELDS, validateScoringInput, prepareScoring } = require('./candidateScoringService');
+const { buildExperienceFilter } = require('./experienceService');
+const { getJwtSecret } = require('./sessionService');
+const { sendSavedSearchAlert } = require('./emailService');
+
+const SAVED_SEARCH_TYPES = ['search', 'match_skills'];
+// What a match_skills search keeps besides skills: the matchSkills scoring
+// options and experience filters
+const MATCH_SKILLS_FIELDS = [...SCORING_INPUT_FIELDS, 'minExperience', 'maxExperience', 'seniority'];
+const ALERT_FREQUENCY_DAYS = { daily: 1, weekly: 7 };
+const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES, 10) || 25;
+const ALERT_CANDIDATE_LIMIT = 10; // listed in the email; the rest are counted
+const ALERT_BATCH_SIZE = 50; // saved searches per job run
+const ALERT_INTERVAL_MS = 15 * 60 * 1000;
+
+const savedSearchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Create saved search tables
+const createSavedSearchTables = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS saved_searches (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      searchType ENUM('search', 'match_skills') NOT NULL DEFAULT 'search',
+      criteria JSON NOT NULL,
+      frequency ENUM('daily', 'weekly') NOT NULL DEFAULT 'daily',
+      alertsPaused BOOLEAN NOT NULL DEFAULT FALSE,
+      lastRunAt DATETIME,
+      nextRunAt DATETIME,
+      lastAlertAt DATETIME,
+      lastAlertCount INT NOT NULL DEFAULT 0,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_user_searches (userId),
+      INDEX idx_due_alerts (alertsPaused, nextRunAt)
+    )
+  `);
+
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS saved_search_matches (
+      savedSearchId INT NOT NULL,
+      candidateId INT NOT NULL,
+      firstMatchedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (savedSearchId, candidateId),
+      FOREIGN KEY (savedSearchId) REFERENCES saved_searches(id) ON DELETE CASCADE,
+      FOREIGN KEY (candidateId) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  console.log('✅ Saved search tables ready');
+};
+
+// Stateless unsubscribe token: "<id>.<hmac>". It stays valid for the life
+// of the saved search, so links in older alerts keep working.
+const signUnsubscribe = (savedSearchId, userId) => {
+  return crypto.createHmac('sha256', getJwtSecret())
+    .update(`saved-search-unsubscribe:${savedSearchId}:${userId}`)
+    .digest('base64url');
+};
+
+const createUnsubscribeToken = (savedSearch) => {
+  return `${savedSearch.id}.${signUnsubscribe(savedSearch.id, savedSearch.userId)}`;
+};
+
+const toSavedSearch = (row) => ({
+  id: row.id,
+  name: row.name,
+  searchType: row.searchType,
+  criteria: typeof row.criteria === 'string' ? JSON.parse(row.criteria) : row.criteria,
+  frequency: row.frequency,
+  alertsPaused: !!row.alertsPaused,
+  lastRunAt: row.lastRunAt,
+  nextRunAt: row.nextRunAt,
+  lastAlertAt: row.lastAlertAt,
+  lastAlertCount: row.lastAlertCount,
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt
+});
+
+// Keep only the criteria the search type understands and check them the
+// same way the search endpoints do
+const normalizeCriteria = (searchType, criteria) => {
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    throw savedSearchError('criteria must be an object');
+  }
+
+  if (searchType === 'match_skills') {
+    const skills = Array.isArray(criteria.skills) ? criteria.skills.join(', ') : criteria.skills;
+    if (!skills || !parseInputSkills(skills).length) {
+      throw savedSearchError('Skills are required for a skill matching search');
+    }
+
+    const normalized = { skills: String(skills).trim() };
+    MATCH_SKILLS_FIELDS.forEach(field => {
+      const value = criteria[field];
+      if (value === undefined || value === null || String(value).trim() === '') return;
+      normalized[field] = typeof value === 'string' ? value.trim() : value;
+    });
+
+    validateScoringInput(normalized);
+    buildExperienceFilter(normalized);
+    return normalized;
+  }
+
+  const normalized = {};
+  SEARCH_CRITERIA_FIELDS.forEach(field => {
+    const value = criteria[field];
+    if (value === undefined || value === null || String(value).trim() === '') return;
+    normalized[field] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  const filters = Object.keys(normalized).filter(field => field !== 'keywordMode');
+  if (filters.length === 0) {
+    throw savedSearchError('Add at least one search criterion');
+  }
+
+  buildCandidateSearch(normalized);
+  return normalized;
+};
+
+// Validate a create/update body. `existing` supplies defaults on update.
+const normalizeInput = (input, existing = null) => {
+  const name = input.name !== undefined ? String(input.name).trim() : existing?.name;
+  if (!name) {
+    throw savedSearchError('Name is required');
+  }
+  if (name.length > 100) {
+    throw savedSearchError('Name must be at most 100 characters');
+  }
+
+  const searchType = input.searchType || existing?.searchType || 'search';
+  if (!SAVED_SEARCH_TYPES.includes(searchType)) {
+    throw savedSearchError(`searchType must be one of: ${SAVED_SEARCH_TYPES.join(', ')}`);
+  }
+
+  const frequency = input.frequency || existing?.frequency || 'daily';
+  if (!ALERT_FREQUENCY_DAYS[frequency]) {
+    throw savedSearchError(`frequency must be one of: ${Object.keys(ALERT_FREQUENCY_DAYS).join(', ')}`);
+  }
+
+  const criteriaChanged = input.criteria !== undefined || searchType !== existing?.searchType;
+  const criteria = criteriaChanged
+    ? normalizeCriteria(searchType, input.criteria ?? existing?.criteria)
+    : existing.criteria;
+
+  return { name, searchType, frequency, criteria, criteriaChanged };
+};
+
+// New candidates for a saved search (not yet in saved_search_matches).
+// Returns { candidates: best ALERT_CANDIDATE_LIMIT, candidateIds: all }.
+const findNewMatches = async (savedSearch) => {
+  if (savedSearch.searchType === 'match_skills') {
+    // Saved weights and targets over the owner's current defaults
+    const { skills, ...options } = savedSearch.criteria;
+    const scoring = await prepareScoring(savedSearch.userId, options);
+    const { candidates } = await matchCandidateSkills(parseInputSkills(skills), scoring, options);
+    const seenRows = await queryAsync(
+      'SELECT candidateId FROM saved_search_matches WHERE savedSearchId = ?',
+      [savedSearch.id]
+    );
+    const seen = new Set(seenRows.map(row => row.candidateId));
+
+    const fresh = candidates
+      .filter(candidate => !seen.has(candidate.id))
+      .sort((a, b) => b.matchScore - a.matchScore);
+
+    return {
+      candidates: fresh.slice(0, ALERT_CANDIDATE_LIMIT),
+      candidateIds: fresh.map(candidate => candidate.id)
+    };
+  }
+
+  const sort = resolveSort({ sortBy: 'relevance' });
+  const pagination = parsePagination({ limit: ALERT_CANDIDATE_LIMIT }, sort);
+  const [{ rows }, candidateIds] = await Promise.all([
+    searchCandidates(savedSearch.criteria, { sort, pagination, excludeSeenBy: savedSearch.id }),
+    findCandidateIds(savedSearch.criteria, { excludeSeenBy: savedSearch.id })
+  ]);
+
+  return {
+    candidates: rows.slice(0, ALERT_CANDIDATE_LIMIT).map(candidate => ({
+      ...candidate,
+      skills: parseJsonArray(candidate.skills, 'skills', candidate.id)
+    })),
+    candidateIds
+  };
+};
+
+const recordMatches = async (savedSearchId, candidateIds) => {
+  for (let i = 0; i < candidateIds.length; i += 500) {
+    const chunk = candidateIds.slice(i, i + 500);
+    await queryAsync(
+      `INSERT IGNORE INTO saved_search_matches (savedSearchId, candidateId) VALUES ${chunk.map(() => '(?, ?)').join(', ')}`,
+      chunk.flatMap(candidateId => [savedSearchId, candidateId])
+    );
+  }
+};
+
+// Everything the search matches right now counts as already seen, so the
+// first alert after saving (or changing the criteria) only has new people
+const resetBaseline = async (savedSearch) => {
+  await queryAsync('DELETE FROM saved_search_matches WHERE savedSearchId = ?', [savedSearch.id]);
+  const { candidateIds } = await findNewMatches(savedSearch);
+  await recordMatches(savedSearch.id, candidateIds);
+  return candidateIds.length;
+};
+
+const getOwnedRow = async (userId, savedSearchId) => {
+  const rows = await queryAsync(
+    'SELECT * FROM saved_searches WHERE id = ? AND userId = ?',
+    [savedSearchId, userId]
+  );
+  if (rows.length === 0) {
+    throw savedSearchError('Saved search not found', 404);
+  }
+  return rows[0];
+};
+
+const listSavedSearches = async (userId) => {
+  const rows = await queryAsync(
+    'SELECT * FROM saved_searches WHERE userId = ? ORDER BY createdAt DESC, id DESC',
+    [userId]
+  );
+  return rows.map(toSavedSearch);
+};
+
+const getSavedSearch = async (userId, savedSearchId) => {
+  return toSavedSearch(await getOwnedRow(userId, savedSearchId));
+};
+
+const createSavedSearch = async (userId, input) => {
+  const countRows = await queryAsync('SELECT COUNT(*) AS total FROM saved_searches WHERE userId = ?', [userId]);
+  if (Number(countRows[0].total) >= MAX_SAVED_SEARCHES) {
+    throw savedSearchError(`You can save up to ${MAX_SAVED_SEARCHES} searches`);
+  }
+
+  const { name, searchType, frequency, criteria } = normalizeInput(input);
+
+  const result = await queryAsync(
+    `INSERT INTO saved_searches (userId, name, searchType, criteria, frequency, nextRunAt)
+     VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [userId, name, searchType, JSON.stringify(criteria), frequency, ALERT_FREQUENCY_DAYS[frequency]]
+  );
+
+  const savedSearch = { id: result.insertId, userId, searchType, criteria };
+  const currentMatches = await resetBaseline(savedSearch);
+
+  return { savedSearch: await getSavedSearch(userId, result.insertId), currentMatches };
+};
+
+const updateSavedSearch = async (userId, savedSearchId, input) => {
+  const existing = toSavedSearch(await getOwnedRow(userId, savedSearchId));
+  const { name, searchType, frequency, criteria, criteriaChanged } = normalizeInput(input, existing);
+
+  // A new frequency takes effect from now
+  const frequencyChanged = frequency !== existing.frequency;
+
+  await queryAsync(
+    `UPDATE saved_searches
+     SET name = ?, searchType = ?, criteria = ?, frequency = ?,
+         nextRunAt = IF(?, DATE_ADD(NOW(), INTERVAL ? DAY), nextRunAt)
+     WHERE id = ? AND userId = ?`,
+    [name, searchType, JSON.stringify(criteria), frequency, frequencyChanged, ALERT_FREQUENCY_DAYS[frequency], savedSearchId, userId]
+  );
+
+  if (criteriaChanged) {
+    await resetBaseline({ id: existing.id, userId, searchType, criteria });
+  }
+
+  return getSavedSearch(userId, savedSearchId);
+};
+
+const deleteSavedSearch = async (userId, savedSearchId) => {
+  const result = await queryAsync('DELETE FROM saved_searches WHERE id = ? AND userId = ?', [savedSearchId, userId]);
+  if (result.affectedRows === 0) {
+    throw savedSearchError('Saved search not found', 404);
+  }
+};
+
+// Pause or resume alerts. Candidates who appear while paused are still
+// reported by the first run after resuming.
+const setAlertsPaused = async (userId, savedSearchId, paused) => {
+  const existing = await getOwnedRow(userId, savedSearchId);
+
+  await queryAsync(
+    `UPDATE saved_searches
+     SET alertsPaused = ?, nextRunAt = IF(?, nextRunAt, GREATEST(COALESCE(nextRunAt, NOW()), NOW()))
+     WHERE id = ?`,
+    [paused, paused, existing.id]
+  );
+
+  return getSavedSearch(userId, savedSearchId);
+};
+
+// Unsubscribe link from an alert email: pauses that search's alerts
+const unsubscribeByToken = async (token) => {
+  const [idPart, signature] = String(token || '').split('.');
+  const savedSearchId = parseInt(idPart, 10);
+
+  if (!savedSearchId || !signature) {
+    throw savedSearchError('Invalid unsubscribe link');
+  }
+
+  const rows = await queryAsync('SELECT id, userId, name FROM saved_searches WHERE id = ?', [savedSearchId]);
+  const expected = rows.length > 0 ? signUnsubscribe(rows[0].id, rows[0].userId) : null;
+
+  if (!expected || expected.length !== signature.length
+    || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    throw savedSearchError('Invalid unsubscribe link');
+  }
+
+  await queryAsync('UPDATE saved_searches SET alertsPaused = TRUE WHERE id = ?', [savedSearchId]);
+  return { id: rows[0].id, name: rows[0].name };
+};
+
+// Re-run one saved search and email its owner about new candidates. The
+// candidates are only marked as seen once the email went out, so a failed
+// send is retried on the next run.
+const runSavedSearch = async (row) => {
+  const savedSearch = toSavedSearch(row);
+  const { candidates, candidateIds } = await findNewMatches({ ...savedSearch, userId: row.userId });
+
+  let alerted = false;
+  if (candidateIds.length > 0) {
+    const result = await sendSavedSearchAlert(
+      { email: row.email, firstName: row.firstName },
+      savedSearch,
+      {
+        candidates,
+        totalNew: candidateIds.length,
+        unsubscribeToken: createUnsubscribeToken({ id: row.id, userId: row.userId })
+      }
+    );
+
+    if (result.success) {
+      await recordMatches(row.id, candidateIds);
+      alerted = true;
+    }
+  }
+
+  await queryAsync(
+    `UPDATE saved_searches
+     SET lastRunAt = NOW(), nextRunAt = DATE_ADD(NOW(), INTERVAL ? DAY),
+         lastAlertAt = IF(?, NOW(), lastAlertAt), lastAlertCount = IF(?, ?, lastAlertCount)
+     WHERE id = ?`,
+    [ALERT_FREQUENCY_DAYS[row.frequency], alerted, alerted, candidateIds.length, row.id]
+  );
+
+  return alerted ? candidateIds.length : 0;
+};
+
+const runDueSavedSearches = async () => {
+  const due = await queryAsync(
+    `SELECT ss.*, u.email, u.firstName
+     FROM saved_searches ss
+     JOIN users u ON u.id = ss.userId
+     WHERE ss.alertsPaused = FALSE
+       AND ss.nextRunAt <= NOW()
+       AND u.deletionScheduledFor IS NULL
+     ORDER BY ss.nextRunAt
+     LIMIT ?`,
+    [ALERT_BATCH_SIZE]
+  );
+
+  let alerts = 0;
+  for (const row of due) {
+    try {
+      if (await runSavedSearch(row) > 0) alerts++;
+    } catch (error) {
+      console.error(`❌ Saved search ${row.id} failed:`, error.message);
+      // Don't retry a broken search every interval
+      await queryAsync(
+        'UPDATE saved_searches SET lastRunAt = NOW(), nextRunAt = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE id = ?',
+        [ALERT_FREQUENCY_DAYS[row.frequency], row.id]
+      ).catch(() => {});
+    }
+  }
+
+  if (alerts > 0) {
+    console.log(`🔔 Sent ${alerts} saved search alert(s)`);
+  }
+  return alerts;
+};
+
+const startSavedSearchAlertJob = () => {
+  const run = () => runDueSavedSearches().catch(error => {
+    console.error('❌ Saved search alert job error:', error.message);
+  });
+
+  run();
+  const timer = setInterval(run, ALERT_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  createSavedSearchTables,
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  setAlertsPaused,
+  unsubscribeByToken,
+  runDueSavedSearches,
+  startSavedSearchAlertJob,
+  SAVED_SEARCH_TYPES
+};
@@ -0,0 +1,198 @@
+// services/searchFacetService.js
+// Facet counts for candidate search, computed over the whole filtered set
+// (not just the returned page). Every facet value is something the search
+// accepts back as a filter under the facet's `field`, so selecting a value
+// narrows the results and combines with the other filters.
+const { queryAsync } = require('../config/db');
+const { EXPERIENCE_YEARS_SQL } = require('./searchPaginationService');
+const { buildSalaryBandFilters } = require('./salaryService');
+const { buildExperienceRangeQuery, SENIORITY_LEVELS } = require('./experienceService');
+const { summarizeLocationCounts } = require('./locationService');
+const { AVAILABILITY_VALUES } = require('./searchQueryService');
+
+const TOP_SKILLS_LIMIT = 15;
+const TOP_LOCATIONS_LIMIT = 10;
+const MAX_SKILL_FILTERS = 20;
+
+// Years of experience as [min, max); max null = no upper bound
+const EXPERIENCE_BUCKETS = [
+  { value: '0-1', label: 'Under 1 year', min: 0, max: 1 },
+  { value: '1-3', label: '1-3 years', min: 1, max: 3 },
+  { value: '3-5', label: '3-5 years', min: 3, max: 5 },
+  { value: '5-10', label: '5-10 years', min: 5, max: 10 },
+  { value: '10+', label: '10+ years', min: 10, max: null },
+  { value: 'unspecified', label: 'Not specified' }
+];
+
+const HAS_CV_SQL = "(js.cvFilePath IS NOT NULL AND js.cvFilePath != '')";
+
+const facetError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// experienceBucket -> { condition, params }
+const buildExperienceBucketFilter = (experienceBucket) => {
+  if (experienceBucket === undefined || experienceBucket === null || String(experienceBucket).trim() === '') {
+    return { condition: '', params: [] };
+  }
+
+  const bucket = EXPERIENCE_BUCKETS.find(item => item.value === String(experienceBucket).trim());
+  if (!bucket) {
+    throw facetError(`experienceBucket must be one of: ${EXPERIENCE_BUCKETS.map(item => item.value).join(', ')}`);
+  }
+
+  if (bucket.value === 'unspecified') {
+    return { condition: `${EXPERIENCE_YEARS_SQL} IS NULL`, params: [] };
+  }
+  if (bucket.max === null) {
+    return { condition: `${EXPERIENCE_YEARS_SQL} >= ?`, params: [bucket.min] };
+  }
+  return {
+    condition: `(${EXPERIENCE_YEARS_SQL} >= ? AND ${EXPERIENCE_YEARS_SQL} < ?)`,
+    params: [bucket.min, bucket.max]
+  };
+};
+
+// hasCv (true/false or 'true'/'false') -> { condition, params }
+const buildHasCvFilter = (hasCv) => {
+  if (hasCv === undefined || hasCv === null || hasCv === '') {
+    return { condition: '', params: [] };
+  }
+
+  const value = String(hasCv).trim().toLowerCase();
+  if (value !== 'true' && value !== 'false') {
+    throw facetError('hasCv must be true or false');
+  }
+  return { condition: value === 'true' ? HAS_CV_SQL : `NOT ${HAS_CV_SQL}`, params: [] };
+};
+
+// skillIds (array or comma separated) -> { condition, params }; candidates
+// must have every selected skill
+const buildSkillIdsFilter = (skillIds) => {
+  const list = Array.isArray(skillIds) ? skillIds : String(skillIds || '').split(',');
+  const ids = [...new Set(list.map(id => String(id).trim()).filter(Boolean))];
+  if (ids.length === 0) return { condition: '', params: [] };
+
+  if (ids.some(id => !/^\d+$/.test(id))) {
+    throw facetError('skillIds must be a list of skill ids');
+  }
+  if (ids.length > MAX_SKILL_FILTERS) {
+    throw facetError(`At most ${MAX_SKILL_FILTERS} skillIds can be selected`);
+  }
+
+  return {
+    condition: ids
+      .map(() => 'EXISTS (SELECT 1 FROM job_seeker_skills jsf WHERE jsf.userId = u.id AND jsf.skillId = ?)')
+      .join(' AND '),
+    params: ids.map(Number)
+  };
+};
+
+// Counts for a search built by buildCandidateSearch. salaryCurrency picks
+// the salary bands (default currency otherwise).
+const computeSearchFacets = async (search, { salaryCurrency } = {}) => {
+  const experienceFilters = EXPERIENCE_BUCKETS.map(bucket => buildExperienceBucketFilter(bucket.value));
+  // Same bands as the seniority filter; a "1-3 years" profile is in two
+  const seniorityFilters = Object.entries(SENIORITY_LEVELS)
+    .map(([value, level]) => ({ value, ...buildExperienceRangeQuery(level.min, level.max, { exclusiveMax: true }) }));
+  const salaryBands = buildSalaryBandFilters(salaryCurrency);
+
+  // Experience, seniority, CV and salary in one pass, as one SUM per value
+  const sumColumns = [
+    ...experienceFilters.map((filter, index) => `SUM(CASE WHEN ${filter.condition} THEN 1 ELSE 0 END) AS experience${index}`),
+    ...seniorityFilters.map((filter, index) => `SUM(CASE WHEN ${filter.condition} THEN 1 ELSE 0 END) AS seniority${index}`),
+    ...salaryBands.bands.map((band, index) => `SUM(CASE WHEN ${band.condition} THEN 1 ELSE 0 END) AS salary${index}`),
+    `SUM(CASE WHEN ${HAS_CV_SQL} THEN 1 ELSE 0 END) AS withCv`
+  ];
+  const sumParams = [
+    ...experienceFilters.flatMap(filter => filter.params),
+    ...seniorityFilters.flatMap(filter => filter.params),
+    ...salaryBands.bands.flatMap(band => band.params)
+  ];
+
+  const [sums, availabilityRows, locationRows, skillRows] = await Promise.all([
+    queryAsync(
+      `SELECT COUNT(*) AS total, ${sumColumns.join(', ')} ${search.fromClause}`,
+      [...sumParams, ...search.params]
+    ),
+    queryAsync(
+      `SELECT js.availability AS value, COUNT(*) AS count ${search.fromClause} GROUP BY js.availability`,
+      search.params
+    ),
+    queryAsync(
+      `SELECT u.locationId, COUNT(*) AS count ${search.fromClause} AND u.locationId IS NOT NULL GROUP BY u.locationId`,
+      search.params
+    ),
+    queryAsync(
+      `SELECT s.id, s.name, COUNT(*) AS count
+       FROM job_seeker_skills jss
+       JOIN skills s ON s.id = jss.skillId
+       WHERE jss.userId IN (SELECT u.id ${search.fromClause})
+       GROUP BY s.id, s.name
+       ORDER BY count DESC, s.name
+       LIMIT ?`,
+      [...search.params, TOP_SKILLS_LIMIT]
+    )
+  ]);
+
+  const totals = sums[0] || {};
+  const total = Number(totals.total) || 0;
+  const withCv = Number(totals.withCv) || 0;
+  const availabilityCounts = new Map(availabilityRows.map(row => [row.value, Number(row.count) || 0]));
+  const locations = summarizeLocationCounts(locationRows, TOP_LOCATIONS_LIMIT);
+
+  return {
+    availability: {
+      field: 'availability',
+      values: AVAILABILITY_VALUES.map(value => ({ value, count: availabilityCounts.get(value) || 0 }))
+    },
+    experience: {
+      field: 'experienceBucket',
+      values: EXPERIENCE_BUCKETS.map((bucket, index) => ({
+        value: bucket.value,
+        label: bucket.label,
+        count: Number(totals[`experience${index}`]) || 0
+      }))
+    },
+    seniority: {
+      field: 'seniority',
+      values: seniorityFilters.map((filter, index) => ({
+        value: filter.value,
+        count: Number(totals[`seniority${index}`]) || 0
+      }))
+    },
+    city: { field: 'locationId', values: locations.cities },
+    region: { field: 'locationId', values: locations.regions },
+    skills: {
+      field: 'skillIds',
+      values: skillRows.map(row => ({ value: row.id, label: row.name, count: Number(row.count) || 0 }))
+    },
+    hasCv: {
+      field: 'hasCv',
+      values: [
+        { value: true, count: withCv },
+        { value: false, count: total - withCv }
+      ]
+    },
+    salary: {
+      field: 'salaryRange',
+      currency: salaryBands.currency,
+      values: salaryBands.bands.map((band, index) => ({
+        value: band.value,
+        min: band.min,
+        max: band.max,
+        count: Number(totals[`salary${index}`]) || 0
+      }))
+    }
+  };
+};
+
+module.exports = {
+  EXPERIENCE_BUCKETS,
+  buildExperienceBucketFilter,
+  buildHasCvFilter,
+  buildSkillIdsFilter,
+  computeSearchFacets
+};
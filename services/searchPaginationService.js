@@ -0,0 +1,230 @@
+// services/searchPaginationService.js
+// Sorting and pagination shared by the candidate search endpoints. Every
+// sort ends with u.id as a tie-breaker, so the order is total and pages
+// never overlap or skip rows, whether paged by number or by cursor.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Years of experience: the low end of the parsed range (see experienceService)
+const EXPERIENCE_YEARS_SQL = 'js.experienceMinYears';
+
+// Sort columns every candidate query selects (besides the relevance score).
+// Experience is ordered by its parsed minimum years; salary by the
+// annualised minimum (see salaryService); "updated" by profileUpdatedAt,
+// which only profile edits set. Rows without a value sort last via the
+// has* flag.
+const SORT_COLUMNS_SQL = `
+      CASE WHEN js.availability = 'available' THEN 0 ELSE 1 END AS availabilityRank,
+      js.profileUpdatedAt,
+      (${EXPERIENCE_YEARS_SQL} IS NOT NULL) AS hasExperience,
+      COALESCE(${EXPERIENCE_YEARS_SQL}, 0) AS experienceYears,
+      (COALESCE(js.salaryMinAnnual, js.salaryMaxAnnual) IS NOT NULL) AS hasSalary,
+      COALESCE(js.salaryMinAnnual, js.salaryMaxAnnual, 0) AS salaryAmount`;
+
+// Keys per sort option; `primary` is the key sortOrder flips
+const SORT_OPTIONS = {
+  relevance: {
+    primary: 0,
+    keys: [
+      { column: 'relevanceScore', direction: 'desc' },
+      { column: 'availabilityRank', direction: 'asc' },
+      { column: 'createdAt', direction: 'desc', type: 'date' }
+    ]
+  },
+  newest: {
+    primary: 0,
+    keys: [{ column: 'createdAt', direction: 'desc', type: 'date' }]
+  },
+  updated: {
+    primary: 0,
+    keys: [{ column: 'profileUpdatedAt', direction: 'desc', type: 'date' }]
+  },
+  experience: {
+    primary: 1,
+    keys: [
+      { column: 'hasExperience', direction: 'desc' },
+      { column: 'experienceYears', direction: 'desc', type: 'number' }
+    ]
+  },
+  salary: {
+    primary: 1,
+    keys: [
+      { column: 'hasSalary', direction: 'desc' },
+      { column: 'salaryAmount', direction: 'desc', type: 'number' }
+    ]
+  }
+};
+const SORT_FIELDS = Object.keys(SORT_OPTIONS);
+const ID_KEY = { column: 'id', direction: 'desc', type: 'number' };
+
+const searchError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// { sortBy, sortOrder } from the request -> ordered key list. The
+// relevance column can be renamed for endpoints that score differently.
+const resolveSort = ({ sortBy, sortOrder } = {}, { relevanceColumn = 'relevanceScore' } = {}) => {
+  const field = sortBy || 'relevance';
+
+  if (!SORT_OPTIONS[field]) {
+    throw searchError(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  if (sortOrder && !['asc', 'desc'].includes(sortOrder)) {
+    throw searchError('sortOrder must be asc or desc');
+  }
+
+  const option = SORT_OPTIONS[field];
+  const keys = option.keys.map((key, index) => {
+    const resolved = { ...key };
+    if (key.column === 'relevanceScore') resolved.column = relevanceColumn;
+    if (index === option.primary && sortOrder) resolved.direction = sortOrder;
+    return resolved;
+  });
+
+  return {
+    sortBy: field,
+    sortOrder: keys[option.primary].direction,
+    keys: [...keys, ID_KEY]
+  };
+};
+
+const encodeCursor = (sort, row) => {
+  const values = sort.keys.map(key => {
+    const value = row[key.column];
+    return value instanceof Date ? value.toISOString() : value;
+  });
+  return Buffer.from(JSON.stringify({ s: sort.sortBy, o: sort.sortOrder, v: values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw searchError('Invalid cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== sort.keys.length) {
+    throw searchError('Invalid cursor');
+  }
+
+  // A cursor only makes sense for the ordering it was issued for
+  if (decoded.s !== sort.sortBy || decoded.o !== sort.sortOrder) {
+    throw searchError('Cursor does not match the requested sort; start again without a cursor');
+  }
+
+  return decoded.v.map((value, index) => {
+    return sort.keys[index].type === 'date' && value !== null ? new Date(value) : value;
+  });
+};
+
+// { page, limit, cursor } from the request. A cursor wins over page.
+const parsePagination = ({ page, limit, cursor } = {}, sort) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (cursor) {
+    return { limit: pageSize, page: null, offset: 0, cursorValues: decodeCursor(cursor, sort) };
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  return { limit: pageSize, page: pageNumber, offset: (pageNumber - 1) * pageSize, cursorValues: null };
+};
+
+// ORDER BY for the outer query (columns are aliases of the inner select)
+const buildOrderBy = (sort) => {
+  return sort.keys.map(key => `results.${key.column} ${key.direction.toUpperCase()}`).join(', ');
+};
+
+// Rows strictly after the cursor: (a > A) OR (a = A AND b > B) OR ...,
+// with > or < per key direction
+const buildKeysetCondition = (sort, cursorValues) => {
+  if (!cursorValues) return { condition: '', params: [] };
+
+  const clauses = [];
+  const params = [];
+
+  sort.keys.forEach((key, index) => {
+    const parts = [];
+    for (let i = 0; i < index; i++) {
+      parts.push(`results.${sort.keys[i].column} = ?`);
+      params.push(cursorValues[i]);
+    }
+    parts.push(`results.${key.column} ${key.direction === 'desc' ? '<' : '>'} ?`);
+    params.push(cursorValues[index]);
+    clauses.push(`(${parts.join(' AND ')})`);
+  });
+
+  return { condition: `(${clauses.join(' OR ')})`, params };
+};
+
+// Same ordering in JS, for endpoints that score rows after loading them
+const compareBySort = (sort) => {
+  const toComparable = (key, value) => {
+    if (value === null || value === undefined) return 0;
+    if (key.type === 'date') return new Date(value).getTime();
+    return Number(value);
+  };
+
+  return (a, b) => {
+    for (const key of sort.keys) {
+      const left = toComparable(key, a[key.column]);
+      const right = toComparable(key, b[key.column]);
+      if (left !== right) {
+        return key.direction === 'desc' ? right - left : left - right;
+      }
+    }
+    return 0;
+  };
+};
+
+// Sort and page an in-memory result set
+const paginateRows = (rows, sort, pagination) => {
+  const compare = compareBySort(sort);
+  let sorted = [...rows].sort(compare);
+
+  if (pagination.cursorValues) {
+    const cursorRow = {};
+    sort.keys.forEach((key, index) => { cursorRow[key.column] = pagination.cursorValues[index]; });
+    sorted = sorted.filter(row => compare(row, cursorRow) > 0);
+  }
+
+  return sorted.slice(pagination.offset, pagination.offset + pagination.limit + 1);
+};
+
+// Response block. `rows` holds up to limit + 1 rows; the extra one only
+// tells us whether another page exists.
+const buildPaginationResult = (rows, { total, sort, pagination }) => {
+  const hasMore = rows.length > pagination.limit;
+  const pageRows = hasMore ? rows.slice(0, pagination.limit) : rows;
+
+  return {
+    rows: pageRows,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total,
+      totalPages: Math.ceil(total / pagination.limit),
+      hasMore,
+      nextCursor: hasMore && pageRows.length > 0 ? encodeCursor(sort, pageRows[pageRows.length - 1]) : null
+    },
+    sort: { sortBy: sort.sortBy, sortOrder: sort.sortOrder }
+  };
+};
+
+module.exports = {
+  SORT_COLUMNS_SQL,
+  EXPERIENCE_YEARS_SQL,
+  SORT_FIELDS,
+  resolveSort,
+  parsePagination,
+  decodeCursor,
+  buildOrderBy,
+  buildKeysetCondition,
+  paginateRows,
+  buildPaginationResult,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,323 @@
+// services/searchQueryService.js
+// Recruiter query language for candidate search, e.g.
+//   (react OR vue) AND typescript NOT intern location:chennai exp:3-5
+//
+//   a b, a AND b        both (AND is implied between terms)
+//   a OR b              either; AND binds tighter than OR
+//                       (operators are upper case)
+//   NOT a, -a           exclude
+//   ( ... )             grouping
+//   "exact phrase"      words in this order
+//   type*               wildcard, any word characters
+//   field:value         title:, skill:, location:, exp:, availability:
+//
+// parseSearchQuery() builds a syntax tree and compileSearchQuery() turns it
+// into a parameterized WHERE condition plus a relevance score. Errors carry
+// statusCode 400 and the 1-based position of the problem.
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_QUERY_TERMS = 30;
+const SEARCH_FIELDS = ['title', 'skill', 'location', 'exp', 'availability'];
+const AVAILABILITY_VALUES = ['available', 'busy'];
+
+// Per-column weights for unfielded terms, same as the FULLTEXT search
+const TEXT_COLUMNS = [
+  { column: 'js.title', weight: 3 },
+  { column: 'js.skillsText', weight: 2 },
+  { column: 'js.bio', weight: 1 }
+];
+const FIELD_COLUMNS = { title: 'js.title', skill: 'js.skillsText' };
+
+const queryError = (message, position) => {
+  const error = new Error(`${message} at position ${position + 1}`);
+  error.statusCode = 400;
+  error.position = position + 1;
+  return error;
+};
+
+// True when text uses the query language rather than being a plain
+// keyword. Operators only count in upper case, so "sales and marketing"
+// stays a keyword search.
+const isSearchQuery = (text) => {
+  if (!text) return false;
+  return /\b(AND|OR|NOT)\b|[()"*]|(^|\s)-\S/.test(text)
+    || /(^|[\s(])(title|skill|location|exp|availability):/i.test(text);
+};
+
+// --- Tokenizer ---------------------------------------------------------
+
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: index });
+      index++;
+      continue;
+    }
+
+    // -term is shorthand for NOT term
+    if (char === '-' && (index === 0 || /[\s(]/.test(text[index - 1]))) {
+      tokens.push({ type: 'NOT', position: index });
+      index++;
+      continue;
+    }
+
+    const start = index;
+    let field = null;
+
+    // field: prefix
+    const fieldMatch = /^([a-zA-Z]+):/.exec(text.slice(index));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      if (!SEARCH_FIELDS.includes(field)) {
+        throw queryError(`Unknown field "${fieldMatch[1]}:" (use ${SEARCH_FIELDS.map(name => `${name}:`).join(', ')})`, start);
+      }
+      index += fieldMatch[0].length;
+      if (index >= text.length || /[\s()]/.test(text[index])) {
+        throw queryError(`Missing value after "${field}:"`, index);
+      }
+    }
+
+    if (text[index] === '"') {
+      const close = text.indexOf('"', index + 1);
+      if (close === -1) {
+        throw queryError('Unclosed quote', index);
+      }
+      const phrase = text.slice(index + 1, close).trim();
+      if (!phrase) {
+        throw queryError('Empty phrase', index);
+      }
+      tokens.push({ type: 'TERM', field, value: phrase, phrase: true, position: start });
+      index = close + 1;
+      continue;
+    }
+
+    let end = index;
+    while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+    const word = text.slice(index, end);
+    index = end;
+
+    if (!field && /^(AND|OR|NOT)$/.test(word)) {
+      tokens.push({ type: word, position: start });
+      continue;
+    }
+
+    tokens.push({ type: 'TERM', field, value: word, phrase: false, position: start });
+  }
+
+  tokens.push({ type: 'END', position: text.length });
+  return tokens;
+};
+
+// --- Parser --------------------------------------------------------------
+//   or   := and (OR and)*
+//   and  := not ((AND)? not)*
+//   not  := NOT not | atom
+//   atom := "(" or ")" | TERM
+
+const describeToken = (token) => {
+  if (token.type === 'END') return 'end of query';
+  if (token.type === 'TERM') return `"${token.value}"`;
+  return `"${token.type}"`;
+};
+
+const parseSearchQuery = (text) => {
+  const query = String(text || '').trim();
+
+  if (!query) {
+    throw queryError('Search query is empty', 0);
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw queryError(`Search query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  // Tokenize the untrimmed text so positions match what the user typed
+  const tokens = tokenize(String(text).trimEnd());
+  if (tokens.filter(token => token.type === 'TERM').length > MAX_QUERY_TERMS) {
+    throw queryError(`Search query has more than ${MAX_QUERY_TERMS} terms`, 0);
+  }
+
+  let current = 0;
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+
+  const startsOperand = (token) => ['TERM', '(', 'NOT'].includes(token.type);
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek().type === 'OR') {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek().type === 'AND' || startsOperand(peek())) {
+      if (peek().type === 'AND') next();
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = () => {
+    if (peek().type === 'NOT') {
+      next();
+      return { type: 'not', child: parseNot() };
+    }
+    return parseAtom();
+  };
+
+  const parseAtom = () => {
+    const token = next();
+
+    if (token.type === '(') {
+      const node = parseOr();
+      const closing = next();
+      if (closing.type !== ')') {
+        throw queryError(`Expected ")" to close the group opened at position ${token.position + 1} but found ${describeToken(closing)}`, closing.position);
+      }
+      return node;
+    }
+
+    if (token.type === 'TERM') {
+      return { type: 'term', field: token.field, value: token.value, phrase: token.phrase, position: token.position };
+    }
+
+    throw queryError(`Expected a search term but found ${describeToken(token)}`, token.position);
+  };
+
+  const tree = parseOr();
+  const rest = peek();
+  if (rest.type !== 'END') {
+    throw queryError(`Unexpected ${describeToken(rest)}`, rest.position);
+  }
+
+  return tree;
+};
+
+// --- Compiler ------------------------------------------------------------
+
+// Word-boundary REGEXP for a term. Only * is special, in phrases too;
+// everything else is matched literally, so "c++" and "node.js" work as typed.
+const toWordPattern = (value, phrase) => {
+  const escape = (part) => part.replace(/[.^$|?+()[\]{}\\]/g, '\\$&');
+  const word = (text) => text.split('*').map(escape).join('[[:alnum:]_]*');
+  const body = phrase
+    ? value.split(/\s+/).map(word).join('[[:space:]]+')
+    : word(value);
+
+  return `(^|[^[:alnum:]_])${body}([^[:alnum:]_]|$)`;
+};
+
+// exp:3, exp:3-5, exp:3+ -> { min, max } in years
+const parseExperienceRange = (node) => {
+  const match = /^(\d{1,2}(?:\.\d)?)(?:(\+)|-(\d{1,2}(?:\.\d)?))?$/.exec(node.value);
+  if (!match) {
+    throw queryError(`Invalid experience "${node.value}" (use exp:3, exp:3-5 or exp:3+)`, node.position);
+  }
+
+  const min = parseFloat(match[1]);
+  const max = match[2] ? null : (match[3] !== undefined ? parseFloat(match[3]) : min);
+  if (max !== null && max < min) {
+    throw queryError(`Experience range "${node.value}" is backwards`, node.position);
+  }
+  return { min, max };
+};
+
+// Tree -> { condition, params, scoreSql, scoreParams }. Every leaf is
+// wrapped in COALESCE(..., FALSE) so NOT also matches empty columns.
+// Options:
+//   buildExperience (min, max) -> { condition, params } (max null = open)
+//   buildLocation   value -> { condition, params } (the location hierarchy)
+const compileSearchQuery = (tree, { buildExperience, buildLocation }) => {
+  const scoreParts = [];
+  const scoreParams = [];
+
+  const leaf = (condition, params) => ({ condition: `COALESCE(${condition}, FALSE)`, params });
+
+  const compileTerm = (node, negated) => {
+    if (node.field === 'location') {
+      const location = buildLocation(node.value.replace(/\*/g, ''));
+      return leaf(location.condition, location.params);
+    }
+
+    if (node.field === 'exp') {
+      const { min, max } = parseExperienceRange(node);
+      const experience = buildExperience(min, max);
+      return leaf(experience.condition, experience.params);
+    }
+
+    if (node.field === 'availability') {
+      const value = node.value.toLowerCase();
+      if (!AVAILABILITY_VALUES.includes(value)) {
+        throw queryError(`availability must be ${AVAILABILITY_VALUES.join(' or ')}`, node.position);
+      }
+      return leaf('js.availability = ?', [value]);
+    }
+
+    if (node.value.replace(/[*\s]/g, '') === '') {
+      throw queryError('A wildcard needs at least one character', node.position);
+    }
+
+    const pattern = toWordPattern(node.value, node.phrase);
+    const columns = node.field
+      ? [{ column: FIELD_COLUMNS[node.field], weight: 3 }]
+      : TEXT_COLUMNS;
+
+    // Only terms the candidate should have count towards relevance
+    if (!negated) {
+      columns.forEach(({ column, weight }) => {
+        scoreParts.push(`COALESCE(${column} REGEXP ?, 0) * ${weight}`);
+        scoreParams.push(pattern);
+      });
+    }
+
+    return leaf(
+      `(${columns.map(({ column }) => `${column} REGEXP ?`).join(' OR ')})`,
+      columns.map(() => pattern)
+    );
+  };
+
+  const compile = (node, negated = false) => {
+    if (node.type === 'term') return compileTerm(node, negated);
+
+    if (node.type === 'not') {
+      const inner = compile(node.child, !negated);
+      return { condition: `NOT ${inner.condition}`, params: inner.params };
+    }
+
+    const parts = node.children.map(child => compile(child, negated));
+    return {
+      condition: `(${parts.map(part => part.condition).join(node.type === 'and' ? ' AND ' : ' OR ')})`,
+      params: parts.flatMap(part => part.params)
+    };
+  };
+
+  const { condition, params } = compile(tree);
+
+  return {
+    condition,
+    params,
+    scoreSql: scoreParts.length > 0 ? `(${scoreParts.join('\n      + ')})` : '0',
+    scoreParams
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  compileSearchQuery,
+  isSearchQuery,
+  SEARCH_FIELDS,
+  AVAILABILITY_VALUES
+};
@@ -0,0 +1,302 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db, queryAsync } = require('../config/db');
+require('dotenv').config();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const TOKEN_ISSUER = 'talentconnect';
+const MFA_PENDING_EXPIRES_IN = '5m';
+const MFA_PENDING_AUDIENCE = 'talentconnect:mfa';
+const OIDC_SIGNUP_EXPIRES_IN = '15m';
+const OIDC_SIGNUP_AUDIENCE = 'talentconnect:oidc-signup';
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback_secret_key';
+
+// Create sessions table - one row per device / refresh token chain
+const createSessionsTable = () => {
+  return new Promise((resolve, reject) => {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        userId INT NOT NULL,
+        refreshTokenHash CHAR(64) NOT NULL,
+        previousTokenHash CHAR(64),
+        userAgent VARCHAR(255),
+        ipAddress VARCHAR(45),
+        expiresAt DATETIME NOT NULL,
+        revokedAt DATETIME,
+        lastUsedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uq_refresh_token (refreshTokenHash),
+        INDEX idx_previous_token (previousTokenHash),
+        INDEX idx_user_active (userId, revokedAt)
+      )
+    `;
+
+    db.query(createTableQuery, (err) => {
+      if (err) {
+        console.error('Error creating user_sessions table:', err.message);
+        return reject(err);
+      }
+      console.log('✅ User sessions table ready');
+      resolve();
+    });
+  });
+};
+
+// Helper functions
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+// req.ip, not X-Forwarded-For: the header is client-controlled unless the
+// proxy in front is trusted (TRUST_PROXY in server.js)
+const getClientInfo = (req) => {
+  const ipAddress = req?.ip || req?.socket?.remoteAddress || null;
+  const userAgent = req?.headers?.['user-agent'] || null;
+
+  return {
+    ipAddress: ipAddress ? ipAddress.slice(0, 45) : null,
+    userAgent: userAgent ? userAgent.slice(0, 255) : null
+  };
+};
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      userType: user.userType,
+      sid: sessionId
+    },
+    getJwtSecret(),
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      issuer: TOKEN_ISSUER
+    }
+  );
+};
+
+const buildTokenResponse = (user, sessionId, refreshToken) => {
+  const accessToken = signAccessToken(user, sessionId);
+  const { exp, iat } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: exp - iat,
+    sessionId
+  };
+};
+
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, getJwtSecret(), { issuer: TOKEN_ISSUER });
+};
+
+// Short-lived single-purpose tokens (MFA step, OIDC signup). They carry no
+// session id, so authMiddleware will not accept them as access tokens.
+const signPurposeToken = (payload, purpose, audience, expiresIn) => {
+  return jwt.sign(
+    { ...payload, purpose },
+    getJwtSecret(),
+    { expiresIn, issuer: TOKEN_ISSUER, audience }
+  );
+};
+
+const verifyPurposeToken = (token, purpose, audience) => {
+  const decoded = jwt.verify(token, getJwtSecret(), { issuer: TOKEN_ISSUER, audience });
+
+  if (decoded.purpose !== purpose) {
+    throw sessionError('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+// Proves the password step passed for a user with MFA enabled
+const createMfaPendingToken = (user) => {
+  return signPurposeToken({ userId: user.id }, 'mfa_pending', MFA_PENDING_AUDIENCE, MFA_PENDING_EXPIRES_IN);
+};
+
+const verifyMfaPendingToken = (token) => {
+  return verifyPurposeToken(token, 'mfa_pending', MFA_PENDING_AUDIENCE);
+};
+
+// Carries a verified OIDC identity until a first-time user picks an account type
+const createOidcSignupToken = (identity) => {
+  return signPurposeToken({ identity }, 'oidc_signup', OIDC_SIGNUP_AUDIENCE, OIDC_SIGNUP_EXPIRES_IN);
+};
+
+const verifyOidcSignupToken = (token) => {
+  return verifyPurposeToken(token, 'oidc_signup', OIDC_SIGNUP_AUDIENCE).identity;
+};
+
+// Access token for an admin acting as another user. It rides on the admin's
+// own session (sid) and carries an `imp` claim that authMiddleware checks
+// against the impersonation record, so ending either one ends the token.
+const createImpersonationToken = (targetUser, { impersonationId, adminUserId, adminSessionId, allowWrites, expiresInMinutes }) => {
+  const accessToken = jwt.sign(
+    {
+      userId: targetUser.id,
+      email: targetUser.email,
+      userType: targetUser.userType,
+      sid: adminSessionId,
+      imp: { id: impersonationId, adminUserId, allowWrites: !!allowWrites }
+    },
+    getJwtSecret(),
+    {
+      expiresIn: `${expiresInMinutes}m`,
+      issuer: TOKEN_ISSUER
+    }
+  );
+
+  return { accessToken, expiresIn: expiresInMinutes * 60 };
+};
+
+// Start a new session for a user and issue an access/refresh token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const { ipAddress, userAgent } = getClientInfo(req);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await queryAsync(
+    `INSERT INTO user_sessions (userId, refreshTokenHash, userAgent, ipAddress, expiresAt)
+     VALUES (?, ?, ?, ?, ?)`,
+    [user.id, hashToken(refreshToken), userAgent, ipAddress, expiresAt]
+  );
+
+  return buildTokenResponse(user, result.insertId, refreshToken);
+};
+
+// Exchange a refresh token for a new token pair. The presented token is
+// retired; presenting it again revokes the whole session (token theft).
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw sessionError('Refresh token is required');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const sessions = await queryAsync(
+    `SELECT s.id, s.userId, s.expiresAt, s.revokedAt, u.email, u.userType
+     FROM user_sessions s
+     JOIN users u ON u.id = s.userId
+     WHERE s.refreshTokenHash = ?`,
+    [tokenHash]
+  );
+
+  if (sessions.length === 0) {
+    const reused = await queryAsync(
+      'SELECT id, userId FROM user_sessions WHERE previousTokenHash = ? AND revokedAt IS NULL',
+      [tokenHash]
+    );
+
+    if (reused.length > 0) {
+      console.warn('⚠️ Refresh token reuse detected for session:', reused[0].id);
+      await revokeSession(reused[0].id, reused[0].userId);
+    }
+
+    throw sessionError('Invalid refresh token');
+  }
+
+  const session = sessions[0];
+
+  if (session.revokedAt) {
+    throw sessionError('Session has been revoked');
+  }
+
+  if (new Date(session.expiresAt) <= new Date()) {
+    throw sessionError('Refresh token has expired');
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const { ipAddress, userAgent } = getClientInfo(req);
+
+  const result = await queryAsync(
+    `UPDATE user_sessions
+     SET previousTokenHash = refreshTokenHash, refreshTokenHash = ?,
+         ipAddress = ?, userAgent = ?, lastUsedAt = NOW()
+     WHERE id = ? AND refreshTokenHash = ? AND revokedAt IS NULL`,
+    [hashToken(newRefreshToken), ipAddress, userAgent, session.id, tokenHash]
+  );
+
+  // Another request rotated this token first
+  if (result.affectedRows === 0) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const user = { id: session.userId, email: session.email, userType: session.userType };
+  return { ...buildTokenResponse(user, session.id, newRefreshToken), user };
+};
+
+const isSessionActive = async (sessionId, userId) => {
+  const sessions = await queryAsync(
+    `SELECT id FROM user_sessions
+     WHERE id = ? AND userId = ? AND revokedAt IS NULL AND expiresAt > NOW()`,
+    [sessionId, userId]
+  );
+  return sessions.length > 0;
+};
+
+const listActiveSessions = async (userId) => {
+  return queryAsync(
+    `SELECT id, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt
+     FROM user_sessions
+     WHERE userId = ? AND revokedAt IS NULL AND expiresAt > NOW()
+     ORDER BY lastUsedAt DESC`,
+    [userId]
+  );
+};
+
+const revokeSession = async (sessionId, userId) => {
+  const result = await queryAsync(
+    'UPDATE user_sessions SET revokedAt = NOW() WHERE id = ? AND userId = ? AND revokedAt IS NULL',
+    [sessionId, userId]
+  );
+  return result.affectedRows;
+};
+
+// Revoke every session for a user, optionally keeping the current one
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  let query = 'UPDATE user_sessions SET revokedAt = NOW() WHERE userId = ? AND revokedAt IS NULL';
+  const params = [userId];
+
+  if (exceptSessionId) {
+    query += ' AND id != ?';
+    params.push(exceptSessionId);
+  }
+
+  const result = await queryAsync(query, params);
+  return result.affectedRows;
+};
+
+module.exports = {
+  createSessionsTable,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  createMfaPendingToken,
+  verifyMfaPendingToken,
+  createOidcSignupToken,
+  verifyOidcSignupToken,
+  createImpersonationToken,
+  isSessionActive,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  getClientInfo,
+  hashToken,
+  getJwtSecret
+};
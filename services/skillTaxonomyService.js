@@ -0,0 +1,741 @@
+// services/skillTaxonomyService.js
+// Canonical skills with aliases, parent/child and related edges, seeded
+// from data/skills.csv and curated by admins. Skills users type are
+// normalized to a skill id on save ("ReactJS", "React.js" and "react" are
+// all React); unknown skills are added uncurated so admins can merge them.
+//
+// job_seeker_skills holds the ids. job_seekers.skills keeps the canonical
+// names as JSON for the profile and listing endpoints.
+//
+// Like locations, the taxonomy is small and kept in memory.
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { db, queryAsync } = require('../config/db');
+const { flattenSkills } = require('./keywordSearchService');
+
+const SKILL_SEED_FILE = path.join(__dirname, '..', 'data', 'skills.csv');
+
+// Points per input skill in matchSkills
+const MATCH_POINTS = { exact: 3, partial: 2, related: 1 };
+
+// Longest alias, in words, looked for in free text
+const MAX_ALIAS_WORDS = 4;
+
+// Aliases that are also everyday words. In free text they only count when
+// written with a capital ("Go", "REST", "Express"), not "go" or "rest".
+const AMBIGUOUS_SKILL_KEYS = new Set([
+  'go', 'rest', 'express', 'spring', 'swift', 'rust', 'ruby', 'flask', 'excel',
+  'dart', 'net', 'rails', 'apollo', 'ai', 'ml', 'dl', 'ts', 'py', 'node'
+]);
+
+let cache = null;
+
+const skillError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Lookup key: lower case without spacing or punctuation, except + and #
+// ("React.js", "react js" -> "reactjs"; "C++" stays "c++")
+const skillKey = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}+#]+/gu, '');
+};
+
+const slugify = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\+/g, ' plus ')
+    .replace(/#/g, ' sharp ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 90) || 'skill';
+};
+
+// Create skill tables, seed them and normalize existing profiles
+const createSkillTables = async () => {
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS skills (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      slug VARCHAR(100) NOT NULL UNIQUE,
+      name VARCHAR(100) NOT NULL,
+      parentId INT,
+      curated BOOLEAN NOT NULL DEFAULT FALSE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (parentId) REFERENCES skills(id) ON DELETE SET NULL,
+      INDEX idx_parent (parentId)
+    )
+  `);
+
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS skill_aliases (
+      aliasKey VARCHAR(100) PRIMARY KEY,
+      skillId INT NOT NULL,
+      FOREIGN KEY (skillId) REFERENCES skills(id) ON DELETE CASCADE,
+      INDEX idx_skill (skillId)
+    )
+  `);
+
+  // Undirected: stored once with skillId < relatedSkillId
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS skill_relations (
+      skillId INT NOT NULL,
+      relatedSkillId INT NOT NULL,
+      PRIMARY KEY (skillId, relatedSkillId),
+      FOREIGN KEY (skillId) REFERENCES skills(id) ON DELETE CASCADE,
+      FOREIGN KEY (relatedSkillId) REFERENCES skills(id) ON DELETE CASCADE
+    )
+  `);
+
+  await queryAsync(`
+    CREATE TABLE IF NOT EXISTS job_seeker_skills (
+      userId INT NOT NULL,
+      skillId INT NOT NULL,
+      position TINYINT NOT NULL DEFAULT 0,
+      PRIMARY KEY (userId, skillId),
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (skillId) REFERENCES skills(id) ON DELETE CASCADE,
+      INDEX idx_skill (skillId)
+    )
+  `);
+
+  await seedSkills();
+  await loadSkillCache();
+  await normalizeExistingProfiles();
+
+  console.log('✅ Skill taxonomy tables ready');
+};
+
+const readSeedFile = () => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(SKILL_SEED_FILE)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+};
+
+const splitList = (value) => String(value || '').split('|').map(item => item.trim()).filter(Boolean);
+
+// Insert seed skills whose slug isn't in the table yet (admin edits to
+// existing ones are kept), then add any new aliases and related edges
+const seedSkills = async () => {
+  const rows = (await readSeedFile()).filter(row => row.slug && row.name);
+  const existing = await queryAsync('SELECT id, slug FROM skills');
+  const idsBySlug = new Map(existing.map(row => [row.slug, row.id]));
+
+  const inserted = [];
+  for (const row of rows) {
+    if (idsBySlug.has(row.slug)) continue;
+    const result = await queryAsync(
+      'INSERT INTO skills (slug, name, curated) VALUES (?, ?, TRUE)',
+      [row.slug.trim(), row.name.trim()]
+    );
+    idsBySlug.set(row.slug, result.insertId);
+    inserted.push(row);
+  }
+
+  // Parents after every row exists, so the CSV order doesn't matter
+  for (const row of inserted) {
+    if (row.parent && idsBySlug.has(row.parent)) {
+      await queryAsync('UPDATE skills SET parentId = ? WHERE id = ?', [idsBySlug.get(row.parent), idsBySlug.get(row.slug)]);
+    }
+  }
+
+  const aliasRows = [];
+  const relationRows = [];
+  rows.forEach(row => {
+    const skillId = idsBySlug.get(row.slug);
+    [row.name, ...splitList(row.aliases)].map(skillKey).filter(Boolean)
+      .forEach(key => aliasRows.push([key, skillId]));
+    splitList(row.related).filter(slug => idsBySlug.has(slug))
+      .forEach(slug => relationRows.push(orderedPair(skillId, idsBySlug.get(slug))));
+  });
+
+  if (aliasRows.length > 0) {
+    await queryAsync(
+      `INSERT IGNORE INTO skill_aliases (aliasKey, skillId) VALUES ${aliasRows.map(() => '(?, ?)').join(', ')}`,
+      aliasRows.flat()
+    );
+  }
+  if (relationRows.length > 0) {
+    await queryAsync(
+      `INSERT IGNORE INTO skill_relations (skillId, relatedSkillId) VALUES ${relationRows.map(() => '(?, ?)').join(', ')}`,
+      relationRows.flat()
+    );
+  }
+
+  if (inserted.length > 0) {
+    console.log(`Seeded ${inserted.length} skills from ${path.basename(SKILL_SEED_FILE)}`);
+  }
+};
+
+const orderedPair = (a, b) => (a < b ? [a, b] : [b, a]);
+
+const loadSkillCache = async () => {
+  const [skills, aliases, relations] = await Promise.all([
+    queryAsync('SELECT id, slug, name, parentId, curated FROM skills'),
+    queryAsync('SELECT aliasKey, skillId FROM skill_aliases'),
+    queryAsync('SELECT skillId, relatedSkillId FROM skill_relations')
+  ]);
+
+  const byId = new Map();
+  const byKey = new Map();
+  const children = new Map();
+
+  skills.forEach(row => {
+    byId.set(row.id, {
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      parentId: row.parentId,
+      curated: !!row.curated,
+      aliases: [],
+      related: new Set()
+    });
+    if (row.parentId) {
+      if (!children.has(row.parentId)) children.set(row.parentId, []);
+      children.get(row.parentId).push(row.id);
+    }
+  });
+
+  aliases.forEach(row => {
+    const skill = byId.get(row.skillId);
+    if (!skill) return;
+    skill.aliases.push(row.aliasKey);
+    byKey.set(row.aliasKey, skill);
+  });
+
+  relations.forEach(row => {
+    byId.get(row.skillId)?.related.add(row.relatedSkillId);
+    byId.get(row.relatedSkillId)?.related.add(row.skillId);
+  });
+
+  cache = { byId, byKey, children };
+};
+
+const resolveSkill = (text) => {
+  const key = skillKey(text);
+  return key && cache ? cache.byKey.get(key) || null : null;
+};
+
+const getDescendantIds = (skillId) => {
+  const ids = [];
+  const queue = [...(cache.children.get(skillId) || [])];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (ids.includes(id) || id === skillId) continue;
+    ids.push(id);
+    queue.push(...(cache.children.get(id) || []));
+  }
+  return ids;
+};
+
+// Add a skill nobody has used before, uncurated, so every profile skill
+// has an id. A taken slug gets a numeric suffix.
+const createUncuratedSkill = async (name) => {
+  const baseSlug = slugify(name);
+
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    const slug = attempt === 1 ? baseSlug : `${baseSlug}-${attempt}`;
+    try {
+      const result = await queryAsync('INSERT INTO skills (slug, name) VALUES (?, ?)', [slug, name]);
+      await queryAsync('INSERT IGNORE INTO skill_aliases (aliasKey, skillId) VALUES (?, ?)', [skillKey(name), result.insertId]);
+
+      const skill = { id: result.insertId, slug, name, parentId: null, curated: false, aliases: [skillKey(name)], related: new Set() };
+      cache.byId.set(skill.id, skill);
+      cache.byKey.set(skillKey(name), skill);
+      return skill;
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+    }
+  }
+
+  throw skillError(`Could not add skill "${name}"`, 500);
+};
+
+// Profile skill names -> [{ id, name }] in canonical form, without
+// duplicates, adding unknown skills to the taxonomy
+const normalizeSkills = async (names) => {
+  const skills = [];
+  const seen = new Set();
+
+  for (const value of names || []) {
+    const name = String(value).trim();
+    if (!name || !skillKey(name)) continue;
+
+    const skill = resolveSkill(name) || await createUncuratedSkill(name);
+    if (seen.has(skill.id)) continue;
+
+    seen.add(skill.id);
+    skills.push({ id: skill.id, name: skill.name });
+  }
+
+  return skills;
+};
+
+// Replace a job seeker's skill ids (skills as returned by normalizeSkills)
+const setJobSeekerSkills = async (userId, skills) => {
+  await queryAsync('DELETE FROM job_seeker_skills WHERE userId = ?', [userId]);
+  if (skills.length === 0) return;
+
+  await queryAsync(
+    `INSERT INTO job_seeker_skills (userId, skillId, position) VALUES ${skills.map(() => '(?, ?, ?)').join(', ')}`,
+    skills.flatMap((skill, index) => [userId, skill.id, index])
+  );
+};
+
+// Rewrite job_seekers.skills / skillsText from job_seeker_skills, after a
+// merge or rename changed canonical names
+const refreshProfileSkills = async (userIds) => {
+  for (const userId of userIds) {
+    const rows = await queryAsync(
+      `SELECT s.name FROM job_seeker_skills jss
+       JOIN skills s ON s.id = jss.skillId
+       WHERE jss.userId = ?
+       ORDER BY jss.position`,
+      [userId]
+    );
+    const names = rows.map(row => row.name);
+    await queryAsync(
+      'UPDATE job_seekers SET skills = ?, skillsText = ? WHERE userId = ?',
+      [JSON.stringify(names), flattenSkills(names), userId]
+    );
+  }
+};
+
+// One-off on upgrade: profiles saved before the taxonomy existed
+const normalizeExistingProfiles = async () => {
+  const rows = await queryAsync(`
+    SELECT js.userId, js.skills FROM job_seekers js
+    WHERE js.skills IS NOT NULL AND js.skills != '[]' AND js.skills != 'null' AND js.skills != ''
+      AND NOT EXISTS (SELECT 1 FROM job_seeker_skills jss WHERE jss.userId = js.userId)
+  `);
+
+  let normalized = 0;
+  for (const row of rows) {
+    let names;
+    try {
+      names = typeof row.skills === 'string' ? JSON.parse(row.skills) : row.skills;
+    } catch {
+      continue;
+    }
+    if (!Array.isArray(names)) continue;
+
+    const skills = await normalizeSkills(names.filter(name => typeof name === 'string'));
+    if (skills.length === 0) continue;
+
+    await setJobSeekerSkills(row.userId, skills);
+    await refreshProfileSkills([row.userId]);
+    normalized++;
+  }
+
+  if (normalized > 0) {
+    console.log(`Normalized skills for ${normalized} job seeker profiles`);
+  }
+};
+
+// --- Matching --------------------------------------------------------------
+
+// Input skills -> what counts as a match for each, by skill id:
+//   exact     the skill itself
+//   partial   a child (React for "JavaScript") or the parent (React for
+//             "Next.js")
+//   related   a related skill
+// Input the taxonomy doesn't know falls back to substring matching on
+// candidate skill names (`text`).
+const expandSkillQuery = (inputSkills) => {
+  return inputSkills.map(input => {
+    const skill = resolveSkill(input);
+    if (!skill) {
+      return { input, skillId: null, text: input.toLowerCase() };
+    }
+
+    const partial = new Set([...getDescendantIds(skill.id), ...(skill.parentId ? [skill.parentId] : [])]);
+    const related = new Set([...skill.related].filter(id => id !== skill.id && !partial.has(id)));
+
+    return { input, skillId: skill.id, name: skill.name, partial, related };
+  });
+};
+
+// Every skill id any expanded input would accept (for prefiltering in SQL)
+const getQuerySkillIds = (expanded) => {
+  const ids = new Set();
+  expanded.forEach(item => {
+    if (!item.skillId) return;
+    ids.add(item.skillId);
+    item.partial.forEach(id => ids.add(id));
+    item.related.forEach(id => ids.add(id));
+  });
+  return [...ids];
+};
+
+// Best match per expanded input among candidate skills ([{ id, name }]):
+// [{ input, name, kind, matchedSkill }], kind null when nothing matched
+const matchSkillRequirements = (expanded, candidateSkills) => {
+  return expanded.map(item => {
+    let best = null;
+
+    candidateSkills.forEach(skill => {
+      let kind = null;
+      if (item.skillId) {
+        if (skill.id === item.skillId) kind = 'exact';
+        else if (item.partial.has(skill.id)) kind = 'partial';
+        else if (item.related.has(skill.id)) kind = 'related';
+      } else {
+        const name = skill.name.toLowerCase();
+        if (name === item.text) kind = 'exact';
+        else if (name.includes(item.text) || item.text.includes(name)) kind = 'partial';
+      }
+
+      if (kind && (!best || MATCH_POINTS[kind] > MATCH_POINTS[best.kind])) {
+        best = { kind, name: skill.name };
+      }
+    });
+
+    return {
+      input: item.input,
+      name: item.name || item.input,
+      kind: best ? best.kind : null,
+      matchedSkill: best ? best.name : null
+    };
+  });
+};
+
+// Candidate skills ([{ id, name }]) against expanded input. Each input
+// skill scores its best match only, so the score is a percentage of
+// 3 points per input skill.
+const scoreSkillMatch = (expanded, candidateSkills) => {
+  const matches = { exact: [], partial: [], related: [] };
+
+  matchSkillRequirements(expanded, candidateSkills).forEach(match => {
+    if (match.kind) matches[match.kind].push(match.matchedSkill);
+  });
+
+  const points = Object.entries(matches).reduce((sum, [kind, names]) => sum + names.length * MATCH_POINTS[kind], 0);
+  const maxPoints = expanded.length * MATCH_POINTS.exact;
+
+  return {
+    matchScore: maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0,
+    matchingSkills: [...new Set([...matches.exact, ...matches.partial, ...matches.related])],
+    matchDetails: {
+      exact: matches.exact.length,
+      partial: matches.partial.length,
+      related: matches.related.length,
+      total: matches.exact.length + matches.partial.length + matches.related.length
+    }
+  };
+};
+
+// Curated skills named in free text (a job description), in order of
+// first mention: [{ id, name }]. Aliases may span a few words ("machine
+// learning", "CI/CD") but not a comma or line break.
+const findSkillsInText = (text) => {
+  if (!cache) return [];
+
+  const tokens = [...String(text || '').matchAll(/[\p{L}\p{N}+#]+(?:\.[\p{L}\p{N}+#]+)*/gu)]
+    .map(match => ({ text: match[0], start: match.index, end: match.index + match[0].length }));
+
+  const found = [];
+  const seen = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    for (let words = Math.min(MAX_ALIAS_WORDS, tokens.length - i); words >= 1; words--) {
+      const span = tokens.slice(i, i + words);
+      const joined = span.every((token, index) => index === 0
+        || /^[ \t\-\/.&]*$/.test(String(text).slice(span[index - 1].end, token.start)));
+      if (!joined) continue;
+
+      const key = skillKey(span.map(token => token.text).join(' '));
+      const skill = cache.byKey.get(key);
+      if (!skill || !skill.curated) continue;
+      if (words === 1 && AMBIGUOUS_SKILL_KEYS.has(key) && span[0].text === span[0].text.toLowerCase()) continue;
+
+      if (!seen.has(skill.id)) {
+        seen.add(skill.id);
+        found.push({ id: skill.id, name: skill.name });
+      }
+      i += words - 1;
+      break;
+    }
+  }
+
+  return found;
+};
+
+// --- Lookup and curation -------------------------------------------------
+
+const toPublicSkill = (skill) => ({
+  id: skill.id,
+  slug: skill.slug,
+  name: skill.name,
+  parentId: skill.parentId,
+  parent: skill.parentId ? cache.byId.get(skill.parentId)?.name || null : null,
+  curated: skill.curated,
+  aliases: skill.aliases,
+  related: [...skill.related].map(id => cache.byId.get(id)).filter(Boolean).map(related => ({ id: related.id, name: related.name }))
+});
+
+// Autocomplete: skills with a name or alias starting with the text,
+// curated first
+const searchSkills = (text, { limit = 10, curatedOnly = false } = {}) => {
+  if (!cache) return [];
+
+  const prefix = skillKey(text);
+  return [...cache.byId.values()]
+    .filter(skill => !curatedOnly || skill.curated)
+    .filter(skill => !prefix || skill.aliases.some(alias => alias.startsWith(prefix)))
+    .sort((a, b) => Number(b.curated) - Number(a.curated) || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(toPublicSkill);
+};
+
+const getSkillOrThrow = (skillId) => {
+  const skill = cache.byId.get(parseInt(skillId, 10));
+  if (!skill) {
+    throw skillError('Skill not found', 404);
+  }
+  return skill;
+};
+
+// Admin list with how many profiles use each skill. `uncurated` lists the
+// skills users added that still need reviewing, most used first.
+const listSkills = async ({ q, uncurated, limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const usage = await queryAsync('SELECT skillId, COUNT(*) AS profiles FROM job_seeker_skills GROUP BY skillId');
+  const profilesBySkill = new Map(usage.map(row => [row.skillId, Number(row.profiles)]));
+
+  const prefix = skillKey(q);
+  return [...cache.byId.values()]
+    .filter(skill => !uncurated || !skill.curated)
+    .filter(skill => !prefix || skill.aliases.some(alias => alias.includes(prefix)))
+    .map(skill => ({ ...toPublicSkill(skill), profiles: profilesBySkill.get(skill.id) || 0 }))
+    .sort((a, b) => b.profiles - a.profiles || a.name.localeCompare(b.name))
+    .slice(0, pageSize);
+};
+
+const getSkill = (skillId) => toPublicSkill(getSkillOrThrow(skillId));
+
+const validateName = (name) => {
+  const skillName = String(name || '').trim();
+  if (!skillName || skillName.length > 100 || !skillKey(skillName)) {
+    throw skillError('Skill name is required (at most 100 characters)');
+  }
+  return skillName;
+};
+
+// A parent can't be the skill itself or one of its descendants
+const validateParent = (skillId, parentId) => {
+  if (parentId === undefined) return undefined;
+  if (parentId === null || parentId === '') return null;
+
+  const parent = getSkillOrThrow(parentId);
+  if (skillId && (parent.id === skillId || getDescendantIds(skillId).includes(parent.id))) {
+    throw skillError('A skill cannot be placed under itself or one of its children');
+  }
+  return parent.id;
+};
+
+// Aliases must not belong to another skill (merge the skills instead)
+const insertAliases = async (skillId, aliases) => {
+  const keys = [...new Set((aliases || []).map(skillKey).filter(Boolean))];
+  const taken = keys.map(key => cache.byKey.get(key)).filter(skill => skill && skill.id !== skillId);
+  if (taken.length > 0) {
+    throw skillError(`"${taken[0].name}" already uses that alias; merge the skills instead`, 409);
+  }
+  if (keys.length === 0) return;
+
+  await queryAsync(
+    `INSERT IGNORE INTO skill_aliases (aliasKey, skillId) VALUES ${keys.map(() => '(?, ?)').join(', ')}`,
+    keys.flatMap(key => [key, skillId])
+  );
+};
+
+// Admin: add a curated skill. Body { name, parentId?, aliases?, relatedSkillIds? }
+const createSkill = async ({ name, parentId, aliases, relatedSkillIds }) => {
+  const skillName = validateName(name);
+  if (resolveSkill(skillName)) {
+    throw skillError(`"${resolveSkill(skillName).name}" already exists`, 409);
+  }
+  const parent = validateParent(null, parentId);
+
+  const result = await queryAsync(
+    'INSERT INTO skills (slug, name, parentId, curated) VALUES (?, ?, ?, TRUE)',
+    [slugify(skillName), skillName, parent || null]
+  ).catch(error => {
+    throw error.code === 'ER_DUP_ENTRY' ? skillError(`A skill with slug "${slugify(skillName)}" already exists`, 409) : error;
+  });
+
+  await insertAliases(result.insertId, [skillName, ...(Array.isArray(aliases) ? aliases : [])]);
+  await loadSkillCache();
+
+  if (relatedSkillIds) {
+    await setRelatedSkills(result.insertId, relatedSkillIds);
+  }
+  return getSkill(result.insertId);
+};
+
+// Admin: rename, re-parent or mark curated. Body { name?, parentId?, curated? }
+const updateSkill = async (skillId, { name, parentId, curated }) => {
+  const skill = getSkillOrThrow(skillId);
+  const skillName = name !== undefined ? validateName(name) : skill.name;
+  const parent = validateParent(skill.id, parentId);
+
+  const owner = resolveSkill(skillName);
+  if (owner && owner.id !== skill.id) {
+    throw skillError(`"${owner.name}" already uses that name; merge the skills instead`, 409);
+  }
+
+  await queryAsync(
+    'UPDATE skills SET name = ?, parentId = ?, curated = ? WHERE id = ?',
+    [skillName, parent === undefined ? skill.parentId : parent, curated === undefined ? skill.curated : !!curated, skill.id]
+  );
+  await insertAliases(skill.id, [skillName]);
+  await loadSkillCache();
+
+  if (skillName !== skill.name) {
+    const users = await queryAsync('SELECT userId FROM job_seeker_skills WHERE skillId = ?', [skill.id]);
+    await refreshProfileSkills(users.map(row => row.userId));
+  }
+  return getSkill(skill.id);
+};
+
+// Admin: add spellings that should resolve to this skill
+const addSkillAliases = async (skillId, aliases) => {
+  const skill = getSkillOrThrow(skillId);
+  const list = Array.isArray(aliases) ? aliases : String(aliases || '').split(',');
+  if (!list.some(alias => skillKey(alias))) {
+    throw skillError('At least one alias is required');
+  }
+
+  await insertAliases(skill.id, list);
+  await loadSkillCache();
+  return getSkill(skill.id);
+};
+
+// Admin: replace the related edges of a skill
+const setRelatedSkills = async (skillId, relatedSkillIds) => {
+  const skill = getSkillOrThrow(skillId);
+  if (!Array.isArray(relatedSkillIds)) {
+    throw skillError('relatedSkillIds must be an array');
+  }
+  const relatedIds = [...new Set(relatedSkillIds.map(id => getSkillOrThrow(id).id))].filter(id => id !== skill.id);
+
+  await queryAsync('DELETE FROM skill_relations WHERE skillId = ? OR relatedSkillId = ?', [skill.id, skill.id]);
+  if (relatedIds.length > 0) {
+    await queryAsync(
+      `INSERT IGNORE INTO skill_relations (skillId, relatedSkillId) VALUES ${relatedIds.map(() => '(?, ?)').join(', ')}`,
+      relatedIds.flatMap(id => orderedPair(skill.id, id))
+    );
+  }
+
+  await loadSkillCache();
+  return getSkill(skill.id);
+};
+
+// Admin: fold duplicate skills into one. Aliases, profiles, children and
+// related edges move to the target and the sources are deleted.
+// Returns { skill, merged, profilesUpdated }.
+const mergeSkills = async (targetSkillId, sourceSkillIds) => {
+  const target = getSkillOrThrow(targetSkillId);
+  if (!Array.isArray(sourceSkillIds) || sourceSkillIds.length === 0) {
+    throw skillError('sourceSkillIds must list the skills to merge');
+  }
+
+  const sources = [...new Set(sourceSkillIds.map(id => getSkillOrThrow(id)))].filter(skill => skill.id !== target.id);
+  if (sources.length === 0) {
+    throw skillError('A skill cannot be merged into itself');
+  }
+  if (sources.some(source => getDescendantIds(source.id).includes(target.id))) {
+    throw skillError('A skill cannot be merged into one of its children');
+  }
+
+  const sourceIds = sources.map(source => source.id);
+  const placeholders = sourceIds.map(() => '?').join(', ');
+  const affectedUsers = await queryAsync(
+    `SELECT DISTINCT userId FROM job_seeker_skills WHERE skillId IN (${placeholders})`,
+    sourceIds
+  );
+
+  await new Promise((resolve, reject) => {
+    db.beginTransaction(err => (err ? reject(err) : resolve()));
+  });
+
+  try {
+    await queryAsync(`UPDATE skill_aliases SET skillId = ? WHERE skillId IN (${placeholders})`, [target.id, ...sourceIds]);
+
+    // A target that was a child of a source takes over the source's parent
+    if (sourceIds.includes(target.parentId)) {
+      let parentId = target.parentId;
+      while (parentId && (sourceIds.includes(parentId) || parentId === target.id)) {
+        parentId = cache.byId.get(parentId)?.parentId || null;
+      }
+      await queryAsync('UPDATE skills SET parentId = ? WHERE id = ?', [parentId, target.id]);
+    }
+    await queryAsync(`UPDATE skills SET parentId = ? WHERE parentId IN (${placeholders}) AND id != ?`, [target.id, ...sourceIds, target.id]);
+
+    // Profiles that had a source skill get the target in its place, unless
+    // they already list the target
+    await queryAsync(
+      `INSERT IGNORE INTO job_seeker_skills (userId, skillId, position)
+       SELECT userId, ?, MIN(position) FROM job_seeker_skills WHERE skillId IN (${placeholders}) GROUP BY userId`,
+      [target.id, ...sourceIds]
+    );
+
+    await queryAsync(
+      `INSERT IGNORE INTO skill_relations (skillId, relatedSkillId)
+       SELECT LEAST(?, other), GREATEST(?, other) FROM (
+         SELECT relatedSkillId AS other FROM skill_relations WHERE skillId IN (${placeholders})
+         UNION SELECT skillId FROM skill_relations WHERE relatedSkillId IN (${placeholders})
+       ) AS edges
+       WHERE other != ? AND other NOT IN (${placeholders})`,
+      [target.id, target.id, ...sourceIds, ...sourceIds, target.id, ...sourceIds]
+    );
+
+    await queryAsync(`DELETE FROM skills WHERE id IN (${placeholders})`, sourceIds);
+
+    await new Promise((resolve, reject) => {
+      db.commit(err => (err ? reject(err) : resolve()));
+    });
+  } catch (error) {
+    await new Promise(resolve => db.rollback(() => resolve()));
+    throw error;
+  }
+
+  await loadSkillCache();
+  await refreshProfileSkills(affectedUsers.map(row => row.userId));
+
+  return {
+    skill: getSkill(target.id),
+    merged: sources.map(source => ({ id: source.id, name: source.name })),
+    profilesUpdated: affectedUsers.length
+  };
+};
+
+module.exports = {
+  createSkillTables,
+  normalizeSkills,
+  setJobSeekerSkills,
+  expandSkillQuery,
+  getQuerySkillIds,
+  matchSkillRequirements,
+  scoreSkillMatch,
+  findSkillsInText,
+  MATCH_POINTS,
+  searchSkills,
+  listSkills,
+  getSkill,
+  createSkill,
+  updateSkill,
+  addSkillAliases,
+  setRelatedSkills,
+  mergeSkills
+};
@@ -0,0 +1,148 @@
+// services/totpService.js
+// HOTP (RFC 4226) / TOTP (RFC 6238) implemented on Node's crypto module,
+// compatible with Google Authenticator, Authy, 1Password and similar apps.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+const DEFAULT_ALGORITHM = 'sha1';
+
+// RFC 4648 base32 without padding - the format authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the length recommended by RFC 4226
+const generateSecret = (byteLength = 20) => {
+  return base32Encode(crypto.randomBytes(byteLength));
+};
+
+// RFC 4226 section 5.3: HMAC the 8-byte counter and dynamically truncate
+const generateHotp = (secretBuffer, counter, digits = DEFAULT_DIGITS, algorithm = DEFAULT_ALGORITHM) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, secretBuffer).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+const getTimeStep = (timeMs = Date.now(), step = DEFAULT_STEP_SECONDS) => {
+  return Math.floor(timeMs / 1000 / step);
+};
+
+// Code for the given time (defaults to now); secret is base32
+const generateTotp = (secret, options = {}) => {
+  const {
+    time = Date.now(),
+    step = DEFAULT_STEP_SECONDS,
+    digits = DEFAULT_DIGITS,
+    algorithm = DEFAULT_ALGORITHM
+  } = options;
+
+  return generateHotp(base32Decode(secret), getTimeStep(time, step), digits, algorithm);
+};
+
+// Check a code against the current step and `window` steps either side to
+// allow for clock drift. Returns the matching time step, or null.
+const verifyTotp = (secret, code, options = {}) => {
+  const {
+    time = Date.now(),
+    step = DEFAULT_STEP_SECONDS,
+    digits = DEFAULT_DIGITS,
+    algorithm = DEFAULT_ALGORITHM,
+    window = 1
+  } = options;
+
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const secretBuffer = base32Decode(secret);
+  const currentStep = getTimeStep(time, step);
+  let matchedStep = null;
+
+  // Check every candidate so timing doesn't reveal which step matched
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHotp(secretBuffer, currentStep + offset, digits, algorithm);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized)) && matchedStep === null) {
+      matchedStep = currentStep + offset;
+    }
+  }
+
+  return matchedStep;
+};
+
+// otpauth:// URI for QR codes (Key Uri Format)
+const buildOtpAuthUrl = ({ secret, accountName, issuer = 'TalentConnect' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULT_ALGORITHM.toUpperCase(),
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+  getTimeStep
+};
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+const { loadSeedData } = require('./helpers/seedData');
+const { resolveLocationId } = require('../services/locationService');
+const { prepareScoring, scoreCandidate, DEFAULT_SCORING_WEIGHTS } = require('../services/candidateScoringService');
+
+const CANDIDATE = {
+  availability: 'available',
+  hasExperience: 1,
+  experienceYears: 4,
+  hasSalary: 1,
+  salaryCurrency: 'USD',
+  salaryAmount: 90000,
+  locationId: null
+};
+
+const score = async (body, candidate = {}, skillScore = 80) => {
+  const { targets, weights } = await prepareScoring(null, body);
+  return scoreCandidate({ ...CANDIDATE, ...candidate }, skillScore, targets, weights);
+};
+
+test.before(loadSeedData);
+
+test('weights of the factors that count are scaled to 100%', async () => {
+  // No experience, location or budget target: only skills and availability count
+  const result = await score({ weights: { skills: 30, salary: 50 } });
+
+  assert.deepEqual(result, {
+    matchScore: 85,
+    factors: {
+      skills: { score: 80, weight: 75 },
+      experience: { score: null, weight: 0 },
+      location: { score: null, weight: 0 },
+      salary: { score: null, weight: 0 },
+      availability: { score: 100, weight: 25 }
+    }
+  });
+});
+
+test('request weights override the recruiter defaults', async () => {
+  fakeDb.reset(sql => (sql.startsWith('SELECT weights FROM recruiter_scoring_weights')
+    ? [{ weights: JSON.stringify({ skills: 80, location: 0 }) }]
+    : []));
+
+  const { weights } = await prepareScoring(7, { weights: { availability: 0 } });
+  assert.deepEqual(weights, { ...DEFAULT_SCORING_WEIGHTS, skills: 80, location: 0, availability: 0 });
+  fakeDb.reset();
+});
+
+test('invalid weights and weights that leave nothing to score are rejected', async () => {
+  await assert.rejects(prepareScoring(null, { weights: { culture: 10 } }), { statusCode: 400, message: /Unknown scoring factor "culture"/ });
+  await assert.rejects(prepareScoring(null, { weights: { salary: 101 } }), { statusCode: 400, message: /between 0 and 100/ });
+  await assert.rejects(prepareScoring(null, { weights: [] }), { statusCode: 400, message: 'weights must be an object' });
+  // Experience has weight but no target
+  await assert.rejects(
+    prepareScoring(null, { weights: { skills: 0, availability: 0 } }),
+    { statusCode: 400, message: /at least one factor/ }
+  );
+  await assert.doesNotReject(prepareScoring(null, { weights: { skills: 0, availability: 0 }, experienceMinYears: 2 }));
+});
+
+test('missing candidate data scores half and is flagged unknown', async () => {
+  const result = await score(
+    { weights: { skills: 50, experience: 50, availability: 0 }, experienceMinYears: 3 },
+    { hasExperience: 0, experienceYears: 0 }
+  );
+
+  assert.deepEqual(result.factors.experience, { score: 50, weight: 50, unknown: true });
+  assert.equal(result.matchScore, 65);
+});
+
+test('experience below, inside and above the target range', async () => {
+  const experienceScore = async (years) => {
+    const body = { experienceMinYears: 3, experienceMaxYears: 5 };
+    return (await score(body, { experienceYears: years })).factors.experience.score;
+  };
+
+  assert.equal(await experienceScore(2), 67);
+  assert.equal(await experienceScore(4), 100);
+  assert.equal(await experienceScore(7), 80);
+  assert.equal(await experienceScore(20), 50);
+  await assert.rejects(prepareScoring(null, { experienceMinYears: 5, experienceMaxYears: 3 }), { statusCode: 400 });
+});
+
+test('salary is scored against the budget in its own currency only', async () => {
+  const salaryScore = async (candidate) => {
+    const body = { salaryBudget: 100000, budgetCurrency: 'USD' };
+    return (await score(body, candidate)).factors.salary;
+  };
+
+  assert.deepEqual(await salaryScore({ salaryAmount: 90000 }), { score: 100, weight: 14 });
+  assert.deepEqual(await salaryScore({ salaryAmount: 150000 }), { score: 50, weight: 14 });
+  assert.deepEqual(await salaryScore({ salaryAmount: 250000 }), { score: 0, weight: 14 });
+  assert.deepEqual(await salaryScore({ salaryCurrency: 'INR' }), { score: 50, weight: 14, unknown: true });
+  assert.deepEqual(await salaryScore({ hasSalary: 0 }), { score: 50, weight: 14, unknown: true });
+});
+
+test('a monthly budget is compared as an annual amount', async () => {
+  const { targets } = await prepareScoring(null, { salaryBudget: 10000, budgetCurrency: 'usd', budgetPeriod: 'monthly' });
+  assert.deepEqual(targets.salary, { currency: 'USD', amount: 120000 });
+});
+
+test('location is scored by proximity to the target place', async () => {
+  const locationScore = async (place) => {
+    const result = await score({ location: 'Chennai' }, { locationId: place && resolveLocationId(place) });
+    return result.factors.location;
+  };
+
+  assert.deepEqual(await locationScore('Chennai'), { score: 100, weight: 20 });
+  assert.ok((await locationScore('Coimbatore')).score >= 50, 'same state');
+  assert.deepEqual(await locationScore(null), { score: 50, weight: 20, unknown: true });
+  await assert.rejects(prepareScoring(null, { location: 'Atlantis' }), { statusCode: 400, message: 'Unknown location "Atlantis"' });
+});
+
+test('request targets override those from a job description', async () => {
+  const fromJd = { experience: { minYears: 5, maxYears: null } };
+
+  assert.deepEqual((await prepareScoring(null, {}, fromJd)).targets.experience, fromJd.experience);
+  assert.deepEqual(
+    (await prepareScoring(null, { experienceMinYears: 1 }, fromJd)).targets.experience,
+    { minYears: 1, maxYears: null }
+  );
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/fakeDb');
+const { parseExperience, buildExperienceFilter } = require('../services/experienceService');
+
+test('parseExperience reads ranges, open ends and units', () => {
+  assert.deepEqual(parseExperience('3-5'), { min: 3, max: 5 });
+  assert.deepEqual(parseExperience('2 to 4 years'), { min: 2, max: 4 });
+  assert.deepEqual(parseExperience('5+ years'), { min: 5, max: null });
+  assert.deepEqual(parseExperience('over 5 years'), { min: 5, max: null });
+  assert.deepEqual(parseExperience('less than 1 year'), { min: 0, max: 1 });
+  assert.deepEqual(parseExperience('2 years 6 months'), { min: 2.5, max: 2.5 });
+  assert.deepEqual(parseExperience('18 months'), { min: 1.5, max: 1.5 });
+  assert.deepEqual(parseExperience('3.5'), { min: 3.5, max: 3.5 });
+  assert.deepEqual(parseExperience('fresher'), { min: 0, max: 0 });
+  assert.equal(parseExperience('a few'), null);
+});
+
+test('parseExperience does not read calendar years as experience', () => {
+  assert.equal(parseExperience('2019-2023'), null);
+  assert.equal(parseExperience('2019 - 2023'), null);
+  assert.equal(parseExperience('since 2015'), null);
+  assert.equal(parseExperience('Jan 2020 - present'), null);
+  assert.equal(parseExperience('100 years'), null);
+  assert.deepEqual(parseExperience('2019-2023 (4 years)'), { min: 4, max: 4 });
+});
+
+test('buildExperienceFilter matches unparseable text exactly', () => {
+  assert.deepEqual(buildExperienceFilter({ experience: '2019-2023' }), {
+    condition: 'js.experience = ?',
+    params: ['2019-2023']
+  });
+  assert.deepEqual(buildExperienceFilter({ experience: '3 yrs' }).params, [3, 3]);
+});
@@ -0,0 +1,52 @@
+// test/helpers/fakeDb.js
+// Stands in for config/db so services can be tested without MySQL (the real
+// module opens a connection as soon as it is required). Require this before
+// any service, then point `fakeDb.handler` at a function that answers
+// (sql, params) for the statements the test exercises. SQL reaches the
+// handler with whitespace collapsed, so patterns can be written on one line.
+const dbPath = require.resolve('../../config/db');
+
+const fakeDb = {
+  handler: null,
+  queries: [],
+  reset(handler = null) {
+    this.handler = handler;
+    this.queries = [];
+  }
+};
+
+const queryAsync = async (sql, params = []) => {
+  const normalized = sql.replace(/\s+/g, ' ').trim();
+  fakeDb.queries.push({ sql: normalized, params });
+  if (!fakeDb.handler) {
+    throw new Error(`Unexpected query: ${normalized}`);
+  }
+  return fakeDb.handler(normalized, params);
+};
+
+// Callback API for the controllers that still use db.query directly
+const db = {
+  query(sql, params, callback) {
+    if (typeof params === 'function') {
+      callback = params;
+      params = [];
+    }
+    queryAsync(sql, params).then(result => callback(null, result), error => callback(error));
+  },
+  on() {}
+};
+
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: {
+    db,
+    queryAsync,
+    testConnection: async () => {},
+    addColumnIfMissing: async () => false,
+    addIndexIfMissing: async () => false
+  }
+};
+
+module.exports = fakeDb;
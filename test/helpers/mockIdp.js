@@ -0,0 +1,165 @@
+// test/helpers/mockIdp.js
+// Minimal OpenID Connect provider for tests and local development:
+// discovery, an /authorize endpoint that approves straight away and
+// redirects back with a code, a token endpoint that checks the client
+// credentials, redirect URI and PKCE verifier, and a JWKS endpoint. ID tokens
+// are RS256-signed with a key generated at start-up.
+//
+// Run it directly to try sign-in locally; it prints the OIDC_PROVIDERS value
+// to start the server with:
+//   node test/helpers/mockIdp.js [port] [redirectUri]
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const KEY_ID = 'mock-idp-key';
+
+const DEFAULT_USER = {
+  sub: 'mock-user-1',
+  email: 'jordan.lee@example.com',
+  email_verified: true,
+  given_name: 'Jordan',
+  family_name: 'Lee',
+  preferred_username: 'jordan_lee'
+};
+
+const base64UrlSha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+// Resolves to the running provider:
+//   issuer, clientId, clientSecret   what to put in OIDC_PROVIDERS
+//   user                             claims for the signed-in user
+//   tamper(fn)                       fn(claims) -> { claims?, signingKey? }
+//                                    rewrites the next ID token only
+//   close()
+const startMockIdp = ({
+  port = 0,
+  clientId = 'talentconnect-local',
+  clientSecret = 'mock-idp-secret',
+  user = DEFAULT_USER
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const idp = {
+    issuer: null,
+    clientId,
+    clientSecret,
+    user: { ...user },
+    nextTamper: null,
+    tamper(fn) {
+      this.nextTamper = fn;
+    }
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: idp.issuer,
+      authorization_endpoint: `${idp.issuer}/authorize`,
+      token_endpoint: `${idp.issuer}/token`,
+      jwks_uri: `${idp.issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { response_type: responseType, client_id: requestClientId, redirect_uri: redirectUri } = req.query;
+    const { state, nonce, code_challenge: codeChallenge, code_challenge_method: challengeMethod } = req.query;
+
+    if (responseType !== 'code' || requestClientId !== clientId || !redirectUri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+    if (challengeMethod !== 'S256' || !codeChallenge) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE S256 is required' });
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, { redirectUri, nonce, codeChallenge });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let credentials = { id: req.body.client_id, secret: req.body.client_secret };
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+      credentials = { id, secret };
+    }
+    if (credentials.id !== clientId || credentials.secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (!req.body.code_verifier || base64UrlSha256(req.body.code_verifier) !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    let claims = { ...idp.user, nonce: grant.nonce };
+    let signingKey = privateKey;
+    if (idp.nextTamper) {
+      const tampered = idp.nextTamper(claims) || {};
+      idp.nextTamper = null;
+      claims = tampered.claims || claims;
+      signingKey = tampered.signingKey || signingKey;
+    }
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: jwt.sign(claims, signingKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: idp.issuer,
+        audience: clientId,
+        expiresIn: '5m'
+      })
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      idp.issuer = `http://127.0.0.1:${server.address().port}`;
+      idp.close = () => new Promise(done => server.close(done));
+      resolve(idp);
+    });
+    server.on('error', reject);
+  });
+};
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 5560;
+  const redirectUri = process.argv[3] || 'http://localhost:3000/auth/oidc/callback';
+
+  startMockIdp({ port }).then(idp => {
+    console.log(`Mock identity provider running at ${idp.issuer}`);
+    console.log('Start the API with:');
+    console.log(`OIDC_PROVIDERS='${JSON.stringify([{
+      id: 'mock',
+      name: 'Mock IdP',
+      issuer: idp.issuer,
+      clientId: idp.clientId,
+      clientSecret: idp.clientSecret,
+      redirectUri
+    }])}'`);
+  });
+}
+
+module.exports = { startMockIdp, DEFAULT_USER };
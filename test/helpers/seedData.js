@@ -0,0 +1,80 @@
+// test/helpers/seedData.js
+// Loads the skill taxonomy and location caches from the real seed files
+// (data/skills.csv, data/locations.csv) through fakeDb, so parsers that look
+// skills and places up can be tested as they run in production. Keeps the
+// seeded tables in memory; everything else a start-up touches (profile and
+// user backfills) finds no rows.
+const fakeDb = require('./fakeDb');
+const { createSkillTables } = require('../../services/skillTaxonomyService');
+const { createLocationTables } = require('../../services/locationService');
+
+const pairs = (params) => {
+  const rows = [];
+  for (let i = 0; i < params.length; i += 2) rows.push([params[i], params[i + 1]]);
+  return rows;
+};
+
+const createHandler = () => {
+  const skills = [];
+  const skillAliases = new Map();
+  const skillRelations = new Map();
+  const locations = [];
+  const locationAliases = new Map();
+
+  return (sql, params) => {
+    if (sql === 'SELECT id, slug FROM skills') return skills.map(({ id, slug }) => ({ id, slug }));
+    if (sql.startsWith('SELECT id, slug, name, parentId, curated FROM skills')) return skills;
+    if (sql.startsWith('SELECT aliasKey, skillId FROM skill_aliases')) {
+      return [...skillAliases].map(([aliasKey, skillId]) => ({ aliasKey, skillId }));
+    }
+    if (sql.startsWith('SELECT skillId, relatedSkillId FROM skill_relations')) return [...skillRelations.values()];
+    if (sql.startsWith('INSERT INTO skills')) {
+      const [slug, name] = params;
+      skills.push({ id: skills.length + 1, slug, name, parentId: null, curated: 1 });
+      return { insertId: skills.length };
+    }
+    if (sql.startsWith('UPDATE skills SET parentId')) {
+      skills[params[1] - 1].parentId = params[0];
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('INSERT IGNORE INTO skill_aliases')) {
+      pairs(params).forEach(([aliasKey, skillId]) => {
+        if (!skillAliases.has(aliasKey)) skillAliases.set(aliasKey, skillId);
+      });
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('INSERT IGNORE INTO skill_relations')) {
+      pairs(params).forEach(([skillId, relatedSkillId]) => {
+        skillRelations.set(`${skillId}:${relatedSkillId}`, { skillId, relatedSkillId });
+      });
+      return { affectedRows: 1 };
+    }
+
+    if (sql === 'SELECT id, code FROM locations') return locations.map(({ id, code }) => ({ id, code }));
+    if (sql.startsWith('SELECT id, code, name, type, parentId, latitude, longitude FROM locations')) return locations;
+    if (sql.startsWith('SELECT locationId, alias FROM location_aliases')) return [...locationAliases.values()];
+    if (sql.startsWith('INSERT INTO locations')) {
+      const [code, name, type, parentId, latitude, longitude] = params;
+      locations.push({ id: locations.length + 1, code, name, type, parentId, latitude, longitude });
+      return { insertId: locations.length };
+    }
+    if (sql.startsWith('INSERT IGNORE INTO location_aliases')) {
+      pairs(params).forEach(([locationId, alias]) => {
+        locationAliases.set(`${locationId}:${alias}`, { locationId, alias });
+      });
+      return { affectedRows: 1 };
+    }
+
+    if (sql.startsWith('SELECT')) return [];
+    return { affectedRows: 0 };
+  };
+};
+
+const loadSeedData = async () => {
+  fakeDb.reset(createHandler());
+  await createSkillTables();
+  await createLocationTables();
+  fakeDb.reset();
+};
+
+module.exports = { loadSeedData };
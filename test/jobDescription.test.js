@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/fakeDb');
+const { loadSeedData } = require('./helpers/seedData');
+const { parseJobDescription } = require('../services/jobDescriptionService');
+
+const names = (skills) => skills.map(skill => skill.name);
+
+const skillsOf = (text) => {
+  const { requiredSkills, optionalSkills } = parseJobDescription(text);
+  return { required: names(requiredSkills), optional: names(optionalSkills) };
+};
+
+test.before(loadSeedData);
+
+test('sections decide which skills are required', () => {
+  const parsed = parseJobDescription(`Senior Backend Engineer (Node.js)
+
+About us:
+We run our payments platform on Redis.
+
+Requirements:
+- 5+ years of experience with Node.js and PostgreSQL
+- Strong JavaScript
+
+Nice to have
+- Kubernetes
+- AWS
+
+Location: Bengaluru, India (hybrid)`);
+
+  assert.deepEqual(names(parsed.requiredSkills), ['Backend Development', 'Node.js', 'PostgreSQL', 'JavaScript']);
+  // "About us" is nice to have once there is a requirements section
+  assert.deepEqual(names(parsed.optionalSkills), ['Kubernetes', 'AWS', 'Redis']);
+});
+
+test('skills under other headings are required when there is no requirements section', () => {
+  assert.deepEqual(skillsOf('Responsibilities:\n- Maintain our Django services\n- Tune MySQL queries'), {
+    required: ['Django', 'MySQL'],
+    optional: []
+  });
+});
+
+test('optional cues apply to their own sentence, and required wins', () => {
+  assert.deepEqual(skillsOf('Junior React developer. Familiarity with TypeScript. Docker is a plus.'), {
+    required: ['React'],
+    optional: ['TypeScript', 'Docker']
+  });
+  assert.deepEqual(skillsOf('Requirements: Docker\nPreferred qualifications: Docker, Azure'), {
+    required: ['Docker'],
+    optional: ['Azure']
+  });
+});
+
+test('seniority comes from stated years, else from the level word', () => {
+  const seniorityOf = (text) => parseJobDescription(`${text}. Python.`).seniority;
+
+  assert.deepEqual(seniorityOf('Senior engineer, 5+ years'), { level: 'senior', minYears: 5, maxYears: null });
+  assert.deepEqual(seniorityOf('Lead engineer with 3 to 6 years'), { level: 'lead', minYears: 3, maxYears: 6 });
+  assert.deepEqual(seniorityOf('Junior developer'), { level: 'junior', minYears: 0, maxYears: 2 });
+  assert.deepEqual(seniorityOf('Senior developer reporting to the team lead'), { level: 'senior', minYears: 5, maxYears: null });
+  assert.deepEqual(seniorityOf('At least 2 years'), { level: null, minYears: 2, maxYears: null });
+  assert.deepEqual(seniorityOf('6-4 years'), { level: null, minYears: 6, maxYears: null });
+  assert.equal(seniorityOf('Developer'), null);
+});
+
+test('location reads a location line or phrase and flags remote work', () => {
+  const locationOf = (text) => parseJobDescription(`Python developer. ${text}`).location;
+
+  const office = locationOf('\nLocation: Bengaluru, India');
+  assert.equal(office.remote, false);
+  assert.equal(office.text, 'Bengaluru, India');
+  assert.equal(office.place.code, 'in-ka-bengaluru');
+
+  const hybrid = locationOf('Remote friendly, office based in Chennai.');
+  assert.equal(hybrid.remote, true);
+  assert.equal(hybrid.text, 'Chennai');
+  assert.equal(hybrid.place.path, 'Chennai, Tamil Nadu, India');
+
+  assert.deepEqual(locationOf('Work from home.'), { remote: true, text: null, place: null });
+  assert.deepEqual(locationOf('Based in Atlantis'), { remote: false, text: 'Atlantis', place: null });
+});
+
+test('parseJobDescription rejects empty, oversized and skill-less text', () => {
+  assert.throws(() => parseJobDescription('   '), { statusCode: 400, message: 'jobDescription is required' });
+  assert.throws(() => parseJobDescription(null), { statusCode: 400 });
+  assert.throws(() => parseJobDescription(`Python ${'x'.repeat(20000)}`), { statusCode: 400, message: /at most 20000/ });
+  assert.throws(() => parseJobDescription('We need a good communicator'), { statusCode: 400, message: /No known skills/ });
+});
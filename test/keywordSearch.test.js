@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/fakeDb');
+const { buildKeywordSearch, escapeLike } = require('../services/keywordSearchService');
+
+test('escapeLike makes LIKE wildcards literal', () => {
+  assert.equal(escapeLike('100%'), '100\\%');
+  assert.equal(escapeLike('a_b'), 'a\\_b');
+  assert.equal(escapeLike('c:\\dev'), 'c:\\\\dev');
+  assert.equal(escapeLike('c#'), 'c#');
+});
+
+test('short keywords search by escaped substring', () => {
+  const search = buildKeywordSearch('_');
+  assert.equal(search.mode, 'like');
+  assert.deepEqual(search.params, ['%\\_%', '%\\_%', '%\\_%']);
+  assert.deepEqual(search.scoreParams, search.params);
+});
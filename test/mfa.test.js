@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+const { generateTotp } = require('../services/totpService');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifyMfaCode,
+  getRemainingBackupCodes
+} = require('../services/mfaService');
+
+const USER = { id: 7, email: 'seeker@example.com' };
+const START = 1700000000 * 1000;
+const STEP_MS = 30 * 1000;
+
+// Just enough of user_mfa and mfa_backup_codes for the statements mfaService runs
+const createStore = () => {
+  const mfa = new Map();
+  let backupCodes = [];
+
+  const handler = (sql, params) => {
+    if (sql.startsWith('INSERT INTO user_mfa')) {
+      const [userId, secretEncrypted] = params;
+      mfa.set(userId, { userId, secretEncrypted, enabled: 0, lastUsedStep: null });
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('SELECT * FROM user_mfa')) {
+      const record = mfa.get(params[0]);
+      return record ? [{ ...record }] : [];
+    }
+    if (sql.startsWith('UPDATE user_mfa SET lastUsedStep')) {
+      const [step, userId] = params;
+      const record = mfa.get(userId);
+      if (!record || (record.lastUsedStep !== null && record.lastUsedStep >= step)) return { affectedRows: 0 };
+      record.lastUsedStep = step;
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('UPDATE user_mfa SET enabled = TRUE')) {
+      mfa.get(params[0]).enabled = 1;
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('DELETE FROM mfa_backup_codes')) {
+      backupCodes = backupCodes.filter(row => row.userId !== params[0]);
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('INSERT INTO mfa_backup_codes')) {
+      params[0].forEach(([userId, codeHash]) => backupCodes.push({ userId, codeHash, usedAt: null }));
+      return { affectedRows: params[0].length };
+    }
+    if (sql.startsWith('UPDATE mfa_backup_codes SET usedAt')) {
+      const row = backupCodes.find(item => item.userId === params[0] && item.codeHash === params[1] && !item.usedAt);
+      if (!row) return { affectedRows: 0 };
+      row.usedAt = new Date();
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('SELECT COUNT(*) AS remaining FROM mfa_backup_codes')) {
+      return [{ remaining: backupCodes.filter(row => row.userId === params[0] && !row.usedAt).length }];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { mfa, handler };
+};
+
+// Enroll USER at START and return the secret and backup codes
+const enroll = async (t) => {
+  const store = createStore();
+  fakeDb.reset(store.handler);
+  t.mock.method(Date, 'now', () => START);
+
+  const { secret, otpauthUrl } = await startEnrollment(USER);
+  assert.match(otpauthUrl, /^otpauth:\/\/totp\/TalentConnect%3Aseeker%40example\.com\?secret=/);
+  assert.ok(!store.mfa.get(USER.id).secretEncrypted.includes(secret), 'secret is stored encrypted');
+
+  const backupCodes = await confirmEnrollment(USER.id, generateTotp(secret, { time: START }));
+  return { store, secret, backupCodes };
+};
+
+test('enrollment is confirmed by a valid code and returns backup codes', async (t) => {
+  const { store, backupCodes } = await enroll(t);
+
+  assert.equal(store.mfa.get(USER.id).enabled, 1);
+  assert.equal(backupCodes.length, 10);
+  backupCodes.forEach(code => assert.match(code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/));
+  assert.equal(await getRemainingBackupCodes(USER.id), 10);
+});
+
+test('enrollment is not confirmed by a wrong code', async (t) => {
+  const store = createStore();
+  fakeDb.reset(store.handler);
+  t.mock.method(Date, 'now', () => START);
+
+  const { secret } = await startEnrollment(USER);
+  const wrongCode = generateTotp(secret, { time: START + 5 * STEP_MS });
+
+  assert.equal(await confirmEnrollment(USER.id, wrongCode), null);
+  assert.equal(store.mfa.get(USER.id).enabled, 0);
+});
+
+test('a TOTP code cannot be replayed', async (t) => {
+  const { secret } = await enroll(t);
+
+  // The enrollment code was already used in this step
+  assert.equal(await verifyMfaCode(USER.id, { code: generateTotp(secret, { time: START }) }), null);
+
+  // Next step: its code works once, and the earlier step's code (still in
+  // the drift window) no longer does
+  Date.now.mock.mockImplementation(() => START + STEP_MS);
+  const nextCode = generateTotp(secret, { time: START + STEP_MS });
+  assert.equal(await verifyMfaCode(USER.id, { code: nextCode }), 'totp');
+  assert.equal(await verifyMfaCode(USER.id, { code: nextCode }), null);
+  assert.equal(await verifyMfaCode(USER.id, { code: generateTotp(secret, { time: START }) }), null);
+});
+
+test('codes inside the drift window are accepted, outside it rejected', async (t) => {
+  const { secret } = await enroll(t);
+  const now = START + 10 * STEP_MS;
+  Date.now.mock.mockImplementation(() => now);
+
+  assert.equal(await verifyMfaCode(USER.id, { code: generateTotp(secret, { time: now - 2 * STEP_MS }) }), null);
+  assert.equal(await verifyMfaCode(USER.id, { code: generateTotp(secret, { time: now - STEP_MS }) }), 'totp');
+  assert.equal(await verifyMfaCode(USER.id, { code: generateTotp(secret, { time: now + 2 * STEP_MS }) }), null);
+  assert.equal(await verifyMfaCode(USER.id, { code: generateTotp(secret, { time: now + STEP_MS }) }), 'totp');
+});
+
+test('each backup code works once', async (t) => {
+  const { backupCodes } = await enroll(t);
+  const [first, second] = backupCodes;
+
+  assert.equal(await verifyMfaCode(USER.id, { backupCode: first }), 'backup_code');
+  assert.equal(await verifyMfaCode(USER.id, { backupCode: first }), null);
+  assert.equal(await getRemainingBackupCodes(USER.id), 9);
+
+  // Case and the dash don't matter
+  assert.equal(await verifyMfaCode(USER.id, { backupCode: second.replace('-', '').toLowerCase() }), 'backup_code');
+  assert.equal(await verifyMfaCode(USER.id, { backupCode: second }), null);
+  assert.equal(await verifyMfaCode(USER.id, { backupCode: 'AAAA-AAAA' }), null);
+  assert.equal(await getRemainingBackupCodes(USER.id), 8);
+});
+
+test('codes are refused while MFA is not enabled', async (t) => {
+  const store = createStore();
+  fakeDb.reset(store.handler);
+  t.mock.method(Date, 'now', () => START);
+
+  const { secret } = await startEnrollment(USER);
+  assert.equal(await verifyMfaCode(USER.id, { code: generateTotp(secret, { time: START }) }), null);
+});
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const fakeDb = require('./helpers/fakeDb');
+const { startMockIdp, DEFAULT_USER } = require('./helpers/mockIdp');
+const { hashToken } = require('../services/sessionService');
+const { createAuthorizationUrl, completeAuthorization } = require('../services/oidcService');
+
+const PROVIDER_ID = 'mock';
+const REDIRECT_URI = 'http://localhost:3000/auth/oidc/callback';
+const LINKED_USER = {
+  id: 12,
+  userName: 'jordan_lee',
+  email: DEFAULT_USER.email,
+  userType: 'jobseeker',
+  firstName: 'Jordan',
+  lastName: 'Lee',
+  emailVerified: 1
+};
+
+let idp;
+let api;
+let authRequests;
+
+// oidc_auth_requests in memory; the rest of what a sign-in touches (sessions,
+// auth events, MFA status) answers with empty results
+const handler = (sql, params) => {
+  if (sql.startsWith('INSERT INTO oidc_auth_requests')) {
+    const [stateHash, providerId, codeVerifier, nonce] = params;
+    authRequests.push({ id: authRequests.length + 1, stateHash, providerId, codeVerifier, nonce, usedAt: null });
+    return { affectedRows: 1, insertId: authRequests.length };
+  }
+  if (sql.startsWith('SELECT id, codeVerifier, nonce FROM oidc_auth_requests')) {
+    const [stateHash, providerId] = params;
+    return authRequests
+      .filter(row => row.stateHash === stateHash && row.providerId === providerId && !row.usedAt)
+      .map(({ id, codeVerifier, nonce }) => ({ id, codeVerifier, nonce }));
+  }
+  if (sql.startsWith('UPDATE oidc_auth_requests SET usedAt')) {
+    const row = authRequests.find(item => item.id === params[0] && !item.usedAt);
+    if (row) row.usedAt = new Date();
+    return { affectedRows: row ? 1 : 0 };
+  }
+  if (sql.includes('FROM user_identities i JOIN users u')) {
+    return params[1] === DEFAULT_USER.sub ? [{ ...LINKED_USER }] : [];
+  }
+  if (sql.startsWith('SELECT COUNT(*) AS previousLogins')) {
+    return [{ previousLogins: 0, fromThisDevice: 0 }];
+  }
+  if (sql.startsWith('SELECT')) return [];
+  return { affectedRows: 1, insertId: 1 };
+};
+
+// Start a sign-in and follow the provider's redirect back: { code, state }
+const authorize = async () => {
+  const response = await fetch(await createAuthorizationUrl(PROVIDER_ID), { redirect: 'manual' });
+  assert.equal(response.status, 302);
+
+  const location = new URL(response.headers.get('location'));
+  assert.equal(`${location.origin}${location.pathname}`, REDIRECT_URI);
+  return { code: location.searchParams.get('code'), state: location.searchParams.get('state') };
+};
+
+test.before(async () => {
+  // registerController (behind the routes) creates its tables when loaded
+  authRequests = [];
+  fakeDb.reset(handler);
+  const oidcRoutes = require('../routes/oidcRoutes');
+
+  idp = await startMockIdp();
+  process.env.OIDC_PROVIDERS = JSON.stringify([{
+    id: PROVIDER_ID,
+    issuer: idp.issuer,
+    clientId: idp.clientId,
+    clientSecret: idp.clientSecret,
+    redirectUri: REDIRECT_URI
+  }]);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/oidc', oidcRoutes);
+  await new Promise(resolve => {
+    api = app.listen(0, '127.0.0.1', resolve);
+  });
+});
+
+test.after(async () => {
+  await idp.close();
+  await new Promise(resolve => api.close(resolve));
+  delete process.env.OIDC_PROVIDERS;
+});
+
+test.beforeEach(() => {
+  authRequests = [];
+  fakeDb.reset(handler);
+});
+
+test('the authorization URL carries state, nonce and an S256 PKCE challenge', async () => {
+  const url = new URL(await createAuthorizationUrl(PROVIDER_ID));
+  const [stored] = authRequests;
+
+  assert.equal(`${url.origin}${url.pathname}`, `${idp.issuer}/authorize`);
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(
+    url.searchParams.get('code_challenge'),
+    crypto.createHash('sha256').update(stored.codeVerifier).digest('base64url')
+  );
+  assert.equal(url.searchParams.get('nonce'), stored.nonce);
+  // Only a hash of state is stored
+  assert.equal(stored.stateHash, hashToken(url.searchParams.get('state')));
+});
+
+test('a good login returns the verified identity', async () => {
+  const identity = await completeAuthorization(PROVIDER_ID, await authorize());
+
+  assert.deepEqual(identity, {
+    provider: PROVIDER_ID,
+    subject: DEFAULT_USER.sub,
+    email: DEFAULT_USER.email,
+    emailVerified: true,
+    firstName: 'Jordan',
+    lastName: 'Lee',
+    name: null,
+    preferredUsername: 'jordan_lee'
+  });
+  assert.ok(authRequests[0].usedAt, 'the auth request is used up');
+});
+
+test('the callback route signs in a linked user', async () => {
+  const response = await fetch(`http://127.0.0.1:${api.address().port}/api/oidc/${PROVIDER_ID}/callback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(await authorize())
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.user.id, LINKED_USER.id);
+  assert.ok(body.token && body.refreshToken);
+  assert.ok(fakeDb.queries.some(query => query.sql.startsWith('INSERT INTO user_sessions')));
+});
+
+test('an unknown state is rejected before the code is exchanged', async () => {
+  const { code } = await authorize();
+
+  await assert.rejects(
+    completeAuthorization(PROVIDER_ID, { code, state: 'not-the-state-we-sent' }),
+    { statusCode: 400, message: /Invalid or expired sign-in attempt/ }
+  );
+  assert.equal(authRequests[0].usedAt, null);
+});
+
+test('a state cannot be used twice', async () => {
+  const { code, state } = await authorize();
+  await completeAuthorization(PROVIDER_ID, { code, state });
+
+  await assert.rejects(
+    completeAuthorization(PROVIDER_ID, { code, state }),
+    { statusCode: 400, message: /Invalid or expired sign-in attempt/ }
+  );
+});
+
+test('the provider refuses a code without the matching PKCE verifier', async () => {
+  const attempt = await authorize();
+  authRequests[0].codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+  await assert.rejects(
+    completeAuthorization(PROVIDER_ID, attempt),
+    { statusCode: 502, message: /Could not complete sign-in/ }
+  );
+});
+
+test('an ID token with a different nonce is rejected', async () => {
+  const attempt = await authorize();
+  idp.tamper(claims => ({ claims: { ...claims, nonce: 'replayed-nonce' } }));
+
+  await assert.rejects(
+    completeAuthorization(PROVIDER_ID, attempt),
+    { statusCode: 401, message: 'ID token nonce mismatch' }
+  );
+});
+
+test('an ID token signed with a key outside the JWKS is rejected', async () => {
+  const attempt = await authorize();
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  idp.tamper(() => ({ signingKey: privateKey }));
+
+  await assert.rejects(
+    completeAuthorization(PROVIDER_ID, attempt),
+    { statusCode: 401, message: 'Invalid ID token' }
+  );
+});
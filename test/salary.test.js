@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/fakeDb');
+const { parseSalary } = require('../services/salaryService');
+
+const parse = (text) => parseSalary(text, { defaultCurrency: 'INR' });
+
+test('parseSalary reads ranges, units, currencies and periods', () => {
+  assert.deepEqual(parse('50k-70k'), { min: 50000, max: 70000, currency: 'INR', period: 'annual' });
+  assert.deepEqual(parse('5 to 7 LPA'), { min: 500000, max: 700000, currency: 'INR', period: 'annual' });
+  assert.deepEqual(parse('₹5,00,000'), { min: 500000, max: 500000, currency: 'INR', period: 'annual' });
+  assert.deepEqual(parse('10 LPA+'), { min: 1000000, max: null, currency: 'INR', period: 'annual' });
+  assert.deepEqual(parse('up to $40/hr'), { min: null, max: 40, currency: 'USD', period: 'hourly' });
+  assert.deepEqual(parse('1.2m usd'), { min: 1200000, max: 1200000, currency: 'USD', period: 'annual' });
+  assert.deepEqual(parse('80,000 INR monthly'), { min: 80000, max: 80000, currency: 'INR', period: 'monthly' });
+});
+
+test('parseSalary understands thousand and million', () => {
+  assert.deepEqual(parse('30 to 40 thousand per month'), { min: 30000, max: 40000, currency: 'INR', period: 'monthly' });
+  assert.deepEqual(parse('2 million'), { min: 2000000, max: 2000000, currency: 'INR', period: 'annual' });
+});
+
+test('parseSalary leaves text with an unknown unit unparsed', () => {
+  assert.equal(parse('40 grand'), null);
+  assert.equal(parse('5 lpa fixed + 2 variable'), null);
+  assert.equal(parse('Negotiable'), null);
+  assert.equal(parse(''), null);
+});
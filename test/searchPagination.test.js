@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveSort,
+  parsePagination,
+  decodeCursor,
+  buildKeysetCondition,
+  paginateRows,
+  buildPaginationResult
+} = require('../services/searchPaginationService');
+
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+// Ties on relevance, availability and createdAt, so only id separates some rows
+const ROWS = [
+  { id: 1, relevanceScore: 5, availabilityRank: 0, createdAt: day(3) },
+  { id: 2, relevanceScore: 5, availabilityRank: 0, createdAt: day(3) },
+  { id: 3, relevanceScore: 5, availabilityRank: 1, createdAt: day(3) },
+  { id: 4, relevanceScore: 3, availabilityRank: 0, createdAt: day(1) },
+  { id: 5, relevanceScore: 3, availabilityRank: 0, createdAt: day(2) },
+  { id: 6, relevanceScore: 3, availabilityRank: 0, createdAt: day(2) },
+  { id: 7, relevanceScore: 5, availabilityRank: 0, createdAt: day(1) },
+  { id: 8, relevanceScore: 0, availabilityRank: 1, createdAt: day(2) }
+];
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+// Evaluates the SQL from buildKeysetCondition against a row, the way MySQL
+// would for the aliased columns
+const matchesKeyset = ({ condition, params }, row) => {
+  let next = 0;
+  return condition.slice(1, -1).split(' OR ').some(clause => {
+    return clause.slice(1, -1).split(' AND ').map(part => {
+      const [, column, operator] = part.match(/^results\.(\w+) ([=<>]) \?$/);
+      const left = comparable(row[column]);
+      const right = comparable(params[next++]);
+      if (operator === '=') return left === right;
+      return operator === '<' ? left < right : left > right;
+    }).every(Boolean);
+  });
+};
+
+// Stand-in for the SQL query: keyset filter, ORDER BY, LIMIT limit + 1
+const queryPage = (sort, pagination) => {
+  const keyset = buildKeysetCondition(sort, pagination.cursorValues);
+  const rows = keyset.condition ? ROWS.filter(row => matchesKeyset(keyset, row)) : ROWS;
+  return paginateRows(rows, sort, { ...pagination, cursorValues: null });
+};
+
+const pageThrough = (sort, fetchPage) => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const pagination = parsePagination({ limit: 3, cursor }, sort);
+    const result = buildPaginationResult(fetchPage(sort, pagination), { total: ROWS.length, sort, pagination });
+    seen.push(...result.rows.map(row => row.id));
+    cursor = result.pagination.nextCursor;
+    assert.ok(seen.length <= ROWS.length, 'paging does not loop');
+  } while (cursor);
+  return seen;
+};
+
+test('relevance order breaks ties by availability, createdAt and id', () => {
+  const sort = resolveSort({});
+  const rows = paginateRows(ROWS, sort, parsePagination({ limit: 100 }, sort));
+  assert.deepEqual(rows.map(row => row.id), [2, 1, 7, 3, 6, 5, 4, 8]);
+});
+
+test('cursor pages cover every row once, in memory and via the keyset SQL', () => {
+  for (const options of [{}, { sortOrder: 'asc' }, { sortBy: 'newest' }]) {
+    const sort = resolveSort(options);
+    const expected = paginateRows(ROWS, sort, parsePagination({ limit: 100 }, sort)).map(row => row.id);
+
+    assert.deepEqual(pageThrough(sort, (s, pagination) => paginateRows(ROWS, s, pagination)), expected);
+    assert.deepEqual(pageThrough(sort, queryPage), expected);
+  }
+});
+
+test('numbered pages match the cursor pages', () => {
+  const sort = resolveSort({});
+  const pages = [1, 2, 3].map(page => {
+    const pagination = parsePagination({ page, limit: 3 }, sort);
+    return buildPaginationResult(paginateRows(ROWS, sort, pagination), { total: ROWS.length, sort, pagination });
+  });
+
+  assert.deepEqual(pages.flatMap(page => page.rows.map(row => row.id)), [2, 1, 7, 3, 6, 5, 4, 8]);
+  assert.deepEqual(pages.map(page => page.pagination.hasMore), [true, true, false]);
+  assert.equal(pages[0].pagination.totalPages, 3);
+  assert.equal(pages[2].pagination.nextCursor, null);
+});
+
+test('buildKeysetCondition compares each key after equal earlier keys', () => {
+  const sort = resolveSort({ sortBy: 'newest' });
+  assert.deepEqual(buildKeysetCondition(sort, [day(2), 6]), {
+    condition: '((results.createdAt < ?) OR (results.createdAt = ? AND results.id < ?))',
+    params: [day(2), day(2), 6]
+  });
+  assert.deepEqual(buildKeysetCondition(sort, null), { condition: '', params: [] });
+});
+
+test('decodeCursor restores dates and rejects foreign or broken cursors', () => {
+  const sort = resolveSort({});
+  const pagination = parsePagination({ limit: 1 }, sort);
+  const { nextCursor } = buildPaginationResult(paginateRows(ROWS, sort, pagination), { total: ROWS.length, sort, pagination }).pagination;
+
+  assert.deepEqual(decodeCursor(nextCursor, sort), [5, 0, day(3), 2]);
+  assert.throws(() => decodeCursor(nextCursor, resolveSort({ sortOrder: 'asc' })), {
+    statusCode: 400,
+    message: /does not match the requested sort/
+  });
+  assert.throws(() => decodeCursor('not-a-cursor', sort), { statusCode: 400, message: 'Invalid cursor' });
+  assert.throws(() => decodeCursor(Buffer.from('{"v":[1]}').toString('base64url'), sort), { statusCode: 400 });
+});
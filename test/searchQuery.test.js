@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, compileSearchQuery } = require('../services/searchQueryService');
+
+const errorAt = (query) => {
+  try {
+    parseSearchQuery(query);
+  } catch (error) {
+    assert.equal(error.statusCode, 400);
+    return error.position;
+  }
+  assert.fail(`"${query}" should not parse`);
+};
+
+const compile = (query) => compileSearchQuery(parseSearchQuery(query), {
+  buildExperience: (min, max) => ({ condition: 'js.experienceMinYears BETWEEN ? AND ?', params: [min, max] }),
+  buildLocation: (value) => ({ condition: 'u.location = ?', params: [value] })
+});
+
+// The MySQL REGEXP patterns in JS syntax, to check what they match
+const toRegExp = (pattern) => new RegExp(pattern
+  .replace(/\[\[:alnum:\]_\]/g, '[A-Za-z0-9_]')
+  .replace(/\[\^\[:alnum:\]_\]/g, '[^A-Za-z0-9_]')
+  .replace(/\[\[:space:\]\]/g, '\\s'), 'i');
+
+const TEXT_MATCH = '(js.title REGEXP ? OR js.skillsText REGEXP ? OR js.bio REGEXP ?)';
+
+test('parseSearchQuery builds a tree with term positions', () => {
+  assert.deepEqual(parseSearchQuery('react OR vue'), {
+    type: 'or',
+    children: [
+      { type: 'term', field: null, value: 'react', phrase: false, position: 0 },
+      { type: 'term', field: null, value: 'vue', phrase: false, position: 9 }
+    ]
+  });
+});
+
+test('error positions are 1-based offsets into the text as typed', () => {
+  assert.equal(errorAt('(x'), 3);
+  assert.equal(errorAt('"abc'), 1);
+  assert.equal(errorAt('react foo:bar'), 7);
+});
+
+test('leading whitespace counts towards error positions', () => {
+  assert.equal(errorAt('  (x'), 5);
+  assert.equal(errorAt('  "abc'), 3);
+  assert.equal(errorAt('\treact foo:bar'), 8);
+  assert.equal(errorAt('  react AND  '), 12);
+});
+
+test('compileSearchQuery wraps leaves in COALESCE and scores only wanted terms', () => {
+  const { condition, params, scoreSql, scoreParams } = compile('react NOT intern');
+
+  assert.equal(condition, `(COALESCE(${TEXT_MATCH}, FALSE) AND NOT COALESCE(${TEXT_MATCH}, FALSE))`);
+  assert.equal(params.length, 6);
+  assert.ok(toRegExp(params[0]).test('React developer'));
+  assert.ok(toRegExp(params[3]).test('summer intern'));
+  assert.equal(scoreSql, `(COALESCE(js.title REGEXP ?, 0) * 3
+      + COALESCE(js.skillsText REGEXP ?, 0) * 2
+      + COALESCE(js.bio REGEXP ?, 0) * 1)`);
+  assert.deepEqual(scoreParams, params.slice(0, 3));
+});
+
+test('terms match whole words, with * as a wildcard', () => {
+  const [nodePattern] = compile('node*').params;
+  assert.ok(toRegExp(nodePattern).test('node.js'));
+  assert.ok(toRegExp(nodePattern).test('nodejs, react'));
+  assert.ok(!toRegExp(nodePattern).test('unodejs'));
+
+  const [cppPattern] = compile('c++').params;
+  assert.ok(toRegExp(cppPattern).test('C++, python'));
+  assert.ok(!toRegExp(cppPattern).test('c'));
+});
+
+test('phrases match words in order and accept wildcards', () => {
+  const [phrase] = compile('"senior react"').params;
+  assert.ok(toRegExp(phrase).test('Senior  React engineer'));
+  assert.ok(!toRegExp(phrase).test('react senior'));
+
+  const { params } = compile('"c** dev" OR node*');
+  assert.equal(params.length, 6);
+  assert.ok(toRegExp(params[0]).test('csharp dev'));
+  assert.ok(!toRegExp(params[0]).test('c** dev'));
+  assert.ok(toRegExp(compile('"node.* dev"').params[0]).test('node.js dev'));
+});
+
+test('field prefixes compile to their own columns and builders', () => {
+  const { condition, params, scoreParams } = compile('title:lead skill:go exp:3+ location:chennai availability:Available');
+
+  assert.equal(condition, [
+    '(COALESCE((js.title REGEXP ?), FALSE)',
+    'COALESCE((js.skillsText REGEXP ?), FALSE)',
+    'COALESCE(js.experienceMinYears BETWEEN ? AND ?, FALSE)',
+    'COALESCE(u.location = ?, FALSE)',
+    'COALESCE(js.availability = ?, FALSE))'
+  ].join(' AND '));
+  assert.deepEqual(params.slice(2), [3, null, 'chennai', 'available']);
+  assert.equal(scoreParams.length, 2);
+});
+
+test('compileSearchQuery rejects bad field values and bare wildcards', () => {
+  assert.throws(() => compile('exp:5-3'), { statusCode: 400, message: /backwards/ });
+  assert.throws(() => compile('availability:soon'), { statusCode: 400, position: 1 });
+  assert.throws(() => compile('react *'), { statusCode: 400, position: 7, message: /wildcard/ });
+  assert.throws(() => compile('"* *"'), { statusCode: 400, message: /wildcard/ });
+});
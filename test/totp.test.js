@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getTimeStep
+} = require('../services/totpService');
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_6238_SHA1_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('base32 round-trips the RFC seed', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode(RFC_SECRET).toString('ascii'), '12345678901234567890');
+  assert.equal(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq').toString('ascii'), '12345678901234567890');
+  assert.throws(() => base32Decode('GEZD1'), /Invalid base32 character/);
+});
+
+test('HOTP matches the RFC 4226 test values', () => {
+  const secret = Buffer.from('12345678901234567890', 'ascii');
+  const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+  expected.forEach((code, counter) => assert.equal(generateHotp(secret, counter), code));
+});
+
+test('TOTP matches the RFC 6238 SHA-1 test vectors', () => {
+  for (const [seconds, code] of RFC_6238_SHA1_VECTORS) {
+    assert.equal(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 }), code, `T = ${seconds}`);
+  }
+});
+
+test('verifyTotp accepts the RFC vectors and returns their time step', () => {
+  for (const [seconds, code] of RFC_6238_SHA1_VECTORS) {
+    const time = seconds * 1000;
+    assert.equal(verifyTotp(RFC_SECRET, code, { time, digits: 8 }), getTimeStep(time));
+  }
+});
+
+test('verifyTotp allows one time step of drift either side by default', () => {
+  const time = 1111111111 * 1000;
+  const step = getTimeStep(time);
+  const codeAt = (offset) => generateTotp(RFC_SECRET, { time: time + offset * 30 * 1000 });
+
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(0), { time }), step);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(-1), { time }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(1), { time }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(-2), { time }), null);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(2), { time }), null);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(-1), { time, window: 0 }), null);
+});
+
+test('verifyTotp rejects malformed codes', () => {
+  const time = 59 * 1000;
+  const code = generateTotp(RFC_SECRET, { time });
+
+  assert.equal(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time }), getTimeStep(time));
+  assert.equal(verifyTotp(RFC_SECRET, code.slice(1), { time }), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { time }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '', { time }), null);
+  assert.equal(verifyTotp(RFC_SECRET, undefined, { time }), null);
+});